@@ -5,6 +5,10 @@
  *   const player = new ProfessionalVideoPlayer('professionalVideoPlayer', videoUrl, {
  *     transcript: utterances,       // optional
  *     duration: 3600,               // optional (seconds, fallback to metadata)
+ *     hlsSrc: hlsUrl,               // optional HLS master playlist, preferred when playable
+ *     posterSrc: posterUrl,         // optional poster image
+ *     storyboardSrc: storyboardUrl, // optional WebVTT thumbnails track (scrub previews)
+ *     chapters: [{ start, end, title }], // optional chapter markers (seconds)
  *     onTimeUpdate: (currentTime) => {
  *       // e.g. highlight transcript
  *     }
@@ -29,6 +33,7 @@ class ProfessionalVideoPlayer {
 
     this.video = null;
     this.hls = null; // HLS instance (for .m3u8 sources)
+    this.isHls = false;
     this.isPlaying = false;
     this.isSeeking = false;
     this.isMetadataLoaded = false;
@@ -36,12 +41,16 @@ class ProfessionalVideoPlayer {
     this.pendingSeekTime = null;
     this.isLoading = false;
     this._lastOnTimeUpdate = 0; // throttle transcript callbacks
+    this.chapters = [];
+    this.storyboard = []; // storyboard cues: { start, end, url, x, y, w, h }
 
     this._keyboardHandler = this._handleKeydown.bind(this);
 
     this._injectStyles();
     this._buildDOM();
     this._attachEvents();
+    this.setChapters(this.options.chapters || []);
+    this._loadStoryboard();
   }
 
   // -----------------------------
@@ -123,6 +132,42 @@ class ProfessionalVideoPlayer {
     });
   }
 
+  /**
+   * Show chapter markers on the progress bar
+   * @param {Array<{start: number, end: number, title: string}>} chapters - Times in seconds
+   */
+  setChapters(chapters) {
+    this.chapters = (Array.isArray(chapters) ? chapters : [])
+      .filter((chapter) => chapter && Number.isFinite(Number(chapter.start)))
+      .map((chapter) => ({ start: Number(chapter.start), end: Number(chapter.end) || null, title: chapter.title || '' }))
+      .sort((a, b) => a.start - b.start);
+    this._renderChapterMarkers();
+  }
+
+  /**
+   * Chapter playing at a time (seconds), or null
+   */
+  getChapterAt(time) {
+    let current = null;
+    for (const chapter of this.chapters) {
+      if (chapter.start > time) break;
+      current = chapter;
+    }
+    return current;
+  }
+
+  /**
+   * Storyboard tile of a time (seconds): { url, x, y, width, height }, or null
+   * before the storyboard is loaded (or without one)
+   */
+  getStoryboardFrame(time) {
+    const cue = this.storyboard.find((c) => time >= c.start && time < c.end)
+      || (this.storyboard.length > 0 && time >= this.storyboard[this.storyboard.length - 1].start
+        ? this.storyboard[this.storyboard.length - 1]
+        : null);
+    return cue ? { url: cue.url, x: cue.x, y: cue.y, width: cue.w, height: cue.h } : null;
+  }
+
   /**
    * Destroy player and clean up listeners
    */
@@ -246,11 +291,80 @@ class ProfessionalVideoPlayer {
         white-space: nowrap;
       }
 
+      .pv-progress-wrapper {
+        flex: 1;
+        position: relative;
+        display: flex;
+        align-items: center;
+      }
+
       .pv-progress {
         flex: 1;
+        width: 100%;
         cursor: pointer;
       }
 
+      .pv-chapter-markers {
+        position: absolute;
+        left: 0;
+        right: 0;
+        top: 50%;
+        height: 0;
+        pointer-events: none;
+      }
+
+      .pv-chapter-marker {
+        position: absolute;
+        top: -5px;
+        width: 2px;
+        height: 10px;
+        border-radius: 1px;
+        background: rgba(248, 250, 252, 0.8);
+        transform: translateX(-1px);
+      }
+
+      .pv-preview {
+        position: absolute;
+        bottom: calc(100% + 10px);
+        left: 0;
+        transform: translateX(-50%);
+        z-index: 15;
+        display: none;
+        flex-direction: column;
+        align-items: center;
+        gap: 4px;
+        padding: 4px;
+        background: rgba(2, 6, 23, 0.95);
+        border: 1px solid #1f2937;
+        border-radius: 8px;
+        pointer-events: none;
+      }
+
+      .pv-preview.show {
+        display: flex;
+      }
+
+      .pv-preview-image {
+        display: none;
+        border-radius: 4px;
+        background-repeat: no-repeat;
+      }
+
+      .pv-preview-chapter {
+        max-width: 200px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-size: 11px;
+        font-weight: 600;
+        color: #e5e7eb;
+      }
+
+      .pv-preview-time {
+        font-size: 11px;
+        color: #9ca3af;
+      }
+
       .pv-spacer {
         flex: 0 0 4px;
       }
@@ -416,14 +530,22 @@ class ProfessionalVideoPlayer {
             <span class="pv-current-time">00:00</span> /
             <span class="pv-duration">00:00</span>
           </div>
-          <input
-            type="range"
-            class="pv-progress"
-            min="0"
-            max="1000"
-            value="0"
-            aria-label="Seek"
-          />
+          <div class="pv-progress-wrapper">
+            <input
+              type="range"
+              class="pv-progress"
+              min="0"
+              max="1000"
+              value="0"
+              aria-label="Seek"
+            />
+            <div class="pv-chapter-markers"></div>
+            <div class="pv-preview">
+              <div class="pv-preview-image"></div>
+              <div class="pv-preview-chapter"></div>
+              <div class="pv-preview-time">00:00</div>
+            </div>
+          </div>
           <div class="pv-spacer"></div>
           <div class="pv-volume-wrapper">
             <button class="pv-btn pv-mute-toggle" aria-label="Mute/Unmute">
@@ -454,6 +576,12 @@ class ProfessionalVideoPlayer {
     this.currentTimeEl = this.container.querySelector('.pv-current-time');
     this.durationEl = this.container.querySelector('.pv-duration');
     this.progressEl = this.container.querySelector('.pv-progress');
+    this.progressWrapperEl = this.container.querySelector('.pv-progress-wrapper');
+    this.chapterMarkersEl = this.container.querySelector('.pv-chapter-markers');
+    this.previewEl = this.container.querySelector('.pv-preview');
+    this.previewImageEl = this.container.querySelector('.pv-preview-image');
+    this.previewChapterEl = this.container.querySelector('.pv-preview-chapter');
+    this.previewTimeEl = this.container.querySelector('.pv-preview-time');
     this.volumeEl = this.container.querySelector('.pv-volume');
     this.muteToggleBtn = this.container.querySelector('.pv-mute-toggle');
     this.pipBtn = this.container.querySelector('.pv-pip');
@@ -464,22 +592,29 @@ class ProfessionalVideoPlayer {
     this.video.playbackRate = this.options.defaultPlaybackRate || 1.0;
     this.video.volume = 1.0;
     this.video.muted = false;
+    if (this.options.posterSrc) {
+      this.video.poster = this.options.posterSrc;
+    }
 
     this._initSource(); // set src / HLS
   }
 
   /**
-   * Initialize source: plain MP4/WebM or HLS (.m3u8 via hls.js)
+   * Initialize source: plain MP4/WebM or HLS (.m3u8 via hls.js). The HLS
+   * package (options.hlsSrc) is preferred when this browser can play it.
    */
   _initSource() {
     if (!this.video || !this.videoSrc) return;
 
-    const isHls = /\.m3u8($|\?)/i.test(this.videoSrc);
+    const canPlayHls = !!this.video.canPlayType('application/vnd.apple.mpegurl') || !!(window.Hls && window.Hls.isSupported());
+    const src = this.options.hlsSrc && canPlayHls ? this.options.hlsSrc : this.videoSrc;
+    const isHls = /\.m3u8($|\?)/i.test(src);
 
     if (isHls) {
+      this.isHls = src === this.options.hlsSrc;
       // Safari / iOS have native HLS support
       if (this.video.canPlayType('application/vnd.apple.mpegurl')) {
-        this.video.src = this.videoSrc;
+        this.video.src = src;
         this.video.load();
       } else if (window.Hls && window.Hls.isSupported()) {
         this.hls = new window.Hls({
@@ -487,29 +622,87 @@ class ProfessionalVideoPlayer {
           maxBufferLength: 30,
           maxMaxBufferLength: 60,
         });
-        this.hls.loadSource(this.videoSrc);
+        this.hls.on(window.Hls.Events.ERROR, (event, data) => {
+          if (data.fatal) this._fallbackFromHls();
+        });
+        this.hls.loadSource(src);
         this.hls.attachMedia(this.video);
       } else {
         console.warn('HLS not supported, falling back to direct src');
-        this.video.src = this.videoSrc;
+        this.video.src = src;
         this.video.load();
       }
     } else {
       // Regular file (mp4, webm, etc.)
+      this.videoSrc = this._resolveStreamSource(this.videoSrc);
       this.video.src = this.videoSrc;
       this.video.load();
     }
   }
 
+  /**
+   * /v1/recordings/:id/stream serves WebM as recorded; ask for the MP4 remux
+   * when this browser can't play WebM
+   */
+  _resolveStreamSource(src) {
+    if (!src || !/\/recordings\/[^/?]+\/stream(\?|$)/.test(src) || /[?&]format=/.test(src)) return src;
+    if (this.video && this.video.canPlayType('video/webm')) return src;
+    return `${src}${src.includes('?') ? '&' : '?'}format=mp4`;
+  }
+
+  // Back to the recording itself if the HLS package (options.hlsSrc) can't be played
+  _fallbackFromHls() {
+    if (!this.isHls) return false;
+    console.warn('HLS playback failed, falling back to the recording');
+    this.isHls = false;
+    if (this.hls) {
+      try {
+        this.hls.destroy();
+      } catch (e) {}
+      this.hls = null;
+    }
+    this.pendingSeekTime = this.video.currentTime || null;
+    this.isMetadataLoaded = false;
+    this.videoSrc = this._resolveStreamSource(this.videoSrc);
+    this.video.src = this.videoSrc;
+    this.video.load();
+    return true;
+  }
+
+  // Retry a stream URL as MP4 once if the browser fails to decode the WebM
+  _fallbackToMp4() {
+    if (!this.videoSrc || !/\/recordings\/[^/?]+\/stream/.test(this.videoSrc) || /[?&]format=mp4/.test(this.videoSrc)) return false;
+    const resumeAt = this.video.currentTime || 0;
+    this.videoSrc = this.videoSrc.replace(/([?&])format=webm/, '$1format=mp4');
+    if (!/[?&]format=mp4/.test(this.videoSrc)) {
+      this.videoSrc = `${this.videoSrc}${this.videoSrc.includes('?') ? '&' : '?'}format=mp4`;
+    }
+    this.pendingSeekTime = resumeAt || null;
+    this.isMetadataLoaded = false;
+    this.video.src = this.videoSrc;
+    this.video.load();
+    return true;
+  }
+
   _attachEvents() {
     if (!this.video) return;
 
+    // Unsupported format (e.g. WebM on Safari): switch stream URLs to MP4
+    this.video.addEventListener('error', () => {
+      const error = this.video.error;
+      if (this._fallbackFromHls()) return;
+      if (error && error.code === error.MEDIA_ERR_SRC_NOT_SUPPORTED && this._fallbackToMp4()) {
+        this._showLoading('Converting video...');
+      }
+    });
+
     // Metadata
     this.video.addEventListener('loadedmetadata', () => {
       this.isMetadataLoaded = true;
       const metaDuration = this.video.duration || 0;
       this.duration = this.options.duration || metaDuration || 0;
       this._updateDurationDisplay();
+      this._renderChapterMarkers();
 
       // Apply pending seek if any
       if (this.pendingSeekTime != null) {
@@ -624,6 +817,10 @@ class ProfessionalVideoPlayer {
     this.progressEl.addEventListener('touchend', finishSeek);
     this.progressEl.addEventListener('touchcancel', finishSeek);
 
+    // Scrub preview: storyboard tile, chapter and time under the pointer
+    this.progressEl.addEventListener('mousemove', (e) => this._showPreview(e.clientX));
+    this.progressEl.addEventListener('mouseleave', () => this._hidePreview());
+
     // Volume
     this.volumeEl.addEventListener('input', () => {
       const vol = this.volumeEl.value / 100;
@@ -795,6 +992,93 @@ class ProfessionalVideoPlayer {
     }
   }
 
+  _renderChapterMarkers() {
+    if (!this.chapterMarkersEl) return;
+    this.chapterMarkersEl.innerHTML = '';
+    const duration = this.duration || (this.video && this.video.duration) || 0;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    // The first chapter starts at 0: no marker at the very start of the bar
+    this.chapters.filter((chapter) => chapter.start > 0 && chapter.start < duration).forEach((chapter) => {
+      const marker = document.createElement('div');
+      marker.className = 'pv-chapter-marker';
+      marker.style.left = `${(chapter.start / duration) * 100}%`;
+      marker.title = chapter.title;
+      this.chapterMarkersEl.appendChild(marker);
+    });
+  }
+
+  /**
+   * Load the storyboard track (options.storyboardSrc). Sprite URLs are
+   * relative to the track.
+   */
+  async _loadStoryboard() {
+    const src = this.options.storyboardSrc;
+    if (!src) return;
+    try {
+      const response = await fetch(src);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.storyboard = this._parseStoryboardVtt(await response.text(), new URL(src, window.location.href).href);
+    } catch (err) {
+      console.warn('Storyboard could not be loaded:', err);
+      this.storyboard = [];
+    }
+  }
+
+  // Cues of a WebVTT thumbnails track ("sprite.jpg#xywh=x,y,w,h")
+  _parseStoryboardVtt(text, baseUrl) {
+    const parseTime = (value) => {
+      const parts = value.trim().split(':').map(Number);
+      return parts.reduce((total, part) => total * 60 + part, 0);
+    };
+    const cues = [];
+    text.replace(/\r/g, '').split(/\n\n+/).forEach((block) => {
+      const lines = block.split('\n').map((line) => line.trim()).filter(Boolean);
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+      const [start, end] = lines[timingIndex].split('-->').map((part) => parseTime(part.split(' ').filter(Boolean)[0] || ''));
+      const [ref, fragment] = lines[timingIndex + 1].split('#xywh=');
+      const [x, y, w, h] = (fragment || '').split(',').map(Number);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || !Number.isFinite(w) || !Number.isFinite(h)) return;
+      cues.push({ start, end, url: new URL(ref, baseUrl).href, x, y, w, h });
+    });
+    return cues;
+  }
+
+  _showPreview(clientX) {
+    if (!this.previewEl || !this.progressWrapperEl) return;
+    const duration = this.duration || this.video.duration || 0;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    const rect = this.progressWrapperEl.getBoundingClientRect();
+    if (!rect.width) return;
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    const time = ratio * duration;
+
+    const frame = this.getStoryboardFrame(time);
+    if (frame) {
+      this.previewImageEl.style.display = 'block';
+      this.previewImageEl.style.width = `${frame.width}px`;
+      this.previewImageEl.style.height = `${frame.height}px`;
+      this.previewImageEl.style.backgroundImage = `url("${frame.url}")`;
+      this.previewImageEl.style.backgroundPosition = `-${frame.x}px -${frame.y}px`;
+    } else {
+      this.previewImageEl.style.display = 'none';
+    }
+    const chapter = this.getChapterAt(time);
+    this.previewChapterEl.textContent = chapter ? chapter.title : '';
+    this.previewChapterEl.style.display = chapter && chapter.title ? 'block' : 'none';
+    this.previewTimeEl.textContent = this._formatTime(time);
+
+    // Keep the preview inside the bar
+    this.previewEl.classList.add('show');
+    const half = this.previewEl.offsetWidth / 2;
+    const x = Math.min(Math.max(ratio * rect.width, half), Math.max(rect.width - half, half));
+    this.previewEl.style.left = `${x}px`;
+  }
+
+  _hidePreview() {
+    if (this.previewEl) this.previewEl.classList.remove('show');
+  }
+
   _updateTimeDisplay(forceEnd = false) {
     if (!this.video) return;
     const duration = this.duration || this.video.duration || 0;
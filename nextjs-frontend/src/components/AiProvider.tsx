@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { llmApi, LlmConfig, LlmProvider, LlmSettings } from '@/lib/api';
+
+const PROVIDER_LABELS: Record<LlmProvider, string> = {
+  openai: 'OpenAI',
+  azure: 'Azure OpenAI',
+  'openai-compatible': 'OpenAI-compatible server (llama.cpp, vLLM, Ollama...)',
+  mock: 'Mock (offline test answers)',
+};
+
+interface AiProviderProps {
+  isActive?: boolean;
+}
+
+export default function AiProvider({ isActive = true }: AiProviderProps) {
+  const [llm, setLlm] = useState<LlmConfig | null>(null);
+  const [provider, setProvider] = useState<LlmProvider | ''>('');
+  const [settings, setSettings] = useState<LlmSettings>({});
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (isActive) loadLlm();
+  }, [isActive]);
+
+  const applyLlm = (config: LlmConfig) => {
+    setLlm(config);
+    setProvider(config.provider || '');
+    setSettings(config.settings || {});
+  };
+
+  const loadLlm = async () => {
+    try {
+      applyLlm(await llmApi.get());
+    } catch (error) {
+      console.error('Failed to load AI provider settings:', error);
+    }
+  };
+
+  const showStatus = (message: string) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 5000);
+  };
+
+  const updateSetting = (name: keyof LlmSettings, value: string | number | null) => {
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsLoading(true);
+    try {
+      if (provider) {
+        applyLlm(await llmApi.save(provider, settings));
+        showStatus(`✅ Summaries will be made with ${PROVIDER_LABELS[provider]}.`);
+      } else {
+        applyLlm(await llmApi.reset());
+        showStatus('✅ Summaries will use the server default AI provider.');
+      }
+    } catch (error: any) {
+      console.error('Failed to save AI provider settings:', error);
+      showStatus(`❌ ${error.response?.data?.error || 'Failed to save AI provider settings.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setIsLoading(true);
+    try {
+      const result = await llmApi.test();
+      showStatus(result.success ? `✅ ${PROVIDER_LABELS[result.provider]} is working.` : `❌ ${result.error}`);
+    } catch (error: any) {
+      showStatus(`❌ ${error.response?.data?.error || 'AI provider test failed.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const textInput = (name: keyof LlmSettings, label: string, placeholder: string, type = 'text', help?: string) => (
+    <div className="form-group">
+      <label className="form-label" htmlFor={`llm-${name}`}>
+        {label}
+      </label>
+      <input
+        id={`llm-${name}`}
+        name={name}
+        type={type}
+        placeholder={placeholder}
+        value={(settings[name] as string | null | undefined) || ''}
+        onChange={(e) => updateSetting(name, e.target.value)}
+      />
+      {help && <div className="form-help">{help}</div>}
+    </div>
+  );
+
+  const contextWindowInput = (
+    <div className="form-group">
+      <label className="form-label" htmlFor="llm-context_window">
+        Context Window (tokens)
+      </label>
+      <input
+        id="llm-context_window"
+        type="number"
+        min={1024}
+        placeholder="128000"
+        value={settings.context_window ?? ''}
+        onChange={(e) => updateSetting('context_window', e.target.value ? Number(e.target.value) : null)}
+      />
+      <div className="form-help">Long transcripts are summarized in parts that fit. Leave empty to guess from the model name.</div>
+    </div>
+  );
+
+  const apiKeyPlaceholder = settings.api_key_set ? 'Unchanged' : '';
+
+  return (
+    <div className="space-y-6" style={{ marginTop: '32px' }}>
+      <h3 className="card-title">AI Provider</h3>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="llmProvider">
+          Summaries, Keywords, Titles and Chapters
+        </label>
+        <select id="llmProvider" value={provider} onChange={(e) => setProvider(e.target.value as LlmProvider | '')}>
+          <option value="">
+            Server default{llm?.default_provider ? ` (${PROVIDER_LABELS[llm.default_provider]})` : ' (AI features disabled)'}
+          </option>
+          {(llm?.available_providers || []).map(name => (
+            <option key={name} value={name}>{PROVIDER_LABELS[name]}</option>
+          ))}
+        </select>
+        <div className="form-help">
+          Bots of an organization with its own AI provider use that one instead.
+        </div>
+      </div>
+
+      {provider === 'openai' && (
+        <>
+          {textInput('api_key', 'API Key', apiKeyPlaceholder || 'sk-...', 'password')}
+          {textInput('model', 'Model', 'gpt-4o-mini', 'text', 'Leave empty for the default models.')}
+        </>
+      )}
+
+      {provider === 'azure' && (
+        <>
+          {textInput('endpoint', 'Endpoint', 'https://your-resource.openai.azure.com')}
+          {textInput('api_key', 'API Key', apiKeyPlaceholder, 'password')}
+          {textInput('deployment', 'Deployment', 'gpt-4o-mini')}
+          {textInput('api_version', 'API Version', '2024-10-21')}
+          {contextWindowInput}
+        </>
+      )}
+
+      {provider === 'openai-compatible' && (
+        <>
+          {textInput('base_url', 'Base URL', 'http://localhost:11434/v1')}
+          {textInput('api_key', 'API Key', apiKeyPlaceholder || 'Optional', 'password')}
+          {textInput('model', 'Model', 'llama3.1')}
+          {contextWindowInput}
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="button" onClick={handleSave} disabled={isLoading} className="btn-primary w-full">
+          {isLoading ? 'Checking...' : 'Save AI Provider'}
+        </button>
+        <button type="button" onClick={handleTest} disabled={isLoading} className="btn-secondary">
+          Test
+        </button>
+      </div>
+
+      {status && (
+        <div className={status.includes('✅') ? 'success-message' : 'error-message'}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,17 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ArrowLeft } from 'lucide-react';
-import { botApi } from '@/lib/api';
+import { botApi, shareLinksApi, ShareLink, ActionItem, MeetingChatTurn, v1MediaUrl } from '@/lib/api';
 import Cookies from 'js-cookie';
 import Script from 'next/script';
 import Head from 'next/head';
 import KeywordsWidget from '@/components/widgets/KeywordsWidget';
 import SummaryWidget from '@/components/widgets/SummaryWidget';
+import ActionItemsWidget from '@/components/widgets/ActionItemsWidget';
+import MeetingChatWidget from '@/components/widgets/MeetingChatWidget';
 import TalkTimeWidget from '@/components/widgets/TalkTimeWidget';
 import TranscriptWidget from '@/components/widgets/TranscriptWidget';
 import FloatingActionButtons from '@/components/widgets/FloatingActionButtons';
-import VideoController from '@/components/widgets/VideoController';
+import VideoController, { VideoChapter } from '@/components/widgets/VideoController';
 
 interface BotDetailProps {
   botId: string;
@@ -27,10 +29,18 @@ interface BotDetailData {
   isHistorical?: boolean;
   videoUrl?: string;
   s3VideoUrl?: string;
+  hlsUrl?: string; // HLS package, if the recording was packaged
+  posterUrl?: string; // Poster image, once the thumbnails are made
+  storyboardUrl?: string; // WebVTT thumbnails track for scrub previews
+  chapters?: VideoChapter[];
   transcript?: TranscriptItem[];
   summary?: string;
+  actionItems?: ActionItem[];
   keywords?: string[] | { [key: string]: number };
   metrics?: any;
+  organizationId?: string | null;
+  role?: string | null;
+  canManage?: boolean;
 }
 
 interface TranscriptItem {
@@ -49,6 +59,7 @@ declare global {
 
 export default function BotDetail({ botId, onBack }: BotDetailProps) {
   const [botData, setBotData] = useState<BotDetailData | null>(null);
+  const [mediaToken, setMediaToken] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState<'transcript' | 'talktime' | 'keywords'>('transcript');
   const [infoTab, setInfoTab] = useState<'keywords' | 'summary'>('keywords');
@@ -57,6 +68,7 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
   const [searchTerm, setSearchTerm] = useState('');
   const [summary, setSummary] = useState('');
   const [copiedLink, setCopiedLink] = useState(false);
+  const [shareLink, setShareLink] = useState<ShareLink | null>(null);
   const [copiedSummary, setCopiedSummary] = useState(false);
   const [emailSending, setEmailSending] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -263,7 +275,12 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
   const loadBotDetails = async () => {
     try {
       setIsLoading(true);
-      const data = await botApi.getBotDetails(botId);
+      const [data, token] = await Promise.all([
+        botApi.getBotDetails(botId),
+        // Media URLs carry this instead of the login token
+        botApi.getMediaToken(botId).catch(() => '')
+      ]);
+      setMediaToken(token);
       setSummary(data.summary || 'No summary available');
       setBotData(data);
     } catch (error: any) {
@@ -318,12 +335,15 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
   const getVideoUrl = () => {
     if (botData?.s3VideoUrl) return botData.s3VideoUrl;
     if (botData?.videoUrl) return botData.videoUrl;
-    // Use relative URL - Next.js will proxy to backend
-    return `/v1/recordings/${encodeURIComponent(botId)}`;
+    return v1MediaUrl(`/recordings/${encodeURIComponent(botId)}`, mediaToken);
   };
 
-  const getShareUrl = () => {
-    return `${window.location.origin}/share?token=${encodeURIComponent(botId)}`;
+  // Share links use a random token; the bot's default link is created on first use
+  const getShareUrl = async () => {
+    if (shareLink && shareLink.state === 'active') return shareLink.url;
+    const link = await shareLinksApi.getDefault(botId);
+    setShareLink(link);
+    return link.url;
   };
 
   // Build utterances from raw captions (same logic as share.tsx and public/main.js)
@@ -426,8 +446,8 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
       } else if (botData.videoUrl) {
         videoUrl = botData.videoUrl;
       } else {
-        // Use relative URL - Next.js will proxy to backend
-        videoUrl = `/v1/recordings/${encodeURIComponent(botData.id)}`;
+        // Range streaming, remuxed to MP4 by the player if WebM can't play
+        videoUrl = v1MediaUrl(`/recordings/${encodeURIComponent(botData.id)}/stream`, mediaToken);
       }
 
       // Get initial duration from botData
@@ -492,6 +512,10 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
       videoPlayerRef.current = new window.ProfessionalVideoPlayer('professionalVideoPlayer', videoUrl, {
         transcript: utterances,
         duration: videoDuration,
+        hlsSrc: botData.hlsUrl ? v1MediaUrl(`/recordings/${encodeURIComponent(botData.id)}/hls/master.m3u8`, mediaToken) : null,
+        posterSrc: botData.posterUrl ? v1MediaUrl(`/recordings/${encodeURIComponent(botData.id)}/thumbnails/poster.jpg`, mediaToken) : null,
+        storyboardSrc: botData.storyboardUrl ? v1MediaUrl(`/recordings/${encodeURIComponent(botData.id)}/thumbnails/storyboard.vtt`, mediaToken) : null,
+        chapters: botData.chapters || [],
         onTimeUpdate: (currentTime: number) => {
           if (typeof window !== 'undefined') {
             if (isUserSeeking && Date.now() - (window.lastSeekTime || 0) < 2000) {
@@ -708,7 +732,7 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
       const input = document.getElementById('shareUrlInput') as HTMLInputElement;
       if (input) {
         input.select();
-        await navigator.clipboard.writeText(getShareUrl());
+        await navigator.clipboard.writeText(await getShareUrl());
         setCopiedLink(true);
         setTimeout(() => setCopiedLink(false), 2000);
       }
@@ -741,7 +765,7 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
         },
         body: JSON.stringify({
           botId: botId,
-          shareUrl: getShareUrl(),
+          shareToken: shareLink?.state === 'active' ? shareLink.token : undefined,
           isPublicShare: false
         })
       });
@@ -787,7 +811,6 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
 
   const createdDate = formatDate(botData.createdAt);
   const meetingDuration = formatDuration();
-  const shareUrl = getShareUrl();
   
   // Get meeting host from metrics
   const meetingHost = botData?.metrics?.participation?.meetingHost || 
@@ -819,6 +842,8 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
   });
 
   const uniqueSpeakers = Array.from(new Set(utterances.map(u => u.speaker).filter(Boolean)));
+  const hasTranscript = utterances.length > 0;
+  const askMeeting = (question: string, history: MeetingChatTurn[]) => botApi.askMeeting(botData.id, question, history);
 
   return (
   <div style={{ overflow: 'hidden', display: 'flex', flexDirection: 'column', height: 'calc(100vh - 230px)' }}>
@@ -1144,6 +1169,8 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
                       </div> */}
                       <SummaryWidget summary={summary} />
                     </div>
+                    <ActionItemsWidget items={botData.actionItems} onSourceClick={handleTranscriptClick} />
+                    {hasTranscript && <MeetingChatWidget ask={askMeeting} onCitationClick={handleTranscriptClick} />}
                   </div>
                 </div>
               </div>
@@ -1320,6 +1347,8 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
                       <div>
                         <SummaryWidget summary={summary} />
                       </div>
+                      <ActionItemsWidget items={botData.actionItems} onSourceClick={handleTranscriptClick} />
+                      {hasTranscript && <MeetingChatWidget ask={askMeeting} onCitationClick={handleTranscriptClick} />}
                     </div>
                   </div>
                 </div>
@@ -1355,6 +1384,7 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
           isPlaying={isPlaying}
           playbackRate={playbackRate}
           videoPlayerRef={videoPlayerRef}
+          chapters={botData.chapters || []}
           onTimeChange={(newTime) => {
             if (videoPlayerRef.current && videoPlayerRef.current.video) {
               setIsUserSeeking(true);
@@ -1436,8 +1466,10 @@ export default function BotDetail({ botId, onBack }: BotDetailProps) {
         <FloatingActionButtons
           botId={botData.id}
           getVideoUrl={getVideoUrl}
+          pdfUrl={v1MediaUrl(`/bots/${encodeURIComponent(botData.id)}/export/pdf`, mediaToken)}
           onShareEmail={handleShareEmail}
           getShareUrl={getShareUrl}
+          canShare={botData.canManage !== false}
         />
       )}
     </div>
@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { configApi } from '@/lib/api';
+import { configApi, calendarApi, apiKeysApi, ApiKey } from '@/lib/api';
 import { useAuth } from '@/hooks/useAuth';
+import Organizations from './Organizations';
+import RecordingStorage from './RecordingStorage';
+import AiProvider from './AiProvider';
+import RecordingRetention from './RecordingRetention';
 
 interface ConfigData {
   botName: string;
@@ -9,6 +13,7 @@ interface ConfigData {
   botLogoUrl: string;
   maxRecordingTime: number;
   totalRecordingMinutes: number;
+  webhookSecret?: string;
 }
 
 interface ConfigurationProps {
@@ -28,6 +33,17 @@ export default function Configuration({ isActive = true }: ConfigurationProps) {
   
   const [status, setStatus] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState('');
+  const [calendarSyncInfo, setCalendarSyncInfo] = useState<{ synced_at: string | null; sync_error: string | null } | null>(null);
+  const [calendarStatus, setCalendarStatus] = useState('');
+  const [isCalendarLoading, setIsCalendarLoading] = useState(false);
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [apiKeyScopes, setApiKeyScopes] = useState<Record<string, string>>({});
+  const [newApiKeyName, setNewApiKeyName] = useState('');
+  const [newApiKeyScopes, setNewApiKeyScopes] = useState<string[]>(['read']);
+  const [createdApiKey, setCreatedApiKey] = useState<string | null>(null);
+  const [apiKeyStatus, setApiKeyStatus] = useState('');
+  const [isApiKeyLoading, setIsApiKeyLoading] = useState(false);
 
   useEffect(() => {
     // Load configuration when:
@@ -35,6 +51,8 @@ export default function Configuration({ isActive = true }: ConfigurationProps) {
     // 2. Tab becomes active (isActive changes to true)
     if (!authLoading && user && isActive) {
       loadConfiguration();
+      loadCalendarFeed();
+      loadApiKeys();
     }
   }, [user, authLoading, isActive]);
 
@@ -56,6 +74,105 @@ export default function Configuration({ isActive = true }: ConfigurationProps) {
     }
   };
 
+  const loadCalendarFeed = async () => {
+    try {
+      const feed = await calendarApi.getFeed();
+      setCalendarFeedUrl(feed.feed_url || '');
+      setCalendarSyncInfo({ synced_at: feed.synced_at, sync_error: feed.sync_error });
+    } catch (error) {
+      console.error('Failed to load calendar feed:', error);
+    }
+  };
+
+  const showCalendarResult = (prefix: string, result: any) => {
+    const warnings = result.errors?.length ? ` ⚠️ ${result.errors.join('. ')}.` : '';
+    setCalendarStatus(`✅ ${prefix}: ${result.created} bot(s) scheduled, ${result.updated} updated, ${result.cancelled} cancelled.${warnings}`);
+    setTimeout(() => setCalendarStatus(''), warnings ? 15000 : 5000);
+  };
+
+  const handleSaveCalendarFeed = async () => {
+    setIsCalendarLoading(true);
+    try {
+      if (calendarFeedUrl.trim()) {
+        const result = await calendarApi.saveFeed(calendarFeedUrl.trim());
+        showCalendarResult('Calendar feed synced', result);
+      } else {
+        const result = await calendarApi.removeFeed();
+        setCalendarStatus(`✅ Calendar feed removed (${result.cancelled} upcoming bot(s) cancelled).`);
+        setTimeout(() => setCalendarStatus(''), 5000);
+      }
+      await loadCalendarFeed();
+    } catch (error: any) {
+      console.error('Failed to save calendar feed:', error);
+      setCalendarStatus(`❌ ${error.response?.data?.error || 'Failed to save calendar feed.'}`);
+      setTimeout(() => setCalendarStatus(''), 5000);
+    } finally {
+      setIsCalendarLoading(false);
+    }
+  };
+
+  const handleCalendarFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsCalendarLoading(true);
+    try {
+      const result = await calendarApi.importIcs(await file.text());
+      showCalendarResult(`Imported ${file.name}`, result);
+    } catch (error: any) {
+      console.error('Failed to import calendar:', error);
+      setCalendarStatus(`❌ ${error.response?.data?.error || 'Failed to import calendar file.'}`);
+      setTimeout(() => setCalendarStatus(''), 5000);
+    } finally {
+      setIsCalendarLoading(false);
+    }
+  };
+
+  const loadApiKeys = async () => {
+    try {
+      const result = await apiKeysApi.list();
+      setApiKeys(result.api_keys);
+      setApiKeyScopes(result.available_scopes);
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+    }
+  };
+
+  const toggleNewApiKeyScope = (scope: string) => {
+    setNewApiKeyScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
+  const handleCreateApiKey = async () => {
+    if (!newApiKeyName.trim() || newApiKeyScopes.length === 0) return;
+    setIsApiKeyLoading(true);
+    try {
+      const created = await apiKeysApi.create(newApiKeyName.trim(), newApiKeyScopes);
+      setCreatedApiKey(created.key);
+      setNewApiKeyName('');
+      setNewApiKeyScopes(['read']);
+      await loadApiKeys();
+    } catch (error: any) {
+      console.error('Failed to create API key:', error);
+      setApiKeyStatus(`❌ ${error.response?.data?.error || 'Failed to create API key.'}`);
+      setTimeout(() => setApiKeyStatus(''), 5000);
+    } finally {
+      setIsApiKeyLoading(false);
+    }
+  };
+
+  const handleRevokeApiKey = async (apiKey: ApiKey) => {
+    if (!confirm(`Revoke API key "${apiKey.name}"? Integrations using it will stop working.`)) return;
+    try {
+      await apiKeysApi.revoke(apiKey.id);
+      await loadApiKeys();
+    } catch (error: any) {
+      console.error('Failed to revoke API key:', error);
+      setApiKeyStatus(`❌ ${error.response?.data?.error || 'Failed to revoke API key.'}`);
+      setTimeout(() => setApiKeyStatus(''), 5000);
+    }
+  };
+
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
     setConfig(prev => ({
@@ -144,6 +261,25 @@ export default function Configuration({ isActive = true }: ConfigurationProps) {
           </div>
         </div>
 
+        {/* Webhook Signing Secret */}
+        {config.webhookSecret && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="webhookSecret">
+              Webhook Signing Secret
+            </label>
+            <input
+              id="webhookSecret"
+              name="webhookSecret"
+              type="text"
+              value={config.webhookSecret}
+              readOnly
+            />
+            <div className="form-help">
+              Each webhook carries an X-Webhook-Signature header: sha256=HMAC-SHA256 of &quot;X-Webhook-Timestamp.raw body&quot; with this secret.
+            </div>
+          </div>
+        )}
+
         {/* Summary Template */}
         <div className="form-group">
           <label className="form-label" htmlFor="summaryTemplate">
@@ -234,6 +370,156 @@ export default function Configuration({ isActive = true }: ConfigurationProps) {
           </div>
         )}
       </form>
+
+      {/* Calendar (ICS) */}
+      <div className="space-y-6" style={{ marginTop: '32px' }}>
+        <h3 className="card-title">Calendar</h3>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="calendarFeedUrl">
+            ICS Feed URL
+          </label>
+          <input
+            id="calendarFeedUrl"
+            name="calendarFeedUrl"
+            type="text"
+            placeholder="https://calendar.google.com/calendar/ical/.../basic.ics"
+            value={calendarFeedUrl}
+            onChange={(e) => setCalendarFeedUrl(e.target.value)}
+          />
+          <div className="form-help">
+            Meetings with a Google Meet link get a bot scheduled automatically. Leave empty and save to remove the feed.
+            {calendarSyncInfo?.synced_at && ` Last synced: ${new Date(calendarSyncInfo.synced_at).toLocaleString()}.`}
+            {calendarSyncInfo?.sync_error && ` Last error: ${calendarSyncInfo.sync_error}`}
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleSaveCalendarFeed}
+          disabled={isCalendarLoading}
+          className="btn-primary w-full"
+        >
+          {isCalendarLoading ? 'Syncing...' : 'Save Calendar Feed'}
+        </button>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="calendarFile">
+            Import .ics File
+          </label>
+          <input
+            id="calendarFile"
+            name="calendarFile"
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleCalendarFileChange}
+            disabled={isCalendarLoading}
+          />
+          <div className="form-help">
+            One-off import of a calendar export or meeting invitation.
+          </div>
+        </div>
+
+        {calendarStatus && (
+          <div className={calendarStatus.includes('✅') ? 'success-message' : 'error-message'}>
+            {calendarStatus}
+          </div>
+        )}
+      </div>
+
+      {/* API Keys */}
+      <div className="space-y-6" style={{ marginTop: '32px' }}>
+        <h3 className="card-title">API Keys</h3>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="newApiKeyName">
+            New API Key
+          </label>
+          <input
+            id="newApiKeyName"
+            name="newApiKeyName"
+            type="text"
+            placeholder="e.g. CRM integration"
+            value={newApiKeyName}
+            onChange={(e) => setNewApiKeyName(e.target.value)}
+          />
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', marginTop: '8px' }}>
+            {Object.entries(apiKeyScopes).map(([scope, description]) => (
+              <label key={scope} className="text-sm" title={description} style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                <input
+                  type="checkbox"
+                  checked={newApiKeyScopes.includes(scope)}
+                  onChange={() => toggleNewApiKeyScope(scope)}
+                />
+                {scope}
+              </label>
+            ))}
+          </div>
+          <div className="form-help">
+            Use the key as a Bearer token on the /v1 API. It only has access to your bots.
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleCreateApiKey}
+          disabled={isApiKeyLoading || !newApiKeyName.trim() || newApiKeyScopes.length === 0}
+          className="btn-primary w-full"
+        >
+          {isApiKeyLoading ? 'Creating...' : 'Create API Key'}
+        </button>
+
+        {createdApiKey && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="createdApiKey">
+              Your new API key
+            </label>
+            <input id="createdApiKey" type="text" value={createdApiKey} readOnly onFocus={(e) => e.target.select()} />
+            <div className="form-help">
+              Copy it now: it won&apos;t be shown again.
+            </div>
+          </div>
+        )}
+
+        {apiKeys.length > 0 && (
+          <div className="form-group">
+            {apiKeys.map((apiKey) => (
+              <div key={apiKey.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', padding: '8px 0', borderBottom: '1px solid #e5e7eb' }}>
+                <div className="text-sm">
+                  <div style={{ fontWeight: 500 }}>
+                    {apiKey.name} <code>{apiKey.prefix}…</code>
+                  </div>
+                  <div className="form-help" style={{ marginTop: 0 }}>
+                    {apiKey.scopes.join(', ')}
+                    {' · '}
+                    {apiKey.last_used_at ? `Last used ${new Date(apiKey.last_used_at).toLocaleString()}` : 'Never used'}
+                    {apiKey.state === 'revoked' && ' · Revoked'}
+                  </div>
+                </div>
+                {apiKey.state === 'active' && (
+                  <button type="button" className="btn-secondary btn-small" onClick={() => handleRevokeApiKey(apiKey)}>
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {apiKeyStatus && (
+          <div className="error-message">
+            {apiKeyStatus}
+          </div>
+        )}
+      </div>
+
+      <RecordingStorage isActive={isActive && !!user} />
+
+      <AiProvider isActive={isActive && !!user} />
+
+      <RecordingRetention isActive={isActive && !!user} />
+
+      <Organizations isActive={isActive && !!user} />
     </div>
   );
 }
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { botApi, configApi } from '@/lib/api';
+import { botApi, configApi, orgApi, Organization } from '@/lib/api';
 
 interface CreateBotProps {
   onBotCreated?: (botId: string) => void;
@@ -12,12 +12,23 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
     recordingType: 'audio-video',
     meetingType: 'hr-interview',
     notificationEmails: '',
+    joinAt: '',
+    recurrence: '',
+    organizationId: '',
   });
   
   const [isLoading, setIsLoading] = useState(false);
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
   const [status, setStatus] = useState('');
   const [botId, setBotId] = useState<string | null>(null);
 
+  // Organizations the user can create bots in (viewers are read-only)
+  useEffect(() => {
+    orgApi.list()
+      .then(orgs => setOrganizations(orgs.filter(org => org.role !== 'viewer')))
+      .catch(error => console.error('Failed to load organizations:', error));
+  }, []);
+
   const languageOptions = [
     { value: 'es', label: '🇪🇸 Spanish' },
     { value: 'en', label: '🇬🇧 English' },
@@ -56,6 +67,15 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
     { value: 'other', label: 'Other' },
   ];
 
+  const recurrenceOptions = [
+    { value: '', label: 'Does not repeat' },
+    { value: 'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+    { value: 'FREQ=DAILY', label: 'Daily' },
+    { value: 'FREQ=WEEKLY', label: 'Weekly' },
+    { value: 'FREQ=WEEKLY;INTERVAL=2', label: 'Every 2 weeks' },
+    { value: 'FREQ=MONTHLY', label: 'Monthly' },
+  ];
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
@@ -70,7 +90,7 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
     }
 
     setIsLoading(true);
-    setStatus('⏳ Starting bot...');
+    setStatus(formData.joinAt ? '⏳ Scheduling bot...' : '⏳ Starting bot...');
 
     try {
       const response = await botApi.createBot({
@@ -79,10 +99,21 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
         recording_type: formData.recordingType,
         meeting_type: formData.meetingType,
         notification_emails: formData.notificationEmails || undefined,
+        // datetime-local values are in the browser's timezone
+        join_at: formData.joinAt ? new Date(formData.joinAt).toISOString() : undefined,
+        recurrence: formData.joinAt && formData.recurrence ? formData.recurrence : undefined,
+        timezone: formData.joinAt ? Intl.DateTimeFormat().resolvedOptions().timeZone : undefined,
+        organization_id: formData.organizationId || undefined,
       });
 
       setBotId(response.bot_id);
-      setStatus('✅ Bot started successfully!');
+      if (response.status === 'scheduled') {
+        setStatus(`✅ Bot scheduled for ${new Date(response.join_at).toLocaleString()}`);
+      } else if (response.status === 'queued') {
+        setStatus(`⏳ All bots are busy - queued at position ${response.queue_position}. It will join automatically.`);
+      } else {
+        setStatus('✅ Bot started successfully!');
+      }
       onBotCreated?.(response.bot_id);
       
       // Clear form
@@ -92,6 +123,9 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
         recordingType: 'audio-video',
         meetingType: 'hr-interview',
         notificationEmails: '',
+        joinAt: '',
+        recurrence: '',
+        organizationId: formData.organizationId,
       });
 
     } catch (error: any) {
@@ -205,13 +239,72 @@ export default function CreateBot({ onBotCreated }: CreateBotProps) {
           <div className="form-help">Separate multiple emails with commas.</div>
         </div>
 
+        {/* Scheduling */}
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="joinAt">
+              Join at (optional)
+            </label>
+            <input
+              id="joinAt"
+              name="joinAt"
+              type="datetime-local"
+              value={formData.joinAt}
+              onChange={handleInputChange}
+            />
+            <div className="form-help">Leave empty to join right away.</div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="recurrence">
+              Repeat
+            </label>
+            <select
+              id="recurrence"
+              name="recurrence"
+              value={formData.recurrence}
+              onChange={handleInputChange}
+              disabled={!formData.joinAt}
+            >
+              {recurrenceOptions.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Organization */}
+        {organizations.length > 0 && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="organizationId">
+              Share with
+            </label>
+            <select
+              id="organizationId"
+              name="organizationId"
+              value={formData.organizationId}
+              onChange={handleInputChange}
+            >
+              <option value="">Only me</option>
+              {organizations.map(org => (
+                <option key={org.id} value={org.id}>
+                  {org.name}
+                </option>
+              ))}
+            </select>
+            <div className="form-help">Organization bots use the organization&apos;s settings and are visible to its members.</div>
+          </div>
+        )}
+
         {/* Submit Button */}
         <button
           type="submit"
           disabled={isLoading}
           className="btn-primary w-full"
         >
-          {isLoading ? 'Starting Bot...' : 'Send Bot'}
+          {isLoading ? (formData.joinAt ? 'Scheduling Bot...' : 'Starting Bot...') : (formData.joinAt ? 'Schedule Bot' : 'Send Bot')}
         </button>
 
         {/* Status */}
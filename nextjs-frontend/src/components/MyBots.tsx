@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Play, Square, Trash2, Eye, ArrowLeft } from 'lucide-react';
-import { botApi, configApi } from '@/lib/api';
+import { Play, Square, Trash2, Eye, ArrowLeft, Search } from 'lucide-react';
+import { botApi, configApi, searchApi, SearchMatch } from '@/lib/api';
 import BotDetail from './BotDetail';
 
 interface Bot {
@@ -15,6 +15,11 @@ interface Bot {
   recording_type?: string;
   meeting_type?: string;
   isHistorical?: boolean;
+  joinAt?: number | null;
+  recurrence?: string | null;
+  organizationId?: string | null;
+  role?: 'creator' | 'owner' | 'admin' | 'member' | 'viewer' | null;
+  canManage?: boolean;
 }
 
 interface MyBotsProps {
@@ -28,6 +33,10 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
   const [userConfigLogo, setUserConfigLogo] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshInterval, setRefreshInterval] = useState<NodeJS.Timeout | null>(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState<SearchMatch[] | null>(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
 
   useEffect(() => {
     onBotDetailView?.(selectedBot !== null);
@@ -103,6 +112,63 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
     }
   };
 
+  const handleCancelScheduled = async (bot: Bot) => {
+    let scope: 'series' | 'occurrence' = 'series';
+    if (bot.recurrence) {
+      // OK skips just this occurrence, Cancel asks about the whole series
+      if (confirm('Skip only this occurrence? The series will continue.')) {
+        scope = 'occurrence';
+      } else if (!confirm('Cancel the whole recurring series?')) {
+        return;
+      }
+    } else if (!confirm('Are you sure you want to cancel this scheduled bot?')) {
+      return;
+    }
+
+    try {
+      await botApi.cancelScheduledBot(bot.id, scope);
+      await loadBots(); // Refresh the list
+    } catch (error: any) {
+      alert(error.message || 'Failed to cancel scheduled bot');
+    }
+  };
+
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (!query) {
+      clearSearch();
+      return;
+    }
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      const result = await searchApi.search(query);
+      setSearchResults(result.matches);
+    } catch (error: any) {
+      setSearchError(error.response?.data?.error || 'Search failed.');
+      setSearchResults(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const clearSearch = () => {
+    setSearchQuery('');
+    setSearchResults(null);
+    setSearchError('');
+  };
+
+  const handleOpenMatch = (match: SearchMatch) => {
+    setSelectedBot(bots.find(bot => bot.id === match.bot_id) || { id: match.bot_id, status: 'completed', title: match.title || undefined });
+  };
+
+  const formatOffset = (seconds: number) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
   const handleViewDetails = async (bot: Bot) => {
     try {
       setSelectedBot(bot);
@@ -159,8 +225,59 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
   return (
     <div className="card">
       <h2 className="card-title">Your Meeting Bots</h2>
-      
-      {isLoading ? (
+
+      <form onSubmit={handleSearch} style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          placeholder="Search your meetings, e.g. the pricing discussion"
+          maxLength={500}
+          style={{ flex: 1, padding: '8px 12px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+        />
+        <button type="submit" className="btn-primary" disabled={isSearching} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <Search size={16} />
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+        {searchResults && (
+          <button type="button" className="btn-secondary" onClick={clearSearch}>
+            Clear
+          </button>
+        )}
+      </form>
+      {searchError && <div className="error-message" style={{ marginBottom: '16px' }}>{searchError}</div>}
+
+      {searchResults ? (
+        searchResults.length === 0 ? (
+          <div className="empty-state">
+            <div className="empty-state-text">No meetings match your search.</div>
+          </div>
+        ) : (
+          <div className="bots-list-container">
+            {searchResults.map((match, index) => (
+              <div
+                key={`${match.bot_id}-${index}`}
+                className="bot-item"
+                onClick={() => handleOpenMatch(match)}
+                style={{ cursor: 'pointer' }}
+              >
+                <div className="bot-info">
+                  <div className="bot-id">
+                    <span className="bot-display-name">{match.title || match.bot_id}</span>
+                  </div>
+                  <div style={{ fontSize: '14px', lineHeight: '1.5', color: '#374151', margin: '6px 0' }}>
+                    <strong>{match.speaker}:</strong> {match.snippet}
+                  </div>
+                  <div className="bot-meta">
+                    <span className="bot-meta-item">📅 {formatDate(match.meeting_date || '')}</span>
+                    <span className="bot-meta-item">▶ {formatOffset(match.time)}</span>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      ) : isLoading ? (
         <div className="empty-state">
           <div className="spinner spinner-center"></div>
           <p>Loading bots...</p>
@@ -182,7 +299,7 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
             })
             .map((bot) => {
               const statusClass = bot.status === 'completed' ? 'status-completed' : 
-                                 bot.status === 'recording' || bot.status === 'running' ? 'status-recording' : 
+                                 bot.status === 'recording' || bot.status === 'running' || bot.status === 'scheduled' ? 'status-recording' : 
                                  'status-failed';
               
               // Prepare shortened Meet code for display (remove protocol/host and any query string)
@@ -242,6 +359,11 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
                         <span className="bot-meta-item">
                         📅 Created: {formatDate(bot.createdAt || bot.created_at || '')}
                       </span>
+                      {bot.status === 'scheduled' && bot.joinAt && (
+                        <span className="bot-meta-item">
+                          ⏰ Joins: {formatDate(new Date(bot.joinAt).toISOString())}{bot.recurrence ? ' (recurring)' : ''}
+                        </span>
+                      )}
                       </div>
                       
                       <div style={{ display: 'flex',  justifyContent: 'space-between', alignItems: 'center'}}>
@@ -256,14 +378,30 @@ export default function MyBots({ onBotDetailView, onBackRequest }: MyBotsProps)
                               📝 {meetCode}
                             </span>
                           )}
+                          {bot.organizationId && bot.role && bot.role !== 'creator' && (
+                            <span className="bot-meta-item">
+                              👥 Shared ({bot.role})
+                            </span>
+                          )}
                         </div>
                         <div className="bot-actions">
-                          <button
-                            onClick={() => handleViewDetails(bot)}
-                            className="btn-small btn-view-details"
-                          >
-                            View Details
-                          </button>
+                          {bot.status === 'scheduled' ? (
+                            bot.canManage !== false && (
+                              <button
+                                onClick={() => handleCancelScheduled(bot)}
+                                className="btn-small btn-view-details"
+                              >
+                                Cancel
+                              </button>
+                            )
+                          ) : (
+                            <button
+                              onClick={() => handleViewDetails(bot)}
+                              className="btn-small btn-view-details"
+                            >
+                              View Details
+                            </button>
+                          )}
                         </div>
                       </div>
                       
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import Cookies from 'js-cookie';
+import { orgApi, Organization, OrganizationMember, OrganizationInvite, OrgRole } from '@/lib/api';
+
+const ROLES: OrgRole[] = ['owner', 'admin', 'member', 'viewer'];
+const ROLE_RANK: Record<OrgRole, number> = { viewer: 1, member: 2, admin: 3, owner: 4 };
+
+interface OrganizationsProps {
+  isActive?: boolean;
+}
+
+export default function Organizations({ isActive = true }: OrganizationsProps) {
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [selectedOrgId, setSelectedOrgId] = useState<string>('');
+  const [members, setMembers] = useState<OrganizationMember[]>([]);
+  const [invites, setInvites] = useState<OrganizationInvite[]>([]);
+  const [newOrgName, setNewOrgName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<OrgRole>('member');
+  const [inviteLink, setInviteLink] = useState<string | null>(null);
+  const [orgBotName, setOrgBotName] = useState('');
+  const [orgSummaryTemplate, setOrgSummaryTemplate] = useState('');
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const currentEmail = Cookies.get('user_email') || '';
+  const selectedOrg = organizations.find(org => org.id === selectedOrgId) || null;
+  const isAdmin = selectedOrg ? ROLE_RANK[selectedOrg.role] >= ROLE_RANK.admin : false;
+  const isOwner = selectedOrg?.role === 'owner';
+  const isSelf = (member: OrganizationMember) => member.email.toLowerCase() === currentEmail.toLowerCase();
+
+  useEffect(() => {
+    if (isActive) loadOrganizations();
+  }, [isActive]);
+
+  useEffect(() => {
+    if (selectedOrgId) loadOrganization(selectedOrgId);
+  }, [selectedOrgId]);
+
+  const showStatus = (message: string) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 5000);
+  };
+
+  const showError = (error: any, fallback: string) => {
+    console.error(fallback, error);
+    showStatus(`❌ ${error.response?.data?.error || fallback}`);
+  };
+
+  const loadOrganizations = async (selectId?: string) => {
+    try {
+      const orgs = await orgApi.list();
+      setOrganizations(orgs);
+      const nextId = selectId || (orgs.some(org => org.id === selectedOrgId) ? selectedOrgId : orgs[0]?.id || '');
+      setSelectedOrgId(nextId);
+      if (!nextId) {
+        setMembers([]);
+        setInvites([]);
+      }
+    } catch (error) {
+      console.error('Failed to load organizations:', error);
+    }
+  };
+
+  const loadOrganization = async (orgId: string) => {
+    try {
+      const org = await orgApi.get(orgId);
+      setMembers(org.members);
+      setOrgBotName(org.settings.bot_name || '');
+      setOrgSummaryTemplate(org.settings.summary_template || '');
+      setInvites(ROLE_RANK[org.role] >= ROLE_RANK.admin ? await orgApi.listInvites(orgId) : []);
+    } catch (error) {
+      console.error('Failed to load organization:', error);
+    }
+  };
+
+  const handleCreateOrganization = async () => {
+    if (!newOrgName.trim()) return;
+    setIsLoading(true);
+    try {
+      const org = await orgApi.create(newOrgName.trim());
+      setNewOrgName('');
+      await loadOrganizations(org.id);
+      showStatus(`✅ Organization "${org.name}" created.`);
+    } catch (error: any) {
+      showError(error, 'Failed to create organization.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    if (!selectedOrg) return;
+    setIsLoading(true);
+    try {
+      await orgApi.update(selectedOrg.id, { bot_name: orgBotName, summary_template: orgSummaryTemplate });
+      await loadOrganizations(selectedOrg.id);
+      showStatus('✅ Organization settings saved.');
+    } catch (error: any) {
+      showError(error, 'Failed to save organization settings.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!selectedOrg || !inviteEmail.trim()) return;
+    setIsLoading(true);
+    try {
+      const invite = await orgApi.invite(selectedOrg.id, inviteEmail.trim(), inviteRole);
+      setInviteEmail('');
+      setInviteLink(invite.email_sent ? null : invite.invite_url);
+      await loadOrganization(selectedOrg.id);
+      showStatus(invite.email_sent ? `✅ Invitation sent to ${invite.email}.` : `✅ Invitation created for ${invite.email}: share the link below.`);
+    } catch (error: any) {
+      showError(error, 'Failed to send invitation.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRevokeInvite = async (invite: OrganizationInvite) => {
+    if (!selectedOrg) return;
+    try {
+      await orgApi.revokeInvite(selectedOrg.id, invite.id);
+      await loadOrganization(selectedOrg.id);
+    } catch (error: any) {
+      showError(error, 'Failed to revoke invitation.');
+    }
+  };
+
+  const handleRoleChange = async (member: OrganizationMember, role: OrgRole) => {
+    if (!selectedOrg) return;
+    try {
+      await orgApi.updateMemberRole(selectedOrg.id, member.user_id, role);
+      await loadOrganizations(selectedOrg.id);
+      await loadOrganization(selectedOrg.id);
+    } catch (error: any) {
+      showError(error, 'Failed to change role.');
+    }
+  };
+
+  const handleRemoveMember = async (member: OrganizationMember) => {
+    if (!selectedOrg) return;
+    const leaving = isSelf(member);
+    if (!confirm(leaving ? `Leave "${selectedOrg.name}"?` : `Remove ${member.email} from "${selectedOrg.name}"?`)) return;
+    try {
+      await orgApi.removeMember(selectedOrg.id, member.user_id);
+      if (leaving) {
+        await loadOrganizations('');
+      } else {
+        await loadOrganization(selectedOrg.id);
+      }
+    } catch (error: any) {
+      showError(error, leaving ? 'Failed to leave organization.' : 'Failed to remove member.');
+    }
+  };
+
+  const handleDeleteOrganization = async () => {
+    if (!selectedOrg) return;
+    if (!confirm(`Delete "${selectedOrg.name}"? Its bots stay with the members who created them.`)) return;
+    try {
+      await orgApi.remove(selectedOrg.id);
+      await loadOrganizations('');
+    } catch (error: any) {
+      showError(error, 'Failed to delete organization.');
+    }
+  };
+
+  return (
+    <div className="space-y-6" style={{ marginTop: '32px' }}>
+      <h3 className="card-title">Organizations</h3>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="newOrgName">
+          New Organization
+        </label>
+        <input
+          id="newOrgName"
+          name="newOrgName"
+          type="text"
+          placeholder="e.g. Sales team"
+          value={newOrgName}
+          onChange={(e) => setNewOrgName(e.target.value)}
+        />
+        <div className="form-help">
+          Members see the organization&apos;s bots, recordings and transcripts. Viewers are read-only, members can create bots, admins manage every bot and the members.
+        </div>
+      </div>
+
+      <button
+        type="button"
+        onClick={handleCreateOrganization}
+        disabled={isLoading || !newOrgName.trim()}
+        className="btn-primary w-full"
+      >
+        Create Organization
+      </button>
+
+      {organizations.length > 0 && (
+        <div className="form-group">
+          <label className="form-label" htmlFor="selectedOrg">
+            Organization
+          </label>
+          <select id="selectedOrg" value={selectedOrgId} onChange={(e) => setSelectedOrgId(e.target.value)}>
+            {organizations.map(org => (
+              <option key={org.id} value={org.id}>
+                {org.name} ({org.role}, {org.member_count} member{org.member_count === 1 ? '' : 's'})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {selectedOrg && (
+        <>
+          <div className="form-group">
+            <label className="form-label">Members</label>
+            {members.map(member => (
+              <div key={member.user_id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', padding: '8px 0', borderBottom: '1px solid #e5e7eb' }}>
+                <div className="text-sm" style={{ fontWeight: 500 }}>{member.email}</div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  {isAdmin && !isSelf(member) && (isOwner || member.role !== 'owner') ? (
+                    <select value={member.role} onChange={(e) => handleRoleChange(member, e.target.value as OrgRole)}>
+                      {ROLES.filter(role => isOwner || role !== 'owner').map(role => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="text-sm">{member.role}</span>
+                  )}
+                  {(isSelf(member) || (isAdmin && (isOwner || member.role !== 'owner'))) && (
+                    <button type="button" className="btn-secondary btn-small" onClick={() => handleRemoveMember(member)}>
+                      {isSelf(member) ? 'Leave' : 'Remove'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {isAdmin && (
+            <>
+              <div className="form-group">
+                <label className="form-label" htmlFor="inviteEmail">
+                  Invite by Email
+                </label>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <input
+                    id="inviteEmail"
+                    name="inviteEmail"
+                    type="email"
+                    placeholder="colleague@company.com"
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                  />
+                  <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value as OrgRole)}>
+                    {ROLES.filter(role => isOwner || role !== 'owner').map(role => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={handleInvite}
+                disabled={isLoading || !inviteEmail.trim()}
+                className="btn-primary w-full"
+              >
+                Send Invitation
+              </button>
+
+              {inviteLink && (
+                <div className="form-group">
+                  <label className="form-label" htmlFor="inviteLink">
+                    Invitation link
+                  </label>
+                  <input id="inviteLink" type="text" value={inviteLink} readOnly onFocus={(e) => e.target.select()} />
+                  <div className="form-help">
+                    Email is not configured: send this link to the invitee.
+                  </div>
+                </div>
+              )}
+
+              {invites.length > 0 && (
+                <div className="form-group">
+                  <label className="form-label">Pending Invitations</label>
+                  {invites.map(invite => (
+                    <div key={invite.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', padding: '8px 0', borderBottom: '1px solid #e5e7eb' }}>
+                      <div className="text-sm">
+                        <div style={{ fontWeight: 500 }}>{invite.email}</div>
+                        <div className="form-help" style={{ marginTop: 0 }}>
+                          {invite.role} · {invite.state === 'expired' ? 'Expired' : `Expires ${new Date(invite.expires_at).toLocaleString()}`}
+                        </div>
+                      </div>
+                      <button type="button" className="btn-secondary btn-small" onClick={() => handleRevokeInvite(invite)}>
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label" htmlFor="orgBotName">
+                  Organization Bot Name
+                </label>
+                <input
+                  id="orgBotName"
+                  name="orgBotName"
+                  type="text"
+                  placeholder="Members' own bot name"
+                  value={orgBotName}
+                  onChange={(e) => setOrgBotName(e.target.value)}
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label" htmlFor="orgSummaryTemplate">
+                  Organization Summary Template
+                </label>
+                <textarea
+                  id="orgSummaryTemplate"
+                  name="orgSummaryTemplate"
+                  rows={6}
+                  placeholder="Members' own summary template"
+                  value={orgSummaryTemplate}
+                  onChange={(e) => setOrgSummaryTemplate(e.target.value)}
+                />
+                <div className="form-help">
+                  Used for bots created in this organization instead of the member&apos;s configuration. Leave empty to keep the member&apos;s.
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={handleSaveSettings}
+                disabled={isLoading}
+                className="btn-primary w-full"
+              >
+                Save Organization Settings
+              </button>
+            </>
+          )}
+
+          {isOwner && (
+            <button type="button" onClick={handleDeleteOrganization} className="btn-secondary w-full">
+              Delete Organization
+            </button>
+          )}
+        </>
+      )}
+
+      {status && (
+        <div className={status.includes('✅') ? 'success-message' : 'error-message'}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
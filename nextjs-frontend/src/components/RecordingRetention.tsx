@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { retentionApi, RetentionConfig, RetentionDays } from '@/lib/api';
+
+const ARTIFACTS: { key: keyof RetentionDays; label: string }[] = [
+  { key: 'video_days', label: 'Recordings' },
+  { key: 'transcript_days', label: 'Transcripts' },
+  { key: 'summary_days', label: 'Summaries' },
+];
+
+const describeDays = (days: number | null) => (!days ? 'forever' : `${days} days`);
+
+interface RecordingRetentionProps {
+  isActive?: boolean;
+}
+
+export default function RecordingRetention({ isActive = true }: RecordingRetentionProps) {
+  const [retention, setRetention] = useState<RetentionConfig | null>(null);
+  // Form values: '' = server default
+  const [days, setDays] = useState<Record<keyof RetentionDays, string>>({ video_days: '', transcript_days: '', summary_days: '' });
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (isActive) loadRetention();
+  }, [isActive]);
+
+  const applyRetention = (config: RetentionConfig) => {
+    setRetention(config);
+    setDays({
+      video_days: config.settings.video_days === null ? '' : String(config.settings.video_days),
+      transcript_days: config.settings.transcript_days === null ? '' : String(config.settings.transcript_days),
+      summary_days: config.settings.summary_days === null ? '' : String(config.settings.summary_days),
+    });
+  };
+
+  const loadRetention = async () => {
+    try {
+      applyRetention(await retentionApi.get());
+    } catch (error) {
+      console.error('Failed to load retention settings:', error);
+    }
+  };
+
+  const showStatus = (message: string) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 5000);
+  };
+
+  const handleSave = async () => {
+    setIsLoading(true);
+    try {
+      const toDays = (value: string) => (value.trim() === '' ? null : Number(value));
+      applyRetention(await retentionApi.save({
+        video_days: toDays(days.video_days),
+        transcript_days: toDays(days.transcript_days),
+        summary_days: toDays(days.summary_days),
+      }));
+      showStatus('✅ Retention settings saved.');
+    } catch (error: any) {
+      showStatus(`❌ ${error.response?.data?.error || 'Failed to save retention settings.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setIsLoading(true);
+    try {
+      const report = await retentionApi.report();
+      const sizeMB = (report.size_bytes / 1024 / 1024).toFixed(1);
+      showStatus(report.total === 0
+        ? '✅ Nothing is due for deletion.'
+        : `✅ ${report.total} artifact(s) (${sizeMB} MB) will be deleted on the next cleanup.`);
+    } catch (error: any) {
+      showStatus(`❌ ${error.response?.data?.error || 'Failed to preview the cleanup.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6" style={{ marginTop: '32px' }}>
+      <h3 className="card-title">Retention</h3>
+
+      {ARTIFACTS.map(({ key, label }) => (
+        <div className="form-group" key={key}>
+          <label className="form-label" htmlFor={`retention-${key}`}>
+            Keep {label} (days)
+          </label>
+          <input
+            id={`retention-${key}`}
+            type="number"
+            min={0}
+            placeholder={`Server default (${describeDays(retention?.defaults[key] ?? null)})`}
+            value={days[key]}
+            onChange={(e) => setDays(prev => ({ ...prev, [key]: e.target.value }))}
+          />
+        </div>
+      ))}
+      <div className="form-help">
+        Counted from the end of the meeting. 0 keeps them forever. Organization policies apply to the organization's bots.
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="button" onClick={handleSave} disabled={isLoading} className="btn-primary w-full">
+          Save Retention
+        </button>
+        <button type="button" onClick={handlePreview} disabled={isLoading} className="btn-secondary">
+          Preview
+        </button>
+      </div>
+
+      {status && (
+        <div className={status.includes('✅') ? 'success-message' : 'error-message'}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
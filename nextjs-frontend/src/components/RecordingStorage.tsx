@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { storageApi, StorageConfig, StorageProvider, StorageSettings } from '@/lib/api';
+
+const PROVIDER_LABELS: Record<StorageProvider, string> = {
+  s3: 'Amazon S3 / S3-compatible (MinIO, R2, GCS)',
+  local: 'Server disk',
+  webdav: 'WebDAV (Nextcloud, ownCloud...)',
+};
+
+interface RecordingStorageProps {
+  isActive?: boolean;
+}
+
+export default function RecordingStorage({ isActive = true }: RecordingStorageProps) {
+  const [storage, setStorage] = useState<StorageConfig | null>(null);
+  const [provider, setProvider] = useState<StorageProvider | ''>('');
+  const [settings, setSettings] = useState<StorageSettings>({});
+  const [status, setStatus] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (isActive) loadStorage();
+  }, [isActive]);
+
+  const applyStorage = (config: StorageConfig) => {
+    setStorage(config);
+    setProvider(config.provider || '');
+    setSettings(config.settings || {});
+  };
+
+  const loadStorage = async () => {
+    try {
+      applyStorage(await storageApi.get());
+    } catch (error) {
+      console.error('Failed to load storage settings:', error);
+    }
+  };
+
+  const showStatus = (message: string) => {
+    setStatus(message);
+    setTimeout(() => setStatus(''), 5000);
+  };
+
+  const updateSetting = (name: keyof StorageSettings, value: string | boolean) => {
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsLoading(true);
+    try {
+      if (provider) {
+        applyStorage(await storageApi.save(provider, settings));
+        showStatus(`✅ Recordings will be uploaded to ${PROVIDER_LABELS[provider]}.`);
+      } else {
+        applyStorage(await storageApi.reset());
+        showStatus('✅ Recordings will use the server default storage.');
+      }
+    } catch (error: any) {
+      console.error('Failed to save storage settings:', error);
+      showStatus(`❌ ${error.response?.data?.error || 'Failed to save storage settings.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setIsLoading(true);
+    try {
+      const result = await storageApi.test();
+      showStatus(result.success ? `✅ ${result.provider} storage is reachable.` : `❌ ${result.error}`);
+    } catch (error: any) {
+      showStatus(`❌ ${error.response?.data?.error || 'Storage test failed.'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const textInput = (name: keyof StorageSettings, label: string, placeholder: string, type = 'text', help?: string) => (
+    <div className="form-group">
+      <label className="form-label" htmlFor={`storage-${name}`}>
+        {label}
+      </label>
+      <input
+        id={`storage-${name}`}
+        name={name}
+        type={type}
+        placeholder={placeholder}
+        value={(settings[name] as string | null | undefined) || ''}
+        onChange={(e) => updateSetting(name, e.target.value)}
+      />
+      {help && <div className="form-help">{help}</div>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6" style={{ marginTop: '32px' }}>
+      <h3 className="card-title">Recording Storage</h3>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="storageProvider">
+          Upload Recordings To
+        </label>
+        <select id="storageProvider" value={provider} onChange={(e) => setProvider(e.target.value as StorageProvider | '')}>
+          <option value="">
+            Server default{storage?.default_provider ? ` (${PROVIDER_LABELS[storage.default_provider]})` : ' (kept on the server)'}
+          </option>
+          {(storage?.available_providers || []).map(name => (
+            <option key={name} value={name}>{PROVIDER_LABELS[name]}</option>
+          ))}
+        </select>
+        <div className="form-help">
+          Applies to recordings made from now on. Recordings already uploaded stay where they are.
+        </div>
+      </div>
+
+      {provider === 's3' && (
+        <>
+          {textInput('bucket', 'Bucket', 'meeting-recordings')}
+          {textInput('region', 'Region', 'us-east-1')}
+          {textInput('endpoint', 'Endpoint', 'https://minio.example.com:9000', 'text', 'Leave empty for Amazon S3. For Google Cloud Storage use https://storage.googleapis.com with HMAC keys.')}
+          <div className="form-group">
+            <label className="text-sm" style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={!!settings.force_path_style}
+                onChange={(e) => updateSetting('force_path_style', e.target.checked)}
+              />
+              Path-style addressing (required by MinIO)
+            </label>
+          </div>
+          {textInput('access_key_id', 'Access Key ID', 'AKIA...')}
+          {textInput('secret_access_key', 'Secret Access Key', settings.secret_access_key_set ? 'Unchanged' : '', 'password')}
+        </>
+      )}
+
+      {provider === 'webdav' && (
+        <>
+          {textInput('url', 'Collection URL', 'https://cloud.example.com/remote.php/dav/files/me/recordings/')}
+          {textInput('username', 'Username', '')}
+          {textInput('password', 'Password', settings.password_set ? 'Unchanged' : '', 'password')}
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button type="button" onClick={handleSave} disabled={isLoading} className="btn-primary w-full">
+          {isLoading ? 'Checking...' : 'Save Storage'}
+        </button>
+        <button type="button" onClick={handleTest} disabled={isLoading} className="btn-secondary">
+          Test
+        </button>
+      </div>
+
+      {status && (
+        <div className={status.includes('✅') ? 'success-message' : 'error-message'}>
+          {status}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+import { ActionItem } from '@/lib/api';
+
+interface ActionItemsWidgetProps {
+  items?: ActionItem[];
+  onSourceClick?: (startTime: number) => void;
+}
+
+export default function ActionItemsWidget({ items, onSourceClick }: ActionItemsWidgetProps) {
+  if (!items || items.length === 0) return null;
+
+  const formatTime = (seconds: number) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const formatDue = (due: NonNullable<ActionItem['due']>) => {
+    const date = new Date(`${due.date}T00:00:00`);
+    const label = isNaN(date.getTime())
+      ? due.date
+      : date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return due.time ? `${label}, ${due.time}` : label;
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: '12px', fontSize: '14px', fontWeight: 600, color: '#111827' }}>
+        Action Items ({items.length})
+      </div>
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        {items.map(item => (
+          <li
+            key={item.id}
+            style={{ fontSize: '14px', lineHeight: '1.5', color: '#374151', paddingLeft: '12px', borderLeft: '2px solid #2563eb' }}
+          >
+            <div>{item.description}</div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '4px', fontSize: '12px', color: '#6b7280' }}>
+              <span>👤 {item.owner || item.owner_mention || 'Unassigned'}</span>
+              {item.due && <span title={item.due.text || undefined}>📅 {formatDue(item.due)}</span>}
+              {item.source && (
+                <button
+                  type="button"
+                  onClick={() => onSourceClick?.(item.source!.time)}
+                  title={`${item.source.speaker}: ${item.source.text}`}
+                  style={{ background: 'transparent', border: 'none', padding: 0, color: '#2563eb', cursor: 'pointer', fontSize: '12px' }}
+                >
+                  ▶ {formatTime(item.source.time)}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
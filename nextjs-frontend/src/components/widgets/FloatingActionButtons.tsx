@@ -1,17 +1,26 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Cookies from 'js-cookie';
 
 interface FloatingActionButtonsProps {
   botId: string;
   getVideoUrl: () => string;
   onShareEmail: () => void;
-  getShareUrl?: () => string; // Optional function to get share URL
+  getShareUrl?: () => string | Promise<string>; // Optional function to get share URL
+  shareToken?: string; // Share link token (public share page); otherwise the email is sent as the signed-in owner
+  sharePassword?: string; // Password of a protected share link
+  pdfUrl?: string | null; // PDF export URL (missing or null hides the button)
+  canShare?: boolean; // false hides sharing (organization members who can't manage the bot)
 }
 
 export default function FloatingActionButtons({
   botId,
   getVideoUrl,
   onShareEmail,
-  getShareUrl
+  getShareUrl,
+  shareToken,
+  sharePassword,
+  pdfUrl,
+  canShare = true
 }: FloatingActionButtonsProps) {
   // Constants for FAB and menu dimensions
   const CIRCLE_BUTTON_SIZE = 56;
@@ -228,7 +237,15 @@ export default function FloatingActionButtons({
 
   // Handle copy URL
   const handleCopyUrl = async () => {
-    const shareUrl = getShareUrl ? getShareUrl() : (typeof window !== 'undefined' ? window.location.href : '');
+    let shareUrl = '';
+    try {
+      shareUrl = getShareUrl ? await getShareUrl() : (typeof window !== 'undefined' ? window.location.href : '');
+    } catch (err) {
+      console.error('Failed to get share URL:', err);
+      setToast({ type: 'error', message: 'Failed to create share link' });
+      setTimeout(() => setToast(null), 4000);
+      return;
+    }
     try {
       await navigator.clipboard.writeText(shareUrl);
       setCopiedUrl(true);
@@ -254,20 +271,20 @@ export default function FloatingActionButtons({
     setIsSendingEmail(true);
     
     try {
-      const shareUrl = getShareUrl ? getShareUrl() : (typeof window !== 'undefined' ? window.location.href : '');
-      
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (shareToken) {
+        if (sharePassword) headers['X-Share-Password'] = sharePassword;
+      } else {
+        headers['Authorization'] = `Bearer ${Cookies.get('auth_token')}`;
+      }
+
       // Use relative URL - Next.js will proxy to backend
       const response = await fetch('/api/share-via-email', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          botId: botId,
-          shareUrl: shareUrl,
-          email: emailAddress.trim(),
-          isPublicShare: true
-        })
+        headers,
+        body: JSON.stringify(shareToken
+          ? { shareToken, email: emailAddress.trim(), isPublicShare: true }
+          : { botId, email: emailAddress.trim(), isPublicShare: false })
       });
 
       const data = await response.json();
@@ -369,8 +386,9 @@ export default function FloatingActionButtons({
               </svg>
               Download Video
             </a>
+            {pdfUrl && (
             <a
-              href={`/v1/bots/${encodeURIComponent(botId)}/export/pdf`}
+              href={pdfUrl}
               download={`meeting-transcript-${botId}.pdf`}
               style={{
                 background: '#ef4444',
@@ -402,6 +420,8 @@ export default function FloatingActionButtons({
               </svg>
               Export PDF
             </a>
+            )}
+            {canShare && (
             <div style={{ display: 'flex', alignItems: 'center', gap: '0', width: '100%' }}>
               <button
                 onClick={() => setShowEmailModal(true)}
@@ -480,6 +500,7 @@ export default function FloatingActionButtons({
                 )}
               </button>
             </div>
+            )}
           </div>
         )}
 
@@ -0,0 +1,119 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MeetingAnswer, MeetingChatTurn, MeetingCitation } from '@/lib/api';
+
+interface MeetingChatWidgetProps {
+  ask: (question: string, history: MeetingChatTurn[]) => Promise<MeetingAnswer>;
+  onCitationClick?: (startTime: number) => void;
+}
+
+interface ChatMessage extends MeetingChatTurn {
+  citations?: MeetingCitation[];
+  isError?: boolean;
+}
+
+export default function MeetingChatWidget({ ask, onCitationClick }: MeetingChatWidgetProps) {
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [question, setQuestion] = useState('');
+  const [isAsking, setIsAsking] = useState(false);
+  const listRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages, isAsking]);
+
+  const formatTime = (seconds: number) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const handleAsk = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || isAsking) return;
+
+    // Earlier answers give follow-up questions their context
+    const history: MeetingChatTurn[] = messages
+      .filter(message => !message.isError)
+      .map(({ role, content }) => ({ role, content }));
+    setMessages(prev => [...prev, { role: 'user', content: text }]);
+    setQuestion('');
+    setIsAsking(true);
+    try {
+      const result = await ask(text, history);
+      setMessages(prev => [...prev, { role: 'assistant', content: result.answer, citations: result.citations }]);
+    } catch (error: any) {
+      const message = error.response?.data?.error || error.message || 'Could not answer the question.';
+      setMessages(prev => [...prev, { role: 'assistant', content: message, isError: true }]);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  // Replace [n] markers with buttons that jump to the cited moment
+  const renderAnswer = (message: ChatMessage) => {
+    const byUtterance = new Map((message.citations || []).map(citation => [citation.utterance, citation]));
+    return message.content.split(/(\[\d+\])/g).map((part, index) => {
+      const match = /^\[(\d+)\]$/.exec(part);
+      const citation = match ? byUtterance.get(Number(match[1])) : undefined;
+      if (!match) return <React.Fragment key={index}>{part}</React.Fragment>;
+      if (!citation) return null;
+      return (
+        <button
+          key={index}
+          type="button"
+          onClick={() => onCitationClick?.(citation.time)}
+          title={`${citation.speaker}: ${citation.text}`}
+          style={{ background: '#eff6ff', border: 'none', borderRadius: '4px', padding: '0 4px', margin: '0 2px', color: '#2563eb', cursor: 'pointer', fontSize: '12px' }}
+        >
+          {formatTime(citation.time)}
+        </button>
+      );
+    });
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: '12px', fontSize: '14px', fontWeight: 600, color: '#111827' }}>Ask about this meeting</div>
+
+      {(messages.length > 0 || isAsking) && (
+        <div ref={listRef} style={{ maxHeight: '320px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '8px' }}>
+          {messages.map((message, index) => (
+            <div
+              key={index}
+              style={{
+                alignSelf: message.role === 'user' ? 'flex-end' : 'flex-start',
+                maxWidth: '90%',
+                padding: '8px 12px',
+                borderRadius: '8px',
+                fontSize: '14px',
+                lineHeight: '1.6',
+                whiteSpace: 'pre-wrap',
+                background: message.role === 'user' ? '#2563eb' : message.isError ? '#fef2f2' : '#f3f4f6',
+                color: message.role === 'user' ? '#fff' : message.isError ? '#dc2626' : '#374151'
+              }}
+            >
+              {message.role === 'assistant' && !message.isError ? renderAnswer(message) : message.content}
+            </div>
+          ))}
+          {isAsking && <div style={{ fontSize: '13px', color: '#6b7280' }}>Thinking...</div>}
+        </div>
+      )}
+
+      <form onSubmit={handleAsk} style={{ display: 'flex', gap: '8px' }}>
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="What was decided about...?"
+          maxLength={1000}
+          disabled={isAsking}
+          style={{ flex: 1, padding: '8px 12px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+        />
+        <button type="submit" className="btn-primary" disabled={isAsking || !question.trim()}>
+          Ask
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,4 +1,18 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+
+export interface VideoChapter {
+  start: number;
+  end: number;
+  title: string;
+}
+
+interface StoryboardFrame {
+  url: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
 
 interface VideoControllerProps {
   currentTime: number;
@@ -12,6 +26,7 @@ interface VideoControllerProps {
   onSeekBackward: () => void;
   onSeekForward: () => void;
   onDownload: () => void;
+  chapters?: VideoChapter[];
 }
 
 export default function VideoController({
@@ -25,9 +40,11 @@ export default function VideoController({
   onPlayPause,
   onSeekBackward,
   onSeekForward,
-  onDownload
+  onDownload,
+  chapters = []
 }: VideoControllerProps) {
   const bottomProgressRef = useRef<HTMLInputElement>(null);
+  const [hover, setHover] = useState<{ x: number; width: number; time: number } | null>(null);
 
   const formatTime = (seconds: number) => {
     if (!Number.isFinite(seconds) || seconds < 0) seconds = 0;
@@ -39,6 +56,43 @@ export default function VideoController({
     return `${pad(m)}:${pad(s)}`;
   };
 
+  // End of the buffered range around the playhead: recordings are range-streamed,
+  // so seeking ahead of it fetches from the server
+  const getBufferedEnd = () => {
+    const buffered: TimeRanges | undefined = videoPlayerRef.current?.video?.buffered;
+    if (!buffered) return 0;
+    for (let i = 0; i < buffered.length; i++) {
+      if (buffered.start(i) <= currentTime && currentTime <= buffered.end(i)) return buffered.end(i);
+    }
+    return 0;
+  };
+
+  const getChapterAt = (time: number) => {
+    let current: VideoChapter | null = null;
+    for (const chapter of chapters) {
+      if (chapter.start > time) break;
+      current = chapter;
+    }
+    return current;
+  };
+
+  // Scrub preview under the pointer: storyboard tile (from the player), chapter and time
+  const handleProgressHover = (e: React.MouseEvent<HTMLDivElement>) => {
+    if (!duration) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (!rect.width) return;
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    setHover({ x: ratio * rect.width, width: rect.width, time: ratio * duration });
+  };
+
+  const hoverFrame: StoryboardFrame | null = hover ? videoPlayerRef.current?.getStoryboardFrame?.(hover.time) || null : null;
+  const hoverChapter = hover ? getChapterAt(hover.time) : null;
+  const currentChapter = getChapterAt(currentTime);
+  const previewHalfWidth = Math.max(hoverFrame ? hoverFrame.width / 2 + 4 : 0, 60);
+
+  const playedPercent = duration ? (currentTime / duration) * 100 : 0;
+  const bufferedPercent = duration ? Math.max(playedPercent, Math.min(100, (getBufferedEnd() / duration) * 100)) : 0;
+
   return (
     <div style={{ 
       background: '#fff', 
@@ -54,7 +108,11 @@ export default function VideoController({
       width: '100%'
     }}>
       {/* Progress Bar */}
-      <div style={{ marginBottom: '8px', marginTop: '-24px' }}>
+      <div
+        style={{ marginBottom: '8px', marginTop: '-24px', position: 'relative' }}
+        onMouseMove={handleProgressHover}
+        onMouseLeave={() => setHover(null)}
+      >
         <input
           ref={bottomProgressRef}
           type="range"
@@ -68,7 +126,7 @@ export default function VideoController({
           style={{
             width: '100%',
             height: '4px',
-            background: `linear-gradient(to right, #9333ea 0%, #9333ea ${duration ? (currentTime / duration) * 100 : 0}%, #e5e7eb ${duration ? (currentTime / duration) * 100 : 0}%, #e5e7eb 100%)`,
+            background: `linear-gradient(to right, #9333ea 0%, #9333ea ${playedPercent}%, #d8b4fe ${playedPercent}%, #d8b4fe ${bufferedPercent}%, #e5e7eb ${bufferedPercent}%, #e5e7eb 100%)`,
             borderRadius: '2px',
             outline: 'none',
             cursor: 'pointer',
@@ -76,6 +134,65 @@ export default function VideoController({
             appearance: 'none'
           }}
         />
+        {/* Chapter markers (the first chapter starts at 0) */}
+        {duration > 0 && chapters.filter((chapter) => chapter.start > 0 && chapter.start < duration).map((chapter) => (
+          <div
+            key={`${chapter.start}-${chapter.title}`}
+            title={chapter.title}
+            style={{
+              position: 'absolute',
+              left: `${(chapter.start / duration) * 100}%`,
+              top: '50%',
+              width: '2px',
+              height: '10px',
+              transform: 'translate(-1px, -50%)',
+              background: '#fff',
+              border: '1px solid #9333ea',
+              borderRadius: '1px',
+              pointerEvents: 'none'
+            }}
+          />
+        ))}
+        {hover && (
+          <div
+            style={{
+              position: 'absolute',
+              bottom: 'calc(100% + 8px)',
+              left: `${Math.min(Math.max(hover.x, previewHalfWidth), Math.max(hover.width - previewHalfWidth, previewHalfWidth))}px`,
+              transform: 'translateX(-50%)',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              gap: '4px',
+              padding: '4px',
+              background: '#fff',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+              pointerEvents: 'none',
+              zIndex: 101
+            }}
+          >
+            {hoverFrame && (
+              <div
+                style={{
+                  width: `${hoverFrame.width}px`,
+                  height: `${hoverFrame.height}px`,
+                  backgroundImage: `url("${hoverFrame.url}")`,
+                  backgroundPosition: `-${hoverFrame.x}px -${hoverFrame.y}px`,
+                  backgroundRepeat: 'no-repeat',
+                  borderRadius: '4px'
+                }}
+              />
+            )}
+            {hoverChapter && hoverChapter.title && (
+              <div style={{ maxWidth: '200px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', fontSize: '12px', fontWeight: 600, color: '#374151' }}>
+                {hoverChapter.title}
+              </div>
+            )}
+            <div style={{ fontSize: '12px', color: '#6b7280' }}>{formatTime(hover.time)}</div>
+          </div>
+        )}
         <style dangerouslySetInnerHTML={{ __html: `
           input[type="range"]::-webkit-slider-thumb {
             -webkit-appearance: none;
@@ -105,6 +222,9 @@ export default function VideoController({
         {/* Left: Time Display */}
         <div style={{ fontSize: '14px', color: '#6b7280' }}>
           <span style={{ color: '#374151', fontWeight: 500 }}>{formatTime(currentTime)}</span> / {formatTime(duration)}
+          {currentChapter && currentChapter.title && (
+            <span style={{ marginLeft: '8px', color: '#9333ea' }}>• {currentChapter.title}</span>
+          )}
         </div>
         
         {/* Center: Control Buttons */}
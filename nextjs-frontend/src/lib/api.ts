@@ -71,6 +71,35 @@ apiClient.interceptors.response.use(
 );
 
 // Bot API functions
+// Action item extracted from a meeting transcript (GET /v1/bots/:id/action-items)
+export interface ActionItem {
+  id: number;
+  description: string;
+  owner: string | null; // Participant name
+  owner_mention: string | null; // Owner as named in the meeting, when it matched no participant
+  due: { date: string; time: string | null; at: string; text: string | null } | null; // In the bot's timezone
+  source: { time: number; timestamp: string | null; speaker: string; text: string } | null; // time: seconds from the start
+}
+
+// Ask-your-meeting Q&A: the answer cites transcript utterances as [n]
+export interface MeetingCitation {
+  utterance: number;
+  time: number; // Seconds from the start of the meeting
+  speaker: string;
+  text: string;
+}
+
+export interface MeetingAnswer {
+  question: string;
+  answer: string;
+  citations: MeetingCitation[];
+}
+
+export interface MeetingChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
 export const botApi = {
   // Create a new bot
   createBot: async (data: {
@@ -79,6 +108,10 @@ export const botApi = {
     recording_type: string;
     meeting_type: string;
     notification_emails?: string;
+    join_at?: string;
+    recurrence?: string;
+    timezone?: string;
+    organization_id?: string;
   }) => {
     const apiBase = getApiBaseUrl();
     const url = apiBase ? `${apiBase}/v1/bots` : '/v1/bots';
@@ -90,9 +123,11 @@ export const botApi = {
     return response.data;
   },
 
-  // Get all bots for the user
-  getBots: async () => {
-    const response = await apiClient.get('/bots');
+  // Get the user's bots and those of their organizations (optionally only one organization's)
+  getBots: async (organizationId?: string) => {
+    const response = await apiClient.get('/bots', {
+      params: organizationId ? { organization_id: organizationId } : undefined,
+    });
     return response.data;
   },
 
@@ -102,6 +137,18 @@ export const botApi = {
     return response.data;
   },
 
+  // Get a short-lived token for the bot's media URLs (see v1MediaUrl)
+  getMediaToken: async (botId: string): Promise<string> => {
+    const response = await axios.post(v1Url(`/bots/${encodeURIComponent(botId)}/media-token`), {}, { headers: authHeaders() });
+    return response.data.token;
+  },
+
+  // Ask a question about a finished meeting (history: previous turns of the conversation)
+  askMeeting: async (botId: string, question: string, history: MeetingChatTurn[] = []): Promise<MeetingAnswer> => {
+    const response = await axios.post(v1Url(`/bots/${encodeURIComponent(botId)}/ask`), { question, history }, { headers: authHeaders(), timeout: 120000 });
+    return response.data;
+  },
+
   // Stop a bot
   stopBot: async (botId: string) => {
     const apiBase = getApiBaseUrl();
@@ -114,6 +161,19 @@ export const botApi = {
     return response.data;
   },
 
+  // Cancel a scheduled bot (scope 'occurrence' skips only this occurrence of a series)
+  cancelScheduledBot: async (botId: string, scope: 'series' | 'occurrence' = 'series') => {
+    const apiBase = getApiBaseUrl();
+    const url = apiBase ? `${apiBase}/v1/scheduled-bots/${botId}` : `/v1/scheduled-bots/${botId}`;
+    const response = await axios.delete(url, {
+      params: { scope },
+      headers: {
+        Authorization: `Bearer ${Cookies.get('auth_token')}`,
+      },
+    });
+    return response.data;
+  },
+
   // Delete a bot
   deleteBot: async (botId: string) => {
     const apiBase = getApiBaseUrl();
@@ -149,4 +209,412 @@ export const configApi = {
   },
 };
 
+// Calendar (ICS) API functions
+const v1Url = (path: string) => {
+  const apiBase = getApiBaseUrl();
+  return apiBase ? `${apiBase}/v1${path}` : `/v1${path}`;
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${Cookies.get('auth_token')}`,
+});
+
+// /v1 URL of a bot's media for links and media elements, which can't send the
+// Authorization header: they carry the bot's media token (botApi.getMediaToken)
+export const v1MediaUrl = (path: string, mediaToken: string) =>
+  `${v1Url(path)}?token=${encodeURIComponent(mediaToken)}`;
+
+export const calendarApi = {
+  // Get ICS feed settings
+  getFeed: async () => {
+    const response = await axios.get(v1Url('/calendar/feed'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Register an ICS feed URL (synced right away and then periodically)
+  saveFeed: async (feedUrl: string) => {
+    const response = await axios.put(v1Url('/calendar/feed'), { feed_url: feedUrl }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Remove the ICS feed and cancel its upcoming bots
+  removeFeed: async () => {
+    const response = await axios.delete(v1Url('/calendar/feed'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Import an .ics file
+  importIcs: async (ics: string) => {
+    const response = await axios.post(v1Url('/calendar/import'), ics, {
+      headers: { ...authHeaders(), 'Content-Type': 'text/calendar' },
+    });
+    return response.data;
+  },
+};
+
+// Share link API functions
+export type ShareScope = 'summary' | 'transcript' | 'video';
+
+export interface ShareLink {
+  id: string;
+  bot_id: string;
+  url: string;
+  token: string;
+  label: string | null;
+  scopes: ShareScope[];
+  password_protected: boolean;
+  state: 'active' | 'expired' | 'revoked';
+  expires_at: string | null;
+  revoked_at: string | null;
+  access_count: number;
+  last_accessed_at: string | null;
+  created_at: string;
+}
+
+export const shareLinksApi = {
+  // List a bot's share links
+  list: async (botId: string): Promise<ShareLink[]> => {
+    const response = await axios.get(v1Url(`/bots/${encodeURIComponent(botId)}/share-links`), { headers: authHeaders() });
+    return response.data.share_links;
+  },
+
+  // Get the bot's reusable all-scopes link (created if missing)
+  getDefault: async (botId: string): Promise<ShareLink> => {
+    const response = await axios.post(v1Url(`/bots/${encodeURIComponent(botId)}/share-links`), { default: true }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Create a share link
+  create: async (botId: string, link: { scopes?: ShareScope[]; expires_in_days?: number | null; password?: string; label?: string }): Promise<ShareLink> => {
+    const response = await axios.post(v1Url(`/bots/${encodeURIComponent(botId)}/share-links`), link, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Revoke a share link
+  revoke: async (linkId: string): Promise<ShareLink> => {
+    const response = await axios.delete(v1Url(`/share-links/${encodeURIComponent(linkId)}`), { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// API key functions (server-to-server access to /v1)
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: string[];
+  state: 'active' | 'revoked';
+  last_used_at: string | null;
+  revoked_at: string | null;
+  created_at: string;
+}
+
+export const apiKeysApi = {
+  // List API keys and the scopes a key can have
+  list: async (): Promise<{ api_keys: ApiKey[]; available_scopes: Record<string, string> }> => {
+    const response = await axios.get(v1Url('/api-keys'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Create an API key (the key is only returned once)
+  create: async (name: string, scopes: string[]): Promise<ApiKey & { key: string }> => {
+    const response = await axios.post(v1Url('/api-keys'), { name, scopes }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Revoke an API key
+  revoke: async (keyId: string): Promise<ApiKey> => {
+    const response = await axios.delete(v1Url(`/api-keys/${encodeURIComponent(keyId)}`), { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// Storage functions (where recordings are uploaded)
+export type StorageProvider = 's3' | 'local' | 'webdav';
+
+export interface StorageSettings {
+  // s3
+  bucket?: string;
+  region?: string;
+  endpoint?: string | null;
+  force_path_style?: boolean;
+  access_key_id?: string;
+  secret_access_key?: string;
+  secret_access_key_set?: boolean;
+  // webdav
+  url?: string;
+  username?: string | null;
+  password?: string;
+  password_set?: boolean;
+}
+
+export interface StorageConfig {
+  provider: StorageProvider | null;
+  settings: StorageSettings | null;
+  using_default: boolean;
+  default_provider: StorageProvider | null;
+  available_providers: StorageProvider[];
+}
+
+export const storageApi = {
+  // Get the current storage provider
+  get: async (): Promise<StorageConfig> => {
+    const response = await axios.get(v1Url('/storage'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Choose a storage provider (the connection is tested before saving)
+  save: async (provider: StorageProvider, settings: StorageSettings): Promise<StorageConfig> => {
+    const response = await axios.put(v1Url('/storage'), { provider, settings }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Go back to the server default
+  reset: async (): Promise<StorageConfig> => {
+    const response = await axios.delete(v1Url('/storage'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Test the storage in use
+  test: async (): Promise<{ provider: StorageProvider; success: boolean; error?: string }> => {
+    const response = await axios.post(v1Url('/storage/test'), {}, { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// LLM provider functions (what summaries, keywords, titles and chapters are made with)
+export type LlmProvider = 'openai' | 'azure' | 'openai-compatible' | 'mock';
+
+export interface LlmSettings {
+  model?: string | null;
+  api_key?: string;
+  api_key_set?: boolean;
+  // azure
+  endpoint?: string;
+  deployment?: string;
+  api_version?: string | null;
+  // openai-compatible
+  base_url?: string;
+  // azure and openai-compatible: tokens, guessed from the model name when null
+  context_window?: number | null;
+}
+
+export interface LlmConfig {
+  provider: LlmProvider | null;
+  settings: LlmSettings | null;
+  using_default: boolean;
+  default_provider: LlmProvider | null;
+  available_providers: LlmProvider[];
+}
+
+export const llmApi = {
+  // Get the current LLM provider
+  get: async (): Promise<LlmConfig> => {
+    const response = await axios.get(v1Url('/llm'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Choose an LLM provider (it is tested before saving)
+  save: async (provider: LlmProvider, settings: LlmSettings): Promise<LlmConfig> => {
+    const response = await axios.put(v1Url('/llm'), { provider, settings }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Go back to the server default
+  reset: async (): Promise<LlmConfig> => {
+    const response = await axios.delete(v1Url('/llm'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Test the LLM provider in use
+  test: async (): Promise<{ provider: LlmProvider; success: boolean; error?: string }> => {
+    const response = await axios.post(v1Url('/llm/test'), {}, { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// Retention functions (how long recordings, transcripts and summaries are kept)
+export type RetentionArtifact = 'video' | 'transcript' | 'summary';
+
+// Days per artifact: null = inherit, 0 = keep forever
+export interface RetentionDays {
+  video_days: number | null;
+  transcript_days: number | null;
+  summary_days: number | null;
+}
+
+export interface RetentionConfig {
+  settings: RetentionDays;
+  defaults: RetentionDays;
+  artifacts: RetentionArtifact[];
+}
+
+export interface ExpiredArtifact {
+  bot_id: string;
+  artifact: RetentionArtifact;
+  retention_days: number;
+  policy_source: 'organization' | 'user' | 'server';
+  expired_at: string;
+  files: string[];
+  storage: { provider: StorageProvider; key: string } | null;
+  size_bytes: number;
+}
+
+export const retentionApi = {
+  // Get the current retention settings
+  get: async (): Promise<RetentionConfig> => {
+    const response = await axios.get(v1Url('/retention'), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Set retention days
+  save: async (days: Partial<RetentionDays>): Promise<RetentionConfig> => {
+    const response = await axios.put(v1Url('/retention'), days, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // What the janitor would delete now (dry run)
+  report: async (): Promise<{ total: number; size_bytes: number; artifacts: ExpiredArtifact[] }> => {
+    const response = await axios.get(v1Url('/retention/report'), { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// Organization functions (shared bots with roles)
+export type OrgRole = 'owner' | 'admin' | 'member' | 'viewer';
+
+export interface OrganizationSettings {
+  bot_name: string | null;
+  webhook_url: string | null;
+  summary_template: string | null;
+  bot_logo_url: string | null;
+  max_recording_time: number | null;
+  retention_video_days: number | null;
+  retention_transcript_days: number | null;
+  retention_summary_days: number | null;
+}
+
+export interface Organization {
+  id: string;
+  name: string;
+  role: OrgRole;
+  member_count: number;
+  settings: OrganizationSettings;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface OrganizationMember {
+  user_id: string;
+  email: string;
+  role: OrgRole;
+  joined_at: string;
+}
+
+export interface OrganizationInvite {
+  id: string;
+  organization_id: string;
+  email: string;
+  role: OrgRole;
+  state: 'pending' | 'accepted' | 'revoked' | 'expired';
+  expires_at: string;
+  created_at: string;
+}
+
+const orgUrl = (orgId: string, path = '') => v1Url(`/organizations/${encodeURIComponent(orgId)}${path}`);
+
+export const orgApi = {
+  // List the user's organizations
+  list: async (): Promise<Organization[]> => {
+    const response = await axios.get(v1Url('/organizations'), { headers: authHeaders() });
+    return response.data.organizations;
+  },
+
+  // Create an organization (the user becomes its owner)
+  create: async (name: string): Promise<Organization> => {
+    const response = await axios.post(v1Url('/organizations'), { name }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Get an organization with its members
+  get: async (orgId: string): Promise<Organization & { members: OrganizationMember[] }> => {
+    const response = await axios.get(orgUrl(orgId), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Update the name and bot settings (admin)
+  update: async (orgId: string, updates: Partial<OrganizationSettings> & { name?: string }): Promise<Organization> => {
+    const response = await axios.patch(orgUrl(orgId), updates, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Delete an organization (owner)
+  remove: async (orgId: string) => {
+    const response = await axios.delete(orgUrl(orgId), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Change a member's role (admin)
+  updateMemberRole: async (orgId: string, userId: string, role: OrgRole) => {
+    const response = await axios.patch(orgUrl(orgId, `/members/${encodeURIComponent(userId)}`), { role }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Remove a member, or leave when userId is the current user
+  removeMember: async (orgId: string, userId: string) => {
+    const response = await axios.delete(orgUrl(orgId, `/members/${encodeURIComponent(userId)}`), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // List pending invites (admin)
+  listInvites: async (orgId: string): Promise<OrganizationInvite[]> => {
+    const response = await axios.get(orgUrl(orgId, '/invites'), { headers: authHeaders() });
+    return response.data.invites;
+  },
+
+  // Invite someone by email (admin)
+  invite: async (orgId: string, email: string, role: OrgRole): Promise<OrganizationInvite & { email_sent: boolean; invite_url: string }> => {
+    const response = await axios.post(orgUrl(orgId, '/invites'), { email, role }, { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Revoke an invite (admin)
+  revokeInvite: async (orgId: string, inviteId: string) => {
+    const response = await axios.delete(orgUrl(orgId, `/invites/${encodeURIComponent(inviteId)}`), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Get an invite sent to the current user
+  getInvite: async (token: string): Promise<OrganizationInvite & { organization_name: string | null }> => {
+    const response = await axios.get(v1Url(`/invites/${encodeURIComponent(token)}`), { headers: authHeaders() });
+    return response.data;
+  },
+
+  // Accept an invite
+  acceptInvite: async (token: string): Promise<{ success: boolean; organization: Organization }> => {
+    const response = await axios.post(v1Url(`/invites/${encodeURIComponent(token)}/accept`), {}, { headers: authHeaders() });
+    return response.data;
+  },
+};
+
+// Semantic search across every meeting the user can see
+export interface SearchMatch {
+  bot_id: string;
+  title: string | null;
+  meeting_url: string;
+  meeting_date: string | null;
+  score: number;
+  speaker: string;
+  time: number; // Seconds from the start of the meeting
+  timestamp: string | null;
+  snippet: string;
+}
+
+export const searchApi = {
+  search: async (query: string, limit?: number): Promise<{ query: string; models: string[]; matches: SearchMatch[]; total: number }> => {
+    const response = await axios.get(v1Url('/search'), { params: { q: query, limit }, headers: authHeaders() });
+    return response.data;
+  },
+};
+
 export default apiClient;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '@/components/Layout';
+import { useAuth } from '@/hooks/useAuth';
+import { orgApi, OrganizationInvite } from '@/lib/api';
+
+export default function Invite() {
+  const { user, isLoading: authLoading } = useAuth();
+  const router = useRouter();
+  const [invite, setInvite] = useState<(OrganizationInvite & { organization_name: string | null }) | null>(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+
+  const token = typeof router.query.token === 'string' ? router.query.token : null;
+
+  useEffect(() => {
+    if (!router.isReady || authLoading || !user) return;
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      return;
+    }
+
+    orgApi.getInvite(token)
+      .then(setInvite)
+      .catch((err: any) => setError(err.response?.data?.error || 'Failed to load the invitation.'));
+  }, [router.isReady, authLoading, user, token]);
+
+  const handleAccept = async () => {
+    if (!token) return;
+    setIsLoading(true);
+    try {
+      await orgApi.acceptInvite(token);
+      setAccepted(true);
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Failed to accept the invitation.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Layout title="Organization Invitation - CXFlow Meeting Bot" showHeader={false}>
+      <div className="auth-container">
+        <div className="logo">
+          <div style={{ fontSize: '48px', marginBottom: '8px' }}>
+            <img
+              src="https://www.cxflow.io/app/images/logo.png"
+              alt="CXFlow Logo"
+              style={{ width: '40px', height: '40px' }}
+              suppressHydrationWarning
+            />
+          </div>
+          <h1>Organization Invitation</h1>
+          {invite && (
+            <p>
+              You&apos;ve been invited to join <strong>{invite.organization_name}</strong> as {invite.role}.
+            </p>
+          )}
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {!authLoading && !user ? (
+          <>
+            <p style={{ textAlign: 'center', color: '#718096', fontSize: '14px', marginBottom: '24px' }}>
+              Sign in (or sign up) with the email address the invitation was sent to, then open this link again.
+            </p>
+            <Link href="/signin">
+              <button className="auth-btn">Sign In</button>
+            </Link>
+            <div className="auth-links">
+              <Link href="/signup">Create an account</Link>
+            </div>
+          </>
+        ) : accepted ? (
+          <>
+            <div className="alert alert-success">
+              You joined <strong>{invite?.organization_name}</strong>. Its bots now appear in My Bots.
+            </div>
+            <Link href="/">
+              <button className="auth-btn">Go to My Bots</button>
+            </Link>
+          </>
+        ) : invite ? (
+          <button type="button" onClick={handleAccept} disabled={isLoading} className="auth-btn">
+            {isLoading ? 'Joining...' : 'Accept Invitation'}
+          </button>
+        ) : !error ? (
+          <div className="text-center py-8">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : (
+          <div className="auth-links">
+            <Link href="/">Back to CXFlow</Link>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
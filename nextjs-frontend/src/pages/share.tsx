@@ -4,10 +4,12 @@ import Script from 'next/script';
 import Head from 'next/head';
 import KeywordsWidget from '@/components/widgets/KeywordsWidget';
 import SummaryWidget from '@/components/widgets/SummaryWidget';
+import MeetingChatWidget from '@/components/widgets/MeetingChatWidget';
 import TalkTimeWidget from '@/components/widgets/TalkTimeWidget';
 import TranscriptWidget from '@/components/widgets/TranscriptWidget';
 import FloatingActionButtons from '@/components/widgets/FloatingActionButtons';
-import VideoController from '@/components/widgets/VideoController';
+import VideoController, { VideoChapter } from '@/components/widgets/VideoController';
+import { MeetingAnswer, MeetingChatTurn } from '@/lib/api';
 
 interface BotData {
   id: string;
@@ -16,6 +18,11 @@ interface BotData {
   duration?: string;
   videoUrl?: string;
   s3VideoUrl?: string;
+  hlsUrl?: string | null; // HLS package, if the recording was packaged
+  posterUrl?: string | null; // Poster image, once the thumbnails are made
+  storyboardUrl?: string | null; // WebVTT thumbnails track for scrub previews
+  chapters?: VideoChapter[]; // Empty without the transcript scope
+  pdfUrl?: string | null;
   status?: string; // e.g. 'processing' | 'ready'
   keywords?: string[] | { [key: string]: number };
   metrics?: any;
@@ -24,9 +31,13 @@ interface BotData {
 interface ShareData {
   success: boolean;
   bot: BotData;
+  scopes?: string[]; // What the share link exposes: summary, transcript, video
+  canAsk?: boolean; // Questions about the meeting are allowed on share links
+  expiresAt?: string | null;
   apiTranscript: any[];
-  summary: string;
+  summary: string | null;
   error?: string;
+  password_required?: boolean;
 }
 
 interface TranscriptItem {
@@ -55,6 +66,13 @@ export default function Share() {
   const [errorState, setErrorState] = useState(false);
   const [contentState, setContentState] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  // Password-protected share links
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [passwordInput, setPasswordInput] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [sharePassword, setSharePassword] = useState('');
+  const [scopes, setScopes] = useState<string[]>(['summary', 'transcript', 'video']);
+  const [askEnabled, setAskEnabled] = useState(false);
   const [botData, setBotData] = useState<BotData | null>(null);
   const [summary, setSummary] = useState('');
   const [transcript, setTranscript] = useState<any[]>([]);
@@ -453,14 +471,24 @@ export default function Share() {
   }, [botData]);
 
 
-  const loadMeeting = async (shareToken: string) => {
+  const loadMeeting = async (shareToken: string, password: string = sharePassword) => {
     try {
       // Use relative URL - Next.js will proxy to backend
-      const response = await fetch(`/api/share/${encodeURIComponent(shareToken)}`);
+      const response = await fetch(`/api/share/${encodeURIComponent(shareToken)}`, {
+        headers: password ? { 'X-Share-Password': password } : undefined
+      });
       
       if (!response.ok) {
-        if (response.status === 404) {
+        const errorData: Partial<ShareData> = await response.json().catch(() => ({}));
+        if (response.status === 401 && errorData.password_required) {
+          setLoadingState(false);
+          setPasswordRequired(true);
+          setPasswordError(password ? 'Incorrect password' : '');
+          return;
+        } else if (response.status === 404) {
           throw new Error('Meeting not found or link expired');
+        } else if (response.status === 410) {
+          throw new Error(errorData.error || 'This share link is no longer available');
         } else if (response.status === 403) {
           throw new Error('Access denied');
         } else {
@@ -482,8 +510,17 @@ export default function Share() {
         hasSummary: !!data.summary
       });
 
+      const linkScopes = data.scopes || ['summary', 'transcript', 'video'];
+      setScopes(linkScopes);
+      setAskEnabled(!!data.canAsk);
+      if (!linkScopes.includes('video')) setShowVideo(false);
+      setPasswordRequired(false);
+      setSharePassword(password);
+
       setBotData(data.bot);
-      setSummary(data.summary || 'No summary available');
+      setSummary(linkScopes.includes('summary')
+        ? (data.summary || 'No summary available')
+        : 'The summary is not included in this share link');
       setTranscript(data.apiTranscript || []);
       
       // Build utterances
@@ -594,6 +631,7 @@ export default function Share() {
 
   const initializeVideoPlayer = () => {
     if (typeof window === 'undefined' || !botData || !videoContainerRef.current || !window.ProfessionalVideoPlayer) return;
+    if (!scopes.includes('video')) return;
 
     try {
       let videoUrl: string;
@@ -604,8 +642,8 @@ export default function Share() {
       } else if (botData.videoUrl) {
         videoUrl = botData.videoUrl;
       } else {
-        // Use relative URL - Next.js will proxy to backend
-        videoUrl = `/v1/recordings/${encodeURIComponent(botData.id)}`;
+        // The share link did not return a playable recording
+        return;
       }
 
       // Get initial duration from botData (already set in useEffect, but keep for video player initialization)
@@ -656,6 +694,10 @@ export default function Share() {
       videoPlayerRef.current = new window.ProfessionalVideoPlayer('professionalVideoPlayer', videoUrl, {
         transcript: utterances,
         duration: videoDuration,
+        hlsSrc: botData.hlsUrl || null,
+        posterSrc: botData.posterUrl || null,
+        storyboardSrc: botData.storyboardUrl || null,
+        chapters: botData.chapters || [],
           onTimeUpdate: (currentTime: number) => {
             if (typeof window !== 'undefined') {
               if (isUserSeeking && Date.now() - (window.lastSeekTime || 0) < 2000) {
@@ -889,22 +931,35 @@ export default function Share() {
   };
 
 
+  // Questions about the meeting need the transcript scope (and the server allowing them on share links)
+  const canAsk = askEnabled && scopes.includes('transcript') && transcript.length > 0;
+  const askMeeting = async (question: string, history: MeetingChatTurn[]): Promise<MeetingAnswer> => {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (sharePassword) headers['X-Share-Password'] = sharePassword;
+    const response = await fetch(`/api/share/${encodeURIComponent((token || id) as string)}/ask`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ question, history })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not answer the question.');
+    return data;
+  };
+
   const handleShareEmail = async () => {
     if (!botData || typeof window === 'undefined') return;
     
     try {
       setEmailSending(true);
-      const currentUrl = window.location.href;
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (sharePassword) headers['X-Share-Password'] = sharePassword;
       
       // Use relative URL - Next.js will proxy to backend
       const response = await fetch('/api/share-via-email', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
+        headers,
         body: JSON.stringify({
-          botId: botData.id,
-          shareUrl: currentUrl,
+          shareToken: (token || id) as string,
           isPublicShare: true
         })
       });
@@ -928,12 +983,10 @@ export default function Share() {
   };
 
   const getVideoUrl = () => {
-    if (!botData) return '';
+    if (!botData || !scopes.includes('video')) return '';
     if (botData.s3VideoUrl) return botData.s3VideoUrl;
     if (botData.videoUrl && botData.videoUrl.includes('s3.amazonaws.com')) return botData.videoUrl;
-    if (botData.videoUrl) return botData.videoUrl;
-    // Use relative URL - Next.js will proxy to backend
-    return `/v1/recordings/${encodeURIComponent(botData.id)}`;
+    return botData.videoUrl || '';
   };
 
   const showError = (message: string) => {
@@ -1088,6 +1141,35 @@ export default function Share() {
             </div>
           )}
 
+          {passwordRequired && (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (!passwordInput) return;
+                setLoadingState(true);
+                loadMeeting((token || id) as string, passwordInput);
+              }}
+              style={{ maxWidth: '360px', margin: '60px auto', textAlign: 'center' }}
+            >
+              <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔒</div>
+              <div style={{ fontSize: '16px', color: '#374151', marginBottom: '16px' }}>This meeting is password protected</div>
+              <input
+                type="password"
+                value={passwordInput}
+                onChange={(e) => setPasswordInput(e.target.value)}
+                placeholder="Password"
+                autoFocus
+                style={{ width: '100%', padding: '10px 12px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '14px', boxSizing: 'border-box' }}
+              />
+              {passwordError && (
+                <div style={{ color: '#dc2626', fontSize: '13px', marginTop: '8px' }}>{passwordError}</div>
+              )}
+              <button type="submit" className="btn-small" style={{ marginTop: '12px', width: '100%', background: '#2563eb', color: 'white', border: 'none', padding: '10px' }}>
+                View meeting
+              </button>
+            </form>
+          )}
+
           {errorState && (
             <div className="empty-state" style={{ textAlign: 'center', padding: '60px 20px', color: '#9ca3af' }}>
               <div className="empty-state-icon" style={{ fontSize: '48px', marginBottom: '16px' }}>⚠️</div>
@@ -1239,6 +1321,7 @@ export default function Share() {
                       <h1 style={{ fontSize: '20px', fontWeight: 600, color: '#111827', flex: 1 }}>
                         {((botData as any).metadata?.title || (botData as any).bot_metadata?.title || botData.title) || botData.id}
                       </h1>
+                      {scopes.includes('video') && (
                       <button
                         onClick={() => setShowVideo(!showVideo)}
                         className="btn-small"
@@ -1268,6 +1351,7 @@ export default function Share() {
                         )}
                         Video
                       </button>
+                      )}
                     </div>
                     <div style={{ display: 'flex', alignItems: 'center', gap: isMobile ? '10px' : '12px', flexWrap: 'wrap', fontSize: isMobile ? '10px' : '14px', color: '#6b7280'}}>
                        {meetingHost ? (
@@ -1310,6 +1394,7 @@ export default function Share() {
                           </div> */}
                           <SummaryWidget summary={summary} />
                         </div>
+                        {canAsk && <MeetingChatWidget ask={askMeeting} onCitationClick={handleTranscriptClick} />}
                       </div>
                     </div>
                   </div>
@@ -1431,6 +1516,7 @@ export default function Share() {
                           <h1 style={{ fontSize: '14px', fontWeight: 600, color: '#111827', flex: 1 }}>
                             {((botData as any).metadata?.title || (botData as any).bot_metadata?.title || botData.title) || botData.id}
                           </h1>
+                          {scopes.includes('video') && (
                           <button
                             onClick={() => setShowVideo(!showVideo)}
                             className="btn-small"
@@ -1460,6 +1546,7 @@ export default function Share() {
                             )}
                             Video
                           </button>
+                          )}
                         </div>
                           <div style={{ display: 'flex', alignItems: 'center', gap: isMobile ? '10px' : '12px', flexWrap: 'wrap', fontSize: isMobile ? '10px' : '14px', color: '#6b7280'}}>
                              {meetingHost ? (
@@ -1500,6 +1587,7 @@ export default function Share() {
                               {/* <div style={{ fontSize: '14px', fontWeight: 600, color: '#111827', marginBottom: '8px' }}>General Summary</div> */}
                               <SummaryWidget summary={summary} />
                             </div>
+                            {canAsk && <MeetingChatWidget ask={askMeeting} onCitationClick={handleTranscriptClick} />}
                           </div>
                         </div>
                       </div>
@@ -1533,6 +1621,7 @@ export default function Share() {
             isPlaying={isPlaying}
             playbackRate={playbackRate}
             videoPlayerRef={videoPlayerRef}
+            chapters={botData.chapters || []}
             onTimeChange={(newTime) => {
               if (videoPlayerRef.current && videoPlayerRef.current.video) {
                 setIsUserSeeking(true);
@@ -1595,6 +1684,9 @@ export default function Share() {
           getVideoUrl={getVideoUrl}
           onShareEmail={handleShareEmail}
           getShareUrl={() => typeof window !== 'undefined' ? window.location.href : ''}
+          shareToken={(token || id) as string}
+          sharePassword={sharePassword}
+          pdfUrl={botData.pdfUrl || null}
         />
       )}
 
@@ -565,6 +565,22 @@
 		}
 	}
 
+	// Short-lived token for the bot's media URLs (<video> and links can't send the Authorization header)
+	async function fetchMediaToken(botId) {
+		try {
+			const response = await fetch(`/v1/bots/${encodeURIComponent(botId)}/media-token`, {
+				method: 'POST',
+				headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+			});
+			if (!response.ok) return '';
+			const data = await response.json();
+			return data.token || '';
+		} catch (e) {
+			console.error('Failed to get media token:', e);
+			return '';
+		}
+	}
+
 	async function openBotDetail(botId) {
 		botListView.classList.add('hidden');
 		botDetailView.classList.remove('hidden');
@@ -606,7 +622,9 @@
 			// Try legacy API only if needed
 			if (!transcript || transcript.length === 0) {
 				try {
-					const tRes = await fetch(`/v1/transcripts/${encodeURIComponent(botId)}`);
+					const tRes = await fetch(`/v1/transcripts/${encodeURIComponent(botId)}`, {
+						headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+					});
 					if (tRes.ok) {
 						const tData = await tRes.json();
 						transcript = Array.isArray(tData.captions) ? tData.captions : [];
@@ -630,7 +648,8 @@
 				summary = null;
 			}
 
-			renderBotDetail(bot, utterances, summary);
+			const mediaToken = await fetchMediaToken(botId);
+			renderBotDetail(bot, utterances, summary, mediaToken);
 			
 			// If summary is being generated, poll for updates
 			if (isSummaryGenerating) {
@@ -857,7 +876,7 @@
 		container.innerHTML = html;
 	}
 
-	function renderBotDetail(bot, utterances, summary) {
+	function renderBotDetail(bot, utterances, summary, mediaToken) {
 		// Declare highlighting variables at the top for proper scope
 		let lastHighlightedItem = null;
 		let isUserSeeking = false; // Track if user is manually seeking
@@ -904,8 +923,9 @@
 			videoUrl = bot.videoUrl;
 			console.log(`🎥 Using custom video URL: ${videoUrl}`);
 		} else {
-			videoUrl = `/v1/recordings/${encodeURIComponent(bot.id)}`;
-			console.log(`🎥 Using local video endpoint: ${videoUrl}`);
+			// <video> requests can't send the Authorization header
+			videoUrl = `/v1/recordings/${encodeURIComponent(bot.id)}/stream?token=${encodeURIComponent(mediaToken || '')}`;
+			console.log(`🎥 Using local video stream for bot ${bot.id}`);
 		}
 
 		// Format bot metadata
@@ -948,7 +968,8 @@
 			formattedSummary = 'No summary available yet.';
 		}
 
-		const shareUrl = `${window.location.origin}/share.html?token=${encodeURIComponent(bot.id)}`;
+		// Filled in by loadShareLink: the share page needs a share link token, not the bot ID
+		let shareUrl = '';
 		
 		botDetailContent.innerHTML = `
 			${bot.isHistorical ? `
@@ -985,14 +1006,14 @@
 						<div style="font-size: 14px; font-weight: 600; color: #1e40af; margin-bottom: 6px;">📤 Shareable Link</div>
 						<div style="font-size: 13px; color: #1e40af; margin-bottom: 8px;">Share this link to allow others to view the meeting recording and transcript</div>
 						<div style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
-							<input type="text" id="shareUrlInput" readonly value="${shareUrl}" style="flex: 1; min-width: 200px; padding: 8px 12px; background: white; border: 1px solid #93c5fd; border-radius: 6px; font-size: 13px; color: #1e40af;">
+							<input type="text" id="shareUrlInput" readonly value="" placeholder="Loading share link..." style="flex: 1; min-width: 200px; padding: 8px 12px; background: white; border: 1px solid #93c5fd; border-radius: 6px; font-size: 13px; color: #1e40af;">
 							<button id="copyShareLinkBtn" class="btn-small" style="background: #2563eb; color: white; border: none; padding: 8px 16px; border-radius: 6px; cursor: pointer; font-weight: 500;">
 								Copy Link
 							</button>
-							<a href="${shareUrl}" target="_blank" class="btn-small" style="background: white; color: #2563eb; border: 1px solid #2563eb; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: 500;">
+							<a id="openShareLinkBtn" href="#" target="_blank" class="btn-small" style="background: white; color: #2563eb; border: 1px solid #2563eb; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: 500;">
 								Open
 							</a>
-							<a href="/v1/bots/${encodeURIComponent(bot.id)}/export/pdf" class="btn-small" style="background: #dc2626; color: white; border: none; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: 500; display: inline-flex; align-items: center; gap: 6px;" download>
+							<a href="/v1/bots/${encodeURIComponent(bot.id)}/export/pdf?token=${encodeURIComponent(mediaToken || '')}" class="btn-small" style="background: #dc2626; color: white; border: none; padding: 8px 16px; border-radius: 6px; text-decoration: none; font-weight: 500; display: inline-flex; align-items: center; gap: 6px;" download>
 								<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
 									<path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z"/>
 								</svg>
@@ -1059,11 +1080,44 @@
 		`;
 
 		const transcriptContainer = document.getElementById('transcriptContainer');
-		
+
+		// The bot's default share link (created on first use)
+		async function loadShareLink() {
+			const shareUrlInput = document.getElementById('shareUrlInput');
+			try {
+				const token = getAuthToken();
+				const response = await fetch(`/v1/bots/${encodeURIComponent(bot.id)}/share-links`, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+						'Authorization': `Bearer ${token}`
+					},
+					body: JSON.stringify({ default: true })
+				});
+				if (!response.ok) throw new Error(`HTTP ${response.status}`);
+				const link = await response.json();
+				shareUrl = `${window.location.origin}/share.html?token=${encodeURIComponent(link.token)}`;
+				if (shareUrlInput) shareUrlInput.value = shareUrl;
+				const openShareLink = document.getElementById('openShareLinkBtn');
+				if (openShareLink) openShareLink.href = shareUrl;
+			} catch (error) {
+				console.warn('Could not load the share link:', error);
+				if (shareUrlInput) shareUrlInput.placeholder = 'Share link unavailable';
+			}
+		}
+		loadShareLink();
+		const openShareLinkBtn = document.getElementById('openShareLinkBtn');
+		if (openShareLinkBtn) {
+			openShareLinkBtn.addEventListener('click', (e) => {
+				if (!shareUrl) e.preventDefault();
+			});
+		}
+
 		// Setup copy share link button
 		const copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
 		if (copyShareLinkBtn) {
 			copyShareLinkBtn.addEventListener('click', () => {
+				if (!shareUrl) return;
 				const shareUrlInput = document.getElementById('shareUrlInput');
 				shareUrlInput.select();
 				navigator.clipboard.writeText(shareUrl).then(() => {
@@ -1170,6 +1224,10 @@
 			videoPlayer = new ProfessionalVideoPlayer('professionalVideoPlayer', videoUrl, {
 				
 				transcript: utterances,
+				hlsSrc: bot.hlsUrl || null, // Adaptive playback when the recording was packaged as HLS
+				posterSrc: bot.posterUrl || null,
+				storyboardSrc: bot.storyboardUrl || null, // Thumbnail previews while scrubbing
+				chapters: bot.chapters || [],
 				duration: videoDuration, // Pass duration from metrics
 				onTimeUpdate: (currentTime) => {
 					// Always log to verify this is being called
@@ -1696,7 +1754,9 @@
 
 	async function checkBotStatus(botId) {
 		try {
-			const res = await fetch(`/v1/bots/${encodeURIComponent(botId)}`);
+			const res = await fetch(`/v1/bots/${encodeURIComponent(botId)}`, {
+				headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+			});
 			if (!res.ok) return null;
 			const data = await res.json();
 			return data.status;
@@ -8,6 +8,9 @@ const WebSocket = require('ws');
 const crypto = require('crypto');
 const { getCurrentTimestamp, formatDate, formatDateLong, timestampToTimezone } = require('./utils/timezone');
 const { sendWebhook } = require('./utils/webhook');
+const { publishLiveEvent } = require('./utils/live-events');
+const { getDefaultShareUrl } = require('./utils/share-links');
+const { indexBotCaptions } = require('./utils/caption-search');
 // ADD EXTENSION_PATH constant to point to the built-in Chrome extension.
 const EXTENSION_PATH = path.resolve(__dirname, '..', 'transcript_extension');
 
@@ -75,6 +78,16 @@ class Bot {
         this.captions = [];
         this.captionsIndex = 0;
         this.captionsFile = path.join(this.transcriptsDir, 'captions.json');
+        // Live caption streaming (polls the extension transcript while in the meeting)
+        this.liveCaptionsInterval = null;
+        this.liveCaptionsPoll = null; // promise of the poll in flight
+        this.liveCaptionCount = 0; // transcript entries seen so far
+        this.liveCaptionLastText = null; // text of the last entry while it is not final yet
+        // transcript.utterance webhooks (finalized captions, batched and rate-limited)
+        this.pendingUtterances = [];
+        this.utteranceWebhookTimer = null;
+        this.lastUtteranceWebhookAt = 0;
+        this.utteranceWebhookSequence = 0;
         this.browserPidFile = path.join(this.botsPidDir, `${this.id}.pid`);
         this.hasSeenParticipants = false;
 
@@ -85,6 +98,7 @@ class Bot {
         this.recordingPath = path.join(this.videoDir, `${this.id}${fileExtension}`);
         this.recordingStartedAt = 0;
         this.recordingChunks = []; // Store recording chunks temporarily
+        this.recordingUpload = null; // Upload to storage while recording (set by the server, see startStreamingUpload)
         // Use provided maxRecordingDuration or fall back to environment variable or default
         this.maxRecordingDuration = maxRecordingDuration || 60; // minutes
         this.inactivityLimit = parseInt(process.env.INACTIVITY_LIMIT) || 10; // minutes
@@ -139,6 +153,7 @@ class Bot {
             const meetingId = this.getMeetingIdFromUrl(this.meetUrl) || this.id || null;
             const ts = getCurrentTimestamp ? getCurrentTimestamp() : { iso: new Date().toISOString(), formatted: new Date().toISOString(), timezone: process.env.TIMEZONE || 'UTC' };
             const payload = {
+                bot_id: this.id,
                 meeting_id: meetingId,
                 code: code || 'unknown_error',
                 message: message || '',
@@ -390,6 +405,7 @@ class Bot {
             const joinedAt = ts.formatted; // e.g. '2025-11-27 10:30:45' in TIMEZONE
             // Send asynchronously but await to log errors. Pass per-bot webhook override when available.
             await sendWebhook('meeting.bot_joined', {
+                bot_id: this.id,
                 meeting_id: meetingId,
                 meeting_url: this.meetUrl,
                 joined_at: joinedAt,
@@ -551,6 +567,7 @@ class Bot {
                     clearInterval(this.pageValidityInterval);
                     this.pageValidityInterval = null;
                 }
+                this.stopLiveCaptionPolling();
             } catch {}
             
             // Trigger cleanup if not already leaving
@@ -1501,6 +1518,8 @@ class Bot {
             for (let attempt = 1; attempt <= retries; attempt++) {
                 try {
                     await fs.promises.appendFile(this.recordingPath, buffer);
+                    // Full parts are pushed to storage in the background
+                    if (this.recordingUpload) this.recordingUpload.written(buffer.length);
                     return true;
                 } catch (error) {
                     console.error(`[${this.id}] ❌ Chunk write failed (attempt ${attempt}/${retries}):`, error.message);
@@ -2447,6 +2466,9 @@ class Bot {
         
         // Start page validity checks (GoogleMeetBot style)
         this.startPageValidityCheck();
+
+        // Stream captions to live subscribers while in the meeting
+        this.startLiveCaptionPolling();
         
         let lastLoggedCount = null;
         let emptyStreak = 0;
@@ -2510,6 +2532,7 @@ class Bot {
                                     try {
                                         const ts = getCurrentTimestamp();
                                         const payload = {
+                                            bot_id: this.id,
                                             meeting_id: this.getMeetingIdFromUrl(this.meetUrl) || null,
                                             name: cleaned,
                                             joined_at: ts.formatted,
@@ -2518,6 +2541,8 @@ class Bot {
                                             bot_like: !!(det.reason && det.reason !== 'text-suspect-human')
                                         };
 
+                                        publishLiveEvent(this.id, 'participant.joined', payload);
+
                                         // Fire-and-forget; log failures but don't block monitoring loop
                                         sendWebhook('participant.joined', payload, this.webhookUrl || null).catch(err => {
                                             console.warn(`[${this.id}] ⚠️ Failed to send participant.joined webhook for ${cleaned}: ${err && err.message ? err.message : err}`);
@@ -2574,13 +2599,16 @@ class Bot {
 
                                 // Send webhook
                                     try {
-                                        sendWebhook('participant.left', {
+                                        const leftPayload = {
+                                            bot_id: this.id,
                                             meeting_id: this.getMeetingIdFromUrl(this.meetUrl) || null,
                                             name: prevName,
                                             joined_at: joinedFormatted,
                                             left_at: leftFormatted,
                                             duration_seconds: durationSeconds
-                                        }, this.webhookUrl || null).catch(err => {
+                                        };
+                                        publishLiveEvent(this.id, 'participant.left', leftPayload);
+                                        sendWebhook('participant.left', leftPayload, this.webhookUrl || null).catch(err => {
                                             console.warn(`[${this.id}] ⚠️ Failed to send participant.left webhook for ${prevName}: ${err && err.message ? err.message : err}`);
                                         });
                                     } catch (e) {
@@ -2723,6 +2751,7 @@ class Bot {
             } catch (e) {}
 
             sendWebhook('recording.ended', {
+                bot_id: this.id,
                 meeting_id: meetingId,
                 recording_type: recordingType,
                 file_url: fileUrl,
@@ -3310,6 +3339,166 @@ class Bot {
         }
     }
 
+    /**
+     * Publish new and updated transcript entries as live 'caption' events.
+     * The extension appends one entry per utterance and keeps growing the last
+     * one while the speaker talks, so the last entry is published with
+     * is_final=false until a newer entry exists (or the meeting ends).
+     * @param {boolean} finalize - Mark the last entry final (used when leaving)
+     */
+    async pollLiveCaptions(finalize = false) {
+        if (this.liveCaptionsPoll) {
+            if (!finalize) return;
+            // The final pass runs after the poll in flight, or the last entry is never finalized
+            while (this.liveCaptionsPoll) await this.liveCaptionsPoll;
+        }
+        if (!this.page || (this.page.isClosed && this.page.isClosed())) return;
+        this.liveCaptionsPoll = this.readLiveCaptions(finalize);
+        try {
+            await this.liveCaptionsPoll;
+        } finally {
+            this.liveCaptionsPoll = null;
+        }
+    }
+
+    /**
+     * One pass of pollLiveCaptions (never rejects)
+     */
+    async readLiveCaptions(finalize) {
+        try {
+            // Re-read the last published entry while it may still be growing
+            const from = this.liveCaptionLastText !== null ? this.liveCaptionCount - 1 : this.liveCaptionCount;
+            const data = await this.page.evaluate((fromIndex) => {
+                try {
+                    const transcript = JSON.parse(localStorage.getItem('transcript') || '[]');
+                    let start = localStorage.getItem('meetingStartTimeStamp');
+                    try { start = JSON.parse(start); } catch {}
+                    return { length: transcript.length, entries: transcript.slice(fromIndex), start };
+                } catch {
+                    return null;
+                }
+            }, from);
+            if (!data || !Array.isArray(data.entries)) return;
+
+            const startMs = data.start ? Date.parse(data.start) : NaN;
+            data.entries.forEach((entry, i) => {
+                const index = from + i;
+                const text = (entry.personTranscript || '').trim();
+                const isFinal = index < data.length - 1 || finalize;
+
+                // The growing entry is only re-published when it changed or became final
+                const isGrowingEntry = index === this.liveCaptionCount - 1;
+                if (!text || (isGrowingEntry && text === this.liveCaptionLastText && !isFinal)) return;
+
+                const tsMs = entry.timeStamp ? Date.parse(entry.timeStamp) : NaN;
+                const caption = {
+                    index,
+                    speaker: (entry.personName || '').trim() || 'Unknown Speaker',
+                    text,
+                    timestamp_iso: Number.isNaN(tsMs) ? null : new Date(tsMs).toISOString(),
+                    offset_seconds: Number.isNaN(tsMs) || Number.isNaN(startMs) ? null : Math.max(0, Math.round((tsMs - startMs) / 1000)),
+                    is_final: isFinal
+                };
+                publishLiveEvent(this.id, 'caption', caption);
+                if (isFinal) this.queueUtteranceWebhook(caption);
+            });
+
+            if (data.length > 0) {
+                const last = data.entries[data.entries.length - 1];
+                const lastText = last ? (last.personTranscript || '').trim() : '';
+                this.liveCaptionCount = data.length;
+                this.liveCaptionLastText = finalize || !lastText ? null : lastText;
+            }
+        } catch (e) {
+            const msg = e && e.message ? e.message : String(e);
+            if (!/Target closed|Session closed|detached/i.test(msg)) {
+                console.warn(`[${this.id}] ⚠️ Live caption polling error: ${msg}`);
+            }
+        }
+    }
+
+    /**
+     * Queue a finalized utterance for the transcript.utterance webhook.
+     * Utterances are batched and sent at most once per
+     * TRANSCRIPT_UTTERANCE_WEBHOOK_INTERVAL_MS per bot.
+     */
+    queueUtteranceWebhook(caption) {
+        if (process.env.TRANSCRIPT_UTTERANCE_WEBHOOKS === 'false') return;
+        const { is_final: isFinal, ...utterance } = caption;
+        this.pendingUtterances.push(utterance);
+        this.scheduleUtteranceWebhook();
+    }
+
+    /**
+     * Schedule the next transcript.utterance flush, respecting the per-bot rate limit
+     */
+    scheduleUtteranceWebhook() {
+        if (this.utteranceWebhookTimer) return;
+
+        const intervalMs = Number(process.env.TRANSCRIPT_UTTERANCE_WEBHOOK_INTERVAL_MS || 10000);
+        const delay = Math.max(0, this.lastUtteranceWebhookAt + intervalMs - Date.now());
+        this.utteranceWebhookTimer = setTimeout(() => {
+            this.utteranceWebhookTimer = null;
+            this.flushUtteranceWebhook().catch(() => {});
+        }, delay);
+    }
+
+    /**
+     * Send queued utterances as a transcript.utterance webhook
+     * @param {boolean} all - Send everything now, in as many batches as needed (used when leaving)
+     */
+    async flushUtteranceWebhook(all = false) {
+        if (all && this.utteranceWebhookTimer) {
+            clearTimeout(this.utteranceWebhookTimer);
+            this.utteranceWebhookTimer = null;
+        }
+
+        const batchSize = Number(process.env.TRANSCRIPT_UTTERANCE_WEBHOOK_BATCH_SIZE || 50);
+        do {
+            if (this.pendingUtterances.length === 0) return;
+            const utterances = this.pendingUtterances.splice(0, batchSize);
+            this.lastUtteranceWebhookAt = Date.now();
+            this.utteranceWebhookSequence++;
+
+            try {
+                await sendWebhook('transcript.utterance', {
+                    bot_id: this.id,
+                    meeting_id: this.getMeetingIdFromUrl(this.meetUrl) || null,
+                    language: this.captionLanguage || null,
+                    sequence: this.utteranceWebhookSequence,
+                    utterances
+                }, this.webhookUrl || null);
+            } catch (e) {
+                console.warn(`[${this.id}] ⚠️ Failed to send transcript.utterance webhook: ${e && e.message ? e.message : e}`);
+            }
+        } while (all);
+
+        // More than one batch was waiting: send the rest after the next interval
+        if (this.pendingUtterances.length > 0) this.scheduleUtteranceWebhook();
+    }
+
+    /**
+     * Start publishing live captions
+     */
+    startLiveCaptionPolling() {
+        if (this.liveCaptionsInterval) return;
+        const intervalMs = Number(process.env.LIVE_CAPTIONS_POLL_MS || 2000);
+        this.liveCaptionsInterval = setInterval(() => {
+            this.pollLiveCaptions().catch(() => {});
+        }, intervalMs);
+        console.log(`[${this.id}] 📡 Live caption streaming started (every ${intervalMs}ms)`);
+    }
+
+    /**
+     * Stop publishing live captions
+     */
+    stopLiveCaptionPolling() {
+        if (this.liveCaptionsInterval) {
+            clearInterval(this.liveCaptionsInterval);
+            this.liveCaptionsInterval = null;
+        }
+    }
+
     /**
      * Persist captured captions to a JSON file for this bot.
      * File path: runtime/<botId>/transcripts/captions.json
@@ -3357,17 +3546,19 @@ class Bot {
         try {
             await fs.promises.writeFile(this.captionsFile, JSON.stringify(mapped, null, 2), 'utf8');
             console.log(`[${this.id}] 💾 Transcript saved to ${this.captionsFile}`);
+            // Full-text search index (utils/caption-search)
+            try {
+                const indexed = await indexBotCaptions(this.id, mapped, this.runtimeRoot, { meetingStartMs: startMs });
+                console.log(`[${this.id}] 🔎 ${indexed} captions indexed for search`);
+            } catch (e) {
+                console.warn(`[${this.id}] ⚠️ Failed to index captions for search: ${e.message || e}`);
+            }
             // Emit transcript.completed webhook so external services know transcript is ready
             try {
                 const meetingId = this.getMeetingIdFromUrl(this.meetUrl) || null;
                 const language = this.captionLanguage || null;
-                // Convert local file path to shareable URL
-                let transcriptUrl = null;
-                if (this.id) {
-                    const baseUrl = process.env.BASE_URL;
-                    const cleanBaseUrl = String(baseUrl).replace(/\/$/, ''); // Remove trailing slash
-                    transcriptUrl = `${cleanBaseUrl}/share?token=${encodeURIComponent(this.id)}`;
-                }
+                // Shareable URL of the meeting (the bot's default share link)
+                const transcriptUrl = this.id ? getDefaultShareUrl(this.id) : null;
                 // Get meeting title from metadata
                 let meetingTitle = null;
                 try {
@@ -3402,6 +3593,7 @@ class Bot {
                 }
                 
                 sendWebhook('transcript.completed', {
+                    bot_id: this.id,
                     meeting_id: meetingId,
                     language,
                     transcript_url: transcriptUrl,
@@ -3494,9 +3686,20 @@ class Bot {
         try { this.stopModalDismissal(); } catch {}
         try { this.stopPageValidityCheck(); } catch {}
         try { await this.stopKeepAlive(); } catch {}
+        try { this.stopLiveCaptionPolling(); } catch {}
         
         // STEP 2: Fetch transcript and timeframes (page must be in valid state)
         console.log(`[${this.id}] 💾 Saving transcript and timeframes...`);
+
+        // Publish the remaining captions to live subscribers, all final
+        try {
+            await this.pollLiveCaptions(true);
+        } catch {}
+
+        // Send the utterances still waiting for their batch before transcript.completed
+        try {
+            await this.flushUtteranceWebhook(true);
+        } catch {}
         
         // Save captions FIRST (timeframes depend on captions)
         try {
@@ -3567,6 +3770,7 @@ class Bot {
 
                 const tz = getCurrentTimestamp();
                 const payload = {
+                    bot_id: this.id,
                     meeting_id: meetingId,
                     ended_at: endedAtFormatted,
                     duration_seconds: durationSeconds,
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs-extra');
+const crypto = require('crypto');
 
 // Database file path
 const DB_PATH = path.join(__dirname, '../database.sqlite');
@@ -31,6 +32,19 @@ try {
     console.warn('⚠️  Could not enable database performance optimizations:', e.message);
 }
 
+/**
+ * Add a column to an existing table if it is missing.
+ * CREATE TABLE IF NOT EXISTS does not add columns introduced later,
+ * so databases created by older versions are upgraded here.
+ */
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ Added column ${table}.${column}`);
+    }
+}
+
 /**
  * Initialize database schema
  */
@@ -72,11 +86,19 @@ function initializeDatabase() {
         )
     `);
 
+    // Scheduling columns (bots with status 'scheduled' join at join_at;
+    // recurring bots share a series_id and spawn the next occurrence when they start)
+    addColumnIfMissing('bots', 'join_at', 'INTEGER');
+    addColumnIfMissing('bots', 'recurrence', 'TEXT');
+    addColumnIfMissing('bots', 'schedule_timezone', 'TEXT');
+    addColumnIfMissing('bots', 'series_id', 'TEXT');
+
     // Create indexes on bots table
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_bots_user_id ON bots(user_id);
         CREATE INDEX IF NOT EXISTS idx_bots_created_at ON bots(created_at);
         CREATE INDEX IF NOT EXISTS idx_bots_status ON bots(status);
+        CREATE INDEX IF NOT EXISTS idx_bots_status_join_at ON bots(status, join_at);
     `);
 
     // Create user_configurations table
@@ -101,6 +123,391 @@ function initializeDatabase() {
         CREATE INDEX IF NOT EXISTS idx_user_configurations_user_id ON user_configurations(user_id);
     `);
 
+    // Calendar (ICS) feed registered by the user and its last sync result
+    addColumnIfMissing('user_configurations', 'calendar_feed_url', 'TEXT');
+    addColumnIfMissing('user_configurations', 'calendar_synced_at', 'INTEGER');
+    addColumnIfMissing('user_configurations', 'calendar_sync_error', 'TEXT');
+
+    // Create calendar_event_bots table: maps each calendar event occurrence
+    // (UID + original start) to the bot dispatched for it, so re-importing the
+    // same calendar never creates a second bot for the same meeting
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS calendar_event_bots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            source TEXT NOT NULL,
+            event_uid TEXT NOT NULL,
+            occurrence_start INTEGER NOT NULL,
+            bot_id TEXT,
+            title TEXT,
+            meet_url TEXT,
+            start_at INTEGER NOT NULL,
+            end_at INTEGER,
+            sequence INTEGER DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'scheduled',
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            UNIQUE (user_id, event_uid, occurrence_start),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_calendar_event_bots_user_start ON calendar_event_bots(user_id, start_at);
+        CREATE INDEX IF NOT EXISTS idx_calendar_event_bots_bot_id ON calendar_event_bots(bot_id);
+    `);
+
+    // Secret used to sign the user's webhook payloads (HMAC-SHA256)
+    addColumnIfMissing('user_configurations', 'webhook_secret', 'TEXT');
+
+    // Where the user's recordings are uploaded (NULL = server default) and
+    // the provider settings as JSON (see utils/storage)
+    addColumnIfMissing('user_configurations', 'storage_provider', 'TEXT');
+    addColumnIfMissing('user_configurations', 'storage_config', 'TEXT');
+
+    // Days recordings, transcripts and summaries are kept (NULL = server
+    // default, 0 = forever; see utils/retention)
+    addColumnIfMissing('user_configurations', 'retention_video_days', 'INTEGER');
+    addColumnIfMissing('user_configurations', 'retention_transcript_days', 'INTEGER');
+    addColumnIfMissing('user_configurations', 'retention_summary_days', 'INTEGER');
+
+    // Create webhook_deliveries table: one row per event sent to an endpoint.
+    // Doubles as the retry queue (status 'pending' with next_attempt_at) and
+    // keeps the exact payload so failed deliveries can be replayed
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id TEXT PRIMARY KEY,
+            user_id TEXT,
+            bot_id TEXT,
+            event TEXT NOT NULL,
+            url TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at INTEGER,
+            last_status_code INTEGER,
+            last_error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            delivered_at INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create webhook_delivery_attempts table: log of every HTTP attempt
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            delivery_id TEXT NOT NULL,
+            attempt INTEGER NOT NULL,
+            status_code INTEGER,
+            error TEXT,
+            response_body TEXT,
+            duration_ms INTEGER,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (delivery_id) REFERENCES webhook_deliveries(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create webhook_endpoints table: additional endpoints per user, each with
+    // its own event filter (JSON array of event names, "*" or "prefix.*")
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_endpoints (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            url TEXT NOT NULL,
+            description TEXT,
+            events TEXT NOT NULL DEFAULT '["*"]',
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Endpoint a delivery was fanned out to (NULL for the legacy webhook URL)
+    addColumnIfMissing('webhook_deliveries', 'endpoint_id', 'TEXT');
+    // Response bodies are no longer logged (only their length): drop the ones stored before
+    addColumnIfMissing('webhook_delivery_attempts', 'response_length', 'INTEGER');
+    db.prepare('UPDATE webhook_delivery_attempts SET response_body = NULL WHERE response_body IS NOT NULL').run();
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next ON webhook_deliveries(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_created ON webhook_deliveries(user_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id);
+        CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+    `);
+
+    // Create share_links table: public links to a bot's meeting. The token is
+    // random (not the bot ID), links can expire, be revoked or require a
+    // password, and scopes limit what they expose (summary, transcript, video)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS share_links (
+            id TEXT PRIMARY KEY,
+            token TEXT NOT NULL UNIQUE,
+            bot_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            label TEXT,
+            scopes TEXT NOT NULL DEFAULT '["summary","transcript","video"]',
+            password_hash TEXT,
+            expires_at INTEGER,
+            revoked_at INTEGER,
+            access_count INTEGER NOT NULL DEFAULT 0,
+            last_accessed_at INTEGER,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_share_links_bot_id ON share_links(bot_id);
+        CREATE INDEX IF NOT EXISTS idx_share_links_user_id ON share_links(user_id);
+    `);
+
+    // Create api_keys table: named keys for server-to-server access to /v1.
+    // Only a SHA-256 hash of the key is stored; the prefix is kept for display
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            prefix TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            scopes TEXT NOT NULL,
+            last_used_at INTEGER,
+            revoked_at INTEGER,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+    `);
+
+    // Create organizations tables: members share the organization's bots with
+    // a role (owner, admin, member, viewer). The bot settings columns mirror
+    // user_configurations and override them for bots created in the organization
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS organizations (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_by TEXT,
+            bot_name TEXT,
+            webhook_url TEXT,
+            summary_template TEXT,
+            bot_logo_url TEXT,
+            max_recording_time INTEGER,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS organization_members (
+            organization_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            role TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (organization_id, user_id),
+            FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Invitations by email. Only a SHA-256 hash of the token is stored
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS organization_invites (
+            id TEXT PRIMARY KEY,
+            organization_id TEXT NOT NULL,
+            email TEXT NOT NULL,
+            role TEXT NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            invited_by TEXT,
+            expires_at INTEGER NOT NULL,
+            accepted_at INTEGER,
+            accepted_by TEXT,
+            revoked_at INTEGER,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+            FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Bots created in an organization stay owned by their creator
+    addColumnIfMissing('bots', 'organization_id', 'TEXT REFERENCES organizations(id) ON DELETE SET NULL');
+
+    // Retention: organization policy (NULL = the bot owner's) and when the
+    // janitor purged each artifact of a bot
+    addColumnIfMissing('organizations', 'retention_video_days', 'INTEGER');
+    addColumnIfMissing('organizations', 'retention_transcript_days', 'INTEGER');
+    addColumnIfMissing('organizations', 'retention_summary_days', 'INTEGER');
+    addColumnIfMissing('bots', 'video_deleted_at', 'INTEGER');
+    addColumnIfMissing('bots', 'transcript_deleted_at', 'INTEGER');
+    addColumnIfMissing('bots', 'summary_deleted_at', 'INTEGER');
+
+    // Encryption at rest: the bot's data key, wrapped by the master key (JSON)
+    addColumnIfMissing('bots', 'encryption_key', 'TEXT');
+
+    // LLM provider of the user's / organization's summaries (NULL = inherit)
+    // and its settings as JSON (see utils/llm)
+    addColumnIfMissing('user_configurations', 'llm_provider', 'TEXT');
+    addColumnIfMissing('user_configurations', 'llm_config', 'TEXT');
+    addColumnIfMissing('organizations', 'llm_provider', 'TEXT');
+    addColumnIfMissing('organizations', 'llm_config', 'TEXT');
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+        CREATE INDEX IF NOT EXISTS idx_organization_invites_org_id ON organization_invites(organization_id);
+        CREATE INDEX IF NOT EXISTS idx_bots_organization_id ON bots(organization_id);
+    `);
+
+    // Create post_processing_jobs table: the work done on a bot after the
+    // meeting (summary, email, remux, upload...), one row per typed job.
+    // depends_on is a JSON array of job IDs that must finish first; pending
+    // jobs survive restarts and are retried with backoff (see utils/job-queue)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS post_processing_jobs (
+            id TEXT PRIMARY KEY,
+            bot_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            depends_on TEXT NOT NULL DEFAULT '[]',
+            payload TEXT NOT NULL DEFAULT '{}',
+            result TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 3,
+            next_attempt_at INTEGER NOT NULL,
+            last_error TEXT,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            started_at INTEGER,
+            finished_at INTEGER,
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create post_processing_job_logs table: what each job attempt did
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS post_processing_job_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id TEXT NOT NULL,
+            attempt INTEGER NOT NULL,
+            level TEXT NOT NULL,
+            message TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (job_id) REFERENCES post_processing_jobs(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_post_processing_jobs_status_next ON post_processing_jobs(status, next_attempt_at);
+        CREATE INDEX IF NOT EXISTS idx_post_processing_jobs_bot_id ON post_processing_jobs(bot_id);
+        CREATE INDEX IF NOT EXISTS idx_post_processing_job_logs_job_id ON post_processing_job_logs(job_id);
+    `);
+
+    // Create semantic search tables: a bot's transcript in chunks of consecutive
+    // utterances (JSON array of { speaker, time, text }), their vectors per
+    // embeddings model (float32 BLOBs, see utils/embeddings) and which bots are
+    // indexed with which model (chunks = 0 for bots without a transcript)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS transcript_chunks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bot_id TEXT NOT NULL,
+            chunk_index INTEGER NOT NULL,
+            utterances TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS chunk_embeddings (
+            chunk_id INTEGER NOT NULL,
+            model TEXT NOT NULL,
+            vector BLOB NOT NULL,
+            PRIMARY KEY (chunk_id, model),
+            FOREIGN KEY (chunk_id) REFERENCES transcript_chunks(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS search_index_state (
+            bot_id TEXT NOT NULL,
+            model TEXT NOT NULL,
+            chunks INTEGER NOT NULL,
+            indexed_at INTEGER NOT NULL,
+            PRIMARY KEY (bot_id, model),
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_transcript_chunks_bot_id ON transcript_chunks(bot_id);
+        CREATE INDEX IF NOT EXISTS idx_chunk_embeddings_model ON chunk_embeddings(model);
+    `);
+
+    // Create full-text caption search tables: every caption of a bot, an FTS5
+    // index over them kept in sync by triggers (content table, so deleting a
+    // bot's captions, or the bot, removes them from the index too) and the
+    // indexed bots with what search filters on (see utils/caption-search)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS captions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bot_id TEXT NOT NULL,
+            caption_index INTEGER NOT NULL,
+            speaker TEXT NOT NULL,
+            text TEXT NOT NULL,
+            offset_seconds REAL NOT NULL,
+            timestamp_ms INTEGER,
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS captions_fts USING fts5(
+            speaker,
+            text,
+            content = 'captions',
+            content_rowid = 'id',
+            tokenize = 'unicode61 remove_diacritics 2'
+        )
+    `);
+
+    db.exec(`
+        CREATE TRIGGER IF NOT EXISTS captions_fts_insert AFTER INSERT ON captions BEGIN
+            INSERT INTO captions_fts (rowid, speaker, text) VALUES (new.id, new.speaker, new.text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS captions_fts_delete AFTER DELETE ON captions BEGIN
+            INSERT INTO captions_fts (captions_fts, rowid, speaker, text) VALUES ('delete', old.id, old.speaker, old.text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS captions_fts_update AFTER UPDATE ON captions BEGIN
+            INSERT INTO captions_fts (captions_fts, rowid, speaker, text) VALUES ('delete', old.id, old.speaker, old.text);
+            INSERT INTO captions_fts (rowid, speaker, text) VALUES (new.id, new.speaker, new.text);
+        END;
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS caption_index_bots (
+            bot_id TEXT PRIMARY KEY,
+            meeting_start INTEGER NOT NULL,
+            meeting_type TEXT,
+            language TEXT,
+            captions INTEGER NOT NULL,
+            indexed_at INTEGER NOT NULL,
+            FOREIGN KEY (bot_id) REFERENCES bots(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_captions_bot_id ON captions(bot_id);
+        CREATE INDEX IF NOT EXISTS idx_caption_index_bots_meeting_start ON caption_index_bots(meeting_start);
+    `);
+
     console.log('✅ Database initialized successfully');
 }
 
@@ -249,13 +656,28 @@ const userOps = {
 const botOps = {
     /**
      * Create a new bot
+     * Pass a schedule ({ joinAt, recurrence, timezone, seriesId }) to create it
+     * as 'scheduled' instead of 'queued', and an organization ID to share it
+     * with the organization's members
      */
-    create: (id, userId, meetUrl, title = null) => {
+    create: (id, userId, meetUrl, title = null, schedule = null, organizationId = null) => {
         const stmt = db.prepare(`
-            INSERT INTO bots (id, user_id, meet_url, title, status, created_at)
-            VALUES (?, ?, ?, ?, 'queued', ?)
+            INSERT INTO bots (id, user_id, meet_url, title, status, created_at, join_at, recurrence, schedule_timezone, series_id, organization_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        stmt.run(id, userId, meetUrl, title, Date.now());
+        stmt.run(
+            id,
+            userId,
+            meetUrl,
+            title,
+            schedule ? 'scheduled' : 'queued',
+            Date.now(),
+            schedule ? schedule.joinAt : null,
+            schedule ? schedule.recurrence || null : null,
+            schedule ? schedule.timezone || null : null,
+            schedule ? schedule.seriesId || null : null,
+            organizationId
+        );
     },
 
     /**
@@ -282,6 +704,55 @@ const botOps = {
         return stmt.all(userId);
     },
 
+    /**
+     * Get the bots a user can see: their own plus those of their organizations.
+     * Pass an organization ID to only get that organization's bots
+     */
+    findAccessibleByUser: (userId, organizationId = null) => {
+        if (organizationId) {
+            const stmt = db.prepare(`
+                SELECT b.* FROM bots b
+                JOIN organization_members m ON m.organization_id = b.organization_id AND m.user_id = ?
+                WHERE b.organization_id = ?
+                ORDER BY b.created_at DESC
+            `);
+            return stmt.all(userId, organizationId);
+        }
+        const stmt = db.prepare(`
+            SELECT * FROM bots
+            WHERE user_id = ?
+               OR organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = ?)
+            ORDER BY created_at DESC
+        `);
+        return stmt.all(userId, userId);
+    },
+
+    /**
+     * Get finished bots with artifacts not purged yet, with the retention
+     * settings of their organization (org_retention_*) and owner (user_retention_*).
+     * Pass a user ID to only get the bots that user can see
+     */
+    findRetentionCandidates: (userId = null) => {
+        const stmt = db.prepare(`
+            SELECT b.*,
+                o.retention_video_days AS org_retention_video_days,
+                o.retention_transcript_days AS org_retention_transcript_days,
+                o.retention_summary_days AS org_retention_summary_days,
+                c.retention_video_days AS user_retention_video_days,
+                c.retention_transcript_days AS user_retention_transcript_days,
+                c.retention_summary_days AS user_retention_summary_days
+            FROM bots b
+            LEFT JOIN organizations o ON o.id = b.organization_id
+            LEFT JOIN user_configurations c ON c.user_id = b.user_id
+            WHERE b.status IN ('completed', 'failed', 'cancelled')
+              AND (b.video_deleted_at IS NULL OR b.transcript_deleted_at IS NULL OR b.summary_deleted_at IS NULL)
+              AND (? IS NULL OR b.user_id = ?
+                   OR b.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = ?))
+            ORDER BY COALESCE(b.ended_at, b.created_at) ASC
+        `);
+        return stmt.all(userId, userId, userId);
+    },
+
     /**
      * Get all bots
      */
@@ -290,6 +761,14 @@ const botOps = {
         return stmt.all();
     },
 
+    /**
+     * Get the IDs and wrapped data keys of bots with encrypted artifacts
+     */
+    findEncryptionKeys: () => {
+        const stmt = db.prepare('SELECT id, encryption_key FROM bots WHERE encryption_key IS NOT NULL');
+        return stmt.all();
+    },
+
     /**
      * Update bot status
      */
@@ -302,7 +781,7 @@ const botOps = {
                 UPDATE bots SET status = ?, started_at = ? WHERE id = ?
             `);
             stmt.run(status, now, id);
-        } else if (status === 'completed' || status === 'failed') {
+        } else if (status === 'completed' || status === 'failed' || status === 'cancelled') {
             stmt = db.prepare(`
                 UPDATE bots SET status = ?, ended_at = ?, error = ? WHERE id = ?
             `);
@@ -315,6 +794,105 @@ const botOps = {
         }
     },
 
+    /**
+     * Get all queued bots in FIFO order (oldest first).
+     * Scheduled bots enter the queue at their join time, not their creation time.
+     */
+    findQueued: () => {
+        const stmt = db.prepare(`
+            SELECT * FROM bots WHERE status = 'queued'
+            ORDER BY COALESCE(join_at, created_at) ASC, rowid ASC
+        `);
+        return stmt.all();
+    },
+
+    /**
+     * Get the next queued bot to start (oldest first)
+     */
+    findNextQueued: () => {
+        const stmt = db.prepare(`
+            SELECT * FROM bots WHERE status = 'queued'
+            ORDER BY COALESCE(join_at, created_at) ASC, rowid ASC LIMIT 1
+        `);
+        return stmt.get();
+    },
+
+    /**
+     * Count queued bots
+     */
+    countQueued: () => {
+        const stmt = db.prepare(`SELECT COUNT(*) as count FROM bots WHERE status = 'queued'`);
+        return stmt.get().count;
+    },
+
+    /**
+     * Get 1-based queue position of a bot, or null if it is not queued
+     */
+    getQueuePosition: (id) => {
+        const stmt = db.prepare(`
+            SELECT COUNT(*) as position
+            FROM bots b
+            JOIN bots q ON q.status = 'queued'
+                AND (COALESCE(q.join_at, q.created_at) < COALESCE(b.join_at, b.created_at)
+                    OR (COALESCE(q.join_at, q.created_at) = COALESCE(b.join_at, b.created_at) AND q.rowid <= b.rowid))
+            WHERE b.id = ? AND b.status = 'queued'
+        `);
+        const result = stmt.get(id);
+        return result && result.position > 0 ? result.position : null;
+    },
+
+    /**
+     * Get scheduled bots whose join time is at or before the given timestamp
+     */
+    findDueScheduled: (beforeTs) => {
+        const stmt = db.prepare(`
+            SELECT * FROM bots WHERE status = 'scheduled' AND join_at <= ?
+            ORDER BY join_at ASC, rowid ASC
+        `);
+        return stmt.all(beforeTs);
+    },
+
+    /**
+     * Get a user's scheduled bots (soonest first)
+     */
+    findScheduledByUserId: (userId) => {
+        const stmt = db.prepare(`
+            SELECT * FROM bots WHERE user_id = ? AND status = 'scheduled'
+            ORDER BY join_at ASC
+        `);
+        return stmt.all(userId);
+    },
+
+    /**
+     * Find the scheduled occurrence of a recurring series at or after a join time
+     */
+    findScheduledInSeries: (seriesId, joinAt) => {
+        const stmt = db.prepare(`
+            SELECT * FROM bots WHERE series_id = ? AND status = 'scheduled' AND join_at >= ?
+            ORDER BY join_at ASC LIMIT 1
+        `);
+        return stmt.get(seriesId, joinAt);
+    },
+
+    /**
+     * Count scheduled bots
+     */
+    countScheduled: () => {
+        const stmt = db.prepare(`SELECT COUNT(*) as count FROM bots WHERE status = 'scheduled'`);
+        return stmt.get().count;
+    },
+
+    /**
+     * Move a scheduled bot into the launch queue.
+     * Returns false if the bot is no longer scheduled (e.g. cancelled meanwhile).
+     */
+    admitScheduled: (id) => {
+        const stmt = db.prepare(`
+            UPDATE bots SET status = 'queued' WHERE id = ? AND status = 'scheduled'
+        `);
+        return stmt.run(id).changes > 0;
+    },
+
     /**
      * Update bot
      */
@@ -344,11 +922,13 @@ const botOps = {
         let query = `
             SELECT 
                 COUNT(*) as total,
+                SUM(CASE WHEN status = 'scheduled' THEN 1 ELSE 0 END) as scheduled,
                 SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
                 SUM(CASE WHEN status = 'starting' THEN 1 ELSE 0 END) as starting,
                 SUM(CASE WHEN status = 'recording' THEN 1 ELSE 0 END) as recording,
                 SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
-                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled
             FROM bots
         `;
         
@@ -536,11 +1116,1221 @@ const configOps = {
     },
 
     /**
-     * Delete user configuration
+     * Set (or clear with null) the user's storage provider and its settings
      */
-    delete: (userId) => {
-        const stmt = db.prepare('DELETE FROM user_configurations WHERE user_id = ?');
-        stmt.run(userId);
+    setStorage: (userId, provider, settings = null) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO user_configurations (user_id, storage_provider, storage_config, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                storage_provider = excluded.storage_provider,
+                storage_config = excluded.storage_config,
+                updated_at = excluded.updated_at
+        `);
+        stmt.run(userId, provider, provider ? JSON.stringify(settings || {}) : null, now, now);
+    },
+
+    /**
+     * Set (or clear with null) the user's LLM provider and its settings
+     */
+    setLlm: (userId, provider, settings = null) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO user_configurations (user_id, llm_provider, llm_config, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                llm_provider = excluded.llm_provider,
+                llm_config = excluded.llm_config,
+                updated_at = excluded.updated_at
+        `);
+        stmt.run(userId, provider, provider ? JSON.stringify(settings || {}) : null, now, now);
+    },
+
+    /**
+     * Set the user's retention days (null = server default, 0 = forever)
+     * @param {Object} days - { video, transcript, summary }
+     */
+    setRetention: (userId, days) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO user_configurations (user_id, retention_video_days, retention_transcript_days, retention_summary_days, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                retention_video_days = excluded.retention_video_days,
+                retention_transcript_days = excluded.retention_transcript_days,
+                retention_summary_days = excluded.retention_summary_days,
+                updated_at = excluded.updated_at
+        `);
+        stmt.run(userId, days.video ?? null, days.transcript ?? null, days.summary ?? null, now, now);
+    },
+
+    /**
+     * Get the IDs of users with their own storage of a provider
+     */
+    findUserIdsByStorageProvider: (provider) => {
+        const stmt = db.prepare('SELECT user_id FROM user_configurations WHERE storage_provider = ?');
+        return stmt.all(provider).map(row => row.user_id);
+    },
+
+    /**
+     * Delete user configuration
+     */
+    delete: (userId) => {
+        const stmt = db.prepare('DELETE FROM user_configurations WHERE user_id = ?');
+        stmt.run(userId);
+    }
+};
+
+/**
+ * Calendar operations (ICS feed settings and event-to-bot mappings)
+ */
+const calendarOps = {
+    /**
+     * Get users with a registered calendar feed
+     */
+    getFeeds: () => {
+        const stmt = db.prepare(`
+            SELECT user_id, calendar_feed_url, calendar_synced_at, calendar_sync_error
+            FROM user_configurations WHERE calendar_feed_url IS NOT NULL AND calendar_feed_url != ''
+        `);
+        return stmt.all();
+    },
+
+    /**
+     * Set (or clear with null) a user's calendar feed URL
+     */
+    setFeedUrl: (userId, url) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO user_configurations (user_id, calendar_feed_url, created_at, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                calendar_feed_url = excluded.calendar_feed_url,
+                calendar_synced_at = NULL,
+                calendar_sync_error = NULL,
+                updated_at = excluded.updated_at
+        `);
+        stmt.run(userId, url, now, now);
+    },
+
+    /**
+     * Record the result of a feed sync
+     */
+    setSyncResult: (userId, error = null) => {
+        const stmt = db.prepare(`
+            UPDATE user_configurations SET calendar_synced_at = ?, calendar_sync_error = ? WHERE user_id = ?
+        `);
+        stmt.run(Date.now(), error, userId);
+    },
+
+    /**
+     * Find the mapping for an event occurrence
+     */
+    findMapping: (userId, eventUid, occurrenceStart) => {
+        const stmt = db.prepare(`
+            SELECT * FROM calendar_event_bots WHERE user_id = ? AND event_uid = ? AND occurrence_start = ?
+        `);
+        return stmt.get(userId, eventUid, occurrenceStart);
+    },
+
+    /**
+     * Get a user's mappings whose meeting has not ended yet, optionally for one source
+     */
+    findUpcoming: (userId, source = null, now = Date.now()) => {
+        if (source) {
+            const stmt = db.prepare(`
+                SELECT * FROM calendar_event_bots
+                WHERE user_id = ? AND source = ? AND COALESCE(end_at, start_at) > ?
+                ORDER BY start_at ASC
+            `);
+            return stmt.all(userId, source, now);
+        }
+        const stmt = db.prepare(`
+            SELECT * FROM calendar_event_bots
+            WHERE user_id = ? AND COALESCE(end_at, start_at) > ?
+            ORDER BY start_at ASC
+        `);
+        return stmt.all(userId, now);
+    },
+
+    /**
+     * Create a mapping
+     */
+    createMapping: (mapping) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO calendar_event_bots (
+                user_id, source, event_uid, occurrence_start, bot_id, title, meet_url,
+                start_at, end_at, sequence, status, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            mapping.userId,
+            mapping.source,
+            mapping.eventUid,
+            mapping.occurrenceStart,
+            mapping.botId || null,
+            mapping.title || null,
+            mapping.meetUrl || null,
+            mapping.startAt,
+            mapping.endAt || null,
+            mapping.sequence || 0,
+            mapping.status || 'scheduled',
+            now,
+            now
+        );
+    },
+
+    /**
+     * Update a mapping
+     */
+    updateMapping: (id, updates) => {
+        const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+        const values = Object.values(updates);
+        values.push(Date.now()); // updated_at
+        values.push(id);
+
+        const stmt = db.prepare(`
+            UPDATE calendar_event_bots SET ${fields}, updated_at = ? WHERE id = ?
+        `);
+        stmt.run(...values);
+    }
+};
+
+/**
+ * Webhook delivery operations (retry queue and delivery log)
+ */
+const webhookOps = {
+    /**
+     * Get a user's webhook signing secret, creating one if missing
+     */
+    getOrCreateSecret: (userId) => {
+        const config = configOps.getByUserId(userId);
+        if (config && config.webhook_secret) return config.webhook_secret;
+        return webhookOps.rotateSecret(userId);
+    },
+
+    /**
+     * Replace a user's webhook signing secret
+     */
+    rotateSecret: (userId) => {
+        const now = Date.now();
+        const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        const stmt = db.prepare(`
+            INSERT INTO user_configurations (user_id, webhook_secret, created_at, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                webhook_secret = excluded.webhook_secret,
+                updated_at = excluded.updated_at
+        `);
+        stmt.run(userId, secret, now, now);
+        return secret;
+    },
+
+    /**
+     * Create an endpoint
+     */
+    createEndpoint: (endpoint) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO webhook_endpoints (id, user_id, url, description, events, enabled, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            endpoint.id,
+            endpoint.userId,
+            endpoint.url,
+            endpoint.description || null,
+            JSON.stringify(endpoint.events || ['*']),
+            endpoint.enabled === false ? 0 : 1,
+            now,
+            now
+        );
+        return webhookOps.findEndpointById(endpoint.id);
+    },
+
+    /**
+     * Find endpoint by ID
+     */
+    findEndpointById: (id) => {
+        const stmt = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Find a user's endpoint by ID
+     */
+    findEndpointByIdAndUser: (id, userId) => {
+        const stmt = db.prepare('SELECT * FROM webhook_endpoints WHERE id = ? AND user_id = ?');
+        return stmt.get(id, userId);
+    },
+
+    /**
+     * Get a user's endpoints
+     */
+    findEndpointsByUserId: (userId) => {
+        const stmt = db.prepare('SELECT * FROM webhook_endpoints WHERE user_id = ? ORDER BY created_at ASC');
+        return stmt.all(userId);
+    },
+
+    /**
+     * Update an endpoint (url, description, events, enabled)
+     */
+    updateEndpoint: (id, updates) => {
+        const values = { ...updates };
+        if (values.events !== undefined) values.events = JSON.stringify(values.events);
+        if (values.enabled !== undefined) values.enabled = values.enabled ? 1 : 0;
+
+        const fields = Object.keys(values).map(key => `${key} = ?`).join(', ');
+        const params = Object.values(values);
+        params.push(Date.now()); // updated_at
+        params.push(id);
+
+        const stmt = db.prepare(`
+            UPDATE webhook_endpoints SET ${fields}, updated_at = ? WHERE id = ?
+        `);
+        stmt.run(...params);
+        return webhookOps.findEndpointById(id);
+    },
+
+    /**
+     * Delete an endpoint (its past deliveries stay in the log)
+     */
+    deleteEndpoint: (id) => {
+        const stmt = db.prepare('DELETE FROM webhook_endpoints WHERE id = ?');
+        stmt.run(id);
+    },
+
+    /**
+     * Create a delivery
+     */
+    createDelivery: (delivery) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO webhook_deliveries (
+                id, user_id, bot_id, endpoint_id, event, url, payload, status, attempts,
+                next_attempt_at, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+        `);
+        stmt.run(
+            delivery.id,
+            delivery.userId || null,
+            delivery.botId || null,
+            delivery.endpointId || null,
+            delivery.event,
+            delivery.url,
+            delivery.payload,
+            delivery.nextAttemptAt || now,
+            now,
+            now
+        );
+    },
+
+    /**
+     * Find delivery by ID
+     */
+    findDeliveryById: (id) => {
+        const stmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Find a user's delivery by ID
+     */
+    findDeliveryByIdAndUser: (id, userId) => {
+        const stmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND user_id = ?');
+        return stmt.get(id, userId);
+    },
+
+    /**
+     * List a user's deliveries, newest first, optionally filtered by status, event and endpoint
+     */
+    findDeliveriesByUserId: (userId, { status = null, event = null, endpointId = null, limit = 50, offset = 0 } = {}) => {
+        const conditions = ['user_id = ?'];
+        const values = [userId];
+        if (status) {
+            conditions.push('status = ?');
+            values.push(status);
+        }
+        if (event) {
+            conditions.push('event = ?');
+            values.push(event);
+        }
+        if (endpointId) {
+            conditions.push('endpoint_id = ?');
+            values.push(endpointId);
+        }
+        const stmt = db.prepare(`
+            SELECT * FROM webhook_deliveries WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC LIMIT ? OFFSET ?
+        `);
+        return stmt.all(...values, limit, offset);
+    },
+
+    /**
+     * Get pending deliveries that are due for an attempt
+     */
+    findDueDeliveries: (now = Date.now(), limit = 20) => {
+        const stmt = db.prepare(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at ASC LIMIT ?
+        `);
+        return stmt.all(now, limit);
+    },
+
+    /**
+     * Claim a due delivery by pushing its next attempt to leaseUntil.
+     * Returns false if it was already claimed or is no longer pending.
+     */
+    claimDelivery: (id, leaseUntil, now = Date.now()) => {
+        const stmt = db.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = ?, updated_at = ?
+            WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+        `);
+        return stmt.run(leaseUntil, now, id, now).changes > 0;
+    },
+
+    /**
+     * Record an attempt and the resulting delivery state
+     * @param {string} id - Delivery ID
+     * @param {Object} attempt - { attempt, statusCode, error, responseLength, durationMs }
+     * @param {Object} state - { status, nextAttemptAt }
+     */
+    recordAttempt: (id, attempt, state) => {
+        const now = Date.now();
+        const insert = db.prepare(`
+            INSERT INTO webhook_delivery_attempts (
+                delivery_id, attempt, status_code, error, response_length, duration_ms, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const update = db.prepare(`
+            UPDATE webhook_deliveries SET
+                status = ?,
+                attempts = ?,
+                next_attempt_at = ?,
+                last_status_code = ?,
+                last_error = ?,
+                delivered_at = ?,
+                updated_at = ?
+            WHERE id = ?
+        `);
+        db.transaction(() => {
+            insert.run(
+                id,
+                attempt.attempt,
+                attempt.statusCode || null,
+                attempt.error || null,
+                attempt.responseLength ?? null,
+                attempt.durationMs || null,
+                now
+            );
+            update.run(
+                state.status,
+                attempt.attempt,
+                state.nextAttemptAt || null,
+                attempt.statusCode || null,
+                attempt.error || null,
+                state.status === 'delivered' ? now : null,
+                now,
+                id
+            );
+        })();
+    },
+
+    /**
+     * Get the attempt log of a delivery
+     */
+    getAttempts: (deliveryId) => {
+        const stmt = db.prepare(`
+            SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY attempt ASC, id ASC
+        `);
+        return stmt.all(deliveryId);
+    },
+
+    /**
+     * Put a failed delivery back in the queue for an immediate attempt
+     */
+    requeueDelivery: (id) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ?
+            WHERE id = ? AND status = 'failed'
+        `);
+        return stmt.run(now, now, id).changes > 0;
+    },
+
+    /**
+     * Count a user's deliveries by status
+     */
+    countByStatus: (userId) => {
+        const stmt = db.prepare(`
+            SELECT status, COUNT(*) as count FROM webhook_deliveries WHERE user_id = ? GROUP BY status
+        `);
+        return stmt.all(userId).reduce((counts, row) => ({ ...counts, [row.status]: row.count }), {});
+    },
+
+    /**
+     * Delete finished deliveries (and their attempts) older than a timestamp
+     */
+    pruneDeliveries: (beforeTs) => {
+        const stmt = db.prepare(`
+            DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?
+        `);
+        return stmt.run(beforeTs).changes;
+    }
+};
+
+/**
+ * Post-processing job operations
+ */
+const jobOps = {
+    /**
+     * Create a bot's jobs at once
+     * @param {Array<Object>} jobs - { id, botId, type, dependsOn, payload, maxAttempts }
+     */
+    createJobs: (jobs) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            INSERT INTO post_processing_jobs (
+                id, bot_id, type, status, depends_on, payload, attempts, max_attempts,
+                next_attempt_at, created_at, updated_at
+            ) VALUES (?, ?, ?, 'pending', ?, ?, 0, ?, ?, ?, ?)
+        `);
+        db.transaction(() => {
+            for (const job of jobs) {
+                stmt.run(
+                    job.id,
+                    job.botId,
+                    job.type,
+                    JSON.stringify(job.dependsOn || []),
+                    JSON.stringify(job.payload || {}),
+                    job.maxAttempts || 3,
+                    now,
+                    now,
+                    now
+                );
+            }
+        })();
+    },
+
+    /**
+     * Find job by ID
+     */
+    findById: (id) => {
+        const stmt = db.prepare('SELECT * FROM post_processing_jobs WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Get a bot's jobs in the order they were created
+     */
+    findByBotId: (botId) => {
+        const stmt = db.prepare('SELECT * FROM post_processing_jobs WHERE bot_id = ? ORDER BY created_at ASC, rowid ASC');
+        return stmt.all(botId);
+    },
+
+    /**
+     * Get pending jobs that are due and whose dependencies have all finished
+     * (completed or failed)
+     */
+    findDueJobs: (now = Date.now(), limit = 20) => {
+        const stmt = db.prepare(`
+            SELECT * FROM post_processing_jobs AS job
+            WHERE job.status = 'pending' AND job.next_attempt_at <= ?
+            AND NOT EXISTS (
+                SELECT 1 FROM json_each(job.depends_on) AS dep
+                JOIN post_processing_jobs AS dependency ON dependency.id = dep.value
+                WHERE dependency.status IN ('pending', 'running')
+            )
+            ORDER BY job.created_at ASC, job.rowid ASC LIMIT ?
+        `);
+        return stmt.all(now, limit);
+    },
+
+    /**
+     * Claim a due job for an attempt. Returns false if it is no longer pending.
+     */
+    claimJob: (id) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            UPDATE post_processing_jobs SET
+                status = 'running', attempts = attempts + 1, started_at = ?, finished_at = NULL, updated_at = ?
+            WHERE id = ? AND status = 'pending'
+        `);
+        return stmt.run(now, now, id).changes > 0;
+    },
+
+    /**
+     * Record the outcome of an attempt
+     * @param {string} id - Job ID
+     * @param {Object} state - { status, result, error, nextAttemptAt }
+     */
+    finishJob: (id, state) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            UPDATE post_processing_jobs SET
+                status = ?,
+                result = COALESCE(?, result),
+                last_error = ?,
+                next_attempt_at = COALESCE(?, next_attempt_at),
+                finished_at = ?,
+                updated_at = ?
+            WHERE id = ?
+        `);
+        stmt.run(
+            state.status,
+            state.result === undefined ? null : JSON.stringify(state.result),
+            state.error || null,
+            state.nextAttemptAt || null,
+            state.status === 'pending' ? null : now,
+            now,
+            id
+        );
+    },
+
+    /**
+     * Append a line to a job's log
+     */
+    addLog: (jobId, attempt, level, message) => {
+        const stmt = db.prepare(`
+            INSERT INTO post_processing_job_logs (job_id, attempt, level, message, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        stmt.run(jobId, attempt, level, String(message).slice(0, 2000), Date.now());
+    },
+
+    /**
+     * Get the logs of a bot's jobs, oldest first
+     */
+    getLogsByBotId: (botId) => {
+        const stmt = db.prepare(`
+            SELECT log.* FROM post_processing_job_logs AS log
+            JOIN post_processing_jobs AS job ON job.id = log.job_id
+            WHERE job.bot_id = ? ORDER BY log.id ASC
+        `);
+        return stmt.all(botId);
+    },
+
+    /**
+     * Put jobs left running by a stopped server back in the queue
+     */
+    requeueRunning: () => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            UPDATE post_processing_jobs SET status = 'pending', next_attempt_at = ?, updated_at = ?
+            WHERE status = 'running'
+        `);
+        return stmt.run(now, now).changes;
+    },
+
+    /**
+     * Put a bot's failed jobs back in the queue with a fresh set of attempts,
+     * along with the finished jobs that depend on them (directly or not)
+     */
+    requeueFailed: (botId) => {
+        const now = Date.now();
+        const stmt = db.prepare(`
+            WITH RECURSIVE affected(id) AS (
+                SELECT id FROM post_processing_jobs WHERE bot_id = ? AND status = 'failed'
+                UNION
+                SELECT job.id FROM post_processing_jobs AS job, json_each(job.depends_on) AS dep
+                JOIN affected ON affected.id = dep.value
+                WHERE job.bot_id = ?
+            )
+            UPDATE post_processing_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, finished_at = NULL, updated_at = ?
+            WHERE id IN (SELECT id FROM affected) AND status != 'running'
+        `);
+        return stmt.run(botId, botId, now, now).changes;
+    }
+};
+
+/**
+ * Semantic search index operations (transcript chunks and their vectors)
+ */
+const searchOps = {
+    /**
+     * Replace a bot's chunks and vectors
+     * @param {Array<Array<Object>>} chunks - Utterances of each chunk
+     * @param {Object} vectorsByModel - { model: [Buffer per chunk] }
+     */
+    saveBotIndex: (botId, chunks, vectorsByModel) => {
+        const now = Date.now();
+        const insertChunk = db.prepare(`
+            INSERT INTO transcript_chunks (bot_id, chunk_index, utterances, created_at) VALUES (?, ?, ?, ?)
+        `);
+        const insertVector = db.prepare('INSERT INTO chunk_embeddings (chunk_id, model, vector) VALUES (?, ?, ?)');
+        const insertState = db.prepare('INSERT INTO search_index_state (bot_id, model, chunks, indexed_at) VALUES (?, ?, ?, ?)');
+        db.transaction(() => {
+            db.prepare('DELETE FROM transcript_chunks WHERE bot_id = ?').run(botId);
+            db.prepare('DELETE FROM search_index_state WHERE bot_id = ?').run(botId);
+            chunks.forEach((utterances, index) => {
+                const chunkId = insertChunk.run(botId, index, JSON.stringify(utterances), now).lastInsertRowid;
+                for (const [model, vectors] of Object.entries(vectorsByModel)) {
+                    insertVector.run(chunkId, model, vectors[index]);
+                }
+            });
+            for (const model of Object.keys(vectorsByModel)) {
+                insertState.run(botId, model, chunks.length, now);
+            }
+        })();
+    },
+
+    /**
+     * Remove a bot from the index (its transcript was deleted)
+     */
+    deleteBotIndex: (botId) => {
+        db.transaction(() => {
+            db.prepare('DELETE FROM transcript_chunks WHERE bot_id = ?').run(botId);
+            db.prepare('DELETE FROM search_index_state WHERE bot_id = ?').run(botId);
+        })();
+    },
+
+    /**
+     * Get the IDs of finished bots with a transcript not indexed with a model yet, newest first
+     */
+    findUnindexedBotIds: (model) => {
+        const stmt = db.prepare(`
+            SELECT b.id FROM bots b
+            WHERE b.status IN ('completed', 'failed', 'cancelled')
+              AND b.transcript_deleted_at IS NULL
+              AND NOT EXISTS (SELECT 1 FROM search_index_state s WHERE s.bot_id = b.id AND s.model = ?)
+            ORDER BY b.created_at DESC
+        `);
+        return stmt.all(model).map(row => row.id);
+    },
+
+    /**
+     * Remove every bot from the index
+     * @returns {number} Chunks deleted
+     */
+    clearIndex: () => {
+        return db.transaction(() => {
+            const deleted = db.prepare('DELETE FROM transcript_chunks').run().changes;
+            db.prepare('DELETE FROM search_index_state').run();
+            return deleted;
+        })();
+    },
+
+    /**
+     * Iterate over the chunks a user can see (own bots and those of their
+     * organizations) with their vectors for some models (one row per chunk
+     * and model) and their bot's details
+     */
+    iterateChunksForUser: (userId, models) => {
+        const stmt = db.prepare(`
+            SELECT c.id, c.bot_id, c.chunk_index, c.utterances, e.model, e.vector,
+                b.title, b.meet_url, b.status, b.created_at, b.started_at, b.ended_at
+            FROM chunk_embeddings e
+            JOIN transcript_chunks c ON c.id = e.chunk_id
+            JOIN bots b ON b.id = c.bot_id
+            WHERE e.model IN (${models.map(() => '?').join(', ')})
+              AND (b.user_id = ? OR b.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = ?))
+        `);
+        return stmt.iterate(...models, userId, userId);
+    }
+};
+
+/**
+ * Full-text caption search operations (captions and their FTS5 index)
+ */
+const captionSearchOps = {
+    /**
+     * Replace a bot's captions
+     * @param {Array<Object>} captions - { speaker, text, offsetSeconds, timestampMs }
+     * @param {Object} meeting - { meetingStart (ms), meetingType, language }
+     */
+    saveBotCaptions: (botId, captions, meeting) => {
+        const insertCaption = db.prepare(`
+            INSERT INTO captions (bot_id, caption_index, speaker, text, offset_seconds, timestamp_ms)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        db.transaction(() => {
+            db.prepare('DELETE FROM captions WHERE bot_id = ?').run(botId);
+            captions.forEach((caption, index) => {
+                insertCaption.run(botId, index, caption.speaker, caption.text, caption.offsetSeconds, caption.timestampMs || null);
+            });
+            db.prepare(`
+                INSERT INTO caption_index_bots (bot_id, meeting_start, meeting_type, language, captions, indexed_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(bot_id) DO UPDATE SET
+                    meeting_start = excluded.meeting_start,
+                    meeting_type = excluded.meeting_type,
+                    language = excluded.language,
+                    captions = excluded.captions,
+                    indexed_at = excluded.indexed_at
+            `).run(botId, meeting.meetingStart, meeting.meetingType || null, meeting.language || null, captions.length, Date.now());
+        })();
+    },
+
+    /**
+     * Remove a bot's captions (its transcript was deleted)
+     */
+    deleteBotCaptions: (botId) => {
+        db.transaction(() => {
+            db.prepare('DELETE FROM captions WHERE bot_id = ?').run(botId);
+            db.prepare('DELETE FROM caption_index_bots WHERE bot_id = ?').run(botId);
+        })();
+    },
+
+    /**
+     * Remove every caption from the index
+     * @returns {number} Captions deleted
+     */
+    clearIndex: () => {
+        return db.transaction(() => {
+            const deleted = db.prepare('DELETE FROM captions').run().changes;
+            db.prepare('DELETE FROM caption_index_bots').run();
+            return deleted;
+        })();
+    },
+
+    /**
+     * Get the IDs of the bots whose captions are indexed
+     */
+    findIndexedBotIds: () => {
+        return db.prepare('SELECT bot_id FROM caption_index_bots').all().map(row => row.bot_id);
+    },
+
+    /**
+     * Search the captions a user can see (own bots and those of their organizations)
+     * @param {Object} search - { userId, query (FTS5 syntax), from, to (ms, meeting start),
+     *   speaker (part of the name), meetingType, language, sort ('relevance'|'date'), limit, offset }
+     * @returns {{rows: Array<Object>, total: number}} rows with snippet (matches between \u0002 and \u0003)
+     */
+    search: (search) => {
+        const where = `
+            WHERE captions_fts MATCH @query
+              AND (b.user_id = @userId OR b.organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = @userId))
+              AND (@from IS NULL OR m.meeting_start >= @from)
+              AND (@to IS NULL OR m.meeting_start < @to)
+              AND (@speaker IS NULL OR instr(lower(c.speaker), lower(@speaker)) > 0)
+              AND (@meetingType IS NULL OR m.meeting_type = @meetingType)
+              AND (@language IS NULL OR lower(m.language) = lower(@language))
+        `;
+        const from = `
+            FROM captions_fts f
+            JOIN captions c ON c.id = f.rowid
+            JOIN caption_index_bots m ON m.bot_id = c.bot_id
+            JOIN bots b ON b.id = c.bot_id
+        `;
+        const params = {
+            query: search.query,
+            userId: search.userId,
+            from: search.from ?? null,
+            to: search.to ?? null,
+            speaker: search.speaker || null,
+            meetingType: search.meetingType || null,
+            language: search.language || null
+        };
+        const orderBy = search.sort === 'date'
+            ? 'm.meeting_start DESC, c.caption_index ASC'
+            : 'bm25(captions_fts) ASC, m.meeting_start DESC';
+
+        const rows = db.prepare(`
+            SELECT c.id, c.bot_id, c.speaker, c.offset_seconds, c.timestamp_ms,
+                snippet(captions_fts, 1, char(2), char(3), '…', 32) AS snippet,
+                bm25(captions_fts) AS rank,
+                b.title, b.meet_url, m.meeting_start, m.meeting_type, m.language
+            ${from}
+            ${where}
+            ORDER BY ${orderBy}
+            LIMIT @limit OFFSET @offset
+        `).all({ ...params, limit: search.limit, offset: search.offset || 0 });
+        const { total } = db.prepare(`SELECT COUNT(*) AS total ${from} ${where}`).get(params);
+        return { rows, total };
+    }
+};
+
+/**
+ * Share link operations
+ */
+const shareLinkOps = {
+    /**
+     * Create a share link with a random token
+     */
+    create: (link) => {
+        const now = Date.now();
+        const token = crypto.randomBytes(24).toString('base64url');
+        const stmt = db.prepare(`
+            INSERT INTO share_links (id, token, bot_id, user_id, label, scopes, password_hash, expires_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            link.id,
+            token,
+            link.botId,
+            link.userId,
+            link.label || null,
+            JSON.stringify(link.scopes),
+            link.passwordHash || null,
+            link.expiresAt || null,
+            now,
+            now
+        );
+        return shareLinkOps.findById(link.id);
+    },
+
+    /**
+     * Find share link by ID
+     */
+    findById: (id) => {
+        const stmt = db.prepare('SELECT * FROM share_links WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Find a user's share link by ID
+     */
+    findByIdAndUser: (id, userId) => {
+        const stmt = db.prepare('SELECT * FROM share_links WHERE id = ? AND user_id = ?');
+        return stmt.get(id, userId);
+    },
+
+    /**
+     * Find share link by token
+     */
+    findByToken: (token) => {
+        const stmt = db.prepare('SELECT * FROM share_links WHERE token = ?');
+        return stmt.get(token);
+    },
+
+    /**
+     * Get the share links of a bot, newest first
+     */
+    findByBotId: (botId) => {
+        const stmt = db.prepare('SELECT * FROM share_links WHERE bot_id = ? ORDER BY created_at DESC');
+        return stmt.all(botId);
+    },
+
+    /**
+     * Find an active link of a bot with all scopes and no password, to reuse
+     * for one-click sharing
+     */
+    findDefaultForBot: (botId, scopes, now = Date.now()) => {
+        const stmt = db.prepare(`
+            SELECT * FROM share_links
+            WHERE bot_id = ? AND scopes = ? AND password_hash IS NULL AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC
+            LIMIT 1
+        `);
+        return stmt.get(botId, JSON.stringify(scopes), now);
+    },
+
+    /**
+     * Update a share link (label, scopes, password_hash, expires_at)
+     */
+    update: (id, updates) => {
+        const values = { ...updates };
+        if (values.scopes !== undefined) values.scopes = JSON.stringify(values.scopes);
+
+        const fields = Object.keys(values).map(key => `${key} = ?`).join(', ');
+        const params = Object.values(values);
+        params.push(Date.now()); // updated_at
+        params.push(id);
+
+        const stmt = db.prepare(`
+            UPDATE share_links SET ${fields}, updated_at = ? WHERE id = ?
+        `);
+        stmt.run(...params);
+        return shareLinkOps.findById(id);
+    },
+
+    /**
+     * Revoke a share link
+     */
+    revoke: (id) => {
+        const now = Date.now();
+        const stmt = db.prepare('UPDATE share_links SET revoked_at = COALESCE(revoked_at, ?), updated_at = ? WHERE id = ?');
+        stmt.run(now, now, id);
+        return shareLinkOps.findById(id);
+    },
+
+    /**
+     * Record an access to a share link
+     */
+    recordAccess: (id) => {
+        const stmt = db.prepare('UPDATE share_links SET access_count = access_count + 1, last_accessed_at = ? WHERE id = ?');
+        stmt.run(Date.now(), id);
+    }
+};
+
+/**
+ * API key operations
+ */
+const API_KEY_PREFIX = 'mbk_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const apiKeyOps = {
+    /**
+     * Create an API key. The plain key is only returned here.
+     * @returns {Object} Key row plus the plain `key`
+     */
+    create: (apiKey) => {
+        const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        const stmt = db.prepare(`
+            INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            apiKey.id,
+            apiKey.userId,
+            apiKey.name,
+            key.slice(0, API_KEY_PREFIX.length + 8),
+            hashApiKey(key),
+            JSON.stringify(apiKey.scopes),
+            Date.now()
+        );
+        return { ...apiKeyOps.findById(apiKey.id), key };
+    },
+
+    /**
+     * Find API key by ID
+     */
+    findById: (id) => {
+        const stmt = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Find a user's API key by ID
+     */
+    findByIdAndUser: (id, userId) => {
+        const stmt = db.prepare('SELECT * FROM api_keys WHERE id = ? AND user_id = ?');
+        return stmt.get(id, userId);
+    },
+
+    /**
+     * Find an API key by its plain value
+     */
+    findByKey: (key) => {
+        const stmt = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+        return stmt.get(hashApiKey(key));
+    },
+
+    /**
+     * Get a user's API keys, newest first
+     */
+    findByUserId: (userId) => {
+        const stmt = db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC');
+        return stmt.all(userId);
+    },
+
+    /**
+     * Record that a key was used
+     */
+    touch: (id) => {
+        const stmt = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+        stmt.run(Date.now(), id);
+    },
+
+    /**
+     * Revoke an API key
+     */
+    revoke: (id) => {
+        const stmt = db.prepare('UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?');
+        stmt.run(Date.now(), id);
+        return apiKeyOps.findById(id);
+    }
+};
+
+/**
+ * Organization operations (organizations, members and invites)
+ */
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const orgOps = {
+    /**
+     * Create an organization with its creator as owner
+     */
+    create: (org) => {
+        const now = Date.now();
+        db.transaction(() => {
+            db.prepare(`
+                INSERT INTO organizations (id, name, created_by, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(org.id, org.name, org.createdBy, now, now);
+            db.prepare(`
+                INSERT INTO organization_members (organization_id, user_id, role, created_at, updated_at)
+                VALUES (?, ?, 'owner', ?, ?)
+            `).run(org.id, org.createdBy, now, now);
+        })();
+        return orgOps.findById(org.id);
+    },
+
+    /**
+     * Find organization by ID
+     */
+    findById: (id) => {
+        const stmt = db.prepare('SELECT * FROM organizations WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Get the organizations a user belongs to, with their role
+     */
+    findByUserId: (userId) => {
+        const stmt = db.prepare(`
+            SELECT o.*, m.role,
+                   (SELECT COUNT(*) FROM organization_members WHERE organization_id = o.id) AS member_count
+            FROM organizations o
+            JOIN organization_members m ON m.organization_id = o.id
+            WHERE m.user_id = ?
+            ORDER BY o.name COLLATE NOCASE ASC
+        `);
+        return stmt.all(userId);
+    },
+
+    /**
+     * Update an organization (name and bot settings)
+     */
+    update: (id, updates) => {
+        const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+        const params = Object.values(updates);
+        params.push(Date.now()); // updated_at
+        params.push(id);
+
+        const stmt = db.prepare(`
+            UPDATE organizations SET ${fields}, updated_at = ? WHERE id = ?
+        `);
+        stmt.run(...params);
+        return orgOps.findById(id);
+    },
+
+    /**
+     * Delete an organization (its bots stay with their creators)
+     */
+    delete: (id) => {
+        const stmt = db.prepare('DELETE FROM organizations WHERE id = ?');
+        stmt.run(id);
+    },
+
+    /**
+     * Get a user's role in an organization
+     * @returns {string|null}
+     */
+    getMemberRole: (organizationId, userId) => {
+        const stmt = db.prepare('SELECT role FROM organization_members WHERE organization_id = ? AND user_id = ?');
+        const row = stmt.get(organizationId, userId);
+        return row ? row.role : null;
+    },
+
+    /**
+     * Get the members of an organization with their email
+     */
+    getMembers: (organizationId) => {
+        const stmt = db.prepare(`
+            SELECT m.*, u.email FROM organization_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.organization_id = ?
+            ORDER BY m.created_at ASC
+        `);
+        return stmt.all(organizationId);
+    },
+
+    /**
+     * Count the owners of an organization
+     */
+    countOwners: (organizationId) => {
+        const stmt = db.prepare(`SELECT COUNT(*) AS count FROM organization_members WHERE organization_id = ? AND role = 'owner'`);
+        return stmt.get(organizationId).count;
+    },
+
+    /**
+     * Change a member's role
+     */
+    updateMemberRole: (organizationId, userId, role) => {
+        const stmt = db.prepare('UPDATE organization_members SET role = ?, updated_at = ? WHERE organization_id = ? AND user_id = ?');
+        stmt.run(role, Date.now(), organizationId, userId);
+    },
+
+    /**
+     * Remove a member from an organization
+     */
+    removeMember: (organizationId, userId) => {
+        const stmt = db.prepare('DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?');
+        stmt.run(organizationId, userId);
+    },
+
+    /**
+     * Create an invite. The plain token is only returned here.
+     * @returns {Object} Invite row plus the plain `token`
+     */
+    createInvite: (invite) => {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const stmt = db.prepare(`
+            INSERT INTO organization_invites (id, organization_id, email, role, token_hash, invited_by, expires_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        stmt.run(
+            invite.id,
+            invite.organizationId,
+            invite.email,
+            invite.role,
+            hashInviteToken(token),
+            invite.invitedBy || null,
+            invite.expiresAt,
+            Date.now()
+        );
+        return { ...orgOps.findInviteById(invite.id), token };
+    },
+
+    /**
+     * Find invite by ID
+     */
+    findInviteById: (id) => {
+        const stmt = db.prepare('SELECT * FROM organization_invites WHERE id = ?');
+        return stmt.get(id);
+    },
+
+    /**
+     * Find an invite by its plain token
+     */
+    findInviteByToken: (token) => {
+        const stmt = db.prepare('SELECT * FROM organization_invites WHERE token_hash = ?');
+        return stmt.get(hashInviteToken(token));
+    },
+
+    /**
+     * Get the open (not accepted or revoked) invites of an organization
+     */
+    findOpenInvites: (organizationId) => {
+        const stmt = db.prepare(`
+            SELECT * FROM organization_invites
+            WHERE organization_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+            ORDER BY created_at DESC
+        `);
+        return stmt.all(organizationId);
+    },
+
+    /**
+     * Revoke an invite
+     */
+    revokeInvite: (id) => {
+        const stmt = db.prepare('UPDATE organization_invites SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?');
+        stmt.run(Date.now(), id);
+        return orgOps.findInviteById(id);
+    },
+
+    /**
+     * Accept an invite: mark it accepted and add (or update) the membership
+     * with the given role
+     */
+    acceptInvite: (inviteId, userId, role) => {
+        const now = Date.now();
+        db.transaction(() => {
+            const invite = orgOps.findInviteById(inviteId);
+            db.prepare('UPDATE organization_invites SET accepted_at = ?, accepted_by = ? WHERE id = ?').run(now, userId, inviteId);
+            db.prepare(`
+                INSERT INTO organization_members (organization_id, user_id, role, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (organization_id, user_id) DO UPDATE SET role = excluded.role, updated_at = excluded.updated_at
+            `).run(invite.organization_id, userId, role, now, now);
+        })();
+        return orgOps.findInviteById(inviteId);
     }
 };
 
@@ -549,6 +2339,15 @@ module.exports = {
     userOps,
     botOps,
     configOps,
+    calendarOps,
+    webhookOps,
+    jobOps,
+    searchOps,
+    captionSearchOps,
+    shareLinkOps,
+    apiKeyOps,
+    orgOps,
+    API_KEY_PREFIX,
     migrations,
     closeDatabase
 };
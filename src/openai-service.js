@@ -1,20 +1,16 @@
-const OpenAI = require('openai');
 const fs = require('fs-extra');
 const path = require('path');
 const { getCurrentTimestamp } = require('./utils/timezone');
 const { sendWebhook } = require('./utils/webhook');
 const { getCachedFile, invalidateCache } = require('./utils/file-cache');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY || ''
-});
+const { readArtifactJson } = require('./utils/encryption');
+const { getDefaultLlmConfig, getDefaultLlm, getBotLlm } = require('./utils/llm');
 
 /**
- * Check if OpenAI is configured
+ * Check if the server default LLM provider is configured
  */
 function isConfigured() {
-    return !!process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== '';
+    return getDefaultLlmConfig() !== null;
 }
 
 /**
@@ -266,7 +262,7 @@ function chunkTranscript(transcript, maxTokens = 6000, overlapTokens = 500) {
 /**
  * Generate summary for a chunk
  */
-async function summarizeChunk(chunk, chunkIndex, totalChunks, language = 'Spanish', customSummaryTemplate = null, meetingType = null) {
+async function summarizeChunk(llm, chunk, chunkIndex, totalChunks, language = 'Spanish', customSummaryTemplate = null, meetingType = null) {
     // Build meeting type context for prompt enrichment
     const meetingTypeContext = meetingType ? getMeetingTypeContext(meetingType) : '';
     
@@ -300,23 +296,23 @@ Format your analysis clearly with:
 Be thorough and comprehensive. Do not omit any information. Accuracy is more important than brevity.
 IMPORTANT: Respond in ${language} language.`;
 
-    const completion = await openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4o', // Use gpt-4o for better accuracy
+    const completion = await llm.chat({
+        model: llm.model || 'gpt-4o', // Use gpt-4o for better accuracy
         messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: `Analyze this transcript segment in detail:\n\n${chunk}` }
         ],
         temperature: 0.3, // Lower temperature for more deterministic, exact outputs
-        max_tokens: 3000 // Increased for comprehensive chunk summaries
+        maxTokens: 3000 // Increased for comprehensive chunk summaries
     });
 
-    return completion.choices[0].message.content;
+    return completion.content;
 }
 
 /**
  * Generate final summary from chunk summaries
  */
-async function generateFinalSummary(chunkSummaries, fullTranscript, language = 'Spanish', customSummaryTemplate = null, meetingType = null) {
+async function generateFinalSummary(llm, chunkSummaries, fullTranscript, language = 'Spanish', customSummaryTemplate = null, meetingType = null) {
     const combinedSummaries = chunkSummaries.join('\n\n--- CHUNK SEPARATOR ---\n\n');
     
     // Build meeting type context for prompt enrichment
@@ -334,25 +330,25 @@ ${defaultTemplate}
 
 IMPORTANT: Cross-reference information across chunks to ensure nothing is missed. This summary must be complete and exact. Double-check that you have included ALL information from all chunks. Respond in ${language} language.`;
 
-    const completion = await openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4o', // Use gpt-4o for better accuracy
+    const completion = await llm.chat({
+        model: llm.model || 'gpt-4o', // Use gpt-4o for better accuracy
         messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: `Synthesize ALL information from the chunk analyses below into a comprehensive, 100% accurate summary. Ensure nothing is omitted:\n\n${combinedSummaries}\n\n---\n\nAlso reference the full transcript context when needed:\n\n${fullTranscript.slice(0, 5000)}${fullTranscript.length > 5000 ? '\n\n[... transcript continues ...]' : ''}` }
         ],
         temperature: 0.3, // Lower temperature for more deterministic, exact outputs
-        max_tokens: 4000 // Increased for comprehensive summaries
+        maxTokens: 4000 // Increased for comprehensive summaries
     });
 
-    return completion.choices[0].message.content;
+    return completion.content;
 }
 
 /**
- * Generate meeting summary using OpenAI
+ * Generate meeting summary with an LLM provider (the server default unless given)
  */
-async function generateSummary(captions, languageCode = 'es', customSummaryTemplate = null, meetingType = null) {
-    if (!isConfigured()) {
-        console.warn('⚠️  OpenAI API key not configured. Skipping AI summary generation.');
+async function generateSummary(captions, languageCode = 'es', customSummaryTemplate = null, meetingType = null, llm = getDefaultLlm()) {
+    if (!llm) {
+        console.warn('⚠️  No LLM provider configured. Skipping AI summary generation.');
         return generateBasicSummary(captions);
     }
 
@@ -366,8 +362,8 @@ async function generateSummary(captions, languageCode = 'es', customSummaryTempl
             return transcript;
         }
 
-        const estimatedTokens = estimateTokens(transcript);
-        console.log(`🤖 Generating AI summary with OpenAI... (estimated ${estimatedTokens} tokens)`);
+        const estimatedTokens = llm.countTokens(transcript);
+        console.log(`🤖 Generating AI summary with ${llm.name}... (estimated ${estimatedTokens} tokens)`);
 
         // Token limits by model
         const modelLimits = {
@@ -381,8 +377,8 @@ async function generateSummary(captions, languageCode = 'es', customSummaryTempl
 
         // Use gpt-4o for better accuracy, fallback to gpt-4o-mini if not available
         const defaultModel = 'gpt-4o'; // Better accuracy for exact summaries
-        const model = process.env.OPENAI_MODEL || defaultModel;
-        const modelLimit = modelLimits[model] || modelLimits[defaultModel] || 4096;
+        const model = llm.model || defaultModel;
+        const modelLimit = llm.contextWindow || modelLimits[model] || modelLimits[defaultModel] || 4096;
         
         // Reserve tokens for system prompt and response
         const maxInputTokens = modelLimit - 3000;
@@ -399,13 +395,13 @@ async function generateSummary(captions, languageCode = 'es', customSummaryTempl
             const chunkSummaries = [];
             for (let i = 0; i < chunks.length; i++) {
                 console.log(`   Processing chunk ${i + 1}/${chunks.length}...`);
-                const chunkSummary = await summarizeChunk(chunks[i], i, chunks.length, language, customSummaryTemplate, meetingType);
+                const chunkSummary = await summarizeChunk(llm, chunks[i], i, chunks.length, language, customSummaryTemplate, meetingType);
                 chunkSummaries.push(chunkSummary);
             }
             
             // Generate final comprehensive summary
             console.log('📝 Generating final comprehensive summary...');
-            const finalSummary = await generateFinalSummary(chunkSummaries, transcript, language, customSummaryTemplate, meetingType);
+            const finalSummary = await generateFinalSummary(llm, chunkSummaries, transcript, language, customSummaryTemplate, meetingType);
             console.log('✅ AI summary generated successfully (chunked approach)');
             
             return finalSummary;
@@ -424,24 +420,24 @@ ${meetingTypeContext}
 
 IMPORTANT: This summary must be complete and exact. Double-check that you have included ALL information from the transcript. Respond in ${language} language.`;
 
-            const completion = await openai.chat.completions.create({
-                model: model === 'gpt-4o-mini' ? 'gpt-4o' : model, // Use gpt-4o for better accuracy when possible
+            const completion = await llm.chat({
+                model: llm.name === 'openai' && model === 'gpt-4o-mini' ? 'gpt-4o' : model, // Use gpt-4o for better accuracy when possible
                 messages: [
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: `Analyze this meeting transcript in detail and create a comprehensive, 100% accurate summary. Ensure nothing is omitted:\n\n${transcript}` }
                 ],
                 temperature: 0.3, // Lower temperature for more deterministic, exact outputs
-                max_tokens: 4000 // Increased for comprehensive summaries
+                maxTokens: 4000 // Increased for comprehensive summaries
             });
 
-            const summary = completion.choices[0].message.content;
+            const summary = completion.content;
             console.log('✅ AI summary generated successfully');
             
             return summary;
         }
 
     } catch (error) {
-        console.error('❌ Error generating OpenAI summary:', error.message);
+        console.error(`❌ Error generating ${llm.name} summary:`, error.message);
         try { await sendWebhook('error.occurred', { meeting_id: null, code: 'summary_generation_error', message: error && error.message ? error.message : String(error), details: { botId: null } }); } catch (e) {}
         
         // Fallback to basic summary
@@ -509,7 +505,7 @@ function generateBasicSummary(captions) {
     summary += `• ${lastComment.speaker}: ${lastComment.text.slice(0, 200)}${lastComment.text.length > 200 ? '...' : ''}`;
     summary += `\n\n`;
     summary += `---\n`;
-    summary += `Note: This is a basic summary. For AI-powered summaries, configure OPENAI_API_KEY in your environment.`;
+    summary += `Note: This is a basic summary. For AI-powered summaries, configure an LLM provider (OPENAI_API_KEY or LLM_PROVIDER in your environment, or Configuration > AI Provider).`;
 
     return summary;
 }
@@ -625,11 +621,11 @@ async function saveFormattedTranscript(botId, captions, runtimeRoot) {
 }
 
 /**
- * Generate keywords from transcript using OpenAI
+ * Generate keywords from transcript with an LLM provider (the server default unless given)
  */
-async function generateKeywords(captions, languageCode = 'es') {
-    if (!isConfigured()) {
-        console.warn('⚠️  OpenAI API key not configured. Skipping keyword generation.');
+async function generateKeywords(captions, languageCode = 'es', llm = getDefaultLlm()) {
+    if (!llm) {
+        console.warn('⚠️  No LLM provider configured. Skipping keyword generation.');
         return [];
     }
 
@@ -655,17 +651,17 @@ Guidelines:
 
 Example format: ["project timeline", "budget approval", "team collaboration", "deadline", "risk assessment"]`;
 
-        const completion = await openai.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        const completion = await llm.chat({
+            model: llm.model || 'gpt-4o-mini',
             messages: [
                 { role: 'system', content: systemPrompt },
                 { role: 'user', content: `Extract keywords from this transcript:\n\n${transcript}` }
             ],
             temperature: 0.5,
-            max_tokens: 200
+            maxTokens: 200
         });
 
-        const response = completion.choices[0].message.content.trim();
+        const response = completion.content.trim();
         let keywords = [];
         
         try {
@@ -722,11 +718,12 @@ Example format: ["project timeline", "budget approval", "team collaboration", "d
 }
 
 /**
- * Generate a short, descriptive meeting title from the transcript or summary using OpenAI
+ * Generate a short, descriptive meeting title from the transcript or summary
+ * with an LLM provider (the server default unless given)
  */
-async function generateMeetingTitle(captions, existingSummary = '', languageCode = 'es') {
-    // Fallback simple title if OpenAI not configured
-    if (!isConfigured()) {
+async function generateMeetingTitle(captions, existingSummary = '', languageCode = 'es', llm = getDefaultLlm()) {
+    // Fallback simple title if no LLM provider is configured
+    if (!llm) {
         try {
             // Try to build a heuristic title from top speakers or first caption
             if (Array.isArray(captions) && captions.length > 0) {
@@ -750,23 +747,23 @@ async function generateMeetingTitle(captions, existingSummary = '', languageCode
 
 Context (either summary or transcript):\n${existingSummary ? existingSummary.slice(0, 4000) : transcript.slice(0, 4000)}`;
 
-        const completion = await openai.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        const completion = await llm.chat({
+            model: llm.model || 'gpt-4o-mini',
             messages: [
                 { role: 'system', content: `You are an assistant that crafts concise, informative meeting titles.` },
                 { role: 'user', content: prompt }
             ],
             temperature: 0.2,
-            max_tokens: 32
+            maxTokens: 32
         });
 
-        let title = completion.choices[0].message.content.trim();
+        let title = completion.content.trim();
         // Clean title: strip surrounding quotes and newlines
         title = title.replace(/^\s+|\s+$/g, '').replace(/^['"]+|['"]+$/g, '');
         if (!title) return 'Meeting';
         return title.slice(0, 200);
     } catch (e) {
-        console.warn('⚠️ Could not generate meeting title via OpenAI:', e.message);
+        console.warn(`⚠️ Could not generate meeting title via ${llm.name}:`, e.message);
         // Fallback heuristics
         try {
             if (Array.isArray(captions) && captions.length > 0) {
@@ -807,8 +804,8 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
             return null;
         }
 
-        // Read captions
-        const captions = await fs.readJson(transcriptPath);
+        // Read captions (decrypted if they are encrypted at rest)
+        const captions = await readArtifactJson(transcriptPath);
         
         if (!Array.isArray(captions) || captions.length === 0) {
             console.log(`⚠️  No captions found for bot ${botId}`);
@@ -840,8 +837,11 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
         // Save formatted transcript
         await saveFormattedTranscript(botId, captions, runtimeRoot);
 
-        // Generate summary (with or without OpenAI) - pass language code, custom template, and meeting type
-        const summary = await generateSummary(captions, languageCode, customSummaryTemplate, finalMeetingType);
+        // The provider of the bot's organization or owner, else the server default
+        const llm = getBotLlm(botId);
+
+        // Generate summary (with or without AI) - pass language code, custom template, and meeting type
+        const summary = await generateSummary(captions, languageCode, customSummaryTemplate, finalMeetingType, llm);
 
         // Save summary
         await fs.writeFile(summaryPath, summary, 'utf8');
@@ -871,18 +871,18 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
         }
 
         // Generate and save keywords
-        const keywords = await generateKeywords(captions, languageCode);
+        const keywords = await generateKeywords(captions, languageCode, llm);
         await fs.writeJson(keywordsPath, keywords, { spaces: 2 });
         console.log(`✅ Keywords saved: ${keywordsPath} (${keywords.length} keywords)`);
 
-        // Update metrics to include OpenAI-generated keywords
+        // Update metrics to include AI-generated keywords
         // Metrics might have been calculated before keywords were generated
         try {
             const metricsPath = path.join(botDir, 'MeetingMetrics.json');
             if (await fs.pathExists(metricsPath)) {
-                const metrics = await fs.readJson(metricsPath);
+                const metrics = await readArtifactJson(metricsPath);
                 
-                // Update keywords in metrics with OpenAI-generated keywords
+                // Update keywords in metrics with AI-generated keywords
                 metrics.keywords = {
                     total: keywords.length,
                     byKeyword: {},
@@ -936,7 +936,7 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
                 await fs.writeJson(metricsPath, metrics, { spaces: 2 });
                 // Invalidate cache after update
                 invalidateCache(metricsPath);
-                console.log(`✅ Updated metrics with ${keywords.length} OpenAI-generated keywords`);
+                console.log(`✅ Updated metrics with ${keywords.length} AI-generated keywords`);
             }
         } catch (e) {
             console.warn(`⚠️  Could not update metrics with keywords: ${e.message}`);
@@ -944,7 +944,7 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
 
         // Generate a short meeting title and persist it into bot_metadata.json
         try {
-            const generatedTitle = await generateMeetingTitle(captions, summary, languageCode);
+            const generatedTitle = await generateMeetingTitle(captions, summary, languageCode, llm);
             try {
                 let metadata = {};
                 if (await fs.pathExists(metadataPath)) {
@@ -982,6 +982,159 @@ async function generateAndSaveSummary(botId, runtimeRoot, customSummaryTemplate
     }
 }
 
+/**
+ * Split a meeting into chapters by topic with an LLM provider (the server default unless given)
+ * @param {Array<Object>} utterances - From buildUtterances ({ speaker, startOffset, text })
+ * @param {string} languageCode - Language of the chapter titles
+ * @param {Object} llm - LLM provider (see utils/llm)
+ * @returns {Promise<Array<{start: number, title: string}>>} Chapters by start time (seconds)
+ */
+async function generateTopicChapters(utterances, languageCode = 'es', llm = getDefaultLlm()) {
+    if (!llm) {
+        throw new Error('No LLM provider configured');
+    }
+
+    const language = getLanguageName(languageCode);
+    const formatOffset = (seconds) => {
+        const total = Math.floor(seconds);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    };
+    // Keep long meetings within the context: shorten each utterance rather than dropping the end
+    const maxChars = 48000;
+    const perUtterance = Math.max(80, Math.floor(maxChars / Math.max(1, utterances.length)));
+    const transcript = utterances
+        .map(u => `[${formatOffset(u.startOffset)}] ${u.speaker}: ${u.text.slice(0, perUtterance)}`)
+        .join('\n')
+        .slice(0, maxChars);
+
+    const completion = await llm.chat({
+        model: llm.model || 'gpt-4o-mini',
+        messages: [
+            {
+                role: 'system',
+                content: `You split meeting transcripts into chapters, one per topic discussed. Return ONLY a JSON object: {"chapters": [{"start": "MM:SS", "title": "..."}]}.
+- 3 to 12 chapters, in order, the first one starting at 00:00
+- start is the timestamp of the line where the topic begins
+- titles are 6 words or fewer, in ${language}`
+            },
+            { role: 'user', content: transcript }
+        ],
+        temperature: 0.2,
+        maxTokens: 800,
+        responseFormat: 'json_object'
+    });
+
+    const parsed = JSON.parse(completion.content);
+    const parseStart = (value) => {
+        if (typeof value === 'number') return value;
+        const parts = String(value || '').split(':').map(Number);
+        if (parts.length === 0 || parts.some(n => !Number.isFinite(n))) return NaN;
+        return parts.reduce((total, n) => total * 60 + n, 0);
+    };
+
+    return (Array.isArray(parsed.chapters) ? parsed.chapters : [])
+        .map(chapter => ({ start: parseStart(chapter.start), title: String(chapter.title || '').trim().slice(0, 100) }))
+        .filter(chapter => Number.isFinite(chapter.start) && chapter.start >= 0 && chapter.title)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Extract the action items of a meeting with an LLM provider (the server default unless given)
+ * @param {Array<Object>} utterances - From buildUtterances ({ speaker, startOffset, text })
+ * @param {Object} context - { participants: [names], meetingDate: 'YYYY-MM-DD', weekday, languageCode }
+ *   (meetingDate and weekday in the meeting's timezone, to resolve relative due dates)
+ * @param {Object} llm - LLM provider (see utils/llm)
+ * @returns {Promise<Array<{description: string, owner: string|null, due: string|null, dueText: string|null, utterance: number|null}>>}
+ *   due is 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM' (meeting's timezone), utterance an index in utterances
+ */
+async function extractActionItems(utterances, context = {}, llm = getDefaultLlm()) {
+    if (!llm) {
+        throw new Error('No LLM provider configured');
+    }
+
+    const language = getLanguageName(context.languageCode || 'es');
+    // Keep long meetings within the context: shorten each utterance rather than dropping the end
+    const maxChars = 48000;
+    const perUtterance = Math.max(80, Math.floor(maxChars / Math.max(1, utterances.length)));
+    const transcript = utterances
+        .map((u, index) => `[${index}] ${u.speaker}: ${u.text.slice(0, perUtterance)}`)
+        .join('\n')
+        .slice(0, maxChars);
+    const participants = (context.participants || []).join(', ') || 'unknown';
+    const meetingDay = context.meetingDate ? `${context.weekday ? `${context.weekday}, ` : ''}${context.meetingDate}` : 'unknown';
+
+    const completion = await llm.chat({
+        model: llm.model || 'gpt-4o-mini',
+        messages: [
+            {
+                role: 'system',
+                content: `You extract action items from meeting transcripts: tasks someone committed to or was asked to do. Return ONLY a JSON object:
+{"action_items": [{"description": "...", "owner": "...", "due": "...", "due_text": "...", "utterance": 0}]}
+- description: the task, one sentence in ${language}, starting with a verb
+- owner: who will do it, exactly as written in the participant list (${participants}), or null if nobody was named
+- due: the deadline as YYYY-MM-DD, or YYYY-MM-DDTHH:MM when a time was said, resolved from the meeting day (${meetingDay}); null without a deadline
+- due_text: the deadline as said in the meeting ("next Friday"), or null
+- utterance: the [number] of the line where the task was agreed
+- no duplicates, no general discussion points; an empty list if there are none`
+            },
+            { role: 'user', content: transcript }
+        ],
+        temperature: 0.1,
+        maxTokens: 2000,
+        responseFormat: 'json_object'
+    });
+
+    const parsed = JSON.parse(completion.content);
+    const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+
+    return (Array.isArray(parsed.action_items) ? parsed.action_items : [])
+        .map(item => ({
+            description: text(item && item.description, 500),
+            owner: text(item && item.owner, 200),
+            due: text(item && item.due, 16),
+            dueText: text(item && item.due_text, 100),
+            utterance: Number.isInteger(item && item.utterance) && item.utterance >= 0 && item.utterance < utterances.length ? item.utterance : null
+        }))
+        .filter(item => item.description);
+}
+
+/**
+ * Answer a question about a meeting from transcript excerpts, citing the
+ * utterances the answer comes from as [n]
+ * @param {string} question - The question
+ * @param {string} excerpts - Transcript lines "[n] [MM:SS] Speaker: text"
+ * @param {Array<Object>} history - Previous turns ({ role: 'user'|'assistant', content })
+ * @param {Object} llm - LLM provider (see utils/llm)
+ * @returns {Promise<string>} Answer with [n] citations
+ */
+async function answerQuestion(question, excerpts, history = [], llm = getDefaultLlm()) {
+    if (!llm) {
+        throw new Error('No LLM provider configured');
+    }
+
+    const completion = await llm.chat({
+        model: llm.model || 'gpt-4o-mini',
+        messages: [
+            {
+                role: 'system',
+                content: `You answer questions about a meeting using only these transcript excerpts. Each line starts with its number in brackets, then the time and the speaker.
+- Answer in the language of the question, concisely
+- After each statement, cite the lines it comes from as [n] (e.g. [12][15]), using only numbers from the excerpts
+- If the excerpts do not answer the question, say that it was not discussed in the meeting
+
+Transcript excerpts:
+${excerpts}`
+            },
+            ...history,
+            { role: 'user', content: question }
+        ],
+        temperature: 0.2,
+        maxTokens: 800
+    });
+
+    return completion.content.trim();
+}
+
 /**
  * Get default summary template
  * This is the base template used when no custom template is provided.
@@ -1067,10 +1220,12 @@ IMPORTANT: This summary must be complete and exact. Double-check that you have i
  * Get model information
  */
 function getModelInfo() {
+    const config = getDefaultLlmConfig();
     return {
-        configured: isConfigured(),
-        model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-        apiKey: isConfigured() ? '***configured***' : 'not configured'
+        configured: !!config,
+        provider: config ? config.provider : null,
+        model: config ? config.deployment || config.model || 'gpt-4o' : null,
+        apiKey: config && config.apiKey ? '***configured***' : 'not configured'
     };
 }
 
@@ -1078,7 +1233,11 @@ module.exports = {
     generateSummary,
     generateKeywords,
     generateAndSaveSummary,
+    generateTopicChapters,
+    extractActionItems,
+    answerQuestion,
     formatTranscript,
+    chunkTranscript,
     saveFormattedTranscript,
     isConfigured,
     getModelInfo,
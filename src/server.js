@@ -1,16 +1,39 @@
 const express = require('express');
 const cors = require('cors');
+const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const { Bot } = require('./bot');
 const path = require('path');
 const fs = require('fs-extra');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
-const { remuxWebmToMp4 } = require('./utils/remux');
+const { ensureMp4Remux } = require('./utils/remux');
+const { packageHls } = require('./utils/video-compression');
+const { THUMBNAILS_DIR, THUMBNAIL_FILES, POSTER_FILE, STORYBOARD_SPRITE, STORYBOARD_VTT, generateThumbnails, saveThumbnails, getThumbnailPath } = require('./utils/thumbnails');
+const { getChaptersMode, generateChapters, readChapters } = require('./utils/chapters');
+const { generateActionItems, readActionItems } = require('./utils/action-items');
+const { validateQuestion, askMeeting } = require('./utils/meeting-qa');
+const { indexBotTranscript, backfillSearchIndex, validateSearchQuery, searchMeetings } = require('./utils/semantic-search');
+const { backfillCaptionIndex, validateCaptionSearch, searchCaptions } = require('./utils/caption-search');
+const { AUDIO_FORMATS, parseAudioOptions, getAudioExportPath, ensureAudioExport, getDefaultAudioExports, listAudioExports } = require('./utils/audio-export');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { userOps, botOps, configOps, closeDatabase } = require('./database');
+const { userOps, botOps, configOps, calendarOps, webhookOps, jobOps, shareLinkOps, apiKeyOps, orgOps, API_KEY_PREFIX, closeDatabase } = require('./database');
 const { generateAndSaveSummary, getModelInfo, getDefaultSummaryTemplate } = require('./openai-service');
 const { getCachedFile, invalidateCache } = require('./utils/file-cache');
+const { parseRecurrence, expandOccurrences, advanceRecurrence } = require('./utils/recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./utils/timezone');
+const { parseICS, expandEvents } = require('./utils/ics');
+const { publishLiveEvent, subscribeLiveEvents, getLiveSnapshot, FINAL_STATUSES } = require('./utils/live-events');
+const { WEBHOOK_EVENTS, replayDelivery, processWebhookQueue, startWebhookRetryWorker, stopWebhookRetryWorker } = require('./utils/webhook');
+const { POST_PROCESSING_CONCURRENCY, registerJobType, enqueueJobs, startJobWorker, stopJobWorker, retryFailedJobs, getPostProcessingStatus } = require('./utils/job-queue');
+const { assertPublicHost, publicOnlyAgents } = require('./utils/public-address');
+const { SHARE_LINK_SCOPES, SHARE_LINK_DEFAULT_EXPIRY_DAYS, parseShareScopes, getShareLinkState, buildShareUrl, getOrCreateDefaultShareLink } = require('./utils/share-links');
+const { ORG_ROLES, hasOrgRole, getBotAccess, getUserOrgRoles } = require('./utils/organizations');
+const { STORAGE_PROVIDERS, getDefaultStorageConfig, getUserStorageConfig, getProviderFor, isStorageConfigured, normalizeStorageSettings, formatStorageConfig, verifyStorageUrl, getRecordingContentType, getRecordingLocation, findRecordingLocation, getRecordingUrl, getHlsLocation, openStoredRecording, uploadRecording, uploadHlsPackage, startStreamingUpload, saveRecordingLocation, saveHlsPackage, saveHlsLocation, saveRecordingUploadError, removeUploadedLocalFiles, startUploadReconciler, stopUploadReconciler, testStorageConfig } = require('./utils/storage');
+const { LLM_PROVIDERS, getDefaultLlmConfig, getUserLlmConfig, getOrgLlmConfig, getBotLlm, normalizeLlmSettings, formatLlmConfig, testLlmConfig } = require('./utils/llm');
+const { getEmbeddingsProvider } = require('./utils/embeddings');
+const { RETENTION_ARTIFACTS, DEFAULT_RETENTION_DAYS, validateRetentionDays, runRetentionJanitor, startRetentionJanitor, stopRetentionJanitor } = require('./utils/retention');
+const { isEncryptionEnabled, getMasterKeyId, encryptBotArtifacts, openEncryptedSource, openArtifact, readArtifactText, readArtifactJson } = require('./utils/encryption');
 
 const app = express();
 
@@ -48,7 +71,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept', 'X-Share-Password'],
     // Expose range-related headers so the frontend can inspect them via fetch/HEAD
 exposedHeaders: ['Content-Length', 'Content-Type', 'Accept-Ranges', 'Content-Range'],
   maxAge: 86400, // 24 hours
@@ -84,8 +107,30 @@ const BOT_MAX_LIFETIME_MS = BOT_MAX_LIFETIME_MINUTES * 60 * 1000;
 // In-memory storage for active bots
 const activeBots = new Map();
 
-// Cache recording storage location to avoid repeated S3 checks for every range request
-// Values: 'local' | 's3' ; stored with timestamp for optional TTL
+// Maximum number of bots running at the same time. Requests over the limit are
+// persisted with status 'queued' and started in FIFO order as slots free up.
+const MAX_CONCURRENT_BOTS = Math.max(1, Number(process.env.MAX_CONCURRENT_BOTS || 6));
+// Queued bots that waited longer than this are failed instead of started
+// (0 disables the limit). Also applies to bots left queued across a restart.
+const BOT_QUEUE_MAX_WAIT_MINUTES = Number(process.env.BOT_QUEUE_MAX_WAIT_MINUTES || 60);
+const BOT_QUEUE_MAX_WAIT_MS = BOT_QUEUE_MAX_WAIT_MINUTES * 60 * 1000;
+// Bot queue drain state (see processBotQueue)
+let botQueueDrain = null;
+let botQueueDirty = false;
+// Set once graceful shutdown starts so no queued bot is launched afterwards
+let isShuttingDown = false;
+
+// Scheduled bots (POST /v1/bots with join_at) are moved into the queue this many
+// seconds before their join time, to leave room for browser startup
+const SCHEDULED_BOT_LEAD_SECONDS = Number(process.env.SCHEDULED_BOT_LEAD_SECONDS || 30);
+const SCHEDULED_BOT_LEAD_MS = SCHEDULED_BOT_LEAD_SECONDS * 1000;
+// How often the scheduler checks the database for due bots
+const SCHEDULER_POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_INTERVAL_SECONDS || 15) * 1000;
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// Cache recording storage location to avoid repeated storage checks for every range request
+// Values: 'local' | 'storage' ; stored with timestamp for optional TTL
 const recordingStorageCache = new Map();
 
 // TTL for recordingStorageCache entries (ms). Default 10 minutes, override with env var
@@ -130,19 +175,124 @@ async function findVideoFile(botId, videoDir) {
     return null;
 }
 
+// What an API key may do on /v1 (login sessions can do everything)
+const API_KEY_SCOPES = {
+    'read': 'Read bots, recordings, transcripts and settings, and ask questions about meetings',
+    'bots:write': 'Create, update, stop and delete bots',
+    'settings:write': 'Manage webhooks, calendar feeds and share links'
+};
+// Only write last_used_at once per interval to keep reads cheap
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+// Lifetime of the bot media tokens put in ?token= of video, HLS, thumbnail and PDF URLs
+const MEDIA_ACCESS_TTL = '4h';
+// Audience of those tokens, so they are never taken for login tokens
+const MEDIA_ACCESS_AUDIENCE = 'bot_media';
+
+/**
+ * Authenticate a login JWT or an API key (mbk_...)
+ * @returns {Object|null} { id, email } plus { apiKeyId, scopes } for API keys
+ */
+function authenticateToken(token) {
+    if (!token) return null;
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+        const apiKey = apiKeyOps.findByKey(token);
+        if (!apiKey || apiKey.revoked_at) return null;
+        const user = userOps.findById(apiKey.user_id);
+        if (!user) return null;
+
+        if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at > API_KEY_TOUCH_INTERVAL_MS) {
+            try { apiKeyOps.touch(apiKey.id); } catch (e) {}
+        }
+
+        let scopes = [];
+        try { scopes = JSON.parse(apiKey.scopes); } catch (e) {}
+        return { id: user.id, email: user.email, apiKeyId: apiKey.id, scopes };
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch {
+        return null;
+    }
+    // Only login tokens: media access tokens (share links...) have an audience
+    if (!payload || payload.aud || payload.scope || !payload.id || !payload.email) return null;
+    return { id: payload.id, email: payload.email };
+}
+
+/**
+ * Authenticate a bot media token (POST /v1/bots/:botId/media-token), which is
+ * only valid for that bot's media
+ * @returns {Object|null} { id, email }
+ */
+function authenticateMediaToken(token, botId) {
+    if (!token || !botId) return null;
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET, { audience: MEDIA_ACCESS_AUDIENCE });
+    } catch {
+        return null;
+    }
+    if (!payload || payload.scope !== 'bot_media' || payload.botId !== botId || !payload.id || !payload.email) return null;
+    return { id: payload.id, email: payload.email };
+}
+
+/**
+ * Scope an API key needs for a request, or null if API keys can't be used for it
+ * (the /api routes used by the web app and API key management itself)
+ */
+function getRequiredScope(req) {
+    const url = req.originalUrl.split('?')[0];
+    if (!url.startsWith('/v1/') || url.startsWith('/v1/api-keys')) return null;
+    if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+    // Asking about a meeting or getting a media token only reads it
+    if (req.method === 'POST' && /^\/v1\/bots\/[^/]+\/(ask|media-token)$/.test(url)) return 'read';
+    if (/^\/v1\/(bots|scheduled-bots)(\/|$)/.test(url) && !/\/share-links(\/|$)/.test(url)) return 'bots:write';
+    return 'settings:write';
+}
+
 // Authentication middleware
 function authMiddleware(req, res, next) {
+    // Already authenticated by the /v1 guard
+    if (req.user) return next();
+
     const header = req.headers['authorization'] || '';
     const token = header.split(' ')[1];
-    try {
-        const user = jwt.verify(token, JWT_SECRET);
-        req.user = user;
-        next();
-    } catch {
-        res.status(401).json({ error: 'Unauthorized' });
+    let user = authenticateToken(token);
+    // Browsers can't set headers on <video>/<a> requests: media URLs of a bot
+    // take a bot media token in ?token= (never a login token or API key)
+    if (!token && (req.method === 'GET' || req.method === 'HEAD') && typeof req.query.token === 'string') {
+        const match = /^\/v1\/(?:bots|recordings)\/([^/?]+)/.exec(req.originalUrl);
+        let botId = null;
+        try { botId = match ? decodeURIComponent(match[1]) : null; } catch {}
+        user = authenticateMediaToken(req.query.token, botId);
+    }
+
+    if (!user) {
+        return res.status(401).json({ error: 'Unauthorized' });
     }
+
+    if (user.apiKeyId) {
+        const scope = getRequiredScope(req);
+        if (!scope) {
+            return res.status(403).json({ error: 'API keys cannot be used for this route' });
+        }
+        if (!user.scopes.includes(scope)) {
+            return res.status(403).json({ error: `API key is missing the "${scope}" scope`, required_scope: scope });
+        }
+    }
+
+    req.user = user;
+    next();
 }
 
+// Every /v1 route requires a login token or an API key, except the API description
+app.use('/v1', (req, res, next) => {
+    if (req.method === 'OPTIONS' || req.path === '/info') return next();
+    authMiddleware(req, res, next);
+});
+
 // // Optional auth middleware (allows both authenticated and unauthenticated requests)
 // function optionalAuthMiddleware(req, res, next) {
 //     const header = req.headers['authorization'] || '';
@@ -156,6 +306,14 @@ function authMiddleware(req, res, next) {
 //     next();
 // }
 
+/**
+ * Update a bot's status in the database and notify live stream subscribers
+ */
+function updateBotStatus(botId, status, error = null) {
+    botOps.updateStatus(botId, status, error);
+    publishLiveEvent(botId, 'status', { status, error });
+}
+
 /**
  * Force cleanup all processes related to a specific bot (Chrome, Node, etc.)
  * This is called before creating a new bot to ensure clean state
@@ -323,7 +481,10 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        activeBots: activeBots.size
+        activeBots: activeBots.size,
+        queuedBots: botOps.countQueued(),
+        scheduledBots: botOps.countScheduled(),
+        maxConcurrentBots: MAX_CONCURRENT_BOTS
     });
 });
 
@@ -678,55 +839,42 @@ app.post('/api/reset-password', async (req, res) => {
 
 /**
  * Share meeting summary via email
+ * Public shares (from the /share page) pass the link's shareToken and, for
+ * protected links, the X-Share-Password header. Authenticated shares pass a
+ * botId and optionally the shareToken of one of the bot's links; without it
+ * the bot's default share link is used.
  */
 app.post('/api/share-via-email', async (req, res) => {
     try {
-        const { botId, shareUrl, isPublicShare, email } = req.body;
+        const { botId, shareToken, isPublicShare, email } = req.body;
         
-        if (!botId) {
-            return res.status(400).json({ error: 'Bot ID is required' });
-        }
+        let bot, user, link;
         
-        // For authenticated requests, verify the token manually
-        if (!isPublicShare) {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                return res.status(401).json({ error: 'Authentication required' });
+        if (isPublicShare) {
+            // For public share pages, we don't require authentication, but the share link must be valid
+            if (!shareToken) {
+                return res.status(400).json({ error: 'Share token is required' });
             }
             
-            const token = authHeader.split(' ')[1];
-            try {
-                const decoded = jwt.verify(token, JWT_SECRET);
-                req.user = { id: decoded.userId };
-            } catch (error) {
-                return res.status(401).json({ error: 'Invalid or expired token' });
+            const resolved = await resolveShareLink(shareToken, req.headers['x-share-password']);
+            if (!resolved.link) {
+                return res.status(resolved.status).json(resolved.body);
             }
-        }
-        
-        let bot, user;
-        
-        if (isPublicShare) {
-            // For public share pages, we don't require authentication
-            // but we need to find the bot owner to send them the email
-            
-            // Check if bot directory exists (for public shares)
-            const botDir = path.join(RUNTIME_ROOT, botId);
-            if (!fs.existsSync(botDir)) {
-                return res.status(404).json({ error: 'Meeting not found' });
+            link = resolved.link;
+            if (!parseShareScopes(link).includes('summary')) {
+                return res.status(403).json({ error: 'This share link does not include the meeting summary' });
             }
             
-            // Get bot from database (without user verification for public shares)
-            bot = botOps.findById(botId);
+            bot = botOps.findById(link.bot_id);
             if (!bot) {
                 return res.status(404).json({ error: 'Meeting not found in database' });
             }
             
             // If a specific recipient email was provided in the public share request, honor it
             if (email && typeof email === 'string' && email.trim()) {
-                // Use the provided email address directly (no verification of owner required)
                 const providedEmail = email.trim();
                 user = { email: providedEmail };
-                console.log(`📧 Public share: sending bot ${botId} summary to provided email: ${providedEmail}...`);
+                console.log(`📧 Public share: sending bot ${bot.id} summary to provided email: ${providedEmail}...`);
             } else {
                 // Get the bot owner's email
                 user = userOps.findById(bot.user_id);
@@ -735,22 +883,35 @@ app.post('/api/share-via-email', async (req, res) => {
                         error: 'Cannot send email - bot owner email not available or not verified' 
                     });
                 }
-                console.log(`📧 Public share: sending bot ${botId} summary to owner: ${user.email}...`);
+                console.log(`📧 Public share: sending bot ${bot.id} summary to owner: ${user.email}...`);
             }
         } else {
-            // For authenticated users (original functionality)
-            if (!req.user || !req.user.id) {
+            const header = req.headers['authorization'] || '';
+            const authUser = authenticateToken(header.split(' ')[1]);
+            if (!authUser) {
                 return res.status(401).json({ error: 'Authentication required' });
             }
+            if (!botId) {
+                return res.status(400).json({ error: 'Bot ID is required' });
+            }
             
-            // Get bot from database to verify ownership
-            bot = botOps.findByIdAndUser(botId, req.user.id);
+            // Sharing creates a public link: needs the creator or an organization admin
+            bot = findBotForUser(botId, authUser, { manage: true });
             if (!bot) {
                 return res.status(403).json({ error: 'Bot not found or access denied' });
             }
             
+            if (shareToken) {
+                link = shareLinkOps.findByToken(shareToken);
+                if (!link || link.bot_id !== bot.id || getShareLinkState(link) !== 'active') {
+                    return res.status(400).json({ error: 'Share link not found or no longer active' });
+                }
+            } else {
+                link = getOrCreateDefaultShareLink(bot.id);
+            }
+            
             // Get user email (default recipient when no explicit email provided)
-            user = userOps.findById(req.user.id);
+            user = userOps.findById(authUser.id);
             if (!user || !user.email || !user.email_verified) {
                 return res.status(400).json({ error: 'User email not found or not verified' });
             }
@@ -760,9 +921,9 @@ app.post('/api/share-via-email', async (req, res) => {
                 const providedEmail = email.trim();
                 // Use provided email as recipient (do not change account ownership)
                 user = { email: providedEmail };
-                console.log(`📧 Authenticated share: sending bot ${botId} to provided email: ${providedEmail}...`);
+                console.log(`📧 Authenticated share: sending bot ${bot.id} to provided email: ${providedEmail}...`);
             } else {
-                console.log(`📧 Authenticated share: sending bot ${botId} to: ${user.email}...`);
+                console.log(`📧 Authenticated share: sending bot ${bot.id} to: ${user.email}...`);
             }
         }
         
@@ -770,12 +931,13 @@ app.post('/api/share-via-email', async (req, res) => {
         const { sendMeetingSummaryEmail } = require('./utils/email-service');
         
         const emailResult = await sendMeetingSummaryEmail({
-            botId: botId,
+            botId: bot.id,
             meetUrl: bot.meet_url,
             recipients: user.email,
             runtimeRoot: RUNTIME_ROOT,
-            shareUrl: shareUrl,
-            isShareRequest: true
+            shareUrl: buildShareUrl(link.token),
+            isShareRequest: true,
+            includeTranscript: parseShareScopes(link).includes('transcript')
         });
         
         if (emailResult.success) {
@@ -848,7 +1010,8 @@ app.get('/api/config', authMiddleware, async (req, res) => {
             summaryTemplate: config.summary_template ?? '', // Use nullish coalescing to preserve empty strings
             botLogoUrl: (config.bot_logo_url && config.bot_logo_url.trim()) || DEFAULT_BOT_LOGO_URL,
             maxRecordingTime: config.max_recording_time || 60,
-            totalRecordingMinutes: config.total_recording_minutes || 0
+            totalRecordingMinutes: config.total_recording_minutes || 0,
+            webhookSecret: config.webhook_secret || webhookOps.getOrCreateSecret(req.user.id)
         });
     } catch (error) {
         console.error('Error fetching user configuration:', error);
@@ -913,11 +1076,29 @@ app.post('/api/configSave', authMiddleware, async (req, res) => {
 });
 
 /**
- * Get user's bots (authenticated)
+ * Get user's bots (authenticated): their own bots and those of their
+ * organizations, each with the user's role and whether they can manage it.
+ * Pass ?organization_id= to only list one organization's bots.
  */
 app.get('/api/bots', authMiddleware, async (req, res) => {
     try {
-        const userBots = botOps.findByUserId(req.user.id);
+        const orgRoles = getUserOrgRoles(req.user.id);
+        const organizationId = typeof req.query.organization_id === 'string' && req.query.organization_id
+            ? req.query.organization_id
+            : null;
+        if (organizationId && !orgRoles.has(organizationId)) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const userBots = botOps.findAccessibleByUser(req.user.id, organizationId);
+        const formatAccess = (bot) => {
+            const access = getBotAccess(bot, req.user.id, orgRoles.get(bot.organization_id) || null);
+            return {
+                organizationId: bot.organization_id || null,
+                role: access ? access.role : null,
+                canManage: access ? access.canManage : false
+            };
+        };
         
         // Convert snake_case to camelCase for frontend compatibility
         // Read all metadata files in parallel for better performance
@@ -941,7 +1122,10 @@ app.get('/api/bots', authMiddleware, async (req, res) => {
                     error: bot.error,
                     createdAt: bot.created_at,
                     startedAt: bot.started_at,
-                    endTime: bot.ended_at
+                    endTime: bot.ended_at,
+                    joinAt: bot.join_at,
+                    recurrence: bot.recurrence,
+                    ...formatAccess(bot)
                 };
             }
             
@@ -961,7 +1145,10 @@ app.get('/api/bots', authMiddleware, async (req, res) => {
                 error: bot.error,
                 createdAt: bot.created_at,
                 startedAt: bot.started_at,
-                endTime: bot.ended_at
+                endTime: bot.ended_at,
+                joinAt: bot.join_at,
+                recurrence: bot.recurrence,
+                ...formatAccess(bot)
             };
         });
         
@@ -969,7 +1156,7 @@ app.get('/api/bots', authMiddleware, async (req, res) => {
         // Optimize: Only scan if we have less than 100 bots (to avoid performance issues)
         // and limit to checking metadata files first (faster than full directory scan)
         try {
-            if (formattedBots.length < 100) {
+            if (formattedBots.length < 100 && !organizationId) {
                 const runtimeDirs = await fs.readdir(RUNTIME_ROOT);
                 const dbBotIds = new Set(formattedBots.map(b => b.id));
                 
@@ -998,7 +1185,7 @@ app.get('/api/bots', authMiddleware, async (req, res) => {
                         const videoDir = path.join(botDir, 'video');
                         const [videoPath, metrics] = await Promise.allSettled([
                             findVideoFile(dirName, videoDir),
-                            getCachedFile(metricsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 60000).catch(() => null)
+                            getCachedFile(metricsPath, readArtifactJson, 60000).catch(() => null)
                         ]);
                         
                         const hasData = (videoPath.status === 'fulfilled' && videoPath.value !== null) || 
@@ -1017,7 +1204,10 @@ app.get('/api/bots', authMiddleware, async (req, res) => {
                                 createdAt: metadata.createdAt || metricsData?.duration?.startTime || stat.mtime.toISOString(),
                                 startedAt: metricsData?.duration?.startTime || stat.mtime.toISOString(),
                                 endTime: metricsData?.duration?.endTime || stat.mtime.toISOString(),
-                                isHistorical: true
+                                isHistorical: true,
+                                organizationId: null,
+                                role: 'creator',
+                                canManage: true
                             };
                         }
                         return null;
@@ -1063,7 +1253,7 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
     try {
         console.log(`📊 Fetching bot details for: ${req.params.id}`);
         
-        const bot = botOps.findByIdAndUser(req.params.id, req.user.id);
+        const bot = findBotForUser(req.params.id, req.user);
         let formattedBot;
         
         if (!bot) {
@@ -1078,7 +1268,7 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
                 
                 const [metadata, metrics, stat] = await Promise.allSettled([
                     getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null),
-                    getCachedFile(metricsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 60000).catch(() => null),
+                    getCachedFile(metricsPath, readArtifactJson, 60000).catch(() => null),
                     fs.stat(botDir)
                 ]);
                 
@@ -1103,7 +1293,10 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
                     createdAt: metadataData?.createdAt || metricsData?.duration?.startTime || (statData ? statData.mtime.toISOString() : new Date().toISOString()),
                     startedAt: metricsData?.duration?.startTime || (statData ? statData.mtime.toISOString() : new Date().toISOString()),
                     endTime: metricsData?.duration?.endTime || (statData ? statData.mtime.toISOString() : new Date().toISOString()),
-                    isHistorical: true
+                    isHistorical: true,
+                    organizationId: null,
+                    role: 'creator',
+                    canManage: true
                 };
                 
                 console.log(`✅ Historical bot found in runtime directory`);
@@ -1119,6 +1312,7 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
             });
             
             // Convert snake_case to camelCase
+            const access = getBotAccess(bot, req.user.id);
             formattedBot = {
                 id: bot.id,
                 userId: bot.user_id,
@@ -1128,7 +1322,10 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
                 error: bot.error,
                 createdAt: bot.created_at,
                 startedAt: bot.started_at,
-                endTime: bot.ended_at
+                endTime: bot.ended_at,
+                organizationId: bot.organization_id || null,
+                role: access.role,
+                canManage: access.canManage
             };
         }
         
@@ -1141,7 +1338,7 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
             
             console.log(`📂 Checking RUNTIME_ROOT: ${runtimeDir}`);
             
-            // Generate signed S3 URL if video is in S3 - use cached file read
+            // Generate signed storage URL if the video was uploaded - use cached file read
             const metadataPath = path.join(runtimeDir, 'bot_metadata.json');
             const metadata = await getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null);
             if (metadata) {
@@ -1150,21 +1347,32 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
                     if (metadata.title && typeof metadata.title === 'string' && metadata.title.trim().length > 0) {
                         formattedBot.title = metadata.title;
                     }
-                    if (metadata.s3Key || metadata.s3VideoUrl) {
+                    const location = getRecordingLocation(metadata);
+                    // Encrypted recordings have no direct URL: clients use /v1/recordings/:id
+                    if (location && !location.encrypted) {
                         // Generate signed URL for secure access (expires in 4 hours)
                         // URL is cached to avoid regenerating on every request
-                        const { getS3VideoUrl } = require('./utils/s3-upload');
-                        const signedUrl = await getS3VideoUrl(req.params.id, null, 14400); // 4 hours
+                        const signedUrl = await getRecordingUrl(location, 14400); // 4 hours
                         
                         if (signedUrl) {
+                            // s3VideoUrl / isS3Video kept for existing clients, whatever the provider
                             formattedBot.videoUrl = signedUrl;
                             formattedBot.s3VideoUrl = signedUrl;
                             formattedBot.isS3Video = true;
-                            console.log(`🔐 Generated signed S3 URL for bot ${req.params.id}`);
+                            formattedBot.storageProvider = location.provider;
                         } else {
                             console.warn(`⚠️  Failed to generate signed URL for bot ${req.params.id}`);
                         }
                     }
+                    // Adaptive playback, preferred by the player when it can play HLS
+                    if (await hasHlsPackage(req.params.id, metadata)) {
+                        formattedBot.hlsUrl = `/v1/recordings/${encodeURIComponent(req.params.id)}/hls/${metadata.hls.master}`;
+                    }
+                    // Poster and scrub preview storyboard (thumbnails job), unless purged with the video
+                    if (metadata.thumbnails && await getThumbnailPath(req.params.id, metadata.thumbnails.poster)) {
+                        formattedBot.posterUrl = `/v1/recordings/${encodeURIComponent(req.params.id)}/thumbnails/${metadata.thumbnails.poster}`;
+                        formattedBot.storyboardUrl = `/v1/recordings/${encodeURIComponent(req.params.id)}/thumbnails/${metadata.thumbnails.storyboard.vtt}`;
+                    }
                 } catch (e) {
                     console.warn('Could not parse bot_metadata.json');
                 }
@@ -1172,11 +1380,11 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
             
             // Read all files in parallel for better performance
             const [transcript, summary, keywords, formattedTranscript, metrics] = await Promise.allSettled([
-                getCachedFile(transcriptPath, fs.readJson, 30000).catch(() => null),
-                getCachedFile(summaryPath, (p) => fs.readFile(p, 'utf8'), 30000).catch(() => null),
-                getCachedFile(path.join(runtimeDir, 'keywords.json'), fs.readJson, 30000).catch(() => null),
-                getCachedFile(formattedTranscriptPath, (p) => fs.readFile(p, 'utf8'), 30000).catch(() => null),
-                getCachedFile(path.join(runtimeDir, 'MeetingMetrics.json'), (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null)
+                getCachedFile(transcriptPath, readArtifactJson, 30000).catch(() => null),
+                getCachedFile(summaryPath, readArtifactText, 30000).catch(() => null),
+                getCachedFile(path.join(runtimeDir, 'keywords.json'), readArtifactJson, 30000).catch(() => null),
+                getCachedFile(formattedTranscriptPath, readArtifactText, 30000).catch(() => null),
+                getCachedFile(path.join(runtimeDir, 'MeetingMetrics.json'), readArtifactJson, 30000).catch(() => null)
             ]);
             
             // Read transcript
@@ -1217,6 +1425,14 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
                 formattedBot.metrics = metrics.value;
                 console.log(`✅ Metrics loaded`);
             }
+
+            // Chapter markers for the player
+            const chapters = await readChapters(req.params.id, RUNTIME_ROOT);
+            formattedBot.chapters = chapters ? chapters.chapters : [];
+
+            // Structured action items (see GET /v1/bots/:id/action-items)
+            const actionItems = await readActionItems(req.params.id, RUNTIME_ROOT);
+            formattedBot.actionItems = actionItems ? actionItems.items : [];
             
         } catch (e) {
             console.error('❌ Error reading bot files from RUNTIME_ROOT:', e);
@@ -1233,667 +1449,3418 @@ app.get('/api/bots/:id', authMiddleware, async (req, res) => {
 });
 
 /**
- * Create and start recording bot
- * Requires authentication - unauthenticated users cannot create bots
+ * Launch a bot that has already been persisted (DB row + runtime metadata).
+ * Used both for immediate starts and for bots admitted from the queue, so all
+ * launch parameters are read back from bot_metadata.json.
+ * @param {string} botId - Bot ID
+ * @returns {Promise<Object>} The activeBots entry for the launched bot
  */
-app.post('/v1/bots', authMiddleware, async (req, res) => {
-    try {
-        // Authentication is required - authMiddleware ensures req.user exists
-        if (!req.user || !req.user.id) {
-            return res.status(401).json({ 
-                error: 'Authentication required',
-                message: 'You must be logged in to create a bot and start recording'
-            });
-        }
+async function launchBot(botId) {
+    const botRecord = botOps.findById(botId);
+    if (!botRecord) {
+        throw new Error(`Bot ${botId} not found in database`);
+    }
+    // Mark as starting right away so the queue never picks this bot twice
+    updateBotStatus(botId, 'starting');
 
-        const {
-            meeting_url,
-            caption_language = "es",  // Default to Spanish
-            notification_emails = null,  // Optional: comma-separated email addresses (snake_case)
-            recording_type = "audio-video",
-            meeting_type = "other",
-            // Allow callers to set a per-bot webhook URL when creating the bot
-            webhook_url = null,
-            webhookUrl = null
-        } = req.body;
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    const metadata = await fs.readJson(metadataPath).catch(() => null);
+    if (!metadata) {
+        throw new Error(`Bot metadata not found for ${botId}`);
+    }
 
-        // Get user configuration if fields are not provided
-        let userConfig = null;
+    const userId = botRecord.user_id;
+    const meeting_url = botRecord.meet_url;
+    const finalBotName = botRecord.title || metadata.title || "CXFlow Meeting Bot";
+    const caption_language = metadata.captionLanguage || 'es';
+    const recording_type = metadata.recordingType || 'audio-video';
+    const meeting_type = metadata.meetingType || 'other';
+    const finalSummaryTemplate = metadata.summaryTemplate || null;
+    const finalMaxRecordingTime = metadata.maxRecordingTime || 60;
+    const finalEmailRecipients = metadata.emailRecipients || null;
+    const DEFAULT_BOT_LOGO_URL = "https://www.cxflow.io/app/images/logo.png";
+    const finalBotLogoUrl = metadata.botLogoUrl || DEFAULT_BOT_LOGO_URL;
+    const finalWebhook = metadata.webhookUrl || null;
+
+    console.log(`🤖 Launching bot ${botId} for user ${userId}: ${meeting_url}`);
+
+    // STEP 1: Force cleanup any existing processes for this botId (if somehow it exists)
+    // This ensures clean state before creating new bot
+    await forceCleanupBotProcesses(botId);
+    
+    // STEP 2: Check if bot already exists in activeBots (shouldn't happen, but safety check)
+    if (activeBots.has(botId)) {
+        console.warn(`⚠️  Bot ${botId} already exists in activeBots, cleaning up...`);
+        const existingBotData = activeBots.get(botId);
         try {
-            userConfig = configOps.getByUserId(req.user.id);
+            if (existingBotData.bot && typeof existingBotData.bot.leaveMeet === 'function') {
+                await existingBotData.bot.leaveMeet().catch(() => {});
+            }
+            activeBots.delete(botId);
         } catch (e) {
-            console.warn(`⚠️  Could not load user config for ${req.user.id}:`, e.message);
-        }
-
-        // Use provided values or fall back to user config or defaults
-        const finalBotName = (userConfig?.bot_name) || "CXFlow Meeting Bot";
-        const finalSummaryTemplate = (userConfig?.summary_template) || null;
-        const finalMaxRecordingTime = (userConfig?.max_recording_time) || 60;
-        // Accept both snake_case and camelCase keys from different clients
-        let finalEmailRecipients = notification_emails;
-        // Normalize empty strings to 
-        // Use default logo if no custom logo is configured
-        const DEFAULT_BOT_LOGO_URL = "https://www.cxflow.io/app/images/logo.png";
-        const finalBotLogoUrl = (userConfig?.bot_logo_url && userConfig.bot_logo_url.trim()) || DEFAULT_BOT_LOGO_URL;
-
-        // Validate required fields
-        if (!meeting_url) {
-            return res.status(400).json({ 
-                error: 'meeting_url is required',
-                example: {
-                    meeting_url: "https://meet.google.com/abc-defg-hij",
-                    bot_name: "CXFlow Meeting Bot",
-                    caption_language: "es",
-                    transcription: { enabled: true }
-                }
-            });
-        }
-
-        // Validate meeting URL format
-        if (!meeting_url.includes('meet.google.com')) {
-            return res.status(400).json({ 
-                error: 'Invalid Google Meet URL format',
-                expected: 'https://meet.google.com/xxx-xxxx-xxx'
-            });
+            console.error(`❌ Error cleaning up existing bot ${botId}:`, e);
         }
+    }
 
-        const botId = uuidv4();
-        console.log(`🤖 Creating bot ${botId} for user ${req.user.id}: ${meeting_url}`);
-        
-        // STEP 1: Force cleanup any existing processes for this botId (if somehow it exists)
-        // This ensures clean state before creating new bot
-        await forceCleanupBotProcesses(botId);
-        
-        // STEP 2: Check if bot already exists in activeBots (shouldn't happen, but safety check)
-        if (activeBots.has(botId)) {
-            console.warn(`⚠️  Bot ${botId} already exists in activeBots, cleaning up...`);
-            const existingBotData = activeBots.get(botId);
+    // Create bot cleanup callback
+    const onLeaveCallback = async () => {
+        console.log(`🧹 Bot ${botId} cleanup started...`);
+        const botData = activeBots.get(botId);
+        if (botData) {
+            botData.status = 'completed';
+            botData.endTime = new Date().toISOString();
+            
+            // Clear TTL timer
+            if (botData.ttlTimer) {
+                clearTimeout(botData.ttlTimer);
+                botData.ttlTimer = null;
+            }
+            
+            // Clear max recording time timer
+            if (botData.maxRecordingTimer) {
+                clearTimeout(botData.maxRecordingTimer);
+                botData.maxRecordingTimer = null;
+            }
+            
+            // Update database status (user is authenticated, so bot is in DB)
             try {
-                if (existingBotData.bot && typeof existingBotData.bot.leaveMeet === 'function') {
-                    await existingBotData.bot.leaveMeet().catch(() => {});
-                }
-                activeBots.delete(botId);
+                updateBotStatus(botId, 'completed');
             } catch (e) {
-                console.error(`❌ Error cleaning up existing bot ${botId}:`, e);
+                console.error('Error updating bot status in DB:', e);
             }
         }
-        
-        // Save bot to database (user is authenticated at this point)
-        botOps.create(botId, req.user.id, meeting_url, finalBotName);
-        
-        // Save user_id to metadata file for historical recovery
-        try {
-            const botDir = path.join(RUNTIME_ROOT, botId);
-            await fs.ensureDir(botDir);
-            const metadataPath = path.join(botDir, 'bot_metadata.json');
 
-            await fs.writeJson(metadataPath, {
-                botId,
-                userId: req.user.id, // User is authenticated, so this is always available
-                meetUrl: meeting_url,
-                title: finalBotName,
-                captionLanguage: caption_language || 'es', // Save language preference
-                recordingType: recording_type,
-                meetingType: meeting_type,
-                summaryTemplate: finalSummaryTemplate,
-                maxRecordingTime: finalMaxRecordingTime,
-                // Include per-bot webhook URL from request, or fall back to user config / env
-                webhookUrl: userConfig?.webhook_url || process.env.WEBHOOK_URL || null,
-                emailRecipients: finalEmailRecipients,
-                createdAt: new Date().toISOString()
-            });
-        } catch (e) {
-            console.warn(`⚠️  Could not save bot metadata for ${botId}:`, e.message);
+        // Update metadata and database with meeting title from extension (if available)
+        const meetingTitle = botData?.bot?.meetingTitle && botData.bot.meetingTitle.trim() ? botData.bot.meetingTitle.trim() : null;
+        if (meetingTitle) {
+            await saveMeetingTitle(botId, meetingTitle);
         }
 
-        // Create bot cleanup callback
-        const onLeaveCallback = async () => {
-            console.log(`🧹 Bot ${botId} cleanup started...`);
-            const botData = activeBots.get(botId);
-            if (botData) {
-                botData.status = 'completed';
-                botData.endTime = new Date().toISOString();
-                
-                // Clear TTL timer
-                if (botData.ttlTimer) {
-                    clearTimeout(botData.ttlTimer);
-                    botData.ttlTimer = null;
-                }
-                
-                // Clear max recording time timer
-                if (botData.maxRecordingTimer) {
-                    clearTimeout(botData.maxRecordingTimer);
-                    botData.maxRecordingTimer = null;
-                }
+         // Update user's total recording minutes
+         try {
+            const bot = botOps.findById(botId);
+            if (bot && bot.user_id) {
+                // Try to get recording duration from metrics - use cached read
+                let recordingDurationMinutes = 0;
+                const botDir = path.join(RUNTIME_ROOT, botId);
+                const metricsPath = path.join(botDir, 'MeetingMetrics.json');
                 
-                // Update database status (user is authenticated, so bot is in DB)
-                try {
-                    botOps.updateStatus(botId, 'completed');
-                } catch (e) {
-                    console.error('Error updating bot status in DB:', e);
-                }
-            }
-
-             // Generate summary from transcript
-             try {
-                console.log(`📝 Bot ${botId}: generating meeting summary...`);
-                // Get summary template and meeting type from metadata if available
-                let summaryTemplateToUse = null;
-                let meetingTypeToUse = null;
                 try {
-                    const botDir = path.join(RUNTIME_ROOT, botId);
-                    const metadataPath = path.join(botDir, 'bot_metadata.json');
-                    const metadata = await getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null);
-                    if (metadata) {
-                        summaryTemplateToUse = metadata.summaryTemplate || null;
-                        meetingTypeToUse = metadata.meetingType || null;
+                    const metrics = await getCachedFile(metricsPath, readArtifactJson, 60000).catch(() => null);
+                    if (metrics && metrics.duration && metrics.duration.totalMinutes) {
+                        recordingDurationMinutes = Math.ceil(metrics.duration.totalMinutes); // Round up to nearest minute
+                        console.log(`📊 Bot ${botId}: recording duration from metrics: ${recordingDurationMinutes} minutes`);
                     }
                 } catch (e) {
-                    console.warn(`⚠️  Could not read metadata for summary template: ${e.message}`);
-                }
-                await generateAndSaveSummary(botId, RUNTIME_ROOT, summaryTemplateToUse, meetingTypeToUse);
-                console.log(`✅ Bot ${botId}: summary generated successfully`);
-            } catch (e) {
-                console.error(`❌ Error generating summary for bot ${botId}:`, e && e.message ? e.message : e);
-            }
-
-            // Update metadata and database with meeting title from extension (if available)
-
-            try {
-                const botInstance = botData?.bot;
-                if (botInstance && botInstance.meetingTitle && botInstance.meetingTitle.trim()) {
-                    const meetingTitle = botInstance.meetingTitle.trim();
-                    
-                    // Update metadata file
-                    const botDir = path.join(RUNTIME_ROOT, botId);
-                    const metadataPath = path.join(botDir, 'bot_metadata.json');
-                    
-                    if (await fs.pathExists(metadataPath)) {
-                        const metadata = await fs.readJson(metadataPath);
-                        metadata.title = meetingTitle;
-                        await fs.writeJson(metadataPath, metadata);
-                        // Invalidate cache after update
-                        invalidateCache(metadataPath);
-                        console.log(`📝 Bot ${botId}: updated metadata with meeting title: ${meetingTitle}`);
-                    }
-                    
-                    // Update database title
-                    try {
-                        botOps.update(botId, { title: meetingTitle });
-                        console.log(`📝 Bot ${botId}: updated database title to: ${meetingTitle}`);
-                    } catch (dbError) {
-                        console.warn(`⚠️  Could not update database title for ${botId}:`, dbError.message);
-                    }
-                }
-            } catch (e) {
-                console.warn(`⚠️  Could not update meeting title for ${botId}:`, e.message);
-            }
-
-            // Send email summary to all recipients (bot creator + provided emails)
-            try {
-                const { sendMeetingSummaryEmail } = require('./utils/email-service');
-                const allRecipients = new Set();
-                console.log(`🧾 Bot ${botId}: configured botData.emailRecipients =`, botData?.emailRecipients);
-                try {
-                    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
-                    const metadata = await getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null);
-                    if (metadata) {
-                        console.log(`🧾 Bot ${botId}: metadata.emailRecipients =`, metadata.emailRecipients);
-                    }
-                } catch (metaErr) {
-                    console.warn(`⚠️ Bot ${botId}: could not read metadata for email debug:`, metaErr && metaErr.message ? metaErr.message : metaErr);
-                }
-                
-                // Get bot from database to find the user who created it
-                const bot = botOps.findById(botId);
-                if (bot && bot.user_id) {
-                    // Get user email
-                    const user = userOps.findById(bot.user_id);
-                    if (user && user.email && user.email_verified) {
-                        allRecipients.add(user.email);
-                    }
+                    console.warn(`⚠️  Could not read metrics for duration: ${e.message}`);
                 }
                 
-                // Add email recipients from request/configuration
-                if (botData && botData.emailRecipients) {
+                // Fallback: calculate from bot stats if metrics not available
+                if (recordingDurationMinutes === 0 && botData?.bot) {
                     try {
-                        let emails = [];
-                        // Accept array or comma-separated string
-                        if (Array.isArray(botData.emailRecipients)) {
-                            emails = botData.emailRecipients.map(e => String(e).trim()).filter(e => e);
-                        } else if (typeof botData.emailRecipients === 'string') {
-                            emails = botData.emailRecipients.split(',').map(e => e.trim()).filter(e => e);
-                        } else if (botData.emailRecipients && typeof botData.emailRecipients === 'object') {
-                            // Might be stored as JSON/object with a field 'emails' or similar
-                            if (Array.isArray(botData.emailRecipients.emails)) {
-                                emails = botData.emailRecipients.emails.map(e => String(e).trim()).filter(e => e);
-                            }
+                        const stats = botData.bot.getStats();
+                        if (stats.recordingDuration && stats.recordingDuration > 0) {
+                            recordingDurationMinutes = Math.ceil(stats.recordingDuration / 60000); // Convert ms to minutes, round up
+                            console.log(`📊 Bot ${botId}: recording duration from stats: ${recordingDurationMinutes} minutes`);
                         }
-
-                        emails.forEach(email => allRecipients.add(email));
                     } catch (e) {
-                        console.warn(`⚠️ Bot ${botId}: could not parse configured email recipients:`, e && e.message ? e.message : e);
+                        console.warn(`⚠️  Could not get duration from stats: ${e.message}`);
                     }
                 }
                 
-                // Send email to all recipients
-                if (allRecipients.size > 0) {
-                    // Convert Set to array for cleaner passing to email service
-                    const recipientsArray = Array.from(allRecipients);
+                // Only update if we have a valid duration
+                if (recordingDurationMinutes > 0) {
+                    // Get current user configuration
+                    const currentConfig = configOps.getByUserId(bot.user_id);
+                    const currentTotalMinutes = currentConfig?.total_recording_minutes || 0;
+                    const newTotalMinutes = currentTotalMinutes + recordingDurationMinutes;
                     
-                    const emailResult = await sendMeetingSummaryEmail({
-                        botId: botId,
-                        meetUrl: botData?.meetingUrl || (bot ? bot.meet_url : meeting_url),
-                        recipients: recipientsArray, // Pass as array - email-service.js handles both array and string
-                        runtimeRoot: RUNTIME_ROOT
+                    // Update user configuration with new total
+                    configOps.upsert(bot.user_id, {
+                        botName: currentConfig?.bot_name || null,
+                        webhookUrl: currentConfig?.webhook_url || null,
+                        summaryTemplate: currentConfig?.summary_template || null,
+                        botLogoUrl: currentConfig?.bot_logo_url || null,
+                        maxRecordingTime: currentConfig?.max_recording_time || 60,
+                        totalRecordingMinutes: newTotalMinutes
                     });
                     
-                    if (emailResult.success) {
-                        console.log(`✅ Bot ${botId}: summary email sent successfully to ${allRecipients.size} recipient(s) (${emailResult.attachments} attachments)`);
-                    } else {
-                        console.log(`⚠️ Bot ${botId}: email sending failed - ${emailResult.message || emailResult.error}`);
-                    }
+                    console.log(`✅ Bot ${botId}: updated user total recording minutes: ${currentTotalMinutes} + ${recordingDurationMinutes} = ${newTotalMinutes} minutes`);
                 } else {
-                    console.log(`⚠️ Bot ${botId}: no valid email recipients found, skipping summary email`);
+                    console.warn(`⚠️  Bot ${botId}: could not determine recording duration, skipping total minutes update`);
                 }
-            } catch (e) {
-                console.error(`❌ Error sending summary email for bot ${botId}:`, e && e.message ? e.message : e);
             }
+        } catch (e) {
+            console.error(`❌ Error updating total recording minutes for bot ${botId}:`, e && e.message ? e.message : e);
+            // Don't fail the cleanup if this update fails
+        }
 
-             // Update user's total recording minutes
-             try {
-                const bot = botOps.findById(botId);
-                if (bot && bot.user_id) {
-                    // Try to get recording duration from metrics - use cached read
-                    let recordingDurationMinutes = 0;
-                    const botDir = path.join(RUNTIME_ROOT, botId);
-                    const metricsPath = path.join(botDir, 'MeetingMetrics.json');
-                    
-                    try {
-                        const metrics = await getCachedFile(metricsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 60000).catch(() => null);
-                        if (metrics && metrics.duration && metrics.duration.totalMinutes) {
-                            recordingDurationMinutes = Math.ceil(metrics.duration.totalMinutes); // Round up to nearest minute
-                            console.log(`📊 Bot ${botId}: recording duration from metrics: ${recordingDurationMinutes} minutes`);
-                        }
-                    } catch (e) {
-                        console.warn(`⚠️  Could not read metrics for duration: ${e.message}`);
-                    }
-                    
-                    // Fallback: calculate from bot stats if metrics not available
-                    if (recordingDurationMinutes === 0 && botData?.bot) {
-                        try {
-                            const stats = botData.bot.getStats();
-                            if (stats.recordingDuration && stats.recordingDuration > 0) {
-                                recordingDurationMinutes = Math.ceil(stats.recordingDuration / 60000); // Convert ms to minutes, round up
-                                console.log(`📊 Bot ${botId}: recording duration from stats: ${recordingDurationMinutes} minutes`);
-                            }
-                        } catch (e) {
-                            console.warn(`⚠️  Could not get duration from stats: ${e.message}`);
-                        }
-                    }
-                    
-                    // Only update if we have a valid duration
-                    if (recordingDurationMinutes > 0) {
-                        // Get current user configuration
-                        const currentConfig = configOps.getByUserId(bot.user_id);
-                        const currentTotalMinutes = currentConfig?.total_recording_minutes || 0;
-                        const newTotalMinutes = currentTotalMinutes + recordingDurationMinutes;
-                        
-                        // Update user configuration with new total
-                        configOps.upsert(bot.user_id, {
-                            botName: currentConfig?.bot_name || null,
-                            webhookUrl: currentConfig?.webhook_url || null,
-                            summaryTemplate: currentConfig?.summary_template || null,
-                            botLogoUrl: currentConfig?.bot_logo_url || null,
-                            maxRecordingTime: currentConfig?.max_recording_time || 60,
-                            totalRecordingMinutes: newTotalMinutes
-                        });
-                        
-                        console.log(`✅ Bot ${botId}: updated user total recording minutes: ${currentTotalMinutes} + ${recordingDurationMinutes} = ${newTotalMinutes} minutes`);
+        // Summary, email and recording processing run as persisted jobs
+        // (see POST-PROCESSING JOBS), outside of the bot's slot
+        try {
+            const botInstance = botData?.bot;
+            let recordingFile = null;
+            let streamedUpload = null;
+            if (botInstance && typeof botInstance.getStats === 'function') {
+                const stats = botInstance.getStats();
+                recordingFile = stats.recordingFile || stats.recordingPath || null;
+                if (recordingFile && !(await fs.pathExists(recordingFile))) recordingFile = null;
+
+                // Complete the upload streamed during the meeting before the file is
+                // touched; it only exists in this process, so it is not a job
+                if (botInstance.recordingUpload) {
+                    const recordingUpload = botInstance.recordingUpload;
+                    botInstance.recordingUpload = null;
+                    if (recordingFile) {
+                        streamedUpload = await recordingUpload.finish();
                     } else {
-                        console.warn(`⚠️  Bot ${botId}: could not determine recording duration, skipping total minutes update`);
+                        await recordingUpload.cancel().catch(() => {});
                     }
                 }
-            } catch (e) {
-                console.error(`❌ Error updating total recording minutes for bot ${botId}:`, e && e.message ? e.message : e);
-                // Don't fail the cleanup if this update fails
             }
+            enqueuePostProcessing(botId, { recordingFile, streamedUpload, meetingTitle });
+        } catch (e) {
+            console.error(`❌ Error queueing post-processing for bot ${botId}:`, e && e.message ? e.message : e);
+        }
 
-            // If a recording file exists, compress and extract audio
+        // Remove bot instance to free memory and cleanup references
+        if (activeBots.has(botId)) {
             try {
-                const botInstance = botData?.bot;
-                if (botInstance && typeof botInstance.getStats === 'function') {
-                    const stats = botInstance.getStats();
-                    let recordingFile = stats.recordingFile || stats.recordingPath;
-                    if (recordingFile && await fs.pathExists(recordingFile)) {
-                        // Compress video to reduce file size (enabled by default for optimization)
-                        // Can be disabled by setting ENABLE_VIDEO_COMPRESSION=false for maximum speed
-                        const enableCompression = process.env.ENABLE_VIDEO_COMPRESSION !== 'false';
-                        
-                        // Fast mode: skip compression for files under 100MB for maximum speed
-                        const fastMode = process.env.FAST_VIDEO_MODE === 'true';
-                        const stats = await fs.stat(recordingFile);
-                        const sizeMB = stats.size / 1024 / 1024;
-                        // if (enableCompression && fastMode) {
-                        //     try {
-                        //         console.log(`🗜️  Bot ${botId}: compressing video (${sizeMB.toFixed(1)} MB)...`);
-                        //         const { compressVideoInPlace, getCompressionRecommendations } = require('./utils/video-compression');
-                                
-                        //         // Get compression recommendations
-                        //         const recommendations = await getCompressionRecommendations(recordingFile);
-                                
-                        //         if (recommendations.shouldCompress) {
-                        //             console.log(`💡 Bot ${botId}: ${recommendations.reason}`);
-                        //             const result = await compressVideoInPlace(recordingFile, recommendations.settings);
-                        //             console.log(`✅ Bot ${botId}: video compressed - saved ${result.reductionPercent}% (${result.inputSizeMB - result.outputSizeMB} MB)`);
-                                    
-                        //             // Update recordingFile to point to compressed file (may have different extension)
-                        //             if (result.outputPath) {
-                        //                 recordingFile = result.outputPath;
-                        //                 console.log(`📝 Bot ${botId}: updated recording file path to: ${recordingFile}`);
-                                        
-                        //                 // Update outputFile metadata to reflect actual file extension
-                        //                 if (botData) {
-                        //                     const fileExt = path.extname(result.outputPath);
-                        //                     const filename = path.basename(result.outputPath);
-                        //                     botData.outputFile = filename;
-                        //                 }
-                        //             }
-                        //         } else {
-                        //             console.log(`ℹ️  Bot ${botId}: compression skipped - ${recommendations.reason}`);
-                        //         }
-                        //     } catch (e) {
-                        //         console.error(`❌ Error compressing video for bot ${botId}:`, e && e.message ? e.message : e);
-                        //         // Continue even if compression fails
-                        //     }
-                        // }
-                        
-                        // Upload video to S3 if configured (with automatic retry)
-                        // Note: recordingFile may now point to .mp4 if compression occurred
+                // Clear bot instance reference and all associated data
+                if (botData) {
+                    if (botData.bot) {
+                        // Ensure browser is closed before clearing reference
                         try {
-                            const { uploadVideoToS3, isS3Configured } = require('./utils/s3-upload');
-
-                            if (isS3Configured()) {
-                                console.log(`☁️  Bot ${botId}: Starting S3 upload...`);
-
-                                // Attempt remux for .webm files to .mp4 (container copy, faststart)
-                                let fileToUpload = recordingFile;
-                                try {
-                                    const ext = path.extname(recordingFile || '').toLowerCase();
-                                    if (ext === '.webm') {
-                                        const remuxedPath = recordingFile.replace(/\.webm$/i, '.mp4');
-                                            if (!(await fs.pathExists(remuxedPath))) {
-                                            console.log(`🔁 Bot ${botId}: remuxing ${recordingFile} -> ${remuxedPath}`);
-                                            await remuxWebmToMp4(recordingFile, remuxedPath, botData?.webhookUrl || null);
-                                            console.log(`✅ Bot ${botId}: remuxed to mp4: ${remuxedPath}`);
-                                        } else {
-                                            console.log(`ℹ️ Bot ${botId}: remuxed file already exists: ${remuxedPath}`);
-                                        }
-                                        fileToUpload = remuxedPath;
-                                        if (botData) botData.outputFile = path.basename(remuxedPath);
-                                    }
-                                } catch (remuxErr) {
-                                    console.warn(`⚠️ Bot ${botId}: remux failed, will upload original file instead: ${remuxErr && remuxErr.message ? remuxErr.message : remuxErr}`);
-                                    fileToUpload = recordingFile;
-                                }
-
-                                const uploadResult = await uploadVideoToS3(fileToUpload, botId, 3); // 3 retry attempts
-
-                                if (uploadResult.success) {
-                                    console.log(`✅ Bot ${botId}: video uploaded to S3: ${uploadResult.s3Url} (${uploadResult.attempts} attempts)`);
-
-                                    // Store S3 URL in metadata
-                                    const botDir = path.join(RUNTIME_ROOT, botId);
-                                    const metadataPath = path.join(botDir, 'bot_metadata.json');
-
-                                    if (await fs.pathExists(metadataPath)) {
-                                        const metadata = await fs.readJson(metadataPath);
-                                        metadata.s3VideoUrl = uploadResult.s3Url;
-                                        metadata.s3Key = uploadResult.s3Key;
-                                        metadata.s3UploadedAt = new Date().toISOString();
-                                        metadata.s3FileSize = uploadResult.size;
-                                        await fs.writeJson(metadataPath, metadata, { spaces: 2 });
-                                        // Invalidate cache after update
-                                        invalidateCache(metadataPath);
-                                    }
-                                    // Mark cache as S3 so future range requests short-circuit
-                                    try { recordingStorageCache.set(recordingId, { where: 's3', ts: Date.now() }); } catch (e) {}
-
-                                    // Optionally delete local file after successful upload (if configured)
-                                    if (process.env.AWS_S3_DELETE_LOCAL_AFTER_UPLOAD === 'true') {
-                                        try {
-                                            await fs.remove(fileToUpload);
-                                            console.log(`🗑️  Bot ${botId}: uploaded file deleted after S3 upload: ${fileToUpload}`);
-                                            // Also consider deleting original .webm if a remuxed .mp4 was created
-                                            if (fileToUpload !== recordingFile && await fs.pathExists(recordingFile)) {
-                                                try { await fs.remove(recordingFile); console.log(`🗑️  Bot ${botId}: original file deleted: ${recordingFile}`); } catch (e) {}
-                                            }
-                                        } catch (e) {
-                                            console.warn(`⚠️  Bot ${botId}: failed to delete uploaded local file:`, e.message);
-                                        }
-                                    }
-                                } else {
-                                    console.warn(`⚠️  Bot ${botId}: S3 upload failed after retries: ${uploadResult.error}`);
-                                    // Store failure info in metadata for debugging
-                                    const botDir = path.join(RUNTIME_ROOT, botId);
-                                    const metadataPath = path.join(botDir, 'bot_metadata.json');
-
-                                    if (await fs.pathExists(metadataPath)) {
-                                        const metadata = await fs.readJson(metadataPath);
-                                        metadata.s3UploadError = uploadResult.error;
-                                        metadata.s3UploadAttemptedAt = new Date().toISOString();
-                                        await fs.writeJson(metadataPath, metadata, { spaces: 2 });
-                                        // Invalidate cache after update
-                                        invalidateCache(metadataPath);
-                                    }
-                                }
-                            } else {
-                                console.log(`ℹ️  Bot ${botId}: S3 not configured, keeping video locally`);
+                            if (botData.bot.browser && botData.bot.browser.isConnected()) {
+                                await botData.bot.browser.close().catch(() => {});
                             }
                         } catch (e) {
-                            console.error(`❌ Error uploading video to S3 for bot ${botId}:`, e && e.message ? e.message : e);
-                            // Continue even if S3 upload fails
+                            // Browser might already be closed
                         }
+                        // Clear bot instance
+                        botData.bot = null;
                     }
-                }
-            } catch (e) {
-                console.error(`❌ Error processing recording for bot ${botId}:`, e && e.message ? e.message : e);
-            }
-
-            // Remove bot instance to free memory and cleanup references
-            if (activeBots.has(botId)) {
-                try {
-                    // Clear bot instance reference and all associated data
-                    if (botData) {
-                        if (botData.bot) {
-                            // Ensure browser is closed before clearing reference
-                            try {
-                                if (botData.bot.browser && botData.bot.browser.isConnected()) {
-                                    await botData.bot.browser.close().catch(() => {});
-                                }
-                            } catch (e) {
-                                // Browser might already be closed
-                            }
-                            // Clear bot instance
-                            botData.bot = null;
-                        }
-                        // Clear timers
-                        if (botData.ttlTimer) {
-                            clearTimeout(botData.ttlTimer);
-                            botData.ttlTimer = null;
-                        }
-                        if (botData.maxRecordingTimer) {
-                            clearTimeout(botData.maxRecordingTimer);
-                            botData.maxRecordingTimer = null;
-                        }
-                        // Clear all references
-                        botData.meetingUrl = null;
-                        botData.emailRecipients = null;
-                        botData.botName = null;
-                        botData.webhookUrl = null;
+                    // Clear timers
+                    if (botData.ttlTimer) {
+                        clearTimeout(botData.ttlTimer);
+                        botData.ttlTimer = null;
                     }
-                    activeBots.delete(botId);
-                    
-                    // Force garbage collection hint (if available)
-                    if (global.gc) {
-                        global.gc();
+                    if (botData.maxRecordingTimer) {
+                        clearTimeout(botData.maxRecordingTimer);
+                        botData.maxRecordingTimer = null;
                     }
-                    
-                    // Additional cleanup: wait a bit for processes to fully terminate
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    
-                    console.log(`🗑️  Bot ${botId} removed from active list`);
-                } catch (e) {
-                    console.error(`❌ Error removing bot ${botId} from active list:`, e);
+                    // Clear all references
+                    botData.meetingUrl = null;
+                    botData.emailRecipients = null;
+                    botData.botName = null;
+                    botData.webhookUrl = null;
                 }
+                releaseBotSlot(botId);
+                
+                // Force garbage collection hint (if available)
+                if (global.gc) {
+                    global.gc();
+                }
+                
+                // Additional cleanup: wait a bit for processes to fully terminate
+                await new Promise(resolve => setTimeout(resolve, 100));
+                
+                console.log(`🗑️  Bot ${botId} removed from active list`);
+            } catch (e) {
+                console.error(`❌ Error removing bot ${botId} from active list:`, e);
             }
+        }
 
-            // If no active bots remain, just log; keep HTTP server running for future requests
-            if (activeBots.size === 0) {
-                console.log('📴 No active bots remaining – HTTP server remains running');
-            }
-            
-            console.log(`✅ Bot ${botId} cleanup completed`);
-        };
+        // If no active bots remain, just log; keep HTTP server running for future requests
+        if (activeBots.size === 0) {
+            console.log('📴 No active bots remaining – HTTP server remains running');
+        }
+        
+        console.log(`✅ Bot ${botId} cleanup completed`);
+    };
+
+    // Create bot with error handling wrapper
+    let bot;
+    try {
+        bot = new Bot(botId, finalBotName, onLeaveCallback, caption_language, finalEmailRecipients, recording_type, finalMaxRecordingTime, finalBotLogoUrl, finalWebhook);
+    } catch (e) {
+        console.error(`❌ Failed to create bot instance ${botId}:`, e);
+        updateBotStatus(botId, 'failed', `Bot creation failed: ${e.message}`);
+        throw e;
+    }
+    
+    // Determine the webhook URL for this bot (priority: request body -> user config -> env)
+    try {
+        bot.webhookUrl = finalWebhook;
+        if (finalWebhook) console.log(`ℹ️ Bot ${botId}: using webhook URL: ${finalWebhook}`);
+    } catch (e) {
+        console.warn(`⚠️ Bot ${botId}: could not set webhook URL: ${e.message}`);
+    }
 
-        const finalWebhook = userConfig?.webhook_url || process.env.WEBHOOK_URL || null;
+    // Push the recording to the owner's storage while the meeting is in progress (if supported)
+    try {
+        bot.recordingUpload = startStreamingUpload(botId, bot.recordingPath, { userId });
+    } catch (e) {
+        console.warn(`⚠️ Bot ${botId}: streaming upload unavailable, recording will be uploaded after the meeting: ${e.message}`);
+    }
 
+    // Note: Crash recovery is handled in bot.js via browser.on('disconnected')
+    // The forceCleanupBotProcesses will be called automatically on crashes
+
+    // Store bot data
+    const botData = {
+        botId,
+        bot,
+        userId,
+        meetingUrl: meeting_url,
+        botName: finalBotName,
+        webhookUrl: bot.webhookUrl || null,
+        captionLanguage: caption_language,
+        recordingType: recording_type,
+        meetingType: meeting_type,
+        emailRecipients: finalEmailRecipients,
+        summaryTemplate: finalSummaryTemplate,
+        maxRecordingTime: finalMaxRecordingTime,
+        status: 'starting',
+        createdAt: new Date().toISOString(),
+        outputFile: `${botId}.webm`,
+        ttlTimer: null,
+        maxRecordingTimer: null, // Timer for max recording time
+    };
+    
+    activeBots.set(botId, botData);
 
-        // Create bot with error handling wrapper
-        let bot;
-        try {
-            bot = new Bot(botId, finalBotName, onLeaveCallback, caption_language, finalEmailRecipients, recording_type, finalMaxRecordingTime, finalBotLogoUrl, finalWebhook);
-        } catch (e) {
-            console.error(`❌ Failed to create bot instance ${botId}:`, e);
-            botOps.updateStatus(botId, 'failed', `Bot creation failed: ${e.message}`);
-            return res.status(500).json({ 
-                error: 'Failed to create bot instance',
-                bot_id: botId,
-                details: e.message
-            });
-        }
-        
-        // Determine the webhook URL for this bot (priority: request body -> user config -> env)
+    // Set max recording time timer (in addition to TTL)
+    if (finalMaxRecordingTime && finalMaxRecordingTime > 0) {
+        const maxRecordingTimeMs = finalMaxRecordingTime * 60 * 1000; // Convert minutes to milliseconds
+        botData.maxRecordingTimer = setTimeout(async () => {
+            try {
+                const current = activeBots.get(botId);
+                if (!current || current.status === 'completed' || current.status === 'failed') return;
+                console.log(`⏱️ Bot ${botId} reached max recording time of ${finalMaxRecordingTime} minutes, stopping recording...`);
+                if (current.bot && typeof current.bot.leaveMeet === 'function') {
+                    await current.bot.leaveMeet().catch(() => {});
+                }
+            } catch (e) {
+                console.error(`❌ Error during max recording time shutdown for bot ${botId}:`, e);
+            }
+        }, maxRecordingTimeMs);
+    }
+
+    // Per-bot hard TTL: force stop after BOT_MAX_LIFETIME_MS even if
+    // recording is still in progress. This prevents orphaned bots.
+    botData.ttlTimer = setTimeout(async () => {
         try {
-            bot.webhookUrl = finalWebhook;
-            if (finalWebhook) console.log(`ℹ️ Bot ${botId}: using webhook URL: ${finalWebhook}`);
+            const current = activeBots.get(botId);
+            if (!current) return;
+            console.log(`⏱️ Bot ${botId} reached TTL of ${BOT_MAX_LIFETIME_MINUTES} minutes, forcing shutdown...`);
+            if (current.bot && typeof current.bot.leaveMeet === 'function') {
+                await current.bot.leaveMeet().catch(() => {});
+            }
+            releaseBotSlot(botId);
         } catch (e) {
-            console.warn(`⚠️ Bot ${botId}: could not set webhook URL: ${e.message}`);
+            console.error(`❌ Error during TTL shutdown for bot ${botId}:`, e);
         }
+    }, BOT_MAX_LIFETIME_MS);
 
-        // Note: Crash recovery is handled in bot.js via browser.on('disconnected')
-        // The forceCleanupBotProcesses will be called automatically on crashes
-
-        // Store bot data
-        const botData = {
-            botId,
-            bot,
-            userId: req.user.id, // Store userId since authentication is required
-            meetingUrl: meeting_url,
-            botName: finalBotName,
-            webhookUrl: bot.webhookUrl || null,
-            captionLanguage: caption_language,
-            recordingType: recording_type,
-            meetingType: meeting_type,
-            emailRecipients: finalEmailRecipients,
-            summaryTemplate: finalSummaryTemplate,
-            maxRecordingTime: finalMaxRecordingTime,
-            status: 'starting',
-            createdAt: new Date().toISOString(),
-            outputFile: `${botId}.webm`,
-            ttlTimer: null,
-            maxRecordingTimer: null, // Timer for max recording time
-        };
-        
-        activeBots.set(botId, botData);
+    // Start bot (async, don't wait)
+    bot.joinMeet(meeting_url)
+        .then(() => {
+            console.log(`✅ Bot ${botId} started successfully`);
+            botData.status = 'recording';
+            
+            try {
+                updateBotStatus(botId, 'recording');
+            } catch (e) {
+                console.error('Error updating bot status in DB:', e);
+            }
+        })
+        .catch(async (error) => {
+            console.error(`❌ Bot ${botId} failed:`, error.message);
+            botData.status = 'failed';
+            botData.error = error.message;
+            
+            try {
+                updateBotStatus(botId, 'failed', error.message);
+            } catch (e) {
+                console.error('Error updating bot status in DB:', e);
+            }
+
+            // Ensure we don't leave any Chrome/Playwright processes running
+            try {
+                if (bot && typeof bot.leaveMeet === 'function') {
+                    await bot.leaveMeet().catch(() => {});
+                }
+            } catch {}
+        });
+
+    return botData;
+}
+
+/**
+ * Whether another bot can be launched without exceeding MAX_CONCURRENT_BOTS
+ */
+function hasFreeBotSlot() {
+    return activeBots.size < MAX_CONCURRENT_BOTS;
+}
+
+/**
+ * Remove a bot from activeBots and let the next queued bot take its slot
+ * @param {string} botId - Bot ID
+ * @returns {boolean} True if the bot was active
+ */
+function releaseBotSlot(botId) {
+    const released = activeBots.delete(botId);
+    if (released) {
+        processBotQueue().catch((e) => {
+            console.error('❌ Error processing bot queue:', e);
+        });
+    }
+    return released;
+}
+
+/**
+ * Start queued bots (oldest first) while there are free slots.
+ * Bots that waited longer than BOT_QUEUE_MAX_WAIT_MINUTES are failed instead,
+ * since their meeting has most likely ended.
+ */
+async function drainBotQueue() {
+    while (!isShuttingDown && hasFreeBotSlot()) {
+        const next = botOps.findNextQueued();
+        if (!next) return;
+
+        // Scheduled bots start waiting at their join time, not when they were created
+        const waitedMs = Date.now() - (next.join_at || next.created_at);
+        if (BOT_QUEUE_MAX_WAIT_MS > 0 && waitedMs > BOT_QUEUE_MAX_WAIT_MS) {
+            console.warn(`⌛ Bot ${next.id} waited ${Math.round(waitedMs / 60000)} minutes in queue, dropping it`);
+            updateBotStatus(next.id, 'failed', `Timed out after waiting ${BOT_QUEUE_MAX_WAIT_MINUTES} minutes in queue`);
+            continue;
+        }
+
+        try {
+            await launchBot(next.id);
+        } catch (e) {
+            console.error(`❌ Failed to launch queued bot ${next.id}:`, e && e.message ? e.message : e);
+            try {
+                updateBotStatus(next.id, 'failed', `Bot launch failed: ${e.message}`);
+            } catch {}
+        }
+    }
+}
+
+/**
+ * Drain the bot queue. Concurrent calls share one drain loop; a call made
+ * while a drain is running causes one more pass once it finishes.
+ * @returns {Promise<void>}
+ */
+function processBotQueue() {
+    botQueueDirty = true;
+    if (!botQueueDrain) {
+        botQueueDrain = (async () => {
+            while (botQueueDirty) {
+                botQueueDirty = false;
+                await drainBotQueue();
+            }
+        })().finally(() => {
+            botQueueDrain = null;
+        });
+    }
+    return botQueueDrain;
+}
+
+/**
+ * Find a bot the authenticated user may access: their own bots and those of
+ * their organizations. Pass { manage: true } for changes (stop, delete,
+ * reschedule, share), which need the creator or an organization admin.
+ * @returns {Object|undefined} Bot record
+ */
+function findBotForUser(botId, user, { manage = false } = {}) {
+    const bot = botOps.findById(botId);
+    const access = getBotAccess(bot, user.id);
+    if (!access || (manage && !access.canManage)) return undefined;
+    return bot;
+}
+
+/**
+ * Format a queued bot (DB row) for the /v1/bots responses
+ */
+function formatQueuedBot(record) {
+    return {
+        bot_id: record.id,
+        meeting_url: record.meet_url,
+        bot_name: record.title,
+        status: 'queued',
+        queue_position: botOps.getQueuePosition(record.id),
+        created_at: new Date(record.created_at).toISOString(),
+        output_file: `${record.id}.webm`,
+        organization_id: record.organization_id || null
+    };
+}
+
+/**
+ * Parse a join_at value (ISO 8601 string or Unix timestamp in milliseconds)
+ * @returns {number} Timestamp in milliseconds, or NaN if invalid
+ */
+function parseJoinAt(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value.trim());
+    return typeof value === 'string' ? Date.parse(value) : NaN;
+}
+
+/**
+ * Validate join_at / recurrence / timezone fields of a schedule request
+ * @returns {{error: string}|{joinAt: number, recurrence: string|null, timezone: string}}
+ */
+function validateSchedule({ join_at, recurrence = null, timezone = null }) {
+    const joinAt = parseJoinAt(join_at);
+    if (!Number.isFinite(joinAt)) {
+        return { error: 'join_at must be an ISO 8601 date or a Unix timestamp in milliseconds' };
+    }
+    if (joinAt < Date.now() - 60 * 1000) {
+        return { error: 'join_at must be in the future' };
+    }
+
+    const scheduleTimezone = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(scheduleTimezone)) {
+        return { error: `Invalid timezone: ${scheduleTimezone}` };
+    }
+
+    if (recurrence) {
+        try {
+            parseRecurrence(recurrence, scheduleTimezone);
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    return { joinAt, recurrence: recurrence || null, timezone: scheduleTimezone };
+}
+
+/**
+ * Format a scheduled bot (DB row) for API responses
+ */
+function formatScheduledBot(record) {
+    let upcoming = [record.join_at];
+    if (record.recurrence) {
+        try {
+            upcoming = expandOccurrences(record.recurrence, record.join_at, {
+                limit: 5,
+                timezone: record.schedule_timezone || DEFAULT_TIMEZONE
+            });
+        } catch (e) {
+            console.warn(`⚠️  Invalid recurrence for bot ${record.id}: ${e.message}`);
+        }
+    }
+
+    return {
+        bot_id: record.id,
+        meeting_url: record.meet_url,
+        bot_name: record.title,
+        status: record.status,
+        join_at: new Date(record.join_at).toISOString(),
+        recurrence: record.recurrence || null,
+        timezone: record.schedule_timezone || DEFAULT_TIMEZONE,
+        series_id: record.series_id || null,
+        upcoming_occurrences: upcoming.map(ts => new Date(ts).toISOString()),
+        created_at: new Date(record.created_at).toISOString(),
+        organization_id: record.organization_id || null
+    };
+}
+
+/**
+ * Create the next scheduled bot of a recurring series.
+ * The new bot gets its own ID and runtime folder (with a copy of the metadata)
+ * so every occurrence has its own recording and transcript.
+ * @param {Object} record - DB row of the occurrence that is starting (or being skipped)
+ * @returns {Promise<string|null>} ID of the next bot, or null if the series has ended
+ */
+async function scheduleNextOccurrence(record) {
+    const timezone = record.schedule_timezone || DEFAULT_TIMEZONE;
+    const next = advanceRecurrence(record.recurrence, record.join_at, Date.now(), timezone);
+    if (!next) {
+        console.log(`📅 Bot ${record.id}: recurring series ${record.series_id || record.id} has no more occurrences`);
+        return null;
+    }
+
+    // Already created (e.g. the server stopped right after spawning it last time)
+    const seriesId = record.series_id || record.id;
+    const existing = botOps.findScheduledInSeries(seriesId, next.occurrence);
+    if (existing) return existing.id;
+
+    const nextBotId = uuidv4();
+    botOps.create(nextBotId, record.user_id, record.meet_url, record.title, {
+        joinAt: next.occurrence,
+        recurrence: next.rule,
+        timezone,
+        seriesId
+    }, record.organization_id || null);
+
+    try {
+        const metadata = await fs.readJson(path.join(RUNTIME_ROOT, record.id, 'bot_metadata.json'));
+        const botDir = path.join(RUNTIME_ROOT, nextBotId);
+        await fs.ensureDir(botDir);
+        await fs.writeJson(path.join(botDir, 'bot_metadata.json'), {
+            ...metadata,
+            botId: nextBotId,
+            joinAt: new Date(next.occurrence).toISOString(),
+            createdAt: new Date().toISOString()
+        });
+    } catch (e) {
+        // launchBot reads every launch setting from the metadata: without it the bot could never start
+        botOps.delete(nextBotId);
+        await fs.remove(path.join(RUNTIME_ROOT, nextBotId)).catch(() => {});
+        throw new Error(`Could not copy bot metadata from ${record.id} to ${nextBotId}: ${e.message}`);
+    }
+
+    console.log(`📅 Bot ${nextBotId}: next occurrence of series ${seriesId} scheduled for ${new Date(next.occurrence).toISOString()}`);
+    return nextBotId;
+}
+
+/**
+ * Move scheduled bots whose join time has come into the launch queue.
+ * Recurring bots schedule their next occurrence first, so a crash between the
+ * two steps can never end the series.
+ */
+async function runScheduler() {
+    if (isShuttingDown || schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+        const due = botOps.findDueScheduled(Date.now() + SCHEDULED_BOT_LEAD_MS);
+        let admitted = 0;
 
-        // Set max recording time timer (in addition to TTL)
-        if (finalMaxRecordingTime && finalMaxRecordingTime > 0) {
-            const maxRecordingTimeMs = finalMaxRecordingTime * 60 * 1000; // Convert minutes to milliseconds
-            botData.maxRecordingTimer = setTimeout(async () => {
+        for (const record of due) {
+            if (record.recurrence) {
                 try {
-                    const current = activeBots.get(botId);
-                    if (!current || current.status === 'completed' || current.status === 'failed') return;
-                    console.log(`⏱️ Bot ${botId} reached max recording time of ${finalMaxRecordingTime} minutes, stopping recording...`);
-                    if (current.bot && typeof current.bot.leaveMeet === 'function') {
-                        await current.bot.leaveMeet().catch(() => {});
-                    }
+                    await scheduleNextOccurrence(record);
                 } catch (e) {
-                    console.error(`❌ Error during max recording time shutdown for bot ${botId}:`, e);
+                    console.error(`❌ Could not schedule next occurrence for bot ${record.id}:`, e && e.message ? e.message : e);
+                }
+            }
+            if (botOps.admitScheduled(record.id)) {
+                admitted++;
+                console.log(`⏰ Bot ${record.id}: join time ${new Date(record.join_at).toISOString()} reached, queued for launch`);
+            }
+        }
+
+        if (admitted > 0) {
+            await processBotQueue();
+        }
+    } catch (e) {
+        console.error('❌ Scheduler error:', e && e.message ? e.message : e);
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+/**
+ * Start polling for due scheduled bots
+ */
+function startScheduler() {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(() => {
+        runScheduler().catch(() => {});
+    }, SCHEDULER_POLL_INTERVAL_MS);
+    const scheduled = botOps.countScheduled();
+    console.log(`📅 Scheduler started (${scheduled} scheduled bot(s), polling every ${SCHEDULER_POLL_INTERVAL_MS / 1000}s)`);
+    return runScheduler();
+}
+
+/**
+ * Persist a new bot for a user: DB row plus runtime metadata (bot_metadata.json).
+ * Bot settings come from the user's configuration, overridden by the
+ * organization's settings for bots created in an organization; the bot is
+ * created as 'queued' or, when a schedule is given, as 'scheduled'. Nothing is launched here.
+ * @param {string} userId - Owner of the bot
+ * @param {Object} options - { meetingUrl, captionLanguage, recordingType, meetingType, emailRecipients, schedule, organizationId, metadata }
+ * @returns {Promise<{botId: string, botName: string}>} Throws (and deletes the bot) if the metadata can't be saved
+ */
+async function createBotRecord(userId, options) {
+    const {
+        meetingUrl,
+        captionLanguage = 'es',
+        recordingType = 'audio-video',
+        meetingType = 'other',
+        emailRecipients = null,
+        schedule = null,
+        organizationId = null,
+        metadata: extraMetadata = {}
+    } = options;
+
+    // Get user configuration for bot defaults
+    let userConfig = null;
+    try {
+        userConfig = configOps.getByUserId(userId);
+    } catch (e) {
+        console.warn(`⚠️  Could not load user config for ${userId}:`, e.message);
+    }
+
+    // Organization settings take precedence where set
+    if (organizationId) {
+        const org = orgOps.findById(organizationId);
+        if (org) {
+            userConfig = { ...(userConfig || {}) };
+            for (const key of ['bot_name', 'webhook_url', 'summary_template', 'bot_logo_url', 'max_recording_time']) {
+                if (org[key] !== null && org[key] !== undefined && org[key] !== '') userConfig[key] = org[key];
+            }
+        }
+    }
+
+    // Use user config or defaults
+    const finalBotName = (userConfig?.bot_name) || "CXFlow Meeting Bot";
+    const finalSummaryTemplate = (userConfig?.summary_template) || null;
+    const finalMaxRecordingTime = (userConfig?.max_recording_time) || 60;
+    // Use default logo if no custom logo is configured
+    const DEFAULT_BOT_LOGO_URL = "https://www.cxflow.io/app/images/logo.png";
+    const finalBotLogoUrl = (userConfig?.bot_logo_url && userConfig.bot_logo_url.trim()) || DEFAULT_BOT_LOGO_URL;
+
+    const botId = uuidv4();
+    if (schedule) {
+        schedule.seriesId = schedule.recurrence ? botId : null;
+        console.log(`📅 Scheduling bot ${botId} for user ${userId} at ${new Date(schedule.joinAt).toISOString()}: ${meetingUrl}`);
+    } else {
+        console.log(`🤖 Creating bot ${botId} for user ${userId}: ${meetingUrl}`);
+    }
+
+    // Save bot to database
+    botOps.create(botId, userId, meetingUrl, finalBotName, schedule, organizationId);
+    
+    // Launch settings (read by launchBot) and user_id for historical recovery
+    const botDir = path.join(RUNTIME_ROOT, botId);
+    try {
+        await fs.ensureDir(botDir);
+        const metadataPath = path.join(botDir, 'bot_metadata.json');
+
+        await fs.writeJson(metadataPath, {
+            botId,
+            userId,
+            meetUrl: meetingUrl,
+            title: finalBotName,
+            captionLanguage: captionLanguage || 'es', // Save language preference
+            recordingType,
+            meetingType,
+            summaryTemplate: finalSummaryTemplate,
+            maxRecordingTime: finalMaxRecordingTime,
+            botLogoUrl: finalBotLogoUrl,
+            // Per-bot webhook URL from user config, or fall back to env
+            webhookUrl: userConfig?.webhook_url || process.env.WEBHOOK_URL || null,
+            emailRecipients,
+            joinAt: schedule ? new Date(schedule.joinAt).toISOString() : null,
+            organizationId,
+            ...extraMetadata,
+            createdAt: new Date().toISOString()
+        });
+    } catch (e) {
+        // A bot without metadata can never be launched: don't keep it
+        console.error(`❌ Could not save bot metadata for ${botId}:`, e.message);
+        botOps.delete(botId);
+        await fs.remove(botDir).catch(() => {});
+        throw new Error(`Could not save bot metadata: ${e.message}`);
+    }
+
+    return { botId, botName: finalBotName };
+}
+
+/**
+ * Create and start recording bot
+ * Requires authentication - unauthenticated users cannot create bots.
+ * When MAX_CONCURRENT_BOTS bots are already running the bot is queued and
+ * started automatically once a slot frees up.
+ */
+app.post('/v1/bots', authMiddleware, async (req, res) => {
+    try {
+        // Authentication is required - authMiddleware ensures req.user exists
+        if (!req.user || !req.user.id) {
+            return res.status(401).json({ 
+                error: 'Authentication required',
+                message: 'You must be logged in to create a bot and start recording'
+            });
+        }
+
+        const {
+            meeting_url,
+            caption_language = "es",  // Default to Spanish
+            notification_emails = null,  // Optional: comma-separated email addresses (snake_case)
+            recording_type = "audio-video",
+            meeting_type = "other",
+            // Allow callers to set a per-bot webhook URL when creating the bot
+            webhook_url = null,
+            webhookUrl = null,
+            // Optional scheduling: join at a future time, optionally recurring (RRULE)
+            join_at = null,
+            recurrence = null,
+            timezone = null,
+            // Optional: create the bot in an organization (member role or higher)
+            organization_id = null
+        } = req.body;
+
+        // Validate required fields
+        if (!meeting_url) {
+            return res.status(400).json({ 
+                error: 'meeting_url is required',
+                example: {
+                    meeting_url: "https://meet.google.com/abc-defg-hij",
+                    bot_name: "CXFlow Meeting Bot",
+                    caption_language: "es",
+                    transcription: { enabled: true }
                 }
-            }, maxRecordingTimeMs);
+            });
+        }
+
+        // Validate meeting URL format
+        if (!meeting_url.includes('meet.google.com')) {
+            return res.status(400).json({ 
+                error: 'Invalid Google Meet URL format',
+                expected: 'https://meet.google.com/xxx-xxxx-xxx'
+            });
+        }
+
+        if (organization_id) {
+            const role = orgOps.getMemberRole(organization_id, req.user.id);
+            if (!role) {
+                return res.status(404).json({ error: 'Organization not found', organization_id });
+            }
+            if (!hasOrgRole(role, 'member')) {
+                return res.status(403).json({ error: 'Viewers cannot create bots in this organization', organization_id });
+            }
+        }
+
+        let schedule = null;
+        if (join_at !== null && join_at !== undefined && join_at !== '') {
+            const validated = validateSchedule({ join_at, recurrence, timezone });
+            if (validated.error) {
+                return res.status(400).json({ error: validated.error });
+            }
+            schedule = validated;
+        } else if (recurrence) {
+            return res.status(400).json({ error: 'recurrence requires join_at' });
+        }
+
+        const { botId, botName: finalBotName } = await createBotRecord(req.user.id, {
+            meetingUrl: meeting_url,
+            captionLanguage: caption_language,
+            recordingType: recording_type,
+            meetingType: meeting_type,
+            emailRecipients: notification_emails,
+            schedule,
+            organizationId: organization_id || null
+        });
+
+        if (schedule) {
+            // Bots due within the lead time are admitted right away
+            runScheduler().catch(() => {});
+            return res.status(201).json({
+                success: true,
+                ...formatScheduledBot(botOps.findById(botId))
+            });
+        }
+
+        // Admit through the queue: the bot is persisted as 'queued' and started
+        // right away if a slot is free and nobody is waiting ahead of it
+        await processBotQueue();
+
+        const botData = activeBots.get(botId);
+        if (botData) {
+            return res.json({
+                success: true,
+                bot_id: botId,
+                meeting_url,
+                bot_name: finalBotName,
+                status: 'starting',
+                output_file: `${botId}.webm`,
+                created_at: botData.createdAt
+            });
+        }
+
+        const botRecord = botOps.findById(botId);
+        if (botRecord && botRecord.status === 'queued') {
+            const queuePosition = botOps.getQueuePosition(botId);
+            console.log(`⏳ Bot ${botId} queued at position ${queuePosition} (${activeBots.size}/${MAX_CONCURRENT_BOTS} bots running)`);
+            return res.status(202).json({
+                success: true,
+                bot_id: botId,
+                meeting_url,
+                bot_name: finalBotName,
+                status: 'queued',
+                queue_position: queuePosition,
+                output_file: `${botId}.webm`,
+                created_at: new Date(botRecord.created_at).toISOString()
+            });
+        }
+
+        res.status(500).json({ 
+            error: 'Failed to create bot instance',
+            bot_id: botId,
+            details: botRecord?.error || 'Bot could not be started'
+        });
+    } catch (error) {
+        console.error('❌ Failed to create bot:', error);
+        res.status(500).json({ 
+            error: error.message,
+            details: 'Check server logs for more information'
+        });
+    }
+});
+
+/**
+ * List the current user's scheduled bots
+ */
+app.get('/v1/scheduled-bots', authMiddleware, (req, res) => {
+    try {
+        const bots = botOps.findScheduledByUserId(req.user.id).map(formatScheduledBot);
+        res.json({ bots, total: bots.length });
+    } catch (error) {
+        console.error('❌ Error listing scheduled bots:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Reschedule a scheduled bot (join_at, recurrence and/or timezone).
+ * Pass recurrence: null to turn a recurring bot into a one-off.
+ */
+app.patch('/v1/scheduled-bots/:botId', authMiddleware, (req, res) => {
+    try {
+        const record = findBotForUser(req.params.botId, req.user, { manage: true });
+        if (!record || record.status !== 'scheduled') {
+            return res.status(404).json({ error: 'Scheduled bot not found', bot_id: req.params.botId });
+        }
+
+        const has = (key) => Object.prototype.hasOwnProperty.call(req.body, key);
+        const validated = validateSchedule({
+            join_at: has('join_at') ? req.body.join_at : record.join_at,
+            recurrence: has('recurrence') ? req.body.recurrence : record.recurrence,
+            timezone: has('timezone') ? req.body.timezone : record.schedule_timezone
+        });
+        if (validated.error) {
+            return res.status(400).json({ error: validated.error });
+        }
+
+        botOps.update(record.id, {
+            join_at: validated.joinAt,
+            recurrence: validated.recurrence,
+            schedule_timezone: validated.timezone,
+            series_id: validated.recurrence ? (record.series_id || record.id) : null
+        });
+        console.log(`📅 Bot ${record.id} rescheduled to ${new Date(validated.joinAt).toISOString()}${validated.recurrence ? ` (${validated.recurrence})` : ''}`);
+
+        runScheduler().catch(() => {});
+        res.json({ success: true, ...formatScheduledBot(botOps.findById(record.id)) });
+    } catch (error) {
+        console.error('❌ Error rescheduling bot:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Cancel a scheduled bot.
+ * For recurring bots the whole series is cancelled, unless ?scope=occurrence
+ * is given, in which case only this occurrence is skipped.
+ */
+app.delete('/v1/scheduled-bots/:botId', authMiddleware, async (req, res) => {
+    try {
+        const record = findBotForUser(req.params.botId, req.user, { manage: true });
+        if (!record || record.status !== 'scheduled') {
+            return res.status(404).json({ error: 'Scheduled bot not found', bot_id: req.params.botId });
+        }
+
+        let nextBotId = null;
+        if (req.query.scope === 'occurrence' && record.recurrence) {
+            nextBotId = await scheduleNextOccurrence(record);
+        }
+
+        updateBotStatus(record.id, 'cancelled');
+        console.log(`🛑 Scheduled bot ${record.id} cancelled${nextBotId ? ` (series continues with ${nextBotId})` : ''}`);
+
+        res.json({
+            success: true,
+            bot_id: record.id,
+            status: 'cancelled',
+            next_bot_id: nextBotId
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling scheduled bot:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// POST-PROCESSING JOBS
+// ============================================
+
+/**
+ * Save the meeting title read from the meeting page into the bot's metadata
+ * and database record
+ */
+async function saveMeetingTitle(botId, meetingTitle) {
+    try {
+        const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+        if (await fs.pathExists(metadataPath)) {
+            const metadata = await fs.readJson(metadataPath);
+            metadata.title = meetingTitle;
+            await fs.writeJson(metadataPath, metadata);
+            // Invalidate cache after update
+            invalidateCache(metadataPath);
+            console.log(`📝 Bot ${botId}: updated metadata with meeting title: ${meetingTitle}`);
+        }
+
+        try {
+            botOps.update(botId, { title: meetingTitle });
+            console.log(`📝 Bot ${botId}: updated database title to: ${meetingTitle}`);
+        } catch (dbError) {
+            console.warn(`⚠️  Could not update database title for ${botId}:`, dbError.message);
+        }
+    } catch (e) {
+        console.warn(`⚠️  Could not update meeting title for ${botId}:`, e.message);
+    }
+}
+
+/**
+ * Recipients of a bot's summary email: its creator (if their email is
+ * verified) and the emailRecipients it was created with (array,
+ * comma-separated string or { emails })
+ */
+function getSummaryEmailRecipients(bot, emailRecipients) {
+    const recipients = new Set();
+    if (bot && bot.user_id) {
+        const user = userOps.findById(bot.user_id);
+        if (user && user.email && user.email_verified) {
+            recipients.add(user.email);
+        }
+    }
+
+    let emails = [];
+    if (Array.isArray(emailRecipients)) {
+        emails = emailRecipients;
+    } else if (typeof emailRecipients === 'string') {
+        emails = emailRecipients.split(',');
+    } else if (emailRecipients && Array.isArray(emailRecipients.emails)) {
+        emails = emailRecipients.emails;
+    }
+    emails.map(email => String(email).trim()).filter(email => email).forEach(email => recipients.add(email));
+
+    return Array.from(recipients);
+}
+
+/**
+ * Read a bot's runtime metadata (cached)
+ */
+function readBotMetadata(botId) {
+    return getCachedFile(path.join(RUNTIME_ROOT, botId, 'bot_metadata.json'), fs.readJson, 60000).catch(() => null);
+}
+
+registerJobType('summary', async ({ botId, payload, log }) => {
+    const metadata = await readBotMetadata(botId);
+    const summaryPath = await generateAndSaveSummary(botId, RUNTIME_ROOT, metadata?.summaryTemplate || null, metadata?.meetingType || null);
+    // The title read from the meeting wins over the one generated with the summary
+    if (payload.meetingTitle) {
+        await saveMeetingTitle(botId, payload.meetingTitle);
+    }
+    log(summaryPath ? 'Summary generated' : 'No transcript found, no summary generated');
+    return { generated: !!summaryPath };
+});
+
+registerJobType('action_items', async ({ botId, log }) => {
+    const actionItems = await generateActionItems(botId, RUNTIME_ROOT);
+    log(actionItems ? `${actionItems.items.length} action items extracted` : 'No transcript or LLM provider, no action items');
+    return { action_items: actionItems ? actionItems.items.length : 0 };
+});
+
+registerJobType('search_index', async ({ botId, log }) => {
+    const index = await indexBotTranscript(botId, RUNTIME_ROOT);
+    log(index ? `${index.chunks} transcript chunks indexed (${index.models.join(', ')})` : 'Encryption at rest is enabled, not indexed for search');
+    return index || { chunks: 0, models: [] };
+});
+
+registerJobType('email', async ({ botId, log }) => {
+    const { sendMeetingSummaryEmail } = require('./utils/email-service');
+    const bot = botOps.findById(botId);
+    const metadata = await readBotMetadata(botId);
+    const recipients = getSummaryEmailRecipients(bot, metadata?.emailRecipients);
+    if (recipients.length === 0) {
+        log('No valid email recipients, skipping summary email');
+        return { sent: false };
+    }
+
+    const emailResult = await sendMeetingSummaryEmail({
+        botId,
+        meetUrl: bot ? bot.meet_url : null,
+        recipients,
+        runtimeRoot: RUNTIME_ROOT
+    });
+    // Sending errors are retried; a missing configuration or bad recipients are not
+    if (emailResult.error) throw new Error(`Email sending failed: ${emailResult.error}`);
+    if (!emailResult.success) {
+        log(`Summary email skipped: ${emailResult.message}`, 'warn');
+        return { sent: false, reason: emailResult.message };
+    }
+    log(`Summary email sent to ${recipients.length} recipient(s) (${emailResult.attachments} attachments)`);
+    return { sent: true, recipients: recipients.length };
+});
+
+registerJobType('hls', async ({ botId, payload, log }) => {
+    if (!(await fs.pathExists(payload.recordingFile))) {
+        throw new Error('Recording is no longer stored locally');
+    }
+    // Packaged from the original before it may be deleted after upload
+    const hls = await packageHls(payload.recordingFile, path.join(path.dirname(payload.recordingFile), 'hls'), { botId });
+    await saveHlsPackage(botId, hls);
+    log(`HLS package ready (${hls.renditions.map(r => r.name).join(', ')})`);
+    return { renditions: hls.renditions.map(r => r.name) };
+}, { maxAttempts: 2 });
+
+registerJobType('audio', async ({ botId, payload, log }) => {
+    if (!(await fs.pathExists(payload.recordingFile))) {
+        throw new Error('Recording is no longer stored locally');
+    }
+    const failed = [];
+    for (const audioExport of payload.exports) {
+        try {
+            const exportPath = await ensureAudioExport(payload.recordingFile, { ...audioExport, botId });
+            log(`Audio exported: ${path.basename(exportPath)}`);
+        } catch (e) {
+            failed.push(audioExport.format);
+            log(`${audioExport.format} export failed: ${e.message}`, 'error');
+        }
+    }
+    if (failed.length > 0) throw new Error(`Audio export failed for: ${failed.join(', ')}`);
+    return { formats: payload.exports.map(audioExport => audioExport.format) };
+}, { maxAttempts: 2 });
+
+registerJobType('thumbnails', async ({ botId, payload, log }) => {
+    if (!(await fs.pathExists(payload.recordingFile))) {
+        throw new Error('Recording is no longer stored locally');
+    }
+    const thumbnails = await generateThumbnails(payload.recordingFile, path.join(path.dirname(payload.recordingFile), THUMBNAILS_DIR), { botId });
+    if (!thumbnails) {
+        log('Recording has no video, no thumbnails');
+        return { generated: false };
+    }
+    await saveThumbnails(botId, thumbnails);
+    log(`Poster and storyboard ready (${thumbnails.storyboard.count} tiles every ${thumbnails.storyboard.interval}s)`);
+    return { generated: true, tiles: thumbnails.storyboard.count };
+}, { maxAttempts: 2 });
+
+registerJobType('chapters', async ({ botId, log }) => {
+    const chapters = await generateChapters(botId, RUNTIME_ROOT);
+    log(chapters ? `${chapters.chapters.length} chapters from ${chapters.source}` : 'No transcript found, no chapters');
+    return { chapters: chapters ? chapters.chapters.length : 0, source: chapters ? chapters.source : null };
+});
+
+registerJobType('remux', async ({ botId, payload, log }) => {
+    if (!(await fs.pathExists(payload.recordingFile))) {
+        throw new Error('Recording is no longer stored locally');
+    }
+    const metadata = await readBotMetadata(botId);
+    // Shared with a /stream request that may already be remuxing it
+    const remuxedPath = await ensureMp4Remux(payload.recordingFile, { botId, overrideUrl: metadata?.webhookUrl || null });
+    log(`Remuxed to ${path.basename(remuxedPath)}`);
+    return { file: path.basename(remuxedPath) };
+}, { maxAttempts: 2 });
+
+registerJobType('upload', async ({ botId, payload, log }) => {
+    const { recordingFile, streamedUpload } = payload;
+    const ownerId = botOps.findById(botId)?.user_id || null;
+    const uploadedFiles = [];
+
+    if (streamedUpload && streamedUpload.success) {
+        // Already uploaded as it was recorded: no remux, nothing left to upload
+        await saveRecordingLocation(botId, streamedUpload);
+        try { recordingStorageCache.set(botId, { where: 'storage', ts: Date.now() }); } catch (e) {}
+        uploadedFiles.push(recordingFile);
+        log(`Recording streamed to ${streamedUpload.provider} storage: ${streamedUpload.key}`);
+    } else if (!(await fs.pathExists(recordingFile))) {
+        log('Recording is no longer stored locally, nothing to upload', 'warn');
+    } else if (isStorageConfigured(ownerId)) {
+        // The remuxed .mp4 if the remux job produced one, the original otherwise
+        const remuxedPath = recordingFile.replace(/\.webm$/i, '.mp4');
+        const fileToUpload = remuxedPath !== recordingFile && await fs.pathExists(remuxedPath) ? remuxedPath : recordingFile;
+
+        // Encrypted at rest (if enabled) before it leaves the server
+        await encryptBotArtifacts(botId);
+
+        const uploadResult = await uploadRecording(fileToUpload, botId, { userId: ownerId, maxRetries: 3 });
+        if (!uploadResult.success) {
+            // Store failure info in metadata for debugging
+            await saveRecordingUploadError(botId, uploadResult.error);
+            throw new Error(`Storage upload failed: ${uploadResult.error}`);
+        }
+        await saveRecordingLocation(botId, uploadResult);
+        // Mark cache as uploaded so future range requests short-circuit
+        try { recordingStorageCache.set(botId, { where: 'storage', ts: Date.now() }); } catch (e) {}
+        // Including the original .webm if a remuxed .mp4 was uploaded
+        uploadedFiles.push(fileToUpload, recordingFile);
+        log(`Recording uploaded to ${uploadResult.provider} storage: ${uploadResult.key} (${uploadResult.attempts} attempts)`);
+    } else {
+        log('Storage not configured, keeping the recording locally');
+    }
+
+    const hlsDir = path.join(path.dirname(recordingFile), 'hls');
+    if (isStorageConfigured(ownerId) && await fs.pathExists(hlsDir)) {
+        await encryptBotArtifacts(botId);
+        const hlsUpload = await uploadHlsPackage(hlsDir, botId, { userId: ownerId });
+        if (hlsUpload.success) {
+            await saveHlsLocation(botId, hlsUpload);
+            uploadedFiles.push(hlsDir);
+            log(`HLS package uploaded (${Object.keys(hlsUpload.files).length} files)`);
+        } else {
+            log(`HLS upload failed, serving it locally: ${hlsUpload.error}`, 'warn');
+        }
+    }
+
+    // Optionally delete local files after successful upload (if configured)
+    await removeUploadedLocalFiles(botId, uploadedFiles);
+    return { uploaded: uploadedFiles.length > 0 };
+});
+
+registerJobType('encrypt', async ({ botId, log }) => {
+    const encrypted = await encryptBotArtifacts(botId);
+    log(`${encrypted} artifact file(s) encrypted`);
+    return { encrypted };
+});
+
+/**
+ * Queue the post-processing of a bot that left its meeting:
+ *   summary, action items → email
+ *   chapters
+ *   search index
+ *   hls, audio, thumbnails, remux (.webm to storage) → upload
+ *   everything → encrypt (when encryption at rest is enabled)
+ *
+ * @param {string} botId - Bot ID
+ * @param {Object} options - { recordingFile, streamedUpload, meetingTitle }
+ * @returns {Array<string>} Job IDs
+ */
+function enqueuePostProcessing(botId, { recordingFile = null, streamedUpload = null, meetingTitle = null } = {}) {
+    const jobs = [
+        { type: 'summary', payload: { meetingTitle } },
+        // Structured action items (owners, due dates), also listed in the email
+        { type: 'action_items' },
+        { type: 'email', dependsOn: ['summary', 'action_items'] }
+    ];
+    // Chapter markers from speaker changes or the transcript's topics (CHAPTERS_MODE)
+    if (getChaptersMode() !== 'off') {
+        jobs.push({ type: 'chapters' });
+    }
+    // Transcript chunks and their vectors for /v1/search
+    jobs.push({ type: 'search_index' });
+
+    if (recordingFile) {
+        const ownerId = botOps.findById(botId)?.user_id || null;
+        const streamed = !!(streamedUpload && streamedUpload.success);
+
+        // Optional HLS ladder (360p, 720p, audio-only) for adaptive playback
+        if (process.env.ENABLE_HLS_PACKAGING === 'true') {
+            jobs.push({ type: 'hls', payload: { recordingFile } });
+        }
+        // Audio-only exports (AUDIO_EXPORT_FORMATS) for podcasts and other ASR engines
+        const audioExports = getDefaultAudioExports();
+        if (audioExports.length > 0) {
+            jobs.push({ type: 'audio', payload: { recordingFile, exports: audioExports } });
+        }
+        // Poster and storyboard sprite for scrub previews
+        if (process.env.ENABLE_THUMBNAILS !== 'false') {
+            jobs.push({ type: 'thumbnails', payload: { recordingFile } });
+        }
+        // .webm recordings are remuxed to .mp4 (container copy, faststart) before upload
+        if (!streamed && isStorageConfigured(ownerId) && /\.webm$/i.test(recordingFile)) {
+            jobs.push({ type: 'remux', payload: { recordingFile } });
+        }
+        if (streamed || isStorageConfigured(ownerId)) {
+            jobs.push({ type: 'upload', payload: { recordingFile, streamedUpload }, dependsOn: ['hls', 'audio', 'thumbnails', 'remux'] });
+        }
+    }
+
+    if (isEncryptionEnabled()) {
+        jobs.push({ type: 'encrypt', dependsOn: jobs.map(job => job.type) });
+    }
+
+    return enqueueJobs(botId, jobs);
+}
+
+/**
+ * Format a bot's post-processing jobs (with their logs) for API responses
+ */
+function formatPostProcessing(botId) {
+    const jobs = jobOps.findByBotId(botId);
+    const logs = jobOps.getLogsByBotId(botId);
+    const typeById = new Map(jobs.map(job => [job.id, job.type]));
+    const toIso = (ts) => (ts ? new Date(ts).toISOString() : null);
+    const parseJson = (value, fallback) => {
+        try { return JSON.parse(value); } catch (e) { return fallback; }
+    };
+
+    return {
+        bot_id: botId,
+        status: getPostProcessingStatus(jobs),
+        jobs: jobs.map(job => ({
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            depends_on: parseJson(job.depends_on, []).map(id => typeById.get(id) || id),
+            attempts: job.attempts,
+            max_attempts: job.max_attempts,
+            next_attempt_at: job.status === 'pending' ? toIso(job.next_attempt_at) : null,
+            last_error: job.last_error,
+            result: job.result ? parseJson(job.result, null) : null,
+            created_at: toIso(job.created_at),
+            started_at: toIso(job.started_at),
+            finished_at: toIso(job.finished_at),
+            logs: logs.filter(entry => entry.job_id === job.id).map(entry => ({
+                attempt: entry.attempt,
+                level: entry.level,
+                message: entry.message,
+                created_at: toIso(entry.created_at)
+            }))
+        }))
+    };
+}
+
+// ============================================
+// CALENDAR (ICS) INGESTION
+// ============================================
+
+// How far ahead calendar events are turned into scheduled bots
+const CALENDAR_SYNC_HORIZON_DAYS = Number(process.env.CALENDAR_SYNC_HORIZON_DAYS || 14);
+const CALENDAR_SYNC_HORIZON_MS = CALENDAR_SYNC_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+// How often registered ICS feeds are fetched again (0 disables polling)
+const CALENDAR_SYNC_INTERVAL_MINUTES = Number(process.env.CALENDAR_SYNC_INTERVAL_MINUTES || 15);
+const CALENDAR_FEED_TIMEOUT_MS = 15000;
+let calendarSyncTimer = null;
+
+/**
+ * Message for a failed feed fetch that doesn't reveal what is behind the URL
+ */
+function describeFeedError(error) {
+    if (error.code === 'EPRIVATEADDRESS') return 'The feed URL points to a private or local address';
+    if (error.isAxiosError) {
+        const status = error.response?.status;
+        if (status >= 300 && status < 400) return 'The feed URL redirects; use the final URL of the feed';
+        return status ? `The feed URL answered HTTP ${status}` : 'The feed could not be fetched';
+    }
+    return error.message;
+}
+
+/**
+ * Cancel the bot of a calendar mapping if it has not started yet
+ */
+function cancelCalendarBot(mapping) {
+    const record = mapping.bot_id ? botOps.findById(mapping.bot_id) : null;
+    if (record && record.status === 'scheduled') {
+        updateBotStatus(record.id, 'cancelled');
+        console.log(`🛑 Calendar bot ${record.id} cancelled (event ${mapping.event_uid} cancelled or removed)`);
+    }
+    calendarOps.updateMapping(mapping.id, { status: 'cancelled' });
+}
+
+// Running calendar syncs, by user ID
+const calendarSyncLocks = new Map();
+
+/**
+ * Sync a user's calendar events into scheduled bots.
+ * Every event occurrence with a Google Meet link within the sync horizon gets
+ * exactly one bot, tracked in calendar_event_bots. Moved or re-linked events
+ * update their bot while it is still scheduled; cancelled events (and, for
+ * feeds, events that disappeared) cancel it. Bots the user cancelled or that
+ * already started are left alone.
+ * @param {string} userId - Owner of the calendar
+ * @param {string} icsText - iCalendar content
+ * @param {string} source - 'feed' or 'upload'
+ * @returns {Promise<Object>} Counts { events, created, updated, cancelled, skipped }, plus
+ *   errors: events whose recurrence rule could not be expanded (only their first occurrence is scheduled)
+ */
+function syncCalendar(userId, icsText, source) {
+    // One sync per user at a time (feed poll, feed update, ICS upload): two at
+    // once could both find no mapping for an event and schedule it twice
+    const previous = calendarSyncLocks.get(userId) || Promise.resolve();
+    const sync = previous.catch(() => {}).then(() => runCalendarSync(userId, icsText, source));
+    calendarSyncLocks.set(userId, sync);
+    sync.catch(() => {}).finally(() => {
+        if (calendarSyncLocks.get(userId) === sync) calendarSyncLocks.delete(userId);
+    });
+    return sync;
+}
+
+/**
+ * Sync a user's calendar (see syncCalendar, which serializes the calls)
+ */
+async function runCalendarSync(userId, icsText, source) {
+    const now = Date.now();
+    const { method, events } = parseICS(icsText);
+    const errors = [];
+    const occurrences = expandEvents(events, {
+        from: now,
+        to: now + CALENDAR_SYNC_HORIZON_MS,
+        cancelAll: method === 'CANCEL',
+        onRuleError: (event, error) => {
+            errors.push(`Event "${event.summary || event.uid}" has an unsupported recurrence rule (${error.message}), only its first occurrence is scheduled`);
+        }
+    });
+
+    const result = { events: occurrences.length, created: 0, updated: 0, cancelled: 0, skipped: 0, errors };
+    const seen = new Set();
+
+    for (const occurrence of occurrences) {
+        const key = `${occurrence.uid}|${occurrence.occurrenceStart}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const mapping = calendarOps.findMapping(userId, occurrence.uid, occurrence.occurrenceStart);
+
+        // Cancelled events, and events whose Meet link was removed
+        if (occurrence.cancelled || !occurrence.meetUrl) {
+            if (mapping && mapping.status !== 'cancelled') {
+                cancelCalendarBot(mapping);
+                result.cancelled++;
+            } else {
+                result.skipped++;
+            }
+            continue;
+        }
+
+        // Older revision of an event we already processed
+        if (mapping && occurrence.sequence < mapping.sequence) {
+            result.skipped++;
+            continue;
+        }
+
+        const joinAt = Math.max(occurrence.start, now);
+        const record = mapping && mapping.bot_id ? botOps.findById(mapping.bot_id) : null;
+
+        if (!mapping || mapping.status === 'cancelled') {
+            const { botId } = await createBotRecord(userId, {
+                meetingUrl: occurrence.meetUrl,
+                schedule: { joinAt, recurrence: null, timezone: DEFAULT_TIMEZONE },
+                metadata: {
+                    calendarEvent: {
+                        uid: occurrence.uid,
+                        title: occurrence.title,
+                        start: new Date(occurrence.start).toISOString(),
+                        source
+                    }
+                }
+            });
+
+            const fields = {
+                botId,
+                title: occurrence.title,
+                meetUrl: occurrence.meetUrl,
+                startAt: occurrence.start,
+                endAt: occurrence.end,
+                sequence: occurrence.sequence,
+                status: 'scheduled'
+            };
+            if (mapping) {
+                calendarOps.updateMapping(mapping.id, {
+                    source,
+                    bot_id: fields.botId,
+                    title: fields.title,
+                    meet_url: fields.meetUrl,
+                    start_at: fields.startAt,
+                    end_at: fields.endAt,
+                    sequence: fields.sequence,
+                    status: fields.status
+                });
+            } else {
+                try {
+                    calendarOps.createMapping({
+                        userId,
+                        source,
+                        eventUid: occurrence.uid,
+                        occurrenceStart: occurrence.occurrenceStart,
+                        ...fields
+                    });
+                } catch (error) {
+                    // Don't leave a bot the calendar can't cancel
+                    updateBotStatus(botId, 'cancelled');
+                    throw error;
+                }
+            }
+            console.log(`📅 Calendar event "${occurrence.title || occurrence.uid}" scheduled as bot ${botId} at ${new Date(joinAt).toISOString()}`);
+            result.created++;
+            continue;
+        }
+
+        const changed = mapping.start_at !== occurrence.start || mapping.meet_url !== occurrence.meetUrl
+            || (mapping.end_at || null) !== occurrence.end || (mapping.title || null) !== occurrence.title;
+        if (!changed) {
+            result.skipped++;
+            continue;
+        }
+
+        // Only bots that have not started yet follow event changes
+        if (!record || record.status !== 'scheduled') {
+            calendarOps.updateMapping(mapping.id, { source, sequence: occurrence.sequence });
+            result.skipped++;
+            continue;
+        }
+
+        botOps.update(record.id, { join_at: joinAt, meet_url: occurrence.meetUrl });
+        try {
+            const metadataPath = path.join(RUNTIME_ROOT, record.id, 'bot_metadata.json');
+            const metadata = await fs.readJson(metadataPath);
+            await fs.writeJson(metadataPath, {
+                ...metadata,
+                meetUrl: occurrence.meetUrl,
+                joinAt: new Date(joinAt).toISOString(),
+                calendarEvent: {
+                    ...(metadata.calendarEvent || {}),
+                    title: occurrence.title,
+                    start: new Date(occurrence.start).toISOString()
+                }
+            });
+        } catch (e) {
+            console.warn(`⚠️  Could not update bot metadata for ${record.id}:`, e.message);
+        }
+        calendarOps.updateMapping(mapping.id, {
+            source,
+            title: occurrence.title,
+            meet_url: occurrence.meetUrl,
+            start_at: occurrence.start,
+            end_at: occurrence.end,
+            sequence: occurrence.sequence
+        });
+        console.log(`📅 Calendar event "${occurrence.title || occurrence.uid}" changed, bot ${record.id} rescheduled to ${new Date(joinAt).toISOString()}`);
+        result.updated++;
+    }
+
+    // A feed is the full calendar: upcoming events missing from it were deleted
+    if (source === 'feed') {
+        const horizon = now + CALENDAR_SYNC_HORIZON_MS;
+        for (const mapping of calendarOps.findUpcoming(userId, 'feed', now)) {
+            if (mapping.status === 'cancelled' || mapping.start_at >= horizon) continue;
+            if (seen.has(`${mapping.event_uid}|${mapping.occurrence_start}`)) continue;
+            cancelCalendarBot(mapping);
+            result.cancelled++;
+        }
+    }
+
+    if (result.created > 0 || result.updated > 0) {
+        runScheduler().catch(() => {});
+    }
+    return result;
+}
+
+/**
+ * Fetch a user's ICS feed and sync it. The outcome is stored on the user's
+ * configuration (calendar_synced_at / calendar_sync_error).
+ * @param {string} userId - Owner of the feed
+ * @param {string} feedUrl - http(s) or webcal URL
+ * @returns {Promise<Object>} Sync result (see syncCalendar)
+ */
+async function syncCalendarFeed(userId, feedUrl) {
+    try {
+        const axios = require('axios');
+        const url = new URL(feedUrl.replace(/^webcals?:\/\//i, 'https://'));
+        assertPublicHost(url);
+        const response = await axios.get(url.href, {
+            ...publicOnlyAgents,
+            timeout: CALENDAR_FEED_TIMEOUT_MS,
+            responseType: 'text',
+            maxContentLength: 5 * 1024 * 1024,
+            // A redirect could lead to an address that was not checked
+            maxRedirects: 0,
+            proxy: false
+        });
+        const result = await syncCalendar(userId, String(response.data), 'feed');
+        calendarOps.setSyncResult(userId, result.errors.length ? result.errors.join('; ') : null);
+        return result;
+    } catch (e) {
+        const message = describeFeedError(e);
+        calendarOps.setSyncResult(userId, message);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Sync every registered ICS feed
+ */
+async function syncAllCalendarFeeds() {
+    if (isShuttingDown) return;
+    for (const feed of calendarOps.getFeeds()) {
+        try {
+            const result = await syncCalendarFeed(feed.user_id, feed.calendar_feed_url);
+            if (result.created || result.updated || result.cancelled) {
+                console.log(`📅 Calendar feed synced for user ${feed.user_id}: ${result.created} created, ${result.updated} updated, ${result.cancelled} cancelled`);
+            }
+        } catch (e) {
+            console.warn(`⚠️  Calendar feed sync failed for user ${feed.user_id}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Start polling registered ICS feeds
+ */
+function startCalendarSync() {
+    if (calendarSyncTimer || CALENDAR_SYNC_INTERVAL_MINUTES <= 0) return;
+    calendarSyncTimer = setInterval(() => {
+        syncAllCalendarFeeds().catch(() => {});
+    }, CALENDAR_SYNC_INTERVAL_MINUTES * 60 * 1000);
+    console.log(`📅 Calendar feed sync started (every ${CALENDAR_SYNC_INTERVAL_MINUTES} min, ${CALENDAR_SYNC_HORIZON_DAYS} day horizon)`);
+    return syncAllCalendarFeeds();
+}
+
+/**
+ * Validate an ICS feed URL (http, https or webcal)
+ */
+function isValidFeedUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:', 'webcal:', 'webcals:'].includes(parsed.protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Import an .ics file and schedule bots for its Google Meet events.
+ * Accepts the raw file (Content-Type text/calendar) or JSON { ics: "..." }.
+ */
+app.post('/v1/calendar/import', authMiddleware, express.text({
+    type: ['text/calendar', 'text/plain', 'application/octet-stream'],
+    limit: '5mb'
+}), async (req, res) => {
+    try {
+        const icsText = typeof req.body === 'string' ? req.body : req.body?.ics;
+        if (!icsText) {
+            return res.status(400).json({ error: 'iCalendar content is required (text/calendar body or JSON { ics })' });
+        }
+
+        const result = await syncCalendar(req.user.id, icsText, 'upload');
+        console.log(`📅 Calendar import for user ${req.user.id}: ${result.created} created, ${result.updated} updated, ${result.cancelled} cancelled`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (/iCalendar/.test(error.message)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Error importing calendar:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get the current user's ICS feed settings
+ */
+app.get('/v1/calendar/feed', authMiddleware, (req, res) => {
+    try {
+        const config = configOps.getByUserId(req.user.id);
+        res.json({
+            feed_url: config?.calendar_feed_url || null,
+            synced_at: config?.calendar_synced_at ? new Date(config.calendar_synced_at).toISOString() : null,
+            sync_error: config?.calendar_sync_error || null,
+            sync_interval_minutes: CALENDAR_SYNC_INTERVAL_MINUTES,
+            horizon_days: CALENDAR_SYNC_HORIZON_DAYS
+        });
+    } catch (error) {
+        console.error('❌ Error getting calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Register (or replace) the current user's ICS feed and sync it right away
+ */
+app.put('/v1/calendar/feed', authMiddleware, async (req, res) => {
+    try {
+        const { feed_url } = req.body || {};
+        if (!feed_url || !isValidFeedUrl(feed_url)) {
+            return res.status(400).json({ error: 'A valid http(s) or webcal feed_url is required' });
+        }
+
+        calendarOps.setFeedUrl(req.user.id, feed_url);
+        try {
+            const result = await syncCalendarFeed(req.user.id, feed_url);
+            res.json({ success: true, feed_url, ...result });
+        } catch (e) {
+            // Keep the feed registered; it is retried on the next poll
+            res.status(502).json({ success: false, feed_url, error: `Feed saved but could not be synced: ${e.message}` });
+        }
+    } catch (error) {
+        console.error('❌ Error saving calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Remove the current user's ICS feed and cancel its upcoming bots
+ */
+app.delete('/v1/calendar/feed', authMiddleware, (req, res) => {
+    try {
+        calendarOps.setFeedUrl(req.user.id, null);
+        let cancelled = 0;
+        for (const mapping of calendarOps.findUpcoming(req.user.id, 'feed')) {
+            if (mapping.status === 'cancelled') continue;
+            cancelCalendarBot(mapping);
+            cancelled++;
+        }
+        res.json({ success: true, cancelled });
+    } catch (error) {
+        console.error('❌ Error removing calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Sync the current user's ICS feed now
+ */
+app.post('/v1/calendar/feed/sync', authMiddleware, async (req, res) => {
+    try {
+        const config = configOps.getByUserId(req.user.id);
+        if (!config?.calendar_feed_url) {
+            return res.status(404).json({ error: 'No calendar feed registered' });
+        }
+        const result = await syncCalendarFeed(req.user.id, config.calendar_feed_url);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error syncing calendar feed:', error.message);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+/**
+ * List the current user's upcoming calendar events and their bots
+ */
+app.get('/v1/calendar/events', authMiddleware, (req, res) => {
+    try {
+        const events = calendarOps.findUpcoming(req.user.id).map(mapping => {
+            const record = mapping.bot_id ? botOps.findById(mapping.bot_id) : null;
+            return {
+                event_uid: mapping.event_uid,
+                title: mapping.title,
+                meeting_url: mapping.meet_url,
+                start_at: new Date(mapping.start_at).toISOString(),
+                end_at: mapping.end_at ? new Date(mapping.end_at).toISOString() : null,
+                source: mapping.source,
+                status: mapping.status,
+                bot_id: mapping.bot_id,
+                bot_status: record ? record.status : null
+            };
+        });
+        res.json({ events, total: events.length });
+    } catch (error) {
+        console.error('❌ Error listing calendar events:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// WEBHOOK DELIVERIES
+// ============================================
+
+/**
+ * Format a webhook delivery (DB row) for API responses
+ */
+function formatWebhookDelivery(delivery, { includePayload = false } = {}) {
+    const formatted = {
+        id: delivery.id,
+        event: delivery.event,
+        url: delivery.url,
+        endpoint_id: delivery.endpoint_id || null,
+        bot_id: delivery.bot_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        next_attempt_at: delivery.status === 'pending' && delivery.next_attempt_at ? new Date(delivery.next_attempt_at).toISOString() : null,
+        last_status_code: delivery.last_status_code,
+        last_error: delivery.last_error,
+        created_at: new Date(delivery.created_at).toISOString(),
+        delivered_at: delivery.delivered_at ? new Date(delivery.delivered_at).toISOString() : null
+    };
+    if (includePayload) {
+        try {
+            formatted.payload = JSON.parse(delivery.payload);
+        } catch (e) {
+            formatted.payload = delivery.payload;
+        }
+    }
+    return formatted;
+}
+
+// Maximum number of webhook endpoints per user
+const MAX_WEBHOOK_ENDPOINTS = 20;
+
+/**
+ * Format a webhook endpoint (DB row) for API responses
+ */
+function formatWebhookEndpoint(endpoint) {
+    let events = ['*'];
+    try {
+        events = JSON.parse(endpoint.events);
+    } catch (e) {}
+
+    return {
+        id: endpoint.id,
+        url: endpoint.url,
+        description: endpoint.description,
+        events,
+        enabled: !!endpoint.enabled,
+        created_at: new Date(endpoint.created_at).toISOString(),
+        updated_at: new Date(endpoint.updated_at).toISOString()
+    };
+}
+
+/**
+ * Validate webhook endpoint fields. Only the fields present are checked.
+ * @returns {{error: string}|{values: Object}} Validated { url, description, events, enabled }
+ */
+function validateWebhookEndpoint(body) {
+    const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+    const values = {};
+
+    if (has('url')) {
+        let parsed = null;
+        try {
+            parsed = new URL(String(body.url));
+        } catch (e) {}
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            return { error: 'url must be a valid http(s) URL' };
+        }
+        try {
+            assertPublicHost(parsed);
+        } catch (e) {
+            return { error: 'url must not point to a private or local address' };
+        }
+        values.url = parsed.toString();
+    }
+
+    if (has('events')) {
+        const events = body.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some(e => typeof e !== 'string')) {
+            return { error: 'events must be a non-empty array of event names' };
+        }
+        const prefixes = new Set(WEBHOOK_EVENTS.map(e => `${e.split('.')[0]}.*`));
+        const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e) && !prefixes.has(e));
+        if (unknown.length > 0) {
+            return { error: `Unknown event(s): ${unknown.join(', ')}`, available_events: WEBHOOK_EVENTS };
+        }
+        values.events = [...new Set(events)];
+    }
+
+    if (has('description')) {
+        values.description = body.description ? String(body.description).slice(0, 200) : null;
+    }
+
+    if (has('enabled')) {
+        if (typeof body.enabled !== 'boolean') {
+            return { error: 'enabled must be a boolean' };
+        }
+        values.enabled = body.enabled;
+    }
+
+    return { values };
+}
+
+/**
+ * List the webhook event types endpoints can subscribe to
+ */
+app.get('/v1/webhooks/events', (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, wildcards: ['*', ...new Set(WEBHOOK_EVENTS.map(e => `${e.split('.')[0]}.*`))] });
+});
+
+/**
+ * List the current user's webhook endpoints
+ */
+app.get('/v1/webhooks/endpoints', authMiddleware, (req, res) => {
+    try {
+        const endpoints = webhookOps.findEndpointsByUserId(req.user.id).map(formatWebhookEndpoint);
+        res.json({ endpoints, total: endpoints.length });
+    } catch (error) {
+        console.error('❌ Error listing webhook endpoints:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Register a webhook endpoint.
+ * Body: { url, events = ["*"], description, enabled = true }
+ */
+app.post('/v1/webhooks/endpoints', authMiddleware, (req, res) => {
+    try {
+        if (!req.body || !req.body.url) {
+            return res.status(400).json({
+                error: 'url is required',
+                example: { url: 'https://yourapp.com/webhooks/meeting-bot', events: ['transcript.completed', 'summary.completed'] }
+            });
+        }
+
+        const validated = validateWebhookEndpoint(req.body);
+        if (validated.error) {
+            return res.status(400).json(validated);
+        }
+
+        const existing = webhookOps.findEndpointsByUserId(req.user.id);
+        if (existing.length >= MAX_WEBHOOK_ENDPOINTS) {
+            return res.status(400).json({ error: `A maximum of ${MAX_WEBHOOK_ENDPOINTS} webhook endpoints is allowed` });
+        }
+        if (existing.some(endpoint => endpoint.url === validated.values.url)) {
+            return res.status(409).json({ error: 'A webhook endpoint with this URL already exists' });
+        }
+
+        const endpoint = webhookOps.createEndpoint({
+            id: uuidv4(),
+            userId: req.user.id,
+            ...validated.values
+        });
+        console.log(`🔗 Webhook endpoint ${endpoint.id} registered for user ${req.user.id}: ${endpoint.url}`);
+        res.status(201).json({ success: true, ...formatWebhookEndpoint(endpoint) });
+    } catch (error) {
+        console.error('❌ Error creating webhook endpoint:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get a webhook endpoint
+ */
+app.get('/v1/webhooks/endpoints/:endpointId', authMiddleware, (req, res) => {
+    try {
+        const endpoint = webhookOps.findEndpointByIdAndUser(req.params.endpointId, req.user.id);
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook endpoint not found', endpoint_id: req.params.endpointId });
+        }
+        res.json(formatWebhookEndpoint(endpoint));
+    } catch (error) {
+        console.error('❌ Error getting webhook endpoint:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Update a webhook endpoint (url, events, description and/or enabled)
+ */
+app.patch('/v1/webhooks/endpoints/:endpointId', authMiddleware, (req, res) => {
+    try {
+        const endpoint = webhookOps.findEndpointByIdAndUser(req.params.endpointId, req.user.id);
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook endpoint not found', endpoint_id: req.params.endpointId });
+        }
+
+        const validated = validateWebhookEndpoint(req.body || {});
+        if (validated.error) {
+            return res.status(400).json(validated);
+        }
+        if (Object.keys(validated.values).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update (url, events, description, enabled)' });
+        }
+        if (validated.values.url && validated.values.url !== endpoint.url
+            && webhookOps.findEndpointsByUserId(req.user.id).some(e => e.url === validated.values.url)) {
+            return res.status(409).json({ error: 'A webhook endpoint with this URL already exists' });
+        }
+
+        const updated = webhookOps.updateEndpoint(endpoint.id, validated.values);
+        res.json({ success: true, ...formatWebhookEndpoint(updated) });
+    } catch (error) {
+        console.error('❌ Error updating webhook endpoint:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a webhook endpoint. Its deliveries stay in the delivery log.
+ */
+app.delete('/v1/webhooks/endpoints/:endpointId', authMiddleware, (req, res) => {
+    try {
+        const endpoint = webhookOps.findEndpointByIdAndUser(req.params.endpointId, req.user.id);
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook endpoint not found', endpoint_id: req.params.endpointId });
+        }
+
+        webhookOps.deleteEndpoint(endpoint.id);
+        console.log(`🗑️  Webhook endpoint ${endpoint.id} deleted for user ${req.user.id}`);
+        res.json({ success: true, id: endpoint.id, deleted: true });
+    } catch (error) {
+        console.error('❌ Error deleting webhook endpoint:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get the current user's webhook signing secret (created on first use)
+ */
+app.get('/v1/webhooks/secret', authMiddleware, (req, res) => {
+    try {
+        res.json({ secret: webhookOps.getOrCreateSecret(req.user.id), algorithm: 'HMAC-SHA256' });
+    } catch (error) {
+        console.error('❌ Error getting webhook secret:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Rotate the current user's webhook signing secret.
+ * Deliveries still being retried are signed with the new secret.
+ */
+app.post('/v1/webhooks/secret/rotate', authMiddleware, (req, res) => {
+    try {
+        const secret = webhookOps.rotateSecret(req.user.id);
+        console.log(`🔑 Webhook secret rotated for user ${req.user.id}`);
+        res.json({ success: true, secret, algorithm: 'HMAC-SHA256' });
+    } catch (error) {
+        console.error('❌ Error rotating webhook secret:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List the current user's webhook deliveries (newest first).
+ * Filters: ?status=pending|delivered|failed, ?event=, ?endpoint_id=, ?limit= (max 200), ?offset=
+ */
+app.get('/v1/webhooks/deliveries', authMiddleware, (req, res) => {
+    try {
+        const { status = null, event = null, endpoint_id: endpointId = null } = req.query;
+        if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'status must be one of pending, delivered, failed' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const deliveries = webhookOps.findDeliveriesByUserId(req.user.id, { status, event, endpointId, limit, offset })
+            .map(delivery => formatWebhookDelivery(delivery));
+        res.json({
+            deliveries,
+            total: deliveries.length,
+            limit,
+            offset,
+            counts: webhookOps.countByStatus(req.user.id)
+        });
+    } catch (error) {
+        console.error('❌ Error listing webhook deliveries:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Replay all of the current user's failed deliveries (optionally ?event=)
+ */
+app.post('/v1/webhooks/deliveries/replay', authMiddleware, async (req, res) => {
+    try {
+        const { event = null } = req.query;
+        const failed = webhookOps.findDeliveriesByUserId(req.user.id, { status: 'failed', event, limit: 100 });
+        for (const delivery of failed) {
+            webhookOps.requeueDelivery(delivery.id);
+        }
+        console.log(`🔁 Replaying ${failed.length} failed webhook deliveries for user ${req.user.id}`);
+
+        // Sent in the background by the retry queue
+        processWebhookQueue().catch(() => {});
+        res.status(202).json({ success: true, replayed: failed.length, delivery_ids: failed.map(d => d.id) });
+    } catch (error) {
+        console.error('❌ Error replaying webhook deliveries:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get a webhook delivery with its payload and attempt log
+ */
+app.get('/v1/webhooks/deliveries/:deliveryId', authMiddleware, (req, res) => {
+    try {
+        const delivery = webhookOps.findDeliveryByIdAndUser(req.params.deliveryId, req.user.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found', delivery_id: req.params.deliveryId });
+        }
+
+        res.json({
+            ...formatWebhookDelivery(delivery, { includePayload: true }),
+            attempt_log: webhookOps.getAttempts(delivery.id).map(attempt => ({
+                attempt: attempt.attempt,
+                status_code: attempt.status_code,
+                error: attempt.error,
+                response_length: attempt.response_length,
+                duration_ms: attempt.duration_ms,
+                created_at: new Date(attempt.created_at).toISOString()
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error getting webhook delivery:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Replay a failed webhook delivery now (same delivery ID and payload,
+ * freshly signed). Further failures are retried as usual.
+ */
+app.post('/v1/webhooks/deliveries/:deliveryId/replay', authMiddleware, async (req, res) => {
+    try {
+        const delivery = webhookOps.findDeliveryByIdAndUser(req.params.deliveryId, req.user.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found', delivery_id: req.params.deliveryId });
+        }
+        if (delivery.status !== 'failed') {
+            return res.status(409).json({ error: `Only failed deliveries can be replayed (status: ${delivery.status})` });
+        }
+
+        const replayed = await replayDelivery(delivery.id);
+        res.json({ success: replayed?.status === 'delivered', ...formatWebhookDelivery(replayed || delivery) });
+    } catch (error) {
+        console.error('❌ Error replaying webhook delivery:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// API KEYS
+// ============================================
+
+const MAX_API_KEYS = 25;
+
+/**
+ * Format an API key (DB row) for API responses. The key itself is never returned
+ * after creation, only its prefix.
+ */
+function formatApiKey(apiKey) {
+    let scopes = [];
+    try {
+        scopes = JSON.parse(apiKey.scopes);
+    } catch (e) {}
+
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes,
+        state: apiKey.revoked_at ? 'revoked' : 'active',
+        last_used_at: apiKey.last_used_at ? new Date(apiKey.last_used_at).toISOString() : null,
+        revoked_at: apiKey.revoked_at ? new Date(apiKey.revoked_at).toISOString() : null,
+        created_at: new Date(apiKey.created_at).toISOString()
+    };
+}
+
+/**
+ * List the current user's API keys
+ */
+app.get('/v1/api-keys', authMiddleware, (req, res) => {
+    try {
+        const apiKeys = apiKeyOps.findByUserId(req.user.id).map(formatApiKey);
+        res.json({ api_keys: apiKeys, total: apiKeys.length, available_scopes: API_KEY_SCOPES });
+    } catch (error) {
+        console.error('❌ Error listing API keys:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create an API key. The key is only shown in this response.
+ * Body: { name, scopes = ["read"] }
+ */
+app.post('/v1/api-keys', authMiddleware, (req, res) => {
+    try {
+        const { name, scopes = ['read'] } = req.body || {};
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'name is required', example: { name: 'CRM integration', scopes: ['read', 'bots:write'] } });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ error: 'scopes must be a non-empty array', available_scopes: API_KEY_SCOPES });
+        }
+        const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown scope(s): ${unknown.join(', ')}`, available_scopes: API_KEY_SCOPES });
+        }
+
+        const activeKeys = apiKeyOps.findByUserId(req.user.id).filter(k => !k.revoked_at);
+        if (activeKeys.length >= MAX_API_KEYS) {
+            return res.status(400).json({ error: `A user can have at most ${MAX_API_KEYS} active API keys` });
+        }
+
+        const created = apiKeyOps.create({
+            id: uuidv4(),
+            userId: req.user.id,
+            name: name.trim().slice(0, 100),
+            scopes: Object.keys(API_KEY_SCOPES).filter(scope => scopes.includes(scope))
+        });
+
+        console.log(`🔑 API key ${created.prefix}… created for user ${req.user.id} (${created.scopes})`);
+        res.status(201).json({ ...formatApiKey(created), key: created.key });
+    } catch (error) {
+        console.error('❌ Error creating API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Revoke an API key
+ */
+app.delete('/v1/api-keys/:keyId', authMiddleware, (req, res) => {
+    try {
+        const apiKey = apiKeyOps.findByIdAndUser(req.params.keyId, req.user.id);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const revoked = apiKeyOps.revoke(apiKey.id);
+        console.log(`🔒 API key ${apiKey.prefix}… revoked for user ${req.user.id}`);
+        res.json({ success: true, ...formatApiKey(revoked) });
+    } catch (error) {
+        console.error('❌ Error revoking API key:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Describe a user's storage settings for API responses (secrets are never returned)
+ */
+function formatStorageSettings(userId) {
+    const userConfig = getUserStorageConfig(userId);
+    const defaultConfig = getDefaultStorageConfig();
+    return {
+        provider: userConfig ? userConfig.provider : null,
+        settings: formatStorageConfig(userConfig),
+        using_default: !userConfig,
+        default_provider: defaultConfig ? defaultConfig.provider : null,
+        available_providers: STORAGE_PROVIDERS
+    };
+}
+
+/**
+ * Get the current user's storage provider. provider is null when recordings
+ * go to the server default (default_provider, null = kept on the server only)
+ */
+app.get('/v1/storage', authMiddleware, (req, res) => {
+    try {
+        res.json(formatStorageSettings(req.user.id));
+    } catch (error) {
+        console.error('❌ Error getting storage settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Choose where the current user's recordings are uploaded. The connection is
+ * tested before saving. Omitted secrets keep their current value.
+ * Body: { provider: "s3"|"local"|"webdav", settings }
+ *   s3: { bucket, region?, endpoint?, force_path_style?, access_key_id, secret_access_key }
+ *   webdav: { url, username?, password? }
+ */
+app.put('/v1/storage', authMiddleware, async (req, res) => {
+    try {
+        const { provider, settings = {} } = req.body || {};
+        const { config, error } = normalizeStorageSettings(provider, settings || {}, getUserStorageConfig(req.user.id));
+        if (error) {
+            return res.status(400).json({ error, available_providers: STORAGE_PROVIDERS });
+        }
+
+        const test = await testStorageConfig({ ...config, provider, owner: req.user.id });
+        if (!test.success) {
+            return res.status(400).json({ error: `Could not connect to ${provider} storage: ${test.error}` });
+        }
+
+        configOps.setStorage(req.user.id, provider, config);
+        console.log(`💾 Storage for user ${req.user.id} set to ${provider}`);
+        res.json({ success: true, ...formatStorageSettings(req.user.id) });
+    } catch (error) {
+        console.error('❌ Error saving storage settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Go back to the server default storage. Recordings already uploaded with
+ * the removed settings can no longer be served from there.
+ */
+app.delete('/v1/storage', authMiddleware, (req, res) => {
+    try {
+        configOps.setStorage(req.user.id, null);
+        res.json({ success: true, ...formatStorageSettings(req.user.id) });
+    } catch (error) {
+        console.error('❌ Error resetting storage settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Test the storage the current user's recordings are uploaded to
+ */
+app.post('/v1/storage/test', authMiddleware, async (req, res) => {
+    try {
+        const config = getUserStorageConfig(req.user.id) || getDefaultStorageConfig();
+        if (!config) {
+            return res.status(404).json({ error: 'No storage configured: recordings are kept on the server' });
+        }
+        const result = await testStorageConfig(config);
+        res.status(result.success ? 200 : 502).json({ provider: config.provider, ...result });
+    } catch (error) {
+        console.error('❌ Error testing storage:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Serve an object from a provider without URLs of its own (local disk,
+ * WebDAV). Links are signed and expire (see buildStorageUrl), so no auth.
+ * Query: owner (user whose storage holds it), expires, signature
+ */
+app.get('/api/storage/:provider/*', async (req, res) => {
+    const providerName = req.params.provider;
+    const key = req.params[0];
+    const owner = typeof req.query.owner === 'string' && req.query.owner ? req.query.owner : null;
+    try {
+        if (!verifyStorageUrl(providerName, owner, key, req.query.expires, req.query.signature)) {
+            return res.status(403).json({ error: 'Invalid or expired link' });
+        }
+        const provider = getProviderFor(providerName, owner);
+        if (!provider) {
+            return res.status(404).json({ error: 'Storage no longer configured' });
+        }
+        const contentType = getRecordingContentType(key);
+
+        if (typeof provider.resolvePath === 'function') {
+            const filePath = provider.resolvePath(key);
+            if (!(await fs.pathExists(filePath))) {
+                return res.status(404).json({ error: 'Not found' });
+            }
+            return sendFileWithRange(req, res, filePath, { contentType, cacheControl: 'private, max-age=3600' });
+        }
+
+        if (typeof provider.openReadStream === 'function') {
+            const upstream = await provider.openReadStream(key, { range: req.headers.range, method: req.method });
+            if (upstream.statusCode === 404) {
+                upstream.resume();
+                return res.status(404).json({ error: 'Not found' });
+            }
+            if (upstream.statusCode >= 400 && upstream.statusCode !== 416) {
+                upstream.resume();
+                console.warn(`⚠️  ${providerName} storage answered ${upstream.statusCode} for ${key}`);
+                return res.status(502).json({ error: 'Storage error' });
+            }
+            res.status(upstream.statusCode);
+            for (const header of ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified']) {
+                if (upstream.headers[header]) res.setHeader(header, upstream.headers[header]);
+            }
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Cache-Control', 'private, max-age=3600');
+            return upstream.pipe(res);
+        }
+
+        res.status(404).json({ error: 'Not found' });
+    } catch (error) {
+        console.error(`❌ Error serving ${providerName} storage object ${key}:`, error.message);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// LLM PROVIDERS
+// ============================================
+
+/**
+ * Describe an LLM configuration for API responses (API keys are never returned)
+ */
+function formatLlmSettings(config) {
+    const defaultConfig = getDefaultLlmConfig();
+    return {
+        provider: config ? config.provider : null,
+        settings: formatLlmConfig(config),
+        using_default: !config,
+        default_provider: defaultConfig ? defaultConfig.provider : null,
+        available_providers: LLM_PROVIDERS
+    };
+}
+
+/**
+ * Validate LLM settings from a request body and test them.
+ * Sends the error response and returns null on failure.
+ * @returns {{provider: string, config: Object}|null}
+ */
+async function resolveLlmSettings(req, res, current) {
+    const { provider, settings = {} } = req.body || {};
+    const { config, error } = normalizeLlmSettings(provider, settings || {}, current);
+    if (error) {
+        res.status(400).json({ error, available_providers: LLM_PROVIDERS });
+        return null;
+    }
+
+    const test = await testLlmConfig({ ...config, provider });
+    if (!test.success) {
+        res.status(400).json({ error: `Could not use ${provider}: ${test.error}` });
+        return null;
+    }
+    return { provider, config };
+}
+
+/**
+ * Get the current user's LLM provider. provider is null when summaries use
+ * the server default (default_provider, null = AI features disabled).
+ * Bots of an organization with its own provider use that one instead.
+ */
+app.get('/v1/llm', authMiddleware, (req, res) => {
+    try {
+        res.json(formatLlmSettings(getUserLlmConfig(req.user.id)));
+    } catch (error) {
+        console.error('❌ Error getting LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Choose the LLM provider for the current user's summaries, keywords, titles
+ * and chapters. It is tested before saving. An omitted api_key keeps the current one.
+ * Body: { provider: "openai"|"azure"|"openai-compatible"|"mock", settings }
+ *   openai: { api_key, model? }
+ *   azure: { endpoint, api_key, deployment, api_version?, context_window? }
+ *   openai-compatible: { base_url, api_key?, model, context_window? }
+ *   mock: { model? }
+ */
+app.put('/v1/llm', authMiddleware, async (req, res) => {
+    try {
+        const resolved = await resolveLlmSettings(req, res, getUserLlmConfig(req.user.id));
+        if (!resolved) return;
+
+        configOps.setLlm(req.user.id, resolved.provider, resolved.config);
+        console.log(`🤖 LLM provider for user ${req.user.id} set to ${resolved.provider}`);
+        res.json({ success: true, ...formatLlmSettings(getUserLlmConfig(req.user.id)) });
+    } catch (error) {
+        console.error('❌ Error saving LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Go back to the server default LLM provider
+ */
+app.delete('/v1/llm', authMiddleware, (req, res) => {
+    try {
+        configOps.setLlm(req.user.id, null);
+        res.json({ success: true, ...formatLlmSettings(null) });
+    } catch (error) {
+        console.error('❌ Error resetting LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Test the LLM provider the current user's summaries are made with
+ */
+app.post('/v1/llm/test', authMiddleware, async (req, res) => {
+    try {
+        const config = getUserLlmConfig(req.user.id) || getDefaultLlmConfig();
+        if (!config) {
+            return res.status(404).json({ error: 'No LLM provider configured: AI features are disabled' });
+        }
+        const result = await testLlmConfig(config);
+        res.status(result.success ? 200 : 502).json({ provider: config.provider, ...result });
+    } catch (error) {
+        console.error('❌ Error testing LLM provider:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get an organization's LLM provider. provider is null when its bots use
+ * their owner's (or the server default).
+ */
+app.get('/v1/organizations/:orgId/llm', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'viewer');
+        if (!access) return;
+
+        res.json(formatLlmSettings(getOrgLlmConfig(access.org.id)));
+    } catch (error) {
+        console.error('❌ Error getting organization LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Choose the LLM provider for all the organization's bots (admin).
+ * Body: same as PUT /v1/llm
+ */
+app.put('/v1/organizations/:orgId/llm', authMiddleware, async (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const resolved = await resolveLlmSettings(req, res, getOrgLlmConfig(access.org.id));
+        if (!resolved) return;
+
+        orgOps.update(access.org.id, { llm_provider: resolved.provider, llm_config: JSON.stringify(resolved.config) });
+        console.log(`🤖 LLM provider for organization ${access.org.id} set to ${resolved.provider}`);
+        res.json({ success: true, ...formatLlmSettings(getOrgLlmConfig(access.org.id)) });
+    } catch (error) {
+        console.error('❌ Error saving organization LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Let the organization's bots use their owner's LLM provider again (admin)
+ */
+app.delete('/v1/organizations/:orgId/llm', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        orgOps.update(access.org.id, { llm_provider: null, llm_config: null });
+        res.json({ success: true, ...formatLlmSettings(null) });
+    } catch (error) {
+        console.error('❌ Error resetting organization LLM settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RETENTION
+// ============================================
+
+/**
+ * Describe a user's retention settings for API responses
+ */
+function formatRetentionSettings(userId) {
+    const config = configOps.getByUserId(userId) || {};
+    const days = (name) => config[`retention_${name}_days`] ?? null;
+    return {
+        settings: Object.fromEntries(Object.keys(RETENTION_ARTIFACTS).map(name => [`${name}_days`, days(name)])),
+        defaults: Object.fromEntries(Object.keys(RETENTION_ARTIFACTS).map(name => [`${name}_days`, DEFAULT_RETENTION_DAYS[name] || 0])),
+        artifacts: Object.keys(RETENTION_ARTIFACTS)
+    };
+}
+
+/**
+ * Get how long the current user's recordings, transcripts and summaries are
+ * kept. null = server default (defaults), 0 = forever. Organization policies
+ * override these for the organization's bots.
+ */
+app.get('/v1/retention', authMiddleware, (req, res) => {
+    try {
+        res.json(formatRetentionSettings(req.user.id));
+    } catch (error) {
+        console.error('❌ Error getting retention settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Set the current user's retention. Omitted artifacts keep their setting.
+ * Body: { video_days, transcript_days, summary_days } (null = server default, 0 = forever)
+ */
+app.put('/v1/retention', authMiddleware, (req, res) => {
+    try {
+        const validated = validateRetentionDays(req.body || {});
+        if (validated.error) {
+            return res.status(400).json({ error: validated.error, example: { video_days: 30, transcript_days: 365, summary_days: 0 } });
+        }
+        const current = formatRetentionSettings(req.user.id).settings;
+        configOps.setRetention(req.user.id, {
+            video: current.video_days,
+            transcript: current.transcript_days,
+            summary: current.summary_days,
+            ...validated.values
+        });
+        res.json({ success: true, ...formatRetentionSettings(req.user.id) });
+    } catch (error) {
+        console.error('❌ Error saving retention settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Dry run of the retention janitor: the artifacts of the bots the current
+ * user can see that would be deleted now, and under which policy
+ */
+app.get('/v1/retention/report', authMiddleware, async (req, res) => {
+    try {
+        const report = await runRetentionJanitor({ dryRun: true, userId: req.user.id });
+        res.json({
+            generated_at: new Date().toISOString(),
+            total: report.artifacts.length,
+            size_bytes: report.size_bytes,
+            artifacts: report.artifacts
+        });
+    } catch (error) {
+        console.error('❌ Error building retention report:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// ORGANIZATIONS
+// ============================================
+
+// How long an invitation can be accepted
+const ORG_INVITE_EXPIRY_DAYS = Number(process.env.ORG_INVITE_EXPIRY_DAYS || 7);
+// Organization settings that override the members' configuration for its bots
+const ORG_SETTINGS_FIELDS = ['bot_name', 'webhook_url', 'summary_template', 'bot_logo_url', 'max_recording_time', 'retention_video_days', 'retention_transcript_days', 'retention_summary_days'];
+
+/**
+ * Format an organization (DB row) for API responses
+ */
+function formatOrganization(org, role = org.role) {
+    return {
+        id: org.id,
+        name: org.name,
+        role: role || null,
+        member_count: org.member_count,
+        settings: Object.fromEntries(ORG_SETTINGS_FIELDS.map(key => [key, org[key] ?? null])),
+        created_at: new Date(org.created_at).toISOString(),
+        updated_at: new Date(org.updated_at).toISOString()
+    };
+}
+
+/**
+ * Format an invite (DB row) for API responses. The token is never returned.
+ */
+function formatOrgInvite(invite) {
+    let state = 'pending';
+    if (invite.accepted_at) state = 'accepted';
+    else if (invite.revoked_at) state = 'revoked';
+    else if (invite.expires_at <= Date.now()) state = 'expired';
+
+    return {
+        id: invite.id,
+        organization_id: invite.organization_id,
+        email: invite.email,
+        role: invite.role,
+        state,
+        expires_at: new Date(invite.expires_at).toISOString(),
+        created_at: new Date(invite.created_at).toISOString()
+    };
+}
+
+/**
+ * Load an organization the user belongs to and check their role.
+ * Sends 404 (not a member) or 403 (role too low) and returns null on failure.
+ * @returns {{org: Object, role: string}|null}
+ */
+function requireOrgRole(req, res, minRole) {
+    const org = orgOps.findById(req.params.orgId);
+    const role = org ? orgOps.getMemberRole(org.id, req.user.id) : null;
+    if (!role) {
+        res.status(404).json({ error: 'Organization not found' });
+        return null;
+    }
+    if (!hasOrgRole(role, minRole)) {
+        res.status(403).json({ error: `This requires the ${minRole} role`, role });
+        return null;
+    }
+    return { org, role };
+}
+
+/**
+ * Validate the body of an organization update (name and bot settings).
+ * Empty settings are stored as null so members' own configuration applies.
+ * @returns {{error: string}|{values: Object}}
+ */
+function validateOrganization(body) {
+    const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+    const values = {};
+
+    if (has('name')) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'name must be a non-empty string' };
+        values.name = body.name.trim().slice(0, 100);
+    }
+
+    for (const key of ['bot_name', 'summary_template']) {
+        if (!has(key)) continue;
+        if (body[key] !== null && typeof body[key] !== 'string') return { error: `${key} must be a string` };
+        values[key] = body[key] && body[key].trim() ? body[key] : null;
+    }
+
+    for (const key of ['webhook_url', 'bot_logo_url']) {
+        if (!has(key)) continue;
+        if (!body[key]) {
+            values[key] = null;
+            continue;
+        }
+        let parsed = null;
+        try {
+            parsed = new URL(String(body[key]));
+        } catch (e) {}
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            return { error: `${key} must be a valid http(s) URL` };
+        }
+        values[key] = parsed.toString();
+    }
+
+    if (has('max_recording_time')) {
+        const minutes = body.max_recording_time;
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 480)) {
+            return { error: 'max_recording_time must be between 1 and 480 minutes' };
+        }
+        values.max_recording_time = minutes;
+    }
+
+    // Retention policy of the organization's bots (null = each owner's)
+    const retention = validateRetentionDays(Object.fromEntries(
+        Object.keys(RETENTION_ARTIFACTS).filter(name => has(`retention_${name}_days`)).map(name => [`${name}_days`, body[`retention_${name}_days`]])
+    ));
+    if (retention.error) return { error: `retention_${retention.error}` };
+    for (const [name, days] of Object.entries(retention.values)) {
+        values[`retention_${name}_days`] = days;
+    }
+
+    return { values };
+}
+
+/**
+ * List the current user's organizations
+ */
+app.get('/v1/organizations', authMiddleware, (req, res) => {
+    try {
+        const organizations = orgOps.findByUserId(req.user.id).map(org => formatOrganization(org));
+        res.json({ organizations, total: organizations.length, roles: ORG_ROLES });
+    } catch (error) {
+        console.error('❌ Error listing organizations:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create an organization. The creator becomes its owner.
+ * Body: { name }
+ */
+app.post('/v1/organizations', authMiddleware, (req, res) => {
+    try {
+        const { name } = req.body || {};
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({ error: 'name is required', example: { name: 'Sales team' } });
+        }
+
+        const org = orgOps.create({ id: uuidv4(), name: name.trim().slice(0, 100), createdBy: req.user.id });
+        console.log(`🏢 Organization ${org.id} created by user ${req.user.id}`);
+        res.status(201).json(formatOrganization({ ...org, member_count: 1 }, 'owner'));
+    } catch (error) {
+        console.error('❌ Error creating organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get an organization with its members
+ */
+app.get('/v1/organizations/:orgId', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'viewer');
+        if (!access) return;
+
+        const members = orgOps.getMembers(access.org.id).map(member => ({
+            user_id: member.user_id,
+            email: member.email,
+            role: member.role,
+            joined_at: new Date(member.created_at).toISOString()
+        }));
+        res.json({
+            ...formatOrganization({ ...access.org, member_count: members.length }, access.role),
+            members
+        });
+    } catch (error) {
+        console.error('❌ Error fetching organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Update an organization's name and bot settings (admin)
+ * Body: { name, bot_name, webhook_url, summary_template, bot_logo_url, max_recording_time,
+ *         retention_video_days, retention_transcript_days, retention_summary_days }
+ */
+app.patch('/v1/organizations/:orgId', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const validated = validateOrganization(req.body || {});
+        if (validated.error) {
+            return res.status(400).json(validated);
+        }
+        if (Object.keys(validated.values).length === 0) {
+            return res.status(400).json({ error: `Nothing to update (name, ${ORG_SETTINGS_FIELDS.join(', ')})` });
+        }
+
+        const org = orgOps.update(access.org.id, validated.values);
+        const memberCount = orgOps.getMembers(org.id).length;
+        res.json(formatOrganization({ ...org, member_count: memberCount }, access.role));
+    } catch (error) {
+        console.error('❌ Error updating organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an organization (owner). Its bots stay with the members who created them.
+ */
+app.delete('/v1/organizations/:orgId', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'owner');
+        if (!access) return;
+
+        orgOps.delete(access.org.id);
+        console.log(`🗑️  Organization ${access.org.id} deleted by user ${req.user.id}`);
+        res.json({ success: true, id: access.org.id });
+    } catch (error) {
+        console.error('❌ Error deleting organization:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Change a member's role (admin). Only owners can grant or take away the owner
+ * role, and the last owner cannot be demoted.
+ * Body: { role }
+ */
+app.patch('/v1/organizations/:orgId/members/:userId', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const { role } = req.body || {};
+        if (!ORG_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+        }
+        const currentRole = orgOps.getMemberRole(access.org.id, req.params.userId);
+        if (!currentRole) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if ((role === 'owner' || currentRole === 'owner') && access.role !== 'owner') {
+            return res.status(403).json({ error: 'Only owners can change the owner role' });
+        }
+        if (currentRole === 'owner' && role !== 'owner' && orgOps.countOwners(access.org.id) <= 1) {
+            return res.status(409).json({ error: 'An organization needs at least one owner' });
+        }
+
+        orgOps.updateMemberRole(access.org.id, req.params.userId, role);
+        console.log(`👥 Organization ${access.org.id}: user ${req.params.userId} is now ${role}`);
+        res.json({ success: true, user_id: req.params.userId, role });
+    } catch (error) {
+        console.error('❌ Error updating member role:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Remove a member (admin), or leave the organization (any member removing themselves)
+ */
+app.delete('/v1/organizations/:orgId/members/:userId', authMiddleware, (req, res) => {
+    try {
+        const leaving = req.params.userId === req.user.id;
+        const access = requireOrgRole(req, res, leaving ? 'viewer' : 'admin');
+        if (!access) return;
+
+        const currentRole = orgOps.getMemberRole(access.org.id, req.params.userId);
+        if (!currentRole) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (currentRole === 'owner' && !leaving && access.role !== 'owner') {
+            return res.status(403).json({ error: 'Only owners can remove an owner' });
+        }
+        if (currentRole === 'owner' && orgOps.countOwners(access.org.id) <= 1) {
+            return res.status(409).json({ error: 'An organization needs at least one owner' });
+        }
+
+        orgOps.removeMember(access.org.id, req.params.userId);
+        console.log(`👥 Organization ${access.org.id}: user ${req.params.userId} ${leaving ? 'left' : 'removed'}`);
+        res.json({ success: true, user_id: req.params.userId });
+    } catch (error) {
+        console.error('❌ Error removing member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List an organization's pending invites (admin)
+ */
+app.get('/v1/organizations/:orgId/invites', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const invites = orgOps.findOpenInvites(access.org.id).map(formatOrgInvite);
+        res.json({ invites, total: invites.length });
+    } catch (error) {
+        console.error('❌ Error listing invites:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Invite someone by email (admin). Only owners can invite owners.
+ * Body: { email, role = "member" }
+ */
+app.post('/v1/organizations/:orgId/invites', authMiddleware, async (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const { email, role = 'member' } = req.body || {};
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!email || typeof email !== 'string' || !emailRegex.test(email.trim())) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!ORG_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ORG_ROLES.join(', ')}` });
+        }
+        if (role === 'owner' && access.role !== 'owner') {
+            return res.status(403).json({ error: 'Only owners can invite owners' });
+        }
+
+        const inviteEmail = email.trim();
+        const existingUser = userOps.findByEmail(inviteEmail);
+        if (existingUser && orgOps.getMemberRole(access.org.id, existingUser.id)) {
+            return res.status(409).json({ error: 'This user is already a member' });
+        }
+
+        const invite = orgOps.createInvite({
+            id: uuidv4(),
+            organizationId: access.org.id,
+            email: inviteEmail,
+            role,
+            invitedBy: req.user.id,
+            expiresAt: Date.now() + ORG_INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+        });
+
+        const baseUrl = process.env.BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+        const inviteUrl = `${String(baseUrl).replace(/\/$/, '')}/invite?token=${encodeURIComponent(invite.token)}`;
+
+        const { sendOrganizationInviteEmail } = require('./utils/email-service');
+        const emailResult = await sendOrganizationInviteEmail({
+            email: inviteEmail,
+            organizationName: access.org.name,
+            role,
+            inviteUrl,
+            invitedBy: req.user.email,
+            expiresAt: invite.expires_at
+        });
+
+        console.log(`✉️  Organization ${access.org.id}: ${inviteEmail} invited as ${role}`);
+        res.status(201).json({
+            ...formatOrgInvite(invite),
+            email_sent: Boolean(emailResult && emailResult.success),
+            // Returned so the inviter can share the link themselves when email is not configured
+            invite_url: inviteUrl
+        });
+    } catch (error) {
+        console.error('❌ Error creating invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Revoke an invite (admin)
+ */
+app.delete('/v1/organizations/:orgId/invites/:inviteId', authMiddleware, (req, res) => {
+    try {
+        const access = requireOrgRole(req, res, 'admin');
+        if (!access) return;
+
+        const invite = orgOps.findInviteById(req.params.inviteId);
+        if (!invite || invite.organization_id !== access.org.id) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        res.json({ success: true, ...formatOrgInvite(orgOps.revokeInvite(invite.id)) });
+    } catch (error) {
+        console.error('❌ Error revoking invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Find an invite by token and check it can be accepted by the current user.
+ * Sends the error response and returns null on failure.
+ */
+function resolveOrgInvite(req, res) {
+    const invite = orgOps.findInviteByToken(req.params.token);
+    if (!invite) {
+        res.status(404).json({ error: 'Invite not found' });
+        return null;
+    }
+    const formatted = formatOrgInvite(invite);
+    if (formatted.state !== 'pending') {
+        res.status(410).json({ error: `Invite is ${formatted.state}`, state: formatted.state });
+        return null;
+    }
+    if (String(invite.email).toLowerCase() !== String(req.user.email || '').toLowerCase()) {
+        res.status(403).json({ error: `This invite was sent to ${invite.email}. Sign in with that email to accept it.` });
+        return null;
+    }
+    return invite;
+}
+
+/**
+ * Get an invite by token (for the accept page)
+ */
+app.get('/v1/invites/:token', authMiddleware, (req, res) => {
+    try {
+        const invite = resolveOrgInvite(req, res);
+        if (!invite) return;
+
+        const org = orgOps.findById(invite.organization_id);
+        res.json({ ...formatOrgInvite(invite), organization_name: org ? org.name : null });
+    } catch (error) {
+        console.error('❌ Error fetching invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Accept an invite. An existing member keeps their role if it is higher.
+ */
+app.post('/v1/invites/:token/accept', authMiddleware, (req, res) => {
+    try {
+        const invite = resolveOrgInvite(req, res);
+        if (!invite) return;
+
+        const currentRole = orgOps.getMemberRole(invite.organization_id, req.user.id);
+        const role = currentRole && hasOrgRole(currentRole, invite.role) ? currentRole : invite.role;
+        orgOps.acceptInvite(invite.id, req.user.id, role);
+
+        const org = orgOps.findById(invite.organization_id);
+        console.log(`👥 Organization ${invite.organization_id}: user ${req.user.id} joined as ${role}`);
+        res.json({ success: true, organization: formatOrganization({ ...org, member_count: orgOps.getMembers(org.id).length }, role) });
+    } catch (error) {
+        console.error('❌ Error accepting invite:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+// Upper bound for expires_in_days
+const SHARE_LINK_MAX_EXPIRY_DAYS = 365;
+// Lifetime of the access token embedded in a share link's video and PDF URLs
+const SHARE_MEDIA_ACCESS_TTL = '4h';
+// Audience of those tokens, so they are never taken for login tokens
+const SHARE_MEDIA_AUDIENCE = 'share_media';
+
+/**
+ * Format a share link (DB row) for API responses
+ */
+function formatShareLink(link) {
+    return {
+        id: link.id,
+        bot_id: link.bot_id,
+        url: buildShareUrl(link.token),
+        token: link.token,
+        label: link.label,
+        scopes: parseShareScopes(link),
+        password_protected: !!link.password_hash,
+        state: getShareLinkState(link),
+        expires_at: link.expires_at ? new Date(link.expires_at).toISOString() : null,
+        revoked_at: link.revoked_at ? new Date(link.revoked_at).toISOString() : null,
+        access_count: link.access_count,
+        last_accessed_at: link.last_accessed_at ? new Date(link.last_accessed_at).toISOString() : null,
+        created_at: new Date(link.created_at).toISOString()
+    };
+}
+
+/**
+ * Validate share link fields. Only the fields present are checked.
+ * Expiry is given as expires_in_days or expires_at (ISO date); null means never.
+ * @returns {Promise<{error: string}|{values: Object}>} Validated { label, scopes, password_hash, expires_at }
+ */
+async function validateShareLink(body) {
+    const values = {};
+
+    if (body.label !== undefined) {
+        if (body.label !== null && typeof body.label !== 'string') return { error: 'label must be a string' };
+        values.label = body.label ? body.label.trim().slice(0, 200) : null;
+    }
+
+    if (body.scopes !== undefined) {
+        if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+            return { error: `scopes must be a non-empty array of: ${SHARE_LINK_SCOPES.join(', ')}` };
+        }
+        const unknown = body.scopes.filter(s => !SHARE_LINK_SCOPES.includes(s));
+        if (unknown.length > 0) {
+            return { error: `Unknown scope(s): ${unknown.join(', ')}`, valid_scopes: SHARE_LINK_SCOPES };
+        }
+        values.scopes = SHARE_LINK_SCOPES.filter(s => body.scopes.includes(s));
+    }
+
+    if (body.password !== undefined) {
+        if (body.password === null || body.password === '') {
+            values.password_hash = null;
+        } else if (typeof body.password !== 'string' || body.password.length < 4) {
+            return { error: 'password must be at least 4 characters' };
+        } else {
+            values.password_hash = await bcrypt.hash(body.password, 8);
+        }
+    }
+
+    if (body.expires_in_days !== undefined) {
+        if (body.expires_in_days === null) {
+            values.expires_at = null;
+        } else {
+            const days = Number(body.expires_in_days);
+            if (!Number.isFinite(days) || days <= 0 || days > SHARE_LINK_MAX_EXPIRY_DAYS) {
+                return { error: `expires_in_days must be greater than 0 and at most ${SHARE_LINK_MAX_EXPIRY_DAYS}` };
+            }
+            values.expires_at = Date.now() + Math.round(days * 24 * 60 * 60 * 1000);
+        }
+    } else if (body.expires_at !== undefined) {
+        if (body.expires_at === null) {
+            values.expires_at = null;
+        } else {
+            const ts = Date.parse(body.expires_at);
+            if (Number.isNaN(ts) || ts <= Date.now()) return { error: 'expires_at must be a future ISO date' };
+            values.expires_at = ts;
+        }
+    }
+
+    return { values };
+}
+
+/**
+ * Resolve a share token to an active link, checking the password
+ * (X-Share-Password header) if the link has one
+ * @returns {Promise<{link: Object}|{status: number, body: Object}>}
+ */
+async function resolveShareLink(token, password) {
+    const link = token ? shareLinkOps.findByToken(token) : null;
+    if (!link) {
+        return { status: 404, body: { success: false, error: 'Meeting not found or link expired' } };
+    }
+
+    const state = getShareLinkState(link);
+    if (state !== 'active') {
+        return {
+            status: 410,
+            body: { success: false, error: state === 'revoked' ? 'This share link has been revoked' : 'This share link has expired' }
+        };
+    }
+
+    if (link.password_hash) {
+        if (!password) {
+            return { status: 401, body: { success: false, error: 'Password required', password_required: true } };
+        }
+        if (!(await bcrypt.compare(String(password), link.password_hash))) {
+            return { status: 401, body: { success: false, error: 'Incorrect password', password_required: true } };
+        }
+    }
+
+    return { link };
+}
+
+/**
+ * Verify the ?access= token of a share link media URL (video, PDF)
+ * @returns {Object|null} Active share link
+ */
+function verifyShareMediaAccess(req) {
+    const link = shareLinkOps.findByToken(req.params.shareToken);
+    let access = null;
+    try {
+        access = jwt.verify(String(req.query.access || ''), JWT_SECRET, { audience: SHARE_MEDIA_AUDIENCE });
+    } catch (e) {}
+
+    if (!link || !access || access.scope !== 'share_media' || access.shareLinkId !== link.id) return null;
+    if (getShareLinkState(link) !== 'active') return null;
+    return link;
+}
+
+/**
+ * Serve a local file with HTTP Range support, decrypting it if it is
+ * encrypted at rest
+ */
+async function sendFileWithRange(req, res, filePath, options) {
+    const artifact = await openArtifact(filePath);
+    // Validators of the stored file: its mtime changes when it is encrypted in place
+    return sendArtifactWithRange(req, res, artifact, {
+        ...options,
+        lastModified: artifact.mtime,
+        etag: `"${artifact.size}-${artifact.mtime.getTime()}"`
+    });
+}
+
+// Compare entity tags, ignoring weak markers (If-None-Match uses weak comparison)
+function etagMatches(header, etag) {
+    if (!header || !etag) return false;
+    const normalize = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => tag.trim() === '*' || normalize(tag) === normalize(etag));
+}
+
+// Whether a resource changed since an HTTP date (second precision)
+function modifiedSince(lastModified, header) {
+    const since = Date.parse(header);
+    return isNaN(since) || Math.floor(lastModified.getTime() / 1000) > Math.floor(since / 1000);
+}
+
+/**
+ * Serve an artifact (see openArtifact / openEncryptedSource) with HTTP Range support
+ */
+async function sendArtifactWithRange(req, res, artifact, { contentType, cacheControl, lastModified = null, etag = null }) {
+    const fileSize = artifact.size;
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', cacheControl);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+    if (etag) res.setHeader('ETag', etag);
+
+    // Conditional requests: the player revalidating a cached recording
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    const notModified = ifNoneMatch
+        ? etagMatches(ifNoneMatch, etag)
+        : !!(ifModifiedSince && lastModified && !modifiedSince(lastModified, ifModifiedSince));
+    if (notModified) {
+        return res.status(304).end();
+    }
+
+    if (req.method === 'HEAD') {
+        res.setHeader('Content-Length', fileSize);
+        return res.end();
+    }
+
+    const pipeArtifact = async (range) => {
+        const stream = await artifact.createReadStream(range);
+        stream.on('error', (error) => {
+            console.error('❌ Error streaming file:', error.message);
+            res.destroy(error);
+        });
+        return stream.pipe(res);
+    };
+
+    // If-Range: only honour the range if the client's copy is still current
+    const ifRange = req.headers['if-range'];
+    const rangeStillValid = !ifRange || (/^(W\/)?"/.test(ifRange)
+        ? !!etag && !ifRange.startsWith('W/') && ifRange === etag
+        : !!lastModified && !modifiedSince(lastModified, ifRange));
+    const range = rangeStillValid ? req.headers.range : null;
+    if (range) {
+        const parts = range.replace(/bytes=/, '').split('-');
+        let start = parts[0] ? parseInt(parts[0], 10) : NaN;
+        let end = parts[1] ? parseInt(parts[1], 10) : NaN;
+        if (isNaN(start) && !isNaN(end)) {
+            // Suffix range: last N bytes
+            start = Math.max(0, fileSize - end);
+            end = fileSize - 1;
+        } else if (isNaN(end) || end >= fileSize) {
+            end = fileSize - 1;
+        }
+        if (isNaN(start) || start < 0 || start >= fileSize || start > end) {
+            res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+            return res.end();
+        }
+
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+        res.setHeader('Content-Length', end - start + 1);
+        return pipeArtifact({ start, end });
+    }
+
+    res.setHeader('Content-Length', fileSize);
+    return pipeArtifact();
+}
+
+// Files of an HLS package (see packageHls): master.m3u8, <rendition>/index.m3u8, <rendition>/segment_00000.ts
+const HLS_FILE_PATTERN = /^(?:[\w-]+\/)?[\w-]+\.(m3u8|ts)$/;
+
+// Whether a bot has an HLS package that can still be served
+async function hasHlsPackage(botId, metadata) {
+    if (!metadata || !metadata.hls) return false;
+    return !!getHlsLocation(metadata, metadata.hls.master)
+        || await fs.pathExists(path.join(RUNTIME_ROOT, botId, 'video', 'hls', metadata.hls.master));
+}
+
+/**
+ * Serve a file of a bot's HLS package, from the runtime folder or from
+ * storage once uploaded. URIs in playlists are relative: `query` (the
+ * access token of the request) is added to them so the player's follow-up
+ * requests are authorized too.
+ */
+async function sendHlsFile(req, res, botId, file, query = '') {
+    const match = HLS_FILE_PATTERN.exec(file || '');
+    const metadata = match ? await fs.readJson(path.join(RUNTIME_ROOT, botId, 'bot_metadata.json')).catch(() => null) : null;
+    if (!metadata || !metadata.hls) {
+        return res.status(404).json({ error: 'HLS rendition not found' });
+    }
+    const contentType = getRecordingContentType(file);
+    const localPath = path.join(RUNTIME_ROOT, botId, 'video', 'hls', file);
+    const location = getHlsLocation(metadata, file);
+    const stored = location ? openStoredRecording(location) : null;
+    const hasLocal = await fs.pathExists(localPath);
+
+    if (match[1] === 'm3u8') {
+        let playlist = null;
+        if (hasLocal) {
+            playlist = await readArtifactText(localPath);
+        } else if (stored) {
+            const stream = location.encrypted
+                ? await (await openEncryptedSource(stored)).createReadStream()
+                : await stored.readRange(0, location.size - 1);
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            playlist = Buffer.concat(chunks).toString('utf8');
+        }
+        if (playlist === null) {
+            return res.status(404).json({ error: 'HLS rendition not found' });
+        }
+        if (query) {
+            playlist = playlist.split('\n').map(line => (line.trim() && !line.startsWith('#') ? `${line.trim()}?${query}` : line)).join('\n');
+        }
+        res.setHeader('Cache-Control', 'private, no-cache');
+        return res.type(contentType).send(playlist);
+    }
+
+    // Segments never change once packaged
+    if (hasLocal) {
+        return sendFileWithRange(req, res, localPath, { contentType, cacheControl: 'private, max-age=86400' });
+    }
+    if (stored && location.encrypted) {
+        return sendArtifactWithRange(req, res, await openEncryptedSource(stored), {
+            contentType,
+            cacheControl: 'private, max-age=86400',
+            etag: `"${location.key}-${location.size}"`
+        });
+    }
+    const signedUrl = location ? await getRecordingUrl(location, 3600) : null;
+    if (signedUrl) return res.redirect(302, signedUrl);
+    res.status(404).json({ error: 'HLS rendition not found' });
+}
+
+/**
+ * Serve one of a bot's thumbnail files (poster.jpg, storyboard.jpg,
+ * storyboard.vtt). Like HLS playlists, the sprite URIs of the storyboard
+ * track get `query` so the player can load them.
+ */
+async function sendThumbnailFile(req, res, botId, file, query = '') {
+    const filePath = await getThumbnailPath(botId, file);
+    if (!filePath) {
+        return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+    const contentType = THUMBNAIL_FILES[file];
+
+    if (file.endsWith('.vtt')) {
+        let track = await readArtifactText(filePath);
+        if (query) {
+            track = track.split(`${STORYBOARD_SPRITE}#`).join(`${STORYBOARD_SPRITE}?${query}#`);
+        }
+        res.setHeader('Cache-Control', 'private, no-cache');
+        return res.type(contentType).send(track);
+    }
+    return sendFileWithRange(req, res, filePath, { contentType, cacheControl: 'private, max-age=3600' });
+}
+
+/**
+ * List a bot's share links
+ */
+app.get('/v1/bots/:botId/share-links', authMiddleware, (req, res) => {
+    try {
+        const bot = findBotForUser(req.params.botId, req.user, { manage: true });
+        if (!bot) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+
+        const links = shareLinkOps.findByBotId(bot.id).map(formatShareLink);
+        res.json({ share_links: links, total: links.length });
+    } catch (error) {
+        console.error('❌ Error listing share links:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create a share link for a bot.
+ * Body: { scopes = ["summary","transcript","video"], expires_in_days | expires_at, password, label }
+ * Pass { default: true } to get the bot's reusable all-scopes link instead of a new one.
+ */
+app.post('/v1/bots/:botId/share-links', authMiddleware, async (req, res) => {
+    try {
+        const bot = findBotForUser(req.params.botId, req.user, { manage: true });
+        if (!bot) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+
+        if (req.body && req.body.default === true) {
+            const link = getOrCreateDefaultShareLink(bot.id);
+            return res.json(formatShareLink(link));
         }
 
-        // Per-bot hard TTL: force stop after BOT_MAX_LIFETIME_MS even if
-        // recording is still in progress. This prevents orphaned bots.
-        botData.ttlTimer = setTimeout(async () => {
-            try {
-                const current = activeBots.get(botId);
-                if (!current) return;
-                console.log(`⏱️ Bot ${botId} reached TTL of ${BOT_MAX_LIFETIME_MINUTES} minutes, forcing shutdown...`);
-                if (current.bot && typeof current.bot.leaveMeet === 'function') {
-                    await current.bot.leaveMeet().catch(() => {});
-                }
-                activeBots.delete(botId);
-            } catch (e) {
-                console.error(`❌ Error during TTL shutdown for bot ${botId}:`, e);
-            }
-        }, BOT_MAX_LIFETIME_MS);
+        const validated = await validateShareLink(req.body || {});
+        if (validated.error) {
+            return res.status(400).json(validated);
+        }
 
-        // Start bot (async, don't wait)
-        bot.joinMeet(meeting_url)
-            .then(() => {
-                console.log(`✅ Bot ${botId} started successfully`);
-                botData.status = 'recording';
-                
-                // Update database status if user is authenticated
-                if (req.user) {
-                    try {
-                        botOps.updateStatus(botId, 'recording');
-                    } catch (e) {
-                        console.error('Error updating bot status in DB:', e);
-                    }
-                }
-            })
-            .catch(async (error) => {
-                console.error(`❌ Bot ${botId} failed:`, error.message);
-                botData.status = 'failed';
-                botData.error = error.message;
-                
-                // Update database status if user is authenticated
-                if (req.user) {
-                    try {
-                        botOps.updateStatus(botId, 'failed', error.message);
-                    } catch (e) {
-                        console.error('Error updating bot status in DB:', e);
-                    }
-                }
+        const { values } = validated;
+        const defaultExpiry = SHARE_LINK_DEFAULT_EXPIRY_DAYS > 0
+            ? Date.now() + SHARE_LINK_DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+            : null;
+        const link = shareLinkOps.create({
+            id: uuidv4(),
+            botId: bot.id,
+            userId: req.user.id,
+            label: values.label,
+            scopes: values.scopes || SHARE_LINK_SCOPES,
+            passwordHash: values.password_hash,
+            expiresAt: values.expires_at !== undefined ? values.expires_at : defaultExpiry
+        });
 
-                // Ensure we don't leave any Chrome/Playwright processes running
-                try {
-                    if (bot && typeof bot.leaveMeet === 'function') {
-                        await bot.leaveMeet().catch(() => {});
-                    }
-                } catch {}
-            });
+        console.log(`🔗 Share link ${link.id} created for bot ${bot.id} (${parseShareScopes(link).join(', ')})`);
+        res.status(201).json(formatShareLink(link));
+    } catch (error) {
+        console.error('❌ Error creating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Return immediate response
-        res.json({
-            success: true,
-            bot_id: botId,
-            meeting_url,
-            bot_name: finalBotName,
-            status: 'starting',
-            output_file: `${botId}.webm`,
-            created_at: botData.createdAt
-        });
+/**
+ * Find a share link of a bot the user may manage
+ * @returns {Object|undefined} Share link row
+ */
+function findShareLinkForUser(linkId, user) {
+    const link = shareLinkOps.findById(linkId);
+    return link && findBotForUser(link.bot_id, user, { manage: true }) ? link : undefined;
+}
+
+/**
+ * Get a share link
+ */
+app.get('/v1/share-links/:linkId', authMiddleware, (req, res) => {
+    const link = findShareLinkForUser(req.params.linkId, req.user);
+    if (!link) {
+        return res.status(404).json({ error: 'Share link not found' });
+    }
+    res.json(formatShareLink(link));
+});
+
+/**
+ * Update a share link (label, scopes, expiry, password). Revoked links cannot be changed.
+ */
+app.patch('/v1/share-links/:linkId', authMiddleware, async (req, res) => {
+    try {
+        const link = findShareLinkForUser(req.params.linkId, req.user);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        if (link.revoked_at) {
+            return res.status(409).json({ error: 'Share link has been revoked' });
+        }
+
+        const validated = await validateShareLink(req.body || {});
+        if (validated.error) {
+            return res.status(400).json(validated);
+        }
+        if (Object.keys(validated.values).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update (label, scopes, expires_in_days, expires_at, password)' });
+        }
 
+        res.json(formatShareLink(shareLinkOps.update(link.id, validated.values)));
     } catch (error) {
-        console.error('❌ Failed to create bot:', error);
-        res.status(500).json({ 
-            error: error.message,
-            details: 'Check server logs for more information'
-        });
+        console.error('❌ Error updating share link:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Revoke a share link
+ */
+app.delete('/v1/share-links/:linkId', authMiddleware, (req, res) => {
+    try {
+        const link = findShareLinkForUser(req.params.linkId, req.user);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+
+        const revoked = shareLinkOps.revoke(link.id);
+        console.log(`🔒 Share link ${link.id} revoked for bot ${link.bot_id}`);
+        res.json({ success: true, ...formatShareLink(revoked) });
+    } catch (error) {
+        console.error('❌ Error revoking share link:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
@@ -1901,7 +4868,9 @@ app.post('/v1/bots', authMiddleware, async (req, res) => {
  * List all bots
  */
 app.get('/v1/bots', (req, res) => {
-    const bots = Array.from(activeBots.values()).map(botData => ({
+    // Own bots and those of the user's organizations
+    const accessibleBotIds = new Set(botOps.findAccessibleByUser(req.user.id).map(b => b.id));
+    const bots = Array.from(activeBots.values()).filter(botData => accessibleBotIds.has(botData.botId)).map(botData => ({
         bot_id: botData.botId,
         meeting_url: botData.meetingUrl,
         bot_name: botData.botName,
@@ -1913,12 +4882,19 @@ app.get('/v1/bots', (req, res) => {
         stats: botData.bot?.getStats()
     }));
 
+    // Include bots waiting for a free slot, in queue order
+    for (const record of botOps.findQueued()) {
+        if (accessibleBotIds.has(record.id)) bots.push(formatQueuedBot(record));
+    }
+
     res.json({
         bots,
         total: bots.length,
         active: bots.filter(b => b.status === 'recording').length,
+        queued: bots.filter(b => b.status === 'queued').length,
         completed: bots.filter(b => b.status === 'completed').length,
-        failed: bots.filter(b => b.status === 'failed').length
+        failed: bots.filter(b => b.status === 'failed').length,
+        max_concurrent: MAX_CONCURRENT_BOTS
     });
 });
 
@@ -1927,9 +4903,17 @@ app.get('/v1/bots', (req, res) => {
  */
 app.get('/v1/bots/:botId', (req, res) => {
     const { botId } = req.params;
-    const botData = activeBots.get(botId);
+    const record = findBotForUser(botId, req.user);
+    const botData = record ? activeBots.get(botId) : null;
 
     if (!botData) {
+        // Bots waiting for a free slot only exist in the database
+        if (record && record.status === 'queued') {
+            return res.json(formatQueuedBot(record));
+        }
+        if (record && record.status === 'scheduled') {
+            return res.json(formatScheduledBot(record));
+        }
         return res.status(404).json({ 
             error: 'Bot not found',
             bot_id: botId
@@ -1951,12 +4935,25 @@ app.get('/v1/bots/:botId', (req, res) => {
     });
 });
 
+/**
+ * Get a short-lived media token for a bot, for the ?token= of its video, HLS,
+ * thumbnail and PDF URLs (media elements and links can't send headers)
+ */
+app.post('/v1/bots/:botId/media-token', (req, res) => {
+    const bot = findBotForUser(req.params.botId, req.user);
+    if (!bot) {
+        return res.status(404).json({ error: 'Bot not found' });
+    }
+    const token = jwt.sign({ id: req.user.id, email: req.user.email, botId: bot.id, scope: 'bot_media' }, JWT_SECRET, { audience: MEDIA_ACCESS_AUDIENCE, expiresIn: MEDIA_ACCESS_TTL });
+    res.json({ token, expires_at: new Date(jwt.decode(token).exp * 1000).toISOString() });
+});
+
 /**
  * Participants diagnostics for a bot
  */
 app.get('/v1/bots/:botId/participants', async (req, res) => {
     const { botId } = req.params;
-    const botData = activeBots.get(botId);
+    const botData = findBotForUser(botId, req.user) ? activeBots.get(botId) : null;
     if (!botData) {
         return res.status(404).json({ error: 'Bot not found', bot_id: botId });
     }
@@ -1968,14 +4965,182 @@ app.get('/v1/bots/:botId/participants', async (req, res) => {
     }
 });
 
+/**
+ * Post-processing state of a bot: overall status (none, pending, running,
+ * failed, completed) and every job with its attempts and log
+ */
+app.get('/v1/bots/:botId/post-processing', (req, res) => {
+    try {
+        const record = findBotForUser(req.params.botId, req.user);
+        if (!record) {
+            return res.status(404).json({ error: 'Bot not found', bot_id: req.params.botId });
+        }
+        res.json(formatPostProcessing(record.id));
+    } catch (error) {
+        console.error('❌ Error getting post-processing state:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Action items of a finished meeting: description, owner (a participant),
+ * due date resolved in the bot's timezone and the utterance they come from
+ */
+app.get('/v1/bots/:botId/action-items', async (req, res) => {
+    const { botId } = req.params;
+    if (!findBotForUser(botId, req.user)) {
+        return res.status(404).json({ error: 'Bot not found', bot_id: botId });
+    }
+    try {
+        const actionItems = await readActionItems(botId, RUNTIME_ROOT);
+        if (!actionItems) {
+            return res.status(404).json({ error: 'No action items for this bot', bot_id: botId });
+        }
+        res.json({
+            bot_id: botId,
+            action_items: actionItems.items,
+            total: actionItems.items.length,
+            timezone: actionItems.timezone,
+            created_at: actionItems.createdAt
+        });
+    } catch (error) {
+        console.error(`❌ Error reading action items of ${botId}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Answer a question about a bot's meeting and send the response (shared by
+ * the bot and share link routes)
+ */
+async function sendMeetingAnswer(res, botId, body) {
+    const validated = validateQuestion(body || {});
+    if (validated.error) {
+        return res.status(400).json(validated);
+    }
+    const llm = getBotLlm(botId);
+    if (!llm) {
+        return res.status(503).json({ error: 'No LLM provider configured for this meeting' });
+    }
+
+    try {
+        const result = await askMeeting(botId, RUNTIME_ROOT, { ...validated, llm });
+        if (!result) {
+            return res.status(404).json({ error: 'No transcript for this meeting', bot_id: botId });
+        }
+        res.json({ bot_id: botId, question: validated.question, ...result });
+    } catch (error) {
+        console.error(`❌ Error answering a question about ${botId}:`, error.message);
+        res.status(502).json({ error: `Could not answer: ${llm.describeError ? llm.describeError(error) : error.message}` });
+    }
+}
+
+/**
+ * Ask a question about a finished meeting. The answer cites the transcript
+ * utterances it comes from ([n] in the text), with their time in seconds.
+ * Body: { question, history?: [{ role: "user"|"assistant", content }] }
+ */
+app.post('/v1/bots/:botId/ask', async (req, res) => {
+    const { botId } = req.params;
+    if (!findBotForUser(botId, req.user)) {
+        return res.status(404).json({ error: 'Bot not found', bot_id: botId });
+    }
+    await sendMeetingAnswer(res, botId, req.body);
+});
+
+/**
+ * Search what was said across every meeting the user can see (own bots and
+ * those of their organizations), by meaning rather than exact words.
+ * Query: q, limit (1-50, default 20). Disabled under encryption at rest (the
+ * index would keep the transcripts in plaintext)
+ */
+app.get('/v1/search', async (req, res) => {
+    if (isEncryptionEnabled()) {
+        return res.status(503).json({ error: 'Meeting search is disabled while encryption at rest is enabled' });
+    }
+    const validated = validateSearchQuery(req.query);
+    if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+    }
+    try {
+        const { models, matches } = await searchMeetings(req.user.id, validated.query, { limit: validated.limit });
+        res.json({ query: validated.query, models, matches, total: matches.length });
+    } catch (error) {
+        console.error('❌ Error searching meetings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Full-text search over every caption the user can see: exact words,
+ * "phrases", AND / OR / NOT, prefix* (SQLite FTS5 syntax).
+ * Query: q, from, to (meeting date, YYYY-MM-DD or ISO), speaker, meeting_type,
+ * language, sort (relevance|date), limit (1-100, default 20), offset.
+ * Each match has the snippet around the words found and their [start, end) ranges in it.
+ * Disabled under encryption at rest (the index would keep the captions in plaintext)
+ */
+app.get('/v1/search/transcripts', (req, res) => {
+    if (isEncryptionEnabled()) {
+        return res.status(503).json({ error: 'Transcript search is disabled while encryption at rest is enabled' });
+    }
+    const validated = validateCaptionSearch(req.query);
+    if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+    }
+    try {
+        const result = searchCaptions(req.user.id, validated);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ query: validated.query, ...result, limit: validated.limit, offset: validated.offset });
+    } catch (error) {
+        console.error('❌ Error searching captions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Retry a bot's failed post-processing jobs (and the jobs that depend on them)
+ */
+app.post('/v1/bots/:botId/post-processing/retry', (req, res) => {
+    try {
+        const record = findBotForUser(req.params.botId, req.user, { manage: true });
+        if (!record) {
+            return res.status(404).json({ error: 'Bot not found', bot_id: req.params.botId });
+        }
+
+        const requeued = retryFailedJobs(record.id);
+        if (requeued === 0) {
+            return res.status(409).json({ error: 'No failed post-processing jobs to retry', bot_id: record.id });
+        }
+        console.log(`🔁 Bot ${record.id}: retrying ${requeued} post-processing job(s)`);
+        res.status(202).json({ success: true, requeued, ...formatPostProcessing(record.id) });
+    } catch (error) {
+        console.error('❌ Error retrying post-processing jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Stop and remove bot
  */
 app.delete('/v1/bots/:botId', async (req, res) => {
     const { botId } = req.params;
-    const botData = activeBots.get(botId);
+    const record = findBotForUser(botId, req.user, { manage: true });
+    const botData = record ? activeBots.get(botId) : null;
 
     if (!botData) {
+        // A queued bot has not started yet - just take it out of the queue
+        if (record && record.status === 'queued') {
+            updateBotStatus(botId, 'cancelled');
+            console.log(`🛑 Bot ${botId} removed from queue`);
+            return res.json({
+                success: true,
+                message: `Bot ${botId} removed from queue`,
+                bot_id: botId,
+                status: 'cancelled'
+            });
+        }
         return res.status(404).json({ 
             error: 'Bot not found',
             bot_id: botId
@@ -2002,7 +5167,7 @@ app.delete('/v1/bots/:botId', async (req, res) => {
             if (botData.bot) {
                 botData.bot = null;
             }
-            activeBots.delete(botId);
+            releaseBotSlot(botId);
             console.log(`🗑️  Bot ${botId} force removed from active list`);
         }
 
@@ -2022,7 +5187,7 @@ app.delete('/v1/bots/:botId', async (req, res) => {
                 if (botData.bot) {
                     botData.bot = null;
                 }
-                activeBots.delete(botId);
+                releaseBotSlot(botId);
             } catch {}
         }
         
@@ -2039,10 +5204,12 @@ app.delete('/v1/bots/:botId', async (req, res) => {
 app.get('/v1/recordings', async (req, res) => {
     try {
         const recordings = [];
+        const userBotIds = new Set(botOps.findAccessibleByUser(req.user.id).map(b => b.id));
         // Look for recordings saved under runtime/<botId>/video/*.webm
         try {
             const botDirs = await fs.readdir(RUNTIME_ROOT);
             for (const d of botDirs) {
+                if (!userBotIds.has(d)) continue;
                 const botDir = path.join(RUNTIME_ROOT, d);
                 // Only consider directories that look like bot folders (skip 'bots' dir)
                 const stat = await fs.stat(botDir).catch(() => null);
@@ -2055,6 +5222,16 @@ app.get('/v1/recordings', async (req, res) => {
                 const files = await fs.readdir(videoDir).catch(() => []);
                 // Include both .webm and .mp4 files (compression may convert to .mp4)
                 const videoFiles = files.filter(f => f.endsWith('.webm') || f.endsWith('.mp4'));
+                const hasHls = await fs.pathExists(path.join(videoDir, 'hls', 'master.m3u8'));
+                const hasThumbnails = await fs.pathExists(path.join(videoDir, THUMBNAILS_DIR));
+                const chapters = await readChapters(d, RUNTIME_ROOT);
+                const audioExports = (await listAudioExports(d, videoDir)).map(audio => ({
+                    format: audio.format,
+                    normalized: audio.normalize,
+                    asr: audio.asr,
+                    size: audio.size,
+                    url: `/v1/recordings/${encodeURIComponent(d)}/audio?format=${audio.format}&normalize=${audio.normalize}&asr=${audio.asr}`
+                }));
                 for (const file of videoFiles) {
                     try {
                         const fullPath = path.join(videoDir, file);
@@ -2065,6 +5242,12 @@ app.get('/v1/recordings', async (req, res) => {
                         recordings.push({
                             recording_id: botId,
                             filename: path.join('runtime', botId, 'video', file),
+                            stream_url: `/v1/recordings/${encodeURIComponent(botId)}/stream?format=${file.endsWith('.mp4') ? 'mp4' : 'webm'}`,
+                            hls_url: hasHls ? `/v1/recordings/${encodeURIComponent(botId)}/hls/master.m3u8` : null,
+                            audio: audioExports,
+                            poster_url: hasThumbnails ? `/v1/recordings/${encodeURIComponent(botId)}/thumbnails/${POSTER_FILE}` : null,
+                            storyboard_url: hasThumbnails ? `/v1/recordings/${encodeURIComponent(botId)}/thumbnails/${STORYBOARD_VTT}` : null,
+                            chapters: chapters ? chapters.chapters : [],
                             size: stats.size,
                             size_mb: (stats.size / 1024 / 1024).toFixed(2),
                             created_at: stats.birthtime.toISOString(),
@@ -2101,6 +5284,9 @@ app.get('/v1/recordings', async (req, res) => {
  */
 app.get('/v1/recordings/:recordingId', async (req, res) => {
     const { recordingId } = req.params;
+    if (!findBotForUser(recordingId, req.user)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
     try {
         // Determine content type based on recording type (audio-only vs audio-video)
         let contentType = 'video/webm'; // Default to video/webm
@@ -2120,13 +5306,10 @@ app.get('/v1/recordings/:recordingId', async (req, res) => {
             console.warn(`⚠️  Could not read metadata for content type, defaulting to video/webm: ${e.message}`);
         }
 
-        // Quick local check first: if file exists locally, serve it directly and skip S3 checks.
-    const localVideoCandidateDir = path.join(RUNTIME_ROOT, recordingId, 'video');
-    const localCandidateEarly = await findVideoFile(recordingId, localVideoCandidateDir);
+        // Quick local check first: if file exists locally, serve it directly and skip storage checks.
+        const localVideoCandidateDir = path.join(RUNTIME_ROOT, recordingId, 'video');
+        const localCandidateEarly = await findVideoFile(recordingId, localVideoCandidateDir);
         if (localCandidateEarly && await fs.pathExists(localCandidateEarly)) {
-            // Serve local file immediately (range handling follows the existing local path logic)
-            const stats = await fs.stat(localCandidateEarly);
-            const fileSize = stats.size;
             const fileExt = path.extname(localCandidateEarly).toLowerCase();
             let actualContentType = contentType;
             if (fileExt === '.mp4') actualContentType = contentType.replace('webm', 'mp4');
@@ -2134,223 +5317,68 @@ app.get('/v1/recordings/:recordingId', async (req, res) => {
             // mark cache
             try { recordingStorageCache.set(recordingId, { where: 'local', ts: Date.now() }); } catch (e) {}
 
-            // Support HTTP Range requests for video streaming (essential for large files)
-            const lastModified = stats.mtime.toUTCString();
-            const etag = `${stats.size}-${stats.mtimeMs}`;
-
-            res.setHeader('Accept-Ranges', 'bytes');
-            res.setHeader('Content-Type', actualContentType);
-            res.setHeader('Cache-Control', 'public, max-age=3600');
-            res.setHeader('Last-Modified', lastModified);
-            res.setHeader('ETag', etag);
-
-            if (req.method === 'HEAD') { res.setHeader('Content-Length', fileSize); return res.end(); }
-
-            const range = req.headers.range;
-            if (range) {
-                const parts = range.replace(/bytes=/, "").split("-");
-                let start = parts[0] ? parseInt(parts[0], 10) : NaN;
-                let end = parts[1] ? parseInt(parts[1], 10) : NaN;
-                if (isNaN(start) && !isNaN(end)) { const suffixLen = end; start = Math.max(0, fileSize - suffixLen); end = fileSize - 1; } else { if (isNaN(end)) end = fileSize - 1; }
-                if (isNaN(start) || start < 0 || start >= fileSize || start > end) { res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` }); return res.end(); }
-                const chunksize = (end - start) + 1;
-                const file = fs.createReadStream(localCandidateEarly, { start, end, highWaterMark: 1024 * 1024 });
-                res.writeHead(206, {
-                    'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunksize,
-                    'Content-Type': actualContentType,
-                    'Cache-Control': 'public, max-age=3600',
-                    'Last-Modified': lastModified,
-                    'ETag': etag
-                });
-                file.pipe(res);
-                return;
-            }
-            res.setHeader('Content-Length', fileSize);
-            const stream = fs.createReadStream(localCandidateEarly, { highWaterMark: 1024 * 1024 });
-            return stream.pipe(res);
+            // Range requests are essential for seeking in large files
+            return sendFileWithRange(req, res, localCandidateEarly, { contentType: actualContentType, cacheControl: 'public, max-age=3600' });
         }
 
-        // Quick cache check: if we recently discovered this recording is in S3, short-circuit
+        // Then check if the recording was uploaded to a storage provider
+        // (metadata, or the default storage for recordings uploaded without it)
         try {
-            const cached = getRecordingStorageCacheEntry(recordingId);
-            if (cached && cached.where === 's3') {
-                const { getS3VideoUrl, isS3Configured } = require('./utils/s3-upload');
-                if (isS3Configured()) {
-                    try {
-                        const signedUrl = await getS3VideoUrl(recordingId, null, 3600);
-                        if (signedUrl) {
-                            console.log(`📤 Cached: redirecting to signed S3 URL for ${recordingId}`);
-                            return res.redirect(302, signedUrl);
-                        }
-                    } catch (e) {
-                        console.log(`ℹ️  Cached S3 redirect failed, will fall back to normal checks: ${e.message}`);
-                    }
-                }
+            let metadata = null;
+            const metadataPath = path.join(RUNTIME_ROOT, recordingId, 'bot_metadata.json');
+            if (await fs.pathExists(metadataPath)) {
+                metadata = await fs.readJson(metadataPath).catch(() => null);
             }
-        } catch (e) {
-            // Continue with normal flow on any cache helper error
-        }
 
-        // First, check if video is in S3
-        const { getS3VideoUrl, isS3Configured } = require('./utils/s3-upload');
-        if (isS3Configured()) {
-            try {
-                const botDir = path.join(RUNTIME_ROOT, recordingId);
-                const metadataPath = path.join(botDir, 'bot_metadata.json');
-                
-                if (await fs.pathExists(metadataPath)) {
-                    const metadata = await fs.readJson(metadataPath);
-                    if (metadata.s3Key || metadata.s3VideoUrl) {
-                        // Generate signed URL and redirect
-                        const signedUrl = await getS3VideoUrl(recordingId, null, 3600); // 1 hour
-                        if (signedUrl) {
-                            console.log(`📤 Redirecting to signed S3 URL for ${recordingId}`);
-                            try { recordingStorageCache.set(recordingId, { where: 's3', ts: Date.now() }); } catch (e) {}
-                            return res.redirect(302, signedUrl);
-                        }
-                    }
+            // Recently served from disk: don't probe the default storage again on every range request
+            const cached = getRecordingStorageCacheEntry(recordingId);
+            const location = cached && cached.where === 'local'
+                ? getRecordingLocation(metadata)
+                : await findRecordingLocation(recordingId, metadata);
+            if (location && location.encrypted) {
+                // Encrypted at rest: no direct URL, decrypted on the way through
+                const stored = openStoredRecording(location);
+                if (stored) {
+                    const artifact = await openEncryptedSource(stored);
+                    try { recordingStorageCache.set(recordingId, { where: 'storage', ts: Date.now() }); } catch (e) {}
+                    const actualContentType = path.extname(location.key).toLowerCase() === '.mp4' ? contentType.replace('webm', 'mp4') : contentType;
+                    return sendArtifactWithRange(req, res, artifact, {
+                        contentType: actualContentType,
+                        cacheControl: 'private, max-age=3600',
+                        etag: `"${location.key}-${location.size}"`
+                    });
                 }
-                
-                // Try to generate signed URL even if metadata doesn't have it
-                const signedUrl = await getS3VideoUrl(recordingId, null, 3600); // 1 hour
+                console.warn(`⚠️  No ${location.provider} storage configured for encrypted recording ${location.key}`);
+            } else if (location) {
+                const signedUrl = await getRecordingUrl(location, 3600); // 1 hour
                 if (signedUrl) {
-                    // Check if file exists in S3 by trying to get metadata
-                    const { S3Client, HeadObjectCommand } = require('@aws-sdk/client-s3');
-                    const s3 = new S3Client({
-                        credentials: {
-                            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-                            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-                        },
-                        region: process.env.AWS_REGION || 'us-east-1'
-                    });
-                    
-                    try {
-                        // Try .mp4 first (compressed files), then .webm
-                        let s3Key = `videos/${recordingId}/${recordingId}.mp4`;
-                        let fileExists = false;
-                        
-                        try {
-                            await s3.send(new HeadObjectCommand({
-                                Bucket: process.env.AWS_S3_BUCKET,
-                                Key: s3Key
-                            }));
-                            fileExists = true;
-                        } catch (e) {
-                            // Try .webm if .mp4 doesn't exist
-                            s3Key = `videos/${recordingId}/${recordingId}.webm`;
-                            try {
-                                await s3.send(new HeadObjectCommand({
-                                    Bucket: process.env.AWS_S3_BUCKET,
-                                    Key: s3Key
-                                }));
-                                fileExists = true;
-                            } catch (e2) {
-                                // Neither file exists
-                                fileExists = false;
-                            }
-                        }
-                        
-                        if (fileExists) {
-                            // File exists in S3, redirect to signed URL
-                            console.log(`📤 Redirecting to signed S3 URL: ${recordingId}`);
-                            try { recordingStorageCache.set(recordingId, { where: 's3', ts: Date.now() }); } catch (e) {}
-                            return res.redirect(302, signedUrl);
-                        } else {
-                            // File doesn't exist in S3, fall through to local
-                            console.log(`ℹ️  Video not found in S3, checking local storage...`);
-                        }
-                    } catch (e) {
-                        // Error checking S3, fall through to local
-                        console.log(`ℹ️  Error checking S3, checking local storage:`, e.message);
-                    }
+                    console.log(`📤 Redirecting to signed ${location.provider} URL for ${recordingId}`);
+                    try { recordingStorageCache.set(recordingId, { where: 'storage', ts: Date.now() }); } catch (e) {}
+                    return res.redirect(302, signedUrl);
                 }
-            } catch (e) {
-                console.warn(`⚠️  Error checking S3:`, e.message);
-                // Fall through to local storage
+            } else {
+                console.log(`ℹ️  Video not found in storage, checking local storage...`);
             }
+        } catch (e) {
+            console.warn(`⚠️  Error checking storage:`, e.message);
+            // Fall through to local storage
         }
 
-        // Fallback: look under runtime/<botId>/video/<botId>.mp4 or .webm
-        const videoDir = path.join(RUNTIME_ROOT, recordingId, 'video');
-        const candidate = await findVideoFile(recordingId, videoDir);
-        if (candidate && await fs.pathExists(candidate)) {
-            const stats = await fs.stat(candidate);
-            try { recordingStorageCache.set(recordingId, { where: 'local', ts: Date.now() }); } catch (e) {}
-            const fileSize = stats.size;
-            
-            // Determine content type based on actual file extension
-            const fileExt = path.extname(candidate).toLowerCase();
-            let actualContentType = contentType;
-            if (fileExt === '.mp4') {
-                actualContentType = contentType.replace('webm', 'mp4');
-            }
-            
-            // Support HTTP Range requests for video streaming (essential for large files)
-            const lastModified = stats.mtime.toUTCString();
-            const etag = `${stats.size}-${stats.mtimeMs}`;
-
-            res.setHeader('Accept-Ranges', 'bytes');
-            res.setHeader('Content-Type', actualContentType);
-            res.setHeader('Cache-Control', 'public, max-age=3600');
-            res.setHeader('Last-Modified', lastModified);
-            res.setHeader('ETag', etag);
-
-            // Handle HEAD requests quickly (return headers only)
-            if (req.method === 'HEAD') {
-              // Indicate full length for HEAD so client can inspect size
-              res.setHeader('Content-Length', fileSize);
-              return res.end();
-            }
-
-            // Handle range requests for seeking in large video files
-            const range = req.headers.range;
-            if (range) {
-                // Support suffix ranges like bytes=-500 and normal ranges
-                const parts = range.replace(/bytes=/, "").split("-");
-                let start = parts[0] ? parseInt(parts[0], 10) : NaN;
-                let end = parts[1] ? parseInt(parts[1], 10) : NaN;
-
-                if (isNaN(start) && !isNaN(end)) {
-                    // suffix length: last `end` bytes
-                    const suffixLen = end;
-                    start = Math.max(0, fileSize - suffixLen);
-                    end = fileSize - 1;
-                } else {
-                    if (isNaN(end)) end = fileSize - 1;
-                }
-
-                // Validate range
-                if (isNaN(start) || start < 0 || start >= fileSize || start > end) {
-                    // 416 Range Not Satisfiable
-                    res.writeHead(416, {
-                        'Content-Range': `bytes */${fileSize}`
-                    });
-                    return res.end();
-                }
-
-                const chunksize = (end - start) + 1;
-                const file = fs.createReadStream(candidate, { start, end, highWaterMark: 1024 * 1024 }); // 1MB buffer for faster piping
-
-                res.writeHead(206, {
-                    'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunksize,
-                    'Content-Type': actualContentType,
-                    'Cache-Control': 'public, max-age=3600',
-                    'Last-Modified': lastModified,
-                    'ETag': etag
-                });
+        // Fallback: look under runtime/<botId>/video/<botId>.mp4 or .webm
+        const videoDir = path.join(RUNTIME_ROOT, recordingId, 'video');
+        const candidate = await findVideoFile(recordingId, videoDir);
+        if (candidate && await fs.pathExists(candidate)) {
+            try { recordingStorageCache.set(recordingId, { where: 'local', ts: Date.now() }); } catch (e) {}
 
-                file.pipe(res);
-                return;
+            // Determine content type based on actual file extension
+            const fileExt = path.extname(candidate).toLowerCase();
+            let actualContentType = contentType;
+            if (fileExt === '.mp4') {
+                actualContentType = contentType.replace('webm', 'mp4');
             }
 
-            // No range request - stream full file for playback (do NOT force attachment)
-            res.setHeader('Content-Length', fileSize);
-            const stream = fs.createReadStream(candidate, { highWaterMark: 1024 * 1024 });
-            return stream.pipe(res);
+            // No range request streams the full file for playback (do NOT force attachment)
+            return sendFileWithRange(req, res, candidate, { contentType: actualContentType, cacheControl: 'public, max-age=3600' });
         }
 
         // Fallback: check root (legacy) - try both .mp4 and .webm
@@ -2442,11 +5470,192 @@ app.get('/v1/recordings/:recordingId', async (req, res) => {
     }
 });
 
+/**
+ * Stream a recording for playback: HTTP Range (206), ETag / Last-Modified and
+ * conditional requests. ?format=mp4 serves an MP4 remux of a WebM recording
+ * (made on the first request, then kept) for browsers that can't play WebM.
+ * Recordings no longer on disk redirect to their storage URL, or are decrypted
+ * on the way through when encrypted at rest.
+ */
+app.get('/v1/recordings/:recordingId/stream', async (req, res) => {
+    const { recordingId } = req.params;
+    const bot = findBotForUser(recordingId, req.user);
+    if (!bot) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    const format = req.query.format;
+    if (format !== undefined && format !== 'mp4' && format !== 'webm') {
+        return res.status(400).json({ error: 'format must be mp4 or webm' });
+    }
+    try {
+        const metadata = await fs.readJson(path.join(RUNTIME_ROOT, recordingId, 'bot_metadata.json')).catch(() => null);
+        const mediaType = metadata && metadata.recordingType === 'audio-only' ? 'audio' : 'video';
+        const videoDir = path.join(RUNTIME_ROOT, recordingId, 'video');
+        const webmPath = path.join(videoDir, `${recordingId}.webm`);
+
+        let filePath = format === 'webm' && await fs.pathExists(webmPath)
+            ? webmPath
+            : await findVideoFile(recordingId, videoDir);
+        if (filePath && format === 'mp4' && /\.webm$/i.test(filePath)) {
+            // Still being written while the bot is in the meeting
+            if (!FINAL_STATUSES.includes(bot.status)) {
+                return res.status(409).json({ error: 'Recording in progress: MP4 is available once the meeting ends' });
+            }
+            try {
+                filePath = await ensureMp4Remux(filePath, { botId: recordingId });
+            } catch (e) {
+                console.error(`❌ Could not remux ${recordingId} to MP4:`, e.message);
+                return res.status(500).json({ error: 'Could not convert the recording to MP4' });
+            }
+        }
+
+        if (filePath) {
+            try { recordingStorageCache.set(recordingId, { where: 'local', ts: Date.now() }); } catch (e) {}
+            const container = path.extname(filePath).toLowerCase() === '.mp4' ? 'mp4' : 'webm';
+            return await sendFileWithRange(req, res, filePath, {
+                contentType: `${mediaType}/${container}`,
+                cacheControl: 'private, max-age=3600'
+            });
+        }
+
+        const location = await findRecordingLocation(recordingId, metadata);
+        if (location && location.encrypted) {
+            const stored = openStoredRecording(location);
+            if (stored) {
+                const container = path.extname(location.key).toLowerCase() === '.mp4' ? 'mp4' : 'webm';
+                return await sendArtifactWithRange(req, res, await openEncryptedSource(stored), {
+                    contentType: `${mediaType}/${container}`,
+                    cacheControl: 'private, max-age=3600',
+                    etag: `"${location.key}-${location.size}"`
+                });
+            }
+        } else if (location) {
+            // Storage serves ranges itself
+            const signedUrl = await getRecordingUrl(location, 3600);
+            if (signedUrl) return res.redirect(302, signedUrl);
+        }
+
+        res.status(404).json({ error: 'Recording not found', recording_id: recordingId });
+    } catch (error) {
+        console.error(`❌ Error streaming ${recordingId}:`, error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get the audio of a recording, extracted on first request if the meeting
+ * is over. Query: format (mp3, m4a, wav; default mp3), normalize=true
+ * (EBU R128 loudness), asr=true (mono, 16 kHz)
+ */
+app.get('/v1/recordings/:recordingId/audio', async (req, res) => {
+    const { recordingId } = req.params;
+    const bot = findBotForUser(recordingId, req.user);
+    if (!bot) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    const parsed = parseAudioOptions(req.query);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+    const { options } = parsed;
+    try {
+        const videoDir = path.join(RUNTIME_ROOT, recordingId, 'video');
+        const exportPath = getAudioExportPath(path.join(videoDir, `${recordingId}.webm`), options);
+        if (!(await fs.pathExists(exportPath))) {
+            const recordingPath = await findVideoFile(recordingId, videoDir);
+            if (!recordingPath) {
+                return res.status(404).json({ error: 'Recording not available on this server', recording_id: recordingId });
+            }
+            if (!FINAL_STATUSES.includes(bot.status)) {
+                return res.status(409).json({ error: 'Recording in progress: audio is available once the meeting ends' });
+            }
+            try {
+                await ensureAudioExport(recordingPath, { ...options, botId: recordingId });
+            } catch (e) {
+                return res.status(500).json({ error: 'Could not extract the audio of the recording' });
+            }
+        }
+
+        await sendFileWithRange(req, res, exportPath, {
+            contentType: AUDIO_FORMATS[options.format].contentType,
+            cacheControl: 'private, max-age=3600'
+        });
+    } catch (error) {
+        console.error(`❌ Error serving audio of ${recordingId}:`, error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Stream a recording's HLS package (when ENABLE_HLS_PACKAGING packaged it):
+ * master.m3u8, then the rendition playlists and segments it lists
+ */
+app.get('/v1/recordings/:recordingId/hls/*', async (req, res) => {
+    const { recordingId } = req.params;
+    if (!findBotForUser(recordingId, req.user)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    try {
+        const query = typeof req.query.token === 'string' ? `token=${encodeURIComponent(req.query.token)}` : '';
+        await sendHlsFile(req, res, recordingId, req.params[0], query);
+    } catch (error) {
+        console.error(`❌ Error serving HLS for ${recordingId}:`, error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get a recording's poster or storyboard (poster.jpg, storyboard.jpg,
+ * storyboard.vtt), made by the thumbnails post-processing job
+ */
+app.get('/v1/recordings/:recordingId/thumbnails/:file', async (req, res) => {
+    const { recordingId } = req.params;
+    if (!findBotForUser(recordingId, req.user)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    try {
+        const query = typeof req.query.token === 'string' ? `token=${encodeURIComponent(req.query.token)}` : '';
+        await sendThumbnailFile(req, res, recordingId, req.params.file, query);
+    } catch (error) {
+        console.error(`❌ Error serving thumbnail for ${recordingId}:`, error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get a recording's chapters: { start, end, title } in seconds from the
+ * start of the meeting, with their source (ai or speakers)
+ */
+app.get('/v1/recordings/:recordingId/chapters', async (req, res) => {
+    const { recordingId } = req.params;
+    if (!findBotForUser(recordingId, req.user)) {
+        return res.status(404).json({ error: 'Recording not found' });
+    }
+    try {
+        const chapters = await readChapters(recordingId, RUNTIME_ROOT);
+        if (!chapters) {
+            return res.status(404).json({ error: 'No chapters for this recording', recording_id: recordingId });
+        }
+        res.json({
+            recording_id: recordingId,
+            source: chapters.source,
+            chapters: chapters.chapters,
+            created_at: chapters.createdAt
+        });
+    } catch (error) {
+        console.error(`❌ Error reading chapters of ${recordingId}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Get live captions for a bot
  */
 app.get('/v1/transcripts/:botId', async (req, res) => {
     const { botId } = req.params;
+    if (!findBotForUser(botId, req.user)) {
+        return res.status(404).json({ error: 'Bot not found', bot_id: botId });
+    }
     try {
         const botRootDir = path.join(RUNTIME_ROOT, botId);
         const captionsPath = path.join(botRootDir, 'transcripts', 'captions.json');
@@ -2455,9 +5664,10 @@ app.get('/v1/transcripts/:botId', async (req, res) => {
 
         if (await fs.pathExists(captionsPath)) {
             try {
-                const raw = await fs.readFile(captionsPath, 'utf8');
-                captions = JSON.parse(raw);
-            } catch {}
+                captions = await readArtifactJson(captionsPath);
+            } catch (e) {
+                console.warn(`⚠️  Could not read captions for bot ${botId}: ${e.message}`);
+            }
         }
 
         res.json({
@@ -2480,7 +5690,28 @@ app.get('/v1/info', (req, res) => {
         version: '2.0.0',
         features: {
             webrtc_recording: true,
+            bot_queue: true,
+            scheduled_bots: true,
+            calendar_ics_import: true,
+            signed_webhooks: true,
+            webhook_endpoints: true,
+            live_stream: true,
+            transcript_utterance_webhooks: true,
+            share_links: true,
+            api_keys: true,
+            organizations: true,
+            encryption_at_rest: isEncryptionEnabled(),
+            hls_packaging: process.env.ENABLE_HLS_PACKAGING === 'true',
+            audio_exports: Object.keys(AUDIO_FORMATS),
+            thumbnails: process.env.ENABLE_THUMBNAILS !== 'false',
+            chapters: getChaptersMode(),
+            post_processing_jobs: { concurrency: POST_PROCESSING_CONCURRENCY },
+            storage_providers: STORAGE_PROVIDERS,
+            retention_policies: true,
             ai_summaries: openaiInfo.configured,
+            llm_providers: LLM_PROVIDERS,
+            semantic_search: isEncryptionEnabled() ? false : { embeddings: getEmbeddingsProvider().model },
+            transcript_search: isEncryptionEnabled() ? false : 'fts5',
             webhooks: false,
             ws_audio_streaming: false,
             server_side_asr: false,
@@ -2490,26 +5721,101 @@ app.get('/v1/info', (req, res) => {
         },
         openai: {
             configured: openaiInfo.configured,
+            provider: openaiInfo.provider,
             model: openaiInfo.model,
             status: openaiInfo.configured ? 'ready' : 'not configured'
         },
         environment: {
             node_version: process.version,
-            port: PORT
+            port: PORT,
+            max_concurrent_bots: MAX_CONCURRENT_BOTS
+        },
+        auth: {
+            header: 'Authorization: Bearer <login token or API key>',
+            api_key_scopes: API_KEY_SCOPES,
+            note: 'All /v1 routes except /v1/info require auth and only return the caller\'s bots and those of their organizations'
         },
         endpoints: {
             'POST /api/signup': 'User registration',
             'POST /api/login': 'User authentication',
             'GET /api/config': 'Get user configuration (auth)',
             'POST /api/config': 'Save user configuration (auth)',
-            'GET /api/bots': 'Get user bots (auth)',
+            'GET /api/bots': 'Get user and organization bots with your role, ?organization_id= to filter (auth)',
             'GET /api/bots/:id': 'Get bot details (auth)',
-            'POST /v1/bots': 'Create recording bot',
-            'GET /v1/bots': 'List all bots',
-            'GET /v1/bots/:id': 'Get bot status',
-            'DELETE /v1/bots/:id': 'Stop bot',
+            'POST /v1/bots': 'Create recording bot (join_at + recurrence to schedule it)',
+            'GET /v1/scheduled-bots': 'List scheduled bots (auth)',
+            'PATCH /v1/scheduled-bots/:id': 'Reschedule a scheduled bot (auth)',
+            'DELETE /v1/scheduled-bots/:id': 'Cancel a scheduled bot or series (auth)',
+            'POST /v1/calendar/import': 'Import an .ics file and schedule bots for its Meet events (auth)',
+            'GET /v1/calendar/feed': 'Get ICS feed settings (auth)',
+            'PUT /v1/calendar/feed': 'Register an ICS feed URL (auth)',
+            'DELETE /v1/calendar/feed': 'Remove the ICS feed (auth)',
+            'POST /v1/calendar/feed/sync': 'Sync the ICS feed now (auth)',
+            'GET /v1/calendar/events': 'List upcoming calendar events and their bots (auth)',
+            'POST /v1/bots/:id/media-token': 'Get a short-lived token for ?token= on the bot\'s video, HLS, thumbnail and PDF URLs (auth)',
+            'WS /v1/bots/:id/stream': 'Live captions, participants and status over WebSocket (auth: Bearer header or a media token in ?token=)',
+            'GET /v1/webhooks/events': 'List webhook event types',
+            'GET /v1/webhooks/endpoints': 'List webhook endpoints (auth)',
+            'POST /v1/webhooks/endpoints': 'Register a webhook endpoint with an event filter (auth)',
+            'GET /v1/webhooks/endpoints/:id': 'Get a webhook endpoint (auth)',
+            'PATCH /v1/webhooks/endpoints/:id': 'Update a webhook endpoint (auth)',
+            'DELETE /v1/webhooks/endpoints/:id': 'Delete a webhook endpoint (auth)',
+            'GET /v1/webhooks/secret': 'Get the webhook signing secret (auth)',
+            'POST /v1/webhooks/secret/rotate': 'Rotate the webhook signing secret (auth)',
+            'GET /v1/webhooks/deliveries': 'List webhook deliveries, e.g. ?status=failed (auth)',
+            'GET /v1/webhooks/deliveries/:id': 'Get a webhook delivery and its attempts (auth)',
+            'POST /v1/webhooks/deliveries/:id/replay': 'Replay a failed webhook delivery (auth)',
+            'POST /v1/webhooks/deliveries/replay': 'Replay all failed webhook deliveries (auth)',
+            'GET /v1/api-keys': 'List API keys (login session)',
+            'POST /v1/api-keys': 'Create a scoped API key, shown once (login session)',
+            'DELETE /v1/api-keys/:id': 'Revoke an API key (login session)',
+            'GET /v1/storage': 'Get where your recordings are uploaded (auth)',
+            'PUT /v1/storage': 'Upload your recordings to S3/S3-compatible, local disk or WebDAV (auth)',
+            'DELETE /v1/storage': 'Go back to the server default storage (auth)',
+            'POST /v1/storage/test': 'Test your storage connection (auth)',
+            'GET /v1/llm': 'Get the LLM provider your summaries are made with (auth)',
+            'PUT /v1/llm': 'Use OpenAI, Azure OpenAI, an OpenAI-compatible server or mock for your summaries (auth)',
+            'DELETE /v1/llm': 'Go back to the server default LLM provider (auth)',
+            'POST /v1/llm/test': 'Test your LLM provider (auth)',
+            'GET /v1/retention': 'Get how long your recordings, transcripts and summaries are kept (auth)',
+            'PUT /v1/retention': 'Set retention days per artifact: video, transcript, summary (auth)',
+            'GET /v1/retention/report': 'Dry run: artifacts the retention janitor would delete now (auth)',
+            'GET /v1/organizations': 'List your organizations and roles (auth)',
+            'POST /v1/organizations': 'Create an organization, you become its owner (auth)',
+            'GET /v1/organizations/:id': 'Get an organization and its members (auth)',
+            'PATCH /v1/organizations/:id': 'Update name and bot settings (admin)',
+            'DELETE /v1/organizations/:id': 'Delete an organization (owner)',
+            'PATCH /v1/organizations/:id/members/:userId': 'Change a member\'s role (admin)',
+            'DELETE /v1/organizations/:id/members/:userId': 'Remove a member or leave (auth)',
+            'GET /v1/organizations/:id/invites': 'List pending invites (admin)',
+            'POST /v1/organizations/:id/invites': 'Invite by email with a role (admin)',
+            'DELETE /v1/organizations/:id/invites/:inviteId': 'Revoke an invite (admin)',
+            'GET /v1/organizations/:id/llm': 'Get the organization\'s LLM provider (auth)',
+            'PUT /v1/organizations/:id/llm': 'Set the LLM provider of all the organization\'s bots (admin)',
+            'DELETE /v1/organizations/:id/llm': 'Let bots use their owner\'s LLM provider again (admin)',
+            'GET /v1/invites/:token': 'Get an invite sent to your email (auth)',
+            'POST /v1/invites/:token/accept': 'Accept an invite (auth)',
+            'GET /v1/bots/:id/share-links': 'List a bot\'s share links (auth)',
+            'POST /v1/bots/:id/share-links': 'Create a share link with scopes, expiry and password (auth)',
+            'GET /v1/share-links/:id': 'Get a share link (auth)',
+            'PATCH /v1/share-links/:id': 'Update a share link (auth)',
+            'DELETE /v1/share-links/:id': 'Revoke a share link (auth)',
+            'GET /v1/bots': 'List your bots',
+            'GET /v1/bots/:id': 'Get bot status (includes queue_position while queued)',
+            'DELETE /v1/bots/:id': 'Stop bot or remove it from the queue',
+            'GET /v1/bots/:id/action-items': 'Action items with owner, due date and source utterance',
+            'POST /v1/bots/:id/ask': 'Ask a question about the meeting, answered with citations to transcript moments',
+            'GET /v1/bots/:id/post-processing': 'Post-processing jobs (summary, action items, email, chapters, search index, HLS, audio, thumbnails, remux, upload, encryption) with status and logs',
+            'POST /v1/bots/:id/post-processing/retry': 'Retry failed post-processing jobs',
+            'GET /v1/search?q=': 'Semantic search across your meetings (bot, speaker, timestamp and snippet of each match)',
+            'GET /v1/search/transcripts?q=': 'Full-text caption search (phrases, AND/OR/NOT) with date, speaker, meeting type and language filters and highlighted snippets',
             'GET /v1/recordings': 'List recordings',
             'GET /v1/recordings/:id': 'Download recording',
+            'GET /v1/recordings/:id/stream': 'Stream recording (Range, ETag; ?format=mp4 remuxes WebM)',
+            'GET /v1/recordings/:id/hls/master.m3u8': 'HLS playlist: 360p, 720p and audio-only renditions (if packaged)',
+            'GET /v1/recordings/:id/audio': 'Audio only (?format=mp3|m4a|wav, normalize=true for EBU R128, asr=true for mono 16 kHz)',
+            'GET /v1/recordings/:id/thumbnails/:file': 'Poster and scrub previews: poster.jpg, storyboard.jpg, storyboard.vtt (WebVTT thumbnails track)',
+            'GET /v1/recordings/:id/chapters': 'Chapter markers from speaker changes or AI topics',
             'GET /v1/transcripts/:id': 'Get live captions for a bot',
             'GET /v1/bots/:id/participants': 'Diagnostics for participant counting',
         }
@@ -2518,14 +5824,21 @@ app.get('/v1/info', (req, res) => {
 
 /**
  * Public share endpoint - no authentication required
- * Returns meeting data for shareable link
+ * Returns the meeting data allowed by the share link's scopes.
+ * Password-protected links need the X-Share-Password header.
  */
 app.get('/api/share/:shareToken', async (req, res) => {
     try {
         const { shareToken } = req.params;
         
-        // Share token is just the botId for now (could be enhanced with expiration)
-        const botId = shareToken;
+        const resolved = await resolveShareLink(shareToken, req.headers['x-share-password']);
+        if (!resolved.link) {
+            return res.status(resolved.status).json(resolved.body);
+        }
+        const { link } = resolved;
+        const botId = link.bot_id;
+        const scopes = parseShareScopes(link);
+        shareLinkOps.recordAccess(link.id);
         
         const botDir = path.join(RUNTIME_ROOT, botId);
         
@@ -2543,30 +5856,30 @@ app.get('/api/share/:shareToken', async (req, res) => {
         const captionsPath = path.join(botDir, 'transcripts', 'captions.json');
         const metricsPath = path.join(botDir, 'MeetingMetrics.json');
         
-        // Generate signed S3 URL if video is in S3 - use cached read
+        // Generate signed storage URL if the video was uploaded - use cached read
         let s3VideoUrl = null;
         const metadata = await getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null);
-        if (metadata && (metadata.s3Key || metadata.s3VideoUrl)) {
+        const storageLocation = getRecordingLocation(metadata);
+        if (scopes.includes('video') && storageLocation && !storageLocation.encrypted) {
             try {
                 // Generate signed URL for secure access (expires in 4 hours)
                 // URL is cached to avoid regenerating on every request
-                const { getS3VideoUrl } = require('./utils/s3-upload');
-                s3VideoUrl = await getS3VideoUrl(botId, null, 14400); // 4 hours
+                s3VideoUrl = await getRecordingUrl(storageLocation, 14400); // 4 hours
                 
                 if (s3VideoUrl) {
-                    console.log(`🔐 Generated signed S3 URL for shared bot ${botId}`);
+                    console.log(`🔐 Generated signed storage URL for shared bot ${botId}`);
                 } else {
                     console.warn(`⚠️  Failed to generate signed URL for shared bot ${botId}`);
                 }
             } catch (e) {
-                console.warn('Could not generate S3 URL');
+                console.warn('Could not generate storage URL');
             }
         }
         
         // Load all files in parallel for better performance
         const [summaryResult, metricsResult] = await Promise.allSettled([
-            getCachedFile(summaryPath, (p) => fs.readFile(p, 'utf8'), 30000).catch(() => null),
-            getCachedFile(metricsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null)
+            getCachedFile(summaryPath, readArtifactText, 30000).catch(() => null),
+            getCachedFile(metricsPath, readArtifactJson, 30000).catch(() => null)
         ]);
         
         let summary = 'No summary available';
@@ -2587,7 +5900,9 @@ app.get('/api/share/:shareToken', async (req, res) => {
         let transcript = [];
         console.log(`📄 Looking for captions at: ${captionsPath}`);
         
-        const captionsData = await getCachedFile(captionsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null);
+        const captionsData = scopes.includes('transcript')
+            ? await getCachedFile(captionsPath, readArtifactJson, 30000).catch(() => null)
+            : null;
         if (captionsData) {
             try {
                 rawCaptions = captionsData;
@@ -2606,7 +5921,7 @@ app.get('/api/share/:shareToken', async (req, res) => {
             } catch (error) {
                 console.error(`❌ Error parsing captions:`, error.message);
             }
-        } else {
+        } else if (scopes.includes('transcript')) {
             console.warn(`⚠️  Captions file not found at: ${captionsPath}`);
             
             // Try alternative paths
@@ -2617,7 +5932,7 @@ app.get('/api/share/:shareToken', async (req, res) => {
             ];
             
             for (const altPath of altPaths) {
-                const altCaptions = await getCachedFile(altPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null);
+                const altCaptions = await getCachedFile(altPath, readArtifactJson, 30000).catch(() => null);
                 if (altCaptions) {
                     console.log(`📄 Trying alternative path: ${altPath}`);
                     try {
@@ -2641,7 +5956,7 @@ app.get('/api/share/:shareToken', async (req, res) => {
         // Load OpenAI-generated keywords and title in parallel
         const keywordsPath = path.join(botDir, 'keywords.json');
         const [keywordsResult] = await Promise.allSettled([
-            getCachedFile(keywordsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null)
+            getCachedFile(keywordsPath, readArtifactJson, 30000).catch(() => null)
         ]);
         
         let keywords = [];
@@ -2652,6 +5967,28 @@ app.get('/api/share/:shareToken', async (req, res) => {
         // Load metadata to get title (already loaded above)
         const title = metadata?.title || null;
         
+        // Local recordings and the PDF export are served through the share link with a short-lived access token
+        const access = encodeURIComponent(jwt.sign({ shareLinkId: link.id, scope: 'share_media' }, JWT_SECRET, { audience: SHARE_MEDIA_AUDIENCE, expiresIn: SHARE_MEDIA_ACCESS_TTL }));
+        const videoUrl = scopes.includes('video')
+            ? s3VideoUrl || `/api/share/${encodeURIComponent(shareToken)}/video?access=${access}`
+            : null;
+        const hlsUrl = scopes.includes('video') && await hasHlsPackage(botId, metadata)
+            ? `/api/share/${encodeURIComponent(shareToken)}/hls/${metadata.hls.master}?access=${access}`
+            : null;
+        const thumbnails = scopes.includes('video') && metadata && metadata.thumbnails
+            && await getThumbnailPath(botId, metadata.thumbnails.poster) ? metadata.thumbnails : null;
+        const posterUrl = thumbnails
+            ? `/api/share/${encodeURIComponent(shareToken)}/thumbnails/${thumbnails.poster}?access=${access}`
+            : null;
+        const storyboardUrl = thumbnails
+            ? `/api/share/${encodeURIComponent(shareToken)}/thumbnails/${thumbnails.storyboard.vtt}?access=${access}`
+            : null;
+        // Chapter titles come from the transcript
+        const chapters = scopes.includes('transcript') ? await readChapters(botId, RUNTIME_ROOT) : null;
+        const pdfUrl = scopes.includes('summary') && scopes.includes('transcript')
+            ? `/api/share/${encodeURIComponent(shareToken)}/export/pdf?access=${access}`
+            : null;
+        
         // Build bot info
         const bot = {
             id: botId,
@@ -2659,18 +5996,28 @@ app.get('/api/share/:shareToken', async (req, res) => {
             createdAt: metrics?.duration?.startTime || null,
             duration: metrics?.duration ? 
                 `${metrics.duration.totalMinutes} min` : null,
-            videoUrl: s3VideoUrl || `/v1/recordings/${botId}`, // S3 URL if available, otherwise local
-            s3VideoUrl: s3VideoUrl, // Explicit S3 URL field
-            metrics: metrics, // Include full metrics for video player duration
-            keywords: keywords // Include OpenAI-generated keywords
+            videoUrl, // Storage URL if uploaded, otherwise local (null without the video scope)
+            s3VideoUrl: s3VideoUrl, // Explicit storage URL field (legacy name)
+            hlsUrl, // HLS package if one was made (adaptive playback)
+            posterUrl, // Poster image (needs the video scope)
+            storyboardUrl, // WebVTT thumbnails track for scrub previews
+            chapters: chapters ? chapters.chapters : [], // Chapter markers (needs the transcript scope)
+            pdfUrl, // PDF export (needs the summary and transcript scopes)
+            // Full metrics quote captions (keyword occurrences) and break down each speaker:
+            // without the transcript scope only the duration (video player)
+            metrics: scopes.includes('transcript') ? metrics : (metrics?.duration ? { duration: metrics.duration } : null),
+            keywords: scopes.includes('summary') ? keywords : [] // Include OpenAI-generated keywords
         };
         
         res.json({
             success: true,
             bot,
+            scopes,
+            canAsk: scopes.includes('transcript') && SHARE_QA_LIMIT_PER_HOUR > 0, // POST /api/share/:token/ask
+            expiresAt: link.expires_at ? new Date(link.expires_at).toISOString() : null,
             transcript,
             apiTranscript: rawCaptions, // Return raw captions for frontend processing
-            summary
+            summary: scopes.includes('summary') ? summary : null
         });
         
     } catch (error) {
@@ -2682,6 +6029,111 @@ app.get('/api/share/:shareToken', async (req, res) => {
     }
 });
 
+/**
+ * Shared recording (local, or encrypted in storage). The access token comes from
+ * GET /api/share/:shareToken, so password-protected links don't need the password
+ * on every range request.
+ */
+app.get('/api/share/:shareToken/video', async (req, res) => {
+    try {
+        const link = verifyShareMediaAccess(req);
+        if (!link || !parseShareScopes(link).includes('video')) {
+            return res.status(403).json({ error: 'Invalid or expired video access token' });
+        }
+
+        const botId = link.bot_id;
+        const metadata = await fs.readJson(path.join(RUNTIME_ROOT, botId, 'bot_metadata.json')).catch(() => null);
+        const mediaType = metadata && metadata.recordingType === 'audio-only' ? 'audio' : 'video';
+        const videoFile = await findVideoFile(botId, path.join(RUNTIME_ROOT, botId, 'video'));
+        if (!videoFile || !(await fs.pathExists(videoFile))) {
+            // Encrypted uploads have no signed URL: decrypt them on the way through
+            const location = getRecordingLocation(metadata);
+            const stored = location && location.encrypted ? openStoredRecording(location) : null;
+            if (!stored) {
+                return res.status(404).json({ error: 'Recording not found' });
+            }
+            const container = path.extname(location.key).toLowerCase() === '.mp4' ? 'mp4' : 'webm';
+            return await sendArtifactWithRange(req, res, await openEncryptedSource(stored), {
+                contentType: `${mediaType}/${container}`,
+                cacheControl: 'private, max-age=3600',
+                etag: `"${location.key}-${location.size}"`
+            });
+        }
+
+        const container = path.extname(videoFile).toLowerCase() === '.mp4' ? 'mp4' : 'webm';
+        await sendFileWithRange(req, res, videoFile, {
+            contentType: `${mediaType}/${container}`,
+            cacheControl: 'private, max-age=3600'
+        });
+    } catch (error) {
+        console.error('Error serving shared recording:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to load recording' });
+    }
+});
+
+/**
+ * Stream the HLS package of a shared recording (same ?access= token as the video)
+ */
+app.get('/api/share/:shareToken/hls/*', async (req, res) => {
+    try {
+        const link = verifyShareMediaAccess(req);
+        if (!link || !parseShareScopes(link).includes('video')) {
+            return res.status(403).json({ error: 'Invalid or expired video access token' });
+        }
+        await sendHlsFile(req, res, link.bot_id, req.params[0], `access=${encodeURIComponent(req.query.access)}`);
+    } catch (error) {
+        console.error('Error serving shared HLS:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to load recording' });
+    }
+});
+
+/**
+ * Poster and storyboard of a shared recording (same ?access= token as the video)
+ */
+app.get('/api/share/:shareToken/thumbnails/:file', async (req, res) => {
+    try {
+        const link = verifyShareMediaAccess(req);
+        if (!link || !parseShareScopes(link).includes('video')) {
+            return res.status(403).json({ error: 'Invalid or expired video access token' });
+        }
+        await sendThumbnailFile(req, res, link.bot_id, req.params.file, `access=${encodeURIComponent(req.query.access)}`);
+    } catch (error) {
+        console.error('Error serving shared thumbnail:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to load thumbnail' });
+    }
+});
+
+/**
+ * Generate a bot's PDF export (transcript and summary) and stream it as a download
+ */
+async function sendBotPDF(res, botId) {
+    console.log(`📄 Generating PDF for bot ${botId}...`);
+    
+    const { generateBotPDF } = require('./utils/pdf-export');
+    const { pdfPath, meetingTitle } = await generateBotPDF(botId, RUNTIME_ROOT);
+    
+    // Sanitize title for filename (remove invalid characters)
+    const sanitizeFilename = (text) => {
+        return text.replace(/[^\w\-_.() ]/g, '_').replace(/\s+/g, '_').substring(0, 80);
+    };
+    const sanitizedTitle = sanitizeFilename(meetingTitle || `Meeting-${botId.slice(0, 8)}`);
+    
+    // Send PDF file with meeting title in filename (include botId for uniqueness)
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="meeting-transcript-${sanitizedTitle}-${botId.slice(0, 8)}.pdf"`);
+    
+    // Decrypted on the way out when encryption at rest is enabled
+    const pdfStream = await (await openArtifact(pdfPath)).createReadStream();
+    pdfStream.pipe(res);
+    
+    pdfStream.on('error', (error) => {
+        console.error('Error streaming PDF:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to generate PDF' });
+        }
+    });
+}
+
 /**
  * Generate and download PDF export of transcript and summary
  */
@@ -2690,35 +6142,11 @@ app.get('/v1/bots/:botId/export/pdf', async (req, res) => {
         const { botId } = req.params;
         
         const botDir = path.join(RUNTIME_ROOT, botId);
-        if (!(await fs.pathExists(botDir))) {
+        if (!findBotForUser(botId, req.user) || !(await fs.pathExists(botDir))) {
             return res.status(404).json({ error: 'Bot not found' });
         }
         
-        console.log(`📄 Generating PDF for bot ${botId}...`);
-        
-        const { generateBotPDF } = require('./utils/pdf-export');
-        const { pdfPath, meetingTitle } = await generateBotPDF(botId, RUNTIME_ROOT);
-        
-        // Sanitize title for filename (remove invalid characters)
-        const sanitizeFilename = (text) => {
-            return text.replace(/[^\w\-_.() ]/g, '_').replace(/\s+/g, '_').substring(0, 80);
-        };
-        const sanitizedTitle = sanitizeFilename(meetingTitle || `Meeting-${botId.slice(0, 8)}`);
-        
-        // Send PDF file with meeting title in filename (include botId for uniqueness)
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="meeting-transcript-${sanitizedTitle}-${botId.slice(0, 8)}.pdf"`);
-        
-        const pdfStream = fs.createReadStream(pdfPath);
-        pdfStream.pipe(res);
-        
-        pdfStream.on('error', (error) => {
-            console.error('Error streaming PDF:', error);
-            if (!res.headersSent) {
-                res.status(500).json({ error: 'Failed to generate PDF' });
-            }
-        });
-        
+        await sendBotPDF(res, botId);
     } catch (error) {
         console.error(`❌ Error generating PDF for bot ${req.params.botId}:`, error);
         if (!res.headersSent) {
@@ -2727,6 +6155,79 @@ app.get('/v1/bots/:botId/export/pdf', async (req, res) => {
     }
 });
 
+// Questions on share links are answered with the owner's LLM provider, so
+// each link gets SHARE_QA_LIMIT_PER_HOUR of them (0 disables asking)
+const SHARE_QA_LIMIT_PER_HOUR = Number(process.env.SHARE_QA_LIMIT_PER_HOUR ?? 30);
+const shareQaUsage = new Map(); // share link ID -> { count, resetAt }
+
+/**
+ * Count a question on a share link
+ * @returns {number} 0 if allowed, else seconds until the link can be asked again
+ */
+function takeShareQuestion(linkId, now = Date.now()) {
+    for (const [id, usage] of shareQaUsage) {
+        if (usage.resetAt <= now) shareQaUsage.delete(id);
+    }
+    const usage = shareQaUsage.get(linkId) || { count: 0, resetAt: now + 60 * 60 * 1000 };
+    if (usage.count >= SHARE_QA_LIMIT_PER_HOUR) return Math.ceil((usage.resetAt - now) / 1000);
+    usage.count++;
+    shareQaUsage.set(linkId, usage);
+    return 0;
+}
+
+/**
+ * Ask a question about a shared meeting (needs the transcript scope; at most
+ * SHARE_QA_LIMIT_PER_HOUR per link). Password-protected links need the
+ * X-Share-Password header.
+ * Body: same as POST /v1/bots/:id/ask
+ */
+app.post('/api/share/:shareToken/ask', async (req, res) => {
+    try {
+        if (SHARE_QA_LIMIT_PER_HOUR <= 0) {
+            return res.status(403).json({ error: 'Questions are disabled on share links' });
+        }
+        const resolved = await resolveShareLink(req.params.shareToken, req.headers['x-share-password']);
+        if (!resolved.link) {
+            return res.status(resolved.status).json(resolved.body);
+        }
+        if (!parseShareScopes(resolved.link).includes('transcript')) {
+            return res.status(403).json({ error: 'This share link does not include the transcript' });
+        }
+        const retryAfter = takeShareQuestion(resolved.link.id);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many questions on this link, try again later' });
+        }
+        await sendMeetingAnswer(res, resolved.link.bot_id, req.body);
+    } catch (error) {
+        console.error('❌ Error answering a shared meeting question:', error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * PDF export of a shared meeting (needs the summary and transcript scopes)
+ */
+app.get('/api/share/:shareToken/export/pdf', async (req, res) => {
+    try {
+        const link = verifyShareMediaAccess(req);
+        const scopes = link ? parseShareScopes(link) : [];
+        if (!scopes.includes('summary') || !scopes.includes('transcript')) {
+            return res.status(403).json({ error: 'Invalid or expired access token' });
+        }
+        if (!(await fs.pathExists(path.join(RUNTIME_ROOT, link.bot_id)))) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+        
+        await sendBotPDF(res, link.bot_id);
+    } catch (error) {
+        console.error(`❌ Error generating shared PDF:`, error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to generate PDF', message: error.message });
+        }
+    }
+});
+
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -2788,8 +6289,75 @@ app.use('/v1/*', (req, res) => {
             'GET /v1/bots',
             'GET /v1/bots/:id',
             'DELETE /v1/bots/:id',
+            'GET /v1/scheduled-bots',
+            'PATCH /v1/scheduled-bots/:id',
+            'DELETE /v1/scheduled-bots/:id',
+            'POST /v1/calendar/import',
+            'GET /v1/calendar/feed',
+            'PUT /v1/calendar/feed',
+            'DELETE /v1/calendar/feed',
+            'POST /v1/calendar/feed/sync',
+            'GET /v1/calendar/events',
+            'WS /v1/bots/:id/stream',
+            'GET /v1/webhooks/events',
+            'GET /v1/webhooks/endpoints',
+            'POST /v1/webhooks/endpoints',
+            'GET /v1/webhooks/endpoints/:id',
+            'PATCH /v1/webhooks/endpoints/:id',
+            'DELETE /v1/webhooks/endpoints/:id',
+            'GET /v1/webhooks/secret',
+            'POST /v1/webhooks/secret/rotate',
+            'GET /v1/webhooks/deliveries',
+            'GET /v1/webhooks/deliveries/:id',
+            'POST /v1/webhooks/deliveries/:id/replay',
+            'POST /v1/webhooks/deliveries/replay',
+            'GET /v1/api-keys',
+            'POST /v1/api-keys',
+            'DELETE /v1/api-keys/:id',
+            'GET /v1/storage',
+            'PUT /v1/storage',
+            'DELETE /v1/storage',
+            'POST /v1/storage/test',
+            'GET /v1/llm',
+            'PUT /v1/llm',
+            'DELETE /v1/llm',
+            'POST /v1/llm/test',
+            'GET /v1/retention',
+            'PUT /v1/retention',
+            'GET /v1/retention/report',
+            'GET /v1/organizations',
+            'POST /v1/organizations',
+            'GET /v1/organizations/:id',
+            'PATCH /v1/organizations/:id',
+            'DELETE /v1/organizations/:id',
+            'PATCH /v1/organizations/:id/members/:userId',
+            'DELETE /v1/organizations/:id/members/:userId',
+            'GET /v1/organizations/:id/invites',
+            'POST /v1/organizations/:id/invites',
+            'DELETE /v1/organizations/:id/invites/:inviteId',
+            'GET /v1/organizations/:id/llm',
+            'PUT /v1/organizations/:id/llm',
+            'DELETE /v1/organizations/:id/llm',
+            'GET /v1/invites/:token',
+            'POST /v1/invites/:token/accept',
+            'GET /v1/bots/:id/share-links',
+            'POST /v1/bots/:id/share-links',
+            'GET /v1/bots/:id/action-items',
+            'POST /v1/bots/:id/ask',
+            'GET /v1/bots/:id/post-processing',
+            'POST /v1/bots/:id/post-processing/retry',
+            'GET /v1/search',
+            'GET /v1/search/transcripts',
+            'GET /v1/share-links/:id',
+            'PATCH /v1/share-links/:id',
+            'DELETE /v1/share-links/:id',
             'GET /v1/recordings',
-            'GET /v1/recordings/:id'
+            'GET /v1/recordings/:id',
+            'GET /v1/recordings/:id/stream',
+            'GET /v1/recordings/:id/hls/master.m3u8',
+            'GET /v1/recordings/:id/audio',
+            'GET /v1/recordings/:id/thumbnails/:file',
+            'GET /v1/recordings/:id/chapters'
         ]
     });
 });
@@ -2805,6 +6373,151 @@ app.use((req, res) => {
     }
 });
 
+// ============================================
+// LIVE STREAM (WebSocket /v1/bots/:botId/stream)
+// ============================================
+
+const LIVE_STREAM_PATH = /^\/v1\/bots\/([^/]+)\/stream\/?$/;
+const LIVE_STREAM_HEARTBEAT_MS = 30000;
+const liveStreamServer = new WebSocket.Server({ noServer: true });
+let liveStreamHeartbeat = null;
+
+/**
+ * Reject a WebSocket upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, statusCode, message) {
+    socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Type: application/json\r\n\r\n${JSON.stringify({ error: message })}`);
+    socket.destroy();
+}
+
+/**
+ * Send a JSON message to a stream client if it is still open
+ */
+function sendLiveMessage(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Handle an authenticated stream connection: send a snapshot of the bot's
+ * live state, then forward its events until the bot finishes.
+ */
+function handleLiveStreamConnection(ws, botRecord) {
+    const botId = botRecord.id;
+    const snapshot = getLiveSnapshot(botId);
+    const status = snapshot.status || activeBots.get(botId)?.status || botRecord.status;
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    sendLiveMessage(ws, {
+        type: 'snapshot',
+        bot_id: botId,
+        data: { status, participants: snapshot.participants, captions: snapshot.captions },
+        timestamp_iso: new Date().toISOString()
+    });
+
+    // Nothing more will happen for bots that already finished
+    if (FINAL_STATUSES.includes(status)) {
+        ws.close(1000, 'Bot finished');
+        return;
+    }
+
+    const unsubscribe = subscribeLiveEvents(botId, (event) => {
+        sendLiveMessage(ws, event);
+        if (event.type === 'status' && FINAL_STATUSES.includes(event.data.status)) {
+            ws.close(1000, 'Bot finished');
+        }
+    });
+
+    ws.on('message', (raw) => {
+        try {
+            const message = JSON.parse(raw.toString());
+            if (message && message.type === 'ping') {
+                sendLiveMessage(ws, { type: 'pong', timestamp_iso: new Date().toISOString() });
+            }
+        } catch {}
+    });
+    ws.on('close', unsubscribe);
+    ws.on('error', (e) => {
+        console.warn(`⚠️ Live stream error for bot ${botId}: ${e && e.message ? e.message : e}`);
+        unsubscribe();
+    });
+}
+
+/**
+ * Accept WebSocket upgrades for /v1/bots/:botId/stream.
+ * The JWT is taken from the Authorization header or, for browsers (which
+ * cannot set headers on WebSockets), a bot media token from ?token=.
+ */
+function attachLiveStream(httpServer) {
+    httpServer.on('upgrade', (req, socket, head) => {
+        let url;
+        try {
+            url = new URL(req.url, 'http://localhost');
+        } catch {
+            return rejectUpgrade(socket, 400, 'Bad Request');
+        }
+
+        const match = LIVE_STREAM_PATH.exec(url.pathname);
+        if (!match) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        let botId;
+        try {
+            botId = decodeURIComponent(match[1]);
+        } catch {
+            return rejectUpgrade(socket, 400, 'Bad Request');
+        }
+
+        const token = (req.headers['authorization'] || '').split(' ')[1];
+        const user = token ? authenticateToken(token) : authenticateMediaToken(url.searchParams.get('token'), botId);
+        if (!user) {
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+        if (user.apiKeyId && !user.scopes.includes('read')) {
+            return rejectUpgrade(socket, 403, 'Forbidden');
+        }
+
+        const botRecord = findBotForUser(botId, user);
+        if (!botRecord) {
+            return rejectUpgrade(socket, 404, 'Bot not found');
+        }
+
+        liveStreamServer.handleUpgrade(req, socket, head, (ws) => {
+            console.log(`📡 Live stream opened for bot ${botRecord.id} (user ${user.id})`);
+            handleLiveStreamConnection(ws, botRecord);
+        });
+    });
+
+    // Drop connections that stopped answering pings
+    liveStreamHeartbeat = setInterval(() => {
+        for (const ws of liveStreamServer.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            try { ws.ping(); } catch {}
+        }
+    }, LIVE_STREAM_HEARTBEAT_MS);
+}
+
+/**
+ * Close all stream connections (on shutdown)
+ */
+function closeLiveStreams() {
+    if (liveStreamHeartbeat) {
+        clearInterval(liveStreamHeartbeat);
+        liveStreamHeartbeat = null;
+    }
+    for (const ws of liveStreamServer.clients) {
+        try { ws.close(1001, 'Server shutting down'); } catch {}
+    }
+}
+
 // Start server (only when run directly). This allows tests to require the app
 // without starting a listener and prevents EADDRINUSE during automated tests.
 let server = null;
@@ -2821,16 +6534,64 @@ if (require.main === module) {
         console.log(`🤖 Test Bot Creation (PowerShell):`);
         console.log(`   See examples/test.py or use test-api.json file`);
 
-        // On startup, attempt to clean up any leftover Chrome processes
+        try {
+            if (isEncryptionEnabled()) console.log(`🔐 Encryption at rest enabled (master key ${getMasterKeyId()})`);
+        } catch (e) {
+            console.error(`❌ Encryption at rest misconfigured: ${e.message}`);
+        }
+
+        // On startup, attempt to clean up any leftover Chrome processes,
+        // then resume bots that were still queued when the server stopped
         cleanupLeftoverBrowsers()
             .then(() => console.log('🧹 Startup cleanup of leftover Chrome processes completed'))
-            .catch(() => console.warn('⚠️ Startup cleanup encountered issues'));
+            .catch(() => console.warn('⚠️ Startup cleanup encountered issues'))
+            .then(() => {
+                const queued = botOps.countQueued();
+                if (queued > 0) {
+                    console.log(`⏳ Resuming bot queue: ${queued} queued bot(s), max ${MAX_CONCURRENT_BOTS} concurrent`);
+                }
+                return processBotQueue();
+            })
+            .catch((e) => console.error('❌ Error resuming bot queue:', e))
+            .then(() => startScheduler())
+            .catch((e) => console.error('❌ Error starting scheduler:', e))
+            .then(() => startCalendarSync())
+            .catch((e) => console.error('❌ Error starting calendar sync:', e))
+            .then(() => startWebhookRetryWorker())
+            .catch((e) => console.error('❌ Error starting webhook retry worker:', e))
+            .then(() => startJobWorker())
+            .catch((e) => console.error('❌ Error starting post-processing worker:', e))
+            .then(() => startUploadReconciler())
+            .catch((e) => console.error('❌ Error starting upload reconciler:', e))
+            .then(() => startRetentionJanitor())
+            .catch((e) => console.error('❌ Error starting retention janitor:', e))
+            .then(() => backfillCaptionIndex(RUNTIME_ROOT))
+            .catch((e) => console.error('❌ Error backfilling the caption index:', e))
+            .then(() => {
+                // In the background: may call the embeddings API for every past meeting
+                backfillSearchIndex(RUNTIME_ROOT).catch((e) => console.error('❌ Error backfilling the search index:', e));
+            });
     });
+    attachLiveStream(server);
 }
 
 // Graceful shutdown to avoid orphaned browsers/bots on restarts
 let serverClosePromise = null;
 async function gracefulShutdown(reason = 'shutdown') {
+    // Stop admitting queued and scheduled bots; they stay in the DB for the next start
+    isShuttingDown = true;
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+    if (calendarSyncTimer) {
+        clearInterval(calendarSyncTimer);
+        calendarSyncTimer = null;
+    }
+    stopWebhookRetryWorker();
+    stopJobWorker();
+    stopUploadReconciler();
+    stopRetentionJanitor();
     try {
         console.log(`\n⚙️  Initiating graceful shutdown due to: ${reason}`);
         console.log(`📊 Active bots: ${activeBots.size}`);
@@ -2876,7 +6637,8 @@ async function gracefulShutdown(reason = 'shutdown') {
         console.error('❌ Error during bot shutdown:', e);
     }
     
-    // Close HTTP server once (if it exists)
+    // Close HTTP server once (if it exists); open streams would keep it alive
+    closeLiveStreams();
     try {
         if (server) {
             if (!serverClosePromise) {
@@ -0,0 +1,161 @@
+/**
+ * Meeting Action Items
+ *
+ * Tasks agreed in a finished meeting, extracted from the transcript by the
+ * bot's LLM provider (see ./llm) and saved in runtime/<botId>/action_items.json
+ * (kept, encrypted and purged with the summary). Each item has:
+ *   - description
+ *   - owner: a participant's name (owner_mention keeps what the model
+ *     answered when it matched nobody)
+ *   - due: { date: 'YYYY-MM-DD', time: 'HH:MM'|null, at: ISO UTC (end of
+ *     the day without a time), text: as said } in the timezone of the bot's
+ *     schedule (TIMEZONE by default), or null
+ *   - source: { time: seconds from the meeting start, timestamp: ISO,
+ *     speaker, text } of the utterance where it was agreed
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readArtifactJson } = require('./encryption');
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc, isValidTimezone } = require('./timezone');
+const { getBotLlm } = require('./llm');
+const { botOps } = require('../database');
+const { buildUtterances, extractActionItems } = require('../openai-service');
+
+const ACTION_ITEMS_FILE = 'action_items.json';
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Lowercase, without accents or extra spaces, to compare names
+ */
+function normalizeName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the participant an owner named by the model refers to: same name,
+ * else the only participant with that first name, else the only one whose
+ * name contains it (or is contained in it)
+ * @returns {string|null}
+ */
+function matchParticipant(owner, participants) {
+    const wanted = normalizeName(owner);
+    if (!wanted) return null;
+    const candidates = participants.map(name => ({ name, normalized: normalizeName(name) }));
+    const only = (list) => (list.length === 1 ? list[0].name : null);
+
+    const exact = candidates.find(c => c.normalized === wanted);
+    if (exact) return exact.name;
+    return only(candidates.filter(c => c.normalized.split(' ')[0] === wanted.split(' ')[0]))
+        || only(candidates.filter(c => c.normalized.includes(wanted) || wanted.includes(c.normalized)));
+}
+
+/**
+ * Resolve a due date given by the model in a timezone. Dates before the
+ * meeting day are dropped (not a deadline set in this meeting).
+ * @param {string} due - 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM'
+ * @param {Object} meetingDay - { year, month, day } in the timezone
+ * @returns {Object|null} { date, time, at }
+ */
+function resolveDueDate(due, meetingDay, timezone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(String(due || '').trim());
+    if (!match) return null;
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const hasTime = match[4] !== undefined;
+    const hour = hasTime ? Number(match[4]) : 23;
+    const minute = hasTime ? Number(match[5]) : 59;
+
+    // Reject impossible dates (2025-02-30) instead of rolling them over
+    const calendarDate = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDate.getUTCMonth() !== month - 1 || calendarDate.getUTCDate() !== day || hour > 23 || minute > 59) return null;
+    if (meetingDay && Date.UTC(year, month - 1, day) < Date.UTC(meetingDay.year, meetingDay.month - 1, meetingDay.day)) return null;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        date: `${year}-${pad(month)}-${pad(day)}`,
+        time: hasTime ? `${pad(hour)}:${pad(minute)}` : null,
+        at: new Date(zonedTimeToUtc({ year, month, day, hour, minute, second: hasTime ? 0 : 59 }, timezone)).toISOString()
+    };
+}
+
+/**
+ * Extract and save the action items of a finished bot
+ * @param {string} botId - Bot ID
+ * @param {string} runtimeRoot - Runtime folder
+ * @returns {Promise<Object|null>} { items, timezone, createdAt }, or null without
+ *   a transcript or an LLM provider
+ */
+async function generateActionItems(botId, runtimeRoot) {
+    const llm = getBotLlm(botId);
+    if (!llm) return null;
+
+    const botDir = path.join(runtimeRoot, botId);
+    const captions = await readArtifactJson(path.join(botDir, 'transcripts', 'captions.json')).catch(() => null);
+    if (!Array.isArray(captions) || captions.length === 0) return null;
+
+    const metrics = await readArtifactJson(path.join(botDir, 'MeetingMetrics.json')).catch(() => null);
+    const metadata = await fs.readJson(path.join(botDir, 'bot_metadata.json')).catch(() => null);
+    const startTime = metrics?.duration?.startTime || null;
+    const utterances = buildUtterances(captions, startTime);
+    if (utterances.length === 0) return null;
+
+    const bot = botOps.findById(botId);
+    const timezone = bot && bot.schedule_timezone && isValidTimezone(bot.schedule_timezone) ? bot.schedule_timezone : DEFAULT_TIMEZONE;
+    const firstCaptionMs = captions.reduce((min, cap) => (cap.timestampMs && (!min || cap.timestampMs < min) ? cap.timestampMs : min), null);
+    const meetingStartMs = startTime ? new Date(startTime).getTime() : firstCaptionMs;
+    const meetingDay = meetingStartMs ? getZonedParts(meetingStartMs, timezone) : null;
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const participants = [...new Set([
+        ...(Array.isArray(metrics?.participation?.speakers) ? metrics.participation.speakers : []),
+        ...utterances.map(u => u.speaker)
+    ].filter(name => name && name !== 'Unknown Speaker'))];
+
+    const extracted = await extractActionItems(utterances, {
+        participants,
+        meetingDate: meetingDay ? `${meetingDay.year}-${pad(meetingDay.month)}-${pad(meetingDay.day)}` : null,
+        weekday: meetingDay ? WEEKDAYS[meetingDay.weekday] : null,
+        languageCode: metadata?.captionLanguage || 'es'
+    }, llm);
+
+    const items = extracted.map((item, index) => {
+        const owner = item.owner ? matchParticipant(item.owner, participants) : null;
+        const due = resolveDueDate(item.due, meetingDay, timezone);
+        const utterance = item.utterance !== null ? utterances[item.utterance] : null;
+        return {
+            id: index + 1,
+            description: item.description,
+            owner,
+            owner_mention: owner ? null : item.owner,
+            due: due ? { ...due, text: item.dueText } : null,
+            source: utterance ? {
+                time: Math.round(utterance.startOffset * 10) / 10,
+                timestamp: meetingStartMs ? new Date(meetingStartMs + utterance.startOffset * 1000).toISOString() : null,
+                speaker: utterance.speaker,
+                text: utterance.text.slice(0, 300)
+            } : null
+        };
+    });
+
+    const result = { items, timezone, createdAt: new Date().toISOString() };
+    await fs.writeJson(path.join(botDir, ACTION_ITEMS_FILE), result, { spaces: 2 });
+    console.log(`✅ Bot ${botId}: ${items.length} action items saved (${llm.name})`);
+    return result;
+}
+
+/**
+ * Read a bot's action items
+ * @returns {Promise<Object|null>} { items, timezone, createdAt }
+ */
+async function readActionItems(botId, runtimeRoot) {
+    const actionItems = await readArtifactJson(path.join(runtimeRoot, botId, ACTION_ITEMS_FILE)).catch(() => null);
+    return actionItems && Array.isArray(actionItems.items) ? actionItems : null;
+}
+
+module.exports = {
+    ACTION_ITEMS_FILE,
+    matchParticipant,
+    resolveDueDate,
+    generateActionItems,
+    readActionItems
+};
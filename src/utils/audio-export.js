@@ -0,0 +1,159 @@
+/**
+ * Audio Export
+ *
+ * Audio-only derivatives of a recording, stored next to it in
+ * runtime/<botId>/video/ as <botId>[.loudnorm][.asr].<format>:
+ *   - mp3 / m4a for listening (podcasts), wav for other ASR engines
+ *   - loudnorm: loudness-normalized to EBU R128 (AUDIO_EXPORT_TARGET_LUFS)
+ *   - asr: mono, 16 kHz
+ *
+ * Made after the meeting for AUDIO_EXPORT_FORMATS, or on first request
+ * (GET /v1/recordings/:id/audio). Encrypted recordings are decrypted to a
+ * temporary file for FFmpeg and their exports are encrypted too.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { runFfmpeg } = require('./video-compression');
+const { sendWebhook } = require('./webhook');
+const { isEncryptedFile, encryptFile, decryptFile } = require('./encryption');
+
+const AUDIO_FORMATS = {
+    mp3: { contentType: 'audio/mpeg', muxer: 'mp3', codec: ['-c:a', 'libmp3lame', '-b:a', '128k'] },
+    m4a: { contentType: 'audio/mp4', muxer: 'ipod', codec: ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'] },
+    wav: { contentType: 'audio/wav', muxer: 'wav', codec: ['-c:a', 'pcm_s16le'] }
+};
+const TARGET_LUFS = Number(process.env.AUDIO_EXPORT_TARGET_LUFS || -23);
+const EXPORT_FILE_PATTERN = /^(.+?)(\.loudnorm)?(\.asr)?\.(mp3|m4a|wav)$/;
+
+// Exports in progress by output path, shared by concurrent callers
+const inflightExports = new Map();
+
+/**
+ * Validate the options of an export (query string of the audio endpoint)
+ * @param {Object} query - { format, normalize, asr }, booleans as 'true' / 'false'
+ * @returns {{error: string}|{options: {format: string, normalize: boolean, asr: boolean}}}
+ */
+function parseAudioOptions(query = {}) {
+    const format = query.format || 'mp3';
+    if (!AUDIO_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+    }
+    const options = { format };
+    for (const flag of ['normalize', 'asr']) {
+        const value = query[flag];
+        if (value !== undefined && value !== 'true' && value !== 'false') {
+            return { error: `${flag} must be true or false` };
+        }
+        options[flag] = value === 'true';
+    }
+    return { options };
+}
+
+/**
+ * Path of an export of a recording (next to it)
+ */
+function getAudioExportPath(recordingPath, { format, normalize = false, asr = false }) {
+    const { dir, name } = path.parse(recordingPath);
+    return path.join(dir, `${name}${normalize ? '.loudnorm' : ''}${asr ? '.asr' : ''}.${format}`);
+}
+
+/**
+ * Get an audio export of a finished recording, extracting it on first use
+ *
+ * @param {string} recordingPath - .webm / .mp4 local path
+ * @param {Object} options - { format, normalize, asr } (see parseAudioOptions)
+ * @param {string} options.botId - Owner of the data key of encrypted recordings
+ * @returns {Promise<string>} Export local path
+ */
+async function ensureAudioExport(recordingPath, { format = 'mp3', normalize = false, asr = false, botId = null } = {}) {
+    const settings = AUDIO_FORMATS[format];
+    if (!settings) throw new Error(`Unsupported audio format: ${format}`);
+    const outputPath = getAudioExportPath(recordingPath, { format, normalize, asr });
+    if (await fs.pathExists(outputPath)) return outputPath;
+    if (inflightExports.has(outputPath)) return inflightExports.get(outputPath);
+
+    const job = (async () => {
+        // Temporary names: never a partial export, and skipped by encryptBotArtifacts
+        const tmpOutput = `${outputPath}.${process.pid}.tmp`;
+        let plaintextInput = null;
+        try {
+            let source = recordingPath;
+            if (await isEncryptedFile(recordingPath)) {
+                plaintextInput = `${recordingPath}.${process.pid}.audio.plain.tmp`;
+                await decryptFile(recordingPath, plaintextInput);
+                source = plaintextInput;
+            }
+
+            const args = ['-y', '-i', source, '-map', '0:a:0', '-vn'];
+            if (normalize) args.push('-af', `loudnorm=I=${TARGET_LUFS}:TP=-1:LRA=11`);
+            // loudnorm upsamples to 192 kHz: set the output rate whenever it is used
+            if (asr) args.push('-ac', '1', '-ar', '16000');
+            else if (normalize) args.push('-ar', '48000');
+            args.push(...settings.codec, '-f', settings.muxer, tmpOutput);
+
+            const startTime = Date.now();
+            await runFfmpeg(args);
+            if (plaintextInput) await encryptFile(botId, tmpOutput);
+            await fs.move(tmpOutput, outputPath, { overwrite: true });
+            console.log(`🎧 Audio exported in ${((Date.now() - startTime) / 1000).toFixed(1)}s: ${outputPath}`);
+            return outputPath;
+        } catch (error) {
+            console.error(`❌ Audio export failed for ${recordingPath}: ${error.message}`);
+            try { sendWebhook('error.occurred', { bot_id: botId, code: 'audio_export_error', message: error.message, details: { recordingPath, format, normalize, asr, stderr: error.stderr ? error.stderr.slice(-2000) : undefined } }); } catch (e) {}
+            throw error;
+        } finally {
+            await fs.remove(tmpOutput).catch(() => {});
+            if (plaintextInput) await fs.remove(plaintextInput).catch(() => {});
+            inflightExports.delete(outputPath);
+        }
+    })();
+    inflightExports.set(outputPath, job);
+    return job;
+}
+
+/**
+ * Exports made after every meeting (AUDIO_EXPORT_FORMATS, e.g. "mp3,wav";
+ * empty = none), with AUDIO_EXPORT_NORMALIZE and AUDIO_EXPORT_ASR
+ * @returns {Array<{format: string, normalize: boolean, asr: boolean}>}
+ */
+function getDefaultAudioExports() {
+    const normalize = process.env.AUDIO_EXPORT_NORMALIZE === 'true';
+    const asr = process.env.AUDIO_EXPORT_ASR === 'true';
+    return (process.env.AUDIO_EXPORT_FORMATS || '')
+        .split(',')
+        .map(format => format.trim().toLowerCase())
+        .filter(format => {
+            if (!format) return false;
+            if (AUDIO_FORMATS[format]) return true;
+            console.warn(`⚠️  AUDIO_EXPORT_FORMATS: unsupported format "${format}" ignored`);
+            return false;
+        })
+        .map(format => ({ format, normalize, asr }));
+}
+
+/**
+ * List the audio exports of a bot's recording
+ * @param {string} videoDir - runtime/<botId>/video
+ * @returns {Promise<Array<{format: string, normalize: boolean, asr: boolean, file: string, size: number}>>}
+ */
+async function listAudioExports(botId, videoDir) {
+    const exports = [];
+    for (const file of await fs.readdir(videoDir).catch(() => [])) {
+        const match = EXPORT_FILE_PATTERN.exec(file);
+        if (!match || match[1] !== botId) continue;
+        const stats = await fs.stat(path.join(videoDir, file)).catch(() => null);
+        if (!stats) continue;
+        exports.push({ format: match[4], normalize: !!match[2], asr: !!match[3], file, size: stats.size });
+    }
+    return exports;
+}
+
+module.exports = {
+    AUDIO_FORMATS,
+    parseAudioOptions,
+    getAudioExportPath,
+    ensureAudioExport,
+    getDefaultAudioExports,
+    listAudioExports
+};
@@ -0,0 +1,208 @@
+/**
+ * Full-text Caption Search
+ *
+ * Exact words, phrases and boolean queries over every caption captured, in
+ * an SQLite FTS5 index (captionSearchOps). A bot's captions are indexed when
+ * it saves them (saveCaptionsToFile), with the meeting's start, type and
+ * caption language for filtering; bots from before the index existed are
+ * indexed on startup from their runtime folders (backfillCaptionIndex). A
+ * bot leaves the index with its transcript (retention).
+ *
+ * The index keeps the captions in plaintext, so it is disabled (and emptied)
+ * while encryption at rest is enabled.
+ *
+ * Queries use the FTS5 syntax: words (all must match), "exact phrases",
+ * AND / OR / NOT (uppercase), prefix* and speaker: / text: columns.
+ * Accents are ignored.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isEncryptionEnabled, readArtifactJson } = require('./encryption');
+const { botOps, captionSearchOps } = require('../database');
+
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const SORT_ORDERS = ['relevance', 'date'];
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Index a bot's captions, replacing those indexed before
+ * @param {string} botId - Bot ID
+ * @param {Array<Object>} captions - As saved in transcripts/captions.json
+ * @param {string} runtimeRoot - Runtime folder (for the bot's metadata)
+ * @param {Object} options - { meetingStartMs } when known (else from MeetingMetrics.json or the first caption)
+ * @returns {Promise<number>} Captions indexed (0 while encryption at rest is enabled)
+ */
+async function indexBotCaptions(botId, captions, runtimeRoot, { meetingStartMs = null } = {}) {
+    if (isEncryptionEnabled()) return 0;
+    const bot = botOps.findById(botId);
+    if (!bot) return 0;
+
+    const botDir = path.join(runtimeRoot, botId);
+    const metadata = await fs.readJson(path.join(botDir, 'bot_metadata.json')).catch(() => null);
+    const metrics = await readArtifactJson(path.join(botDir, 'MeetingMetrics.json')).catch(() => null);
+
+    const rows = captions
+        .map(cap => ({
+            speaker: String(cap.speaker || cap.personName || 'Unknown Speaker').trim(),
+            text: String(cap.text || cap.personTranscript || '').trim(),
+            offsetSeconds: Number(cap.offsetSeconds) || 0,
+            timestampMs: cap.timestampMs || null
+        }))
+        .filter(cap => cap.text);
+    const firstCaptionMs = rows.reduce((min, cap) => (cap.timestampMs && (!min || cap.timestampMs < min) ? cap.timestampMs : min), null);
+    const startTime = metrics?.duration?.startTime ? new Date(metrics.duration.startTime).getTime() : null;
+
+    captionSearchOps.saveBotCaptions(botId, rows, {
+        meetingStart: meetingStartMs || startTime || firstCaptionMs || bot.started_at || bot.created_at,
+        meetingType: metadata?.meetingType || null,
+        language: metadata?.captionLanguage || null
+    });
+    return rows.length;
+}
+
+/**
+ * Index the captions of the bots in the runtime folder that are not indexed
+ * yet (and still have their transcript); empties the index instead while
+ * encryption at rest is enabled
+ * @returns {Promise<number>} Bots indexed
+ */
+async function backfillCaptionIndex(runtimeRoot) {
+    if (isEncryptionEnabled()) {
+        const deleted = captionSearchOps.clearIndex();
+        if (deleted > 0) console.log(`🔐 Encryption at rest enabled: ${deleted} caption(s) removed from the transcript search index`);
+        return 0;
+    }
+
+    const entries = await fs.readdir(runtimeRoot, { withFileTypes: true }).catch(() => []);
+    const indexed = new Set(captionSearchOps.findIndexedBotIds());
+    let count = 0;
+    for (const entry of entries) {
+        if (!entry.isDirectory() || indexed.has(entry.name)) continue;
+        const bot = botOps.findById(entry.name);
+        if (!bot || bot.transcript_deleted_at) continue;
+        try {
+            const captions = await readArtifactJson(path.join(runtimeRoot, entry.name, 'transcripts', 'captions.json')).catch(() => null);
+            if (!Array.isArray(captions) || captions.length === 0) continue;
+            await indexBotCaptions(entry.name, captions, runtimeRoot);
+            count++;
+        } catch (error) {
+            console.warn(`⚠️  Could not index the captions of bot ${entry.name}: ${error.message}`);
+        }
+    }
+    if (count > 0) console.log(`🔎 Caption index backfill: ${count} meeting(s) indexed`);
+    return count;
+}
+
+/**
+ * Validate the query string of a caption search request
+ * @param {Object} params - { q, from, to, speaker, meeting_type, language, sort, limit, offset }
+ * @returns {{error: string}|Object} { query, from, to (ms), speaker, meetingType, language, sort, limit, offset }
+ */
+function validateCaptionSearch(params) {
+    const str = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const query = str(params.q);
+    if (!query) return { error: 'q is required' };
+    if (query.length > MAX_QUERY_LENGTH) return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+
+    // Dates (YYYY-MM-DD, UTC) or ISO timestamps; a date as `to` includes that whole day
+    const parseDate = (name, endOfDay) => {
+        const value = str(params[name]);
+        if (!value) return { value: null };
+        const ms = Date.parse(value);
+        if (Number.isNaN(ms)) return { error: `${name} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+        return { value: endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + 24 * 60 * 60 * 1000 : ms };
+    };
+    const from = parseDate('from', false);
+    const to = parseDate('to', true);
+    if (from.error || to.error) return { error: from.error || to.error };
+
+    const sort = str(params.sort) || 'relevance';
+    if (!SORT_ORDERS.includes(sort)) return { error: `sort must be one of: ${SORT_ORDERS.join(', ')}` };
+
+    const limit = params.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+        return { error: `limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}` };
+    }
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+
+    return {
+        query,
+        from: from.value,
+        to: to.value,
+        speaker: str(params.speaker),
+        meetingType: str(params.meeting_type),
+        language: str(params.language),
+        sort,
+        limit,
+        offset
+    };
+}
+
+/**
+ * Split a snippet marked by FTS5 into plain text and highlighted ranges
+ * @returns {{text: string, highlights: Array<[number, number]>}} [start, end) offsets into text
+ */
+function parseSnippet(snippet) {
+    let text = '';
+    let start = null;
+    const highlights = [];
+    for (const char of String(snippet || '')) {
+        if (char === HIGHLIGHT_START) {
+            start = text.length;
+        } else if (char === HIGHLIGHT_END) {
+            if (start !== null) highlights.push([start, text.length]);
+            start = null;
+        } else {
+            text += char;
+        }
+    }
+    return { text, highlights };
+}
+
+/**
+ * Search the captions a user can see
+ * @param {string} userId - User ID
+ * @param {Object} search - From validateCaptionSearch
+ * @returns {{error: string}|{matches: Array<Object>, total: number}} matches:
+ *   { bot_id, title, meeting_url, meeting_date, meeting_type, language, speaker, time, timestamp, snippet, highlights }
+ */
+function searchCaptions(userId, search) {
+    let result;
+    try {
+        result = captionSearchOps.search({ ...search, userId });
+    } catch (error) {
+        // Malformed FTS5 queries (unbalanced quotes, unknown column...)
+        if (error.code === 'SQLITE_ERROR') return { error: `Invalid search query: ${error.message}` };
+        throw error;
+    }
+
+    const matches = result.rows.map(row => {
+        const { text, highlights } = parseSnippet(row.snippet);
+        return {
+            bot_id: row.bot_id,
+            title: row.title || null,
+            meeting_url: row.meet_url,
+            meeting_date: new Date(row.meeting_start).toISOString(),
+            meeting_type: row.meeting_type,
+            language: row.language,
+            speaker: row.speaker,
+            time: row.offset_seconds,
+            timestamp: row.timestamp_ms ? new Date(row.timestamp_ms).toISOString() : null,
+            snippet: text,
+            highlights
+        };
+    });
+    return { matches, total: result.total };
+}
+
+module.exports = {
+    indexBotCaptions,
+    backfillCaptionIndex,
+    validateCaptionSearch,
+    searchCaptions
+};
@@ -0,0 +1,140 @@
+/**
+ * Recording Chapters
+ *
+ * Chapter markers of a finished meeting, saved in
+ * runtime/<botId>/transcripts/chapters.json (kept, encrypted and purged
+ * with the transcript). CHAPTERS_MODE picks how they are made:
+ *   - ai: topic segmentation of the transcript by the summary model
+ *   - speakers: a new chapter when the speaker changes once the current
+ *     chapter lasted CHAPTER_MIN_SECONDS (longer on long meetings, to keep
+ *     at most MAX_CHAPTERS), titled after who spoke the most in it
+ *   - auto (default): ai when the bot has an LLM provider (see ./llm),
+ *     speakers otherwise or when the model fails
+ *   - off
+ * Times are seconds from the meeting start, like the transcript utterances.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readArtifactJson } = require('./encryption');
+const { buildUtterances, generateTopicChapters } = require('../openai-service');
+const { getBotLlm } = require('./llm');
+
+const CHAPTERS_MODES = ['auto', 'ai', 'speakers', 'off'];
+const CHAPTER_MIN_SECONDS = Number(process.env.CHAPTER_MIN_SECONDS || 120);
+const MAX_CHAPTERS = 20;
+const CHAPTERS_FILE = path.join('transcripts', 'chapters.json');
+
+/**
+ * Configured CHAPTERS_MODE (auto when unset or invalid)
+ */
+function getChaptersMode() {
+    const mode = (process.env.CHAPTERS_MODE || 'auto').trim().toLowerCase();
+    return CHAPTERS_MODES.includes(mode) ? mode : 'auto';
+}
+
+/**
+ * Chapters from speaker changes
+ * @param {Array<Object>} utterances - { speaker, startOffset, text }
+ * @param {number} duration - Meeting duration (seconds)
+ * @returns {Array<{start: number, title: string}>}
+ */
+function buildSpeakerChapters(utterances, duration) {
+    const minSeconds = Math.max(CHAPTER_MIN_SECONDS, duration / MAX_CHAPTERS);
+    const chapters = [];
+    let current = null;
+    let lastSpeaker = null;
+
+    for (const utterance of utterances) {
+        if (!current || (utterance.speaker !== lastSpeaker && utterance.startOffset - current.start >= minSeconds)) {
+            current = { start: current ? utterance.startOffset : 0, speakers: new Map() };
+            chapters.push(current);
+        }
+        // Weighted by how much each speaker said
+        current.speakers.set(utterance.speaker, (current.speakers.get(utterance.speaker) || 0) + utterance.text.length);
+        lastSpeaker = utterance.speaker;
+    }
+
+    return chapters.map(chapter => {
+        const top = [...chapter.speakers.entries()].sort((a, b) => b[1] - a[1]).slice(0, 2).map(([speaker]) => speaker);
+        return { start: chapter.start, title: top.join(' & ') };
+    });
+}
+
+/**
+ * Set the end of each chapter (next start, or the meeting end) and round times
+ */
+function finalizeChapters(chapters, duration) {
+    const sorted = chapters
+        .filter(chapter => chapter.start < duration || chapter.start === 0)
+        .sort((a, b) => a.start - b.start);
+    if (sorted.length > 0) sorted[0].start = 0;
+    return sorted.map((chapter, index) => ({
+        start: Math.round(chapter.start * 10) / 10,
+        end: Math.round((index + 1 < sorted.length ? sorted[index + 1].start : duration) * 10) / 10,
+        title: chapter.title
+    })).filter(chapter => chapter.end > chapter.start);
+}
+
+/**
+ * Make and save the chapters of a finished bot
+ * @param {string} botId - Bot ID
+ * @param {string} runtimeRoot - Runtime folder
+ * @returns {Promise<Object|null>} { source, chapters }, or null without a transcript (or with CHAPTERS_MODE=off)
+ */
+async function generateChapters(botId, runtimeRoot) {
+    const mode = getChaptersMode();
+    if (mode === 'off') return null;
+
+    const botDir = path.join(runtimeRoot, botId);
+    const captions = await readArtifactJson(path.join(botDir, 'transcripts', 'captions.json')).catch(() => null);
+    if (!Array.isArray(captions) || captions.length === 0) return null;
+
+    const metrics = await readArtifactJson(path.join(botDir, 'MeetingMetrics.json')).catch(() => null);
+    const metadata = await fs.readJson(path.join(botDir, 'bot_metadata.json')).catch(() => null);
+    const utterances = buildUtterances(captions, metrics?.duration?.startTime || null);
+    if (utterances.length === 0) return null;
+
+    const lastOffset = utterances[utterances.length - 1].startOffset;
+    const duration = Math.max((metrics?.duration?.totalMinutes || 0) * 60, lastOffset + 1);
+
+    let source = 'speakers';
+    let chapters = null;
+    const llm = getBotLlm(botId);
+    if (mode === 'ai' || (mode === 'auto' && llm)) {
+        try {
+            chapters = await generateTopicChapters(utterances, metadata?.captionLanguage || 'es', llm);
+            source = 'ai';
+        } catch (e) {
+            if (mode === 'ai') throw e;
+            console.warn(`⚠️  Bot ${botId}: topic chapters failed, using speaker changes: ${e.message}`);
+        }
+    }
+    if (!chapters || chapters.length === 0) {
+        chapters = buildSpeakerChapters(utterances, duration);
+        source = 'speakers';
+    }
+
+    const result = { source, chapters: finalizeChapters(chapters, duration), createdAt: new Date().toISOString() };
+    await fs.ensureDir(path.join(botDir, 'transcripts'));
+    await fs.writeJson(path.join(botDir, CHAPTERS_FILE), result, { spaces: 2 });
+    console.log(`📑 Bot ${botId}: ${result.chapters.length} chapters saved (${source})`);
+    return result;
+}
+
+/**
+ * Read a bot's chapters
+ * @returns {Promise<Object|null>} { source, chapters: [{ start, end, title }], createdAt }
+ */
+async function readChapters(botId, runtimeRoot) {
+    const chapters = await readArtifactJson(path.join(runtimeRoot, botId, CHAPTERS_FILE)).catch(() => null);
+    return chapters && Array.isArray(chapters.chapters) ? chapters : null;
+}
+
+module.exports = {
+    CHAPTERS_MODES,
+    getChaptersMode,
+    buildSpeakerChapters,
+    generateChapters,
+    readChapters
+};
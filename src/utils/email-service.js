@@ -179,10 +179,12 @@ function formatTime(seconds) {
  * @param {string} options.meetUrl - Meeting URL
  * @param {string} options.recipients - Comma-separated email addresses
  * @param {string} options.runtimeRoot - Runtime directory path
+ * @param {string} options.shareUrl - Share link URL (defaults to the bot's default share link)
+ * @param {boolean} options.includeTranscript - Attach the transcript (false when the share link has no transcript scope)
  * @returns {Promise<Object>} Email result
  */
 async function sendMeetingSummaryEmail(options) {
-    const { botId, meetUrl, recipients, runtimeRoot, shareUrl, isShareRequest } = options;
+    const { botId, meetUrl, recipients, runtimeRoot, shareUrl, isShareRequest, includeTranscript = true } = options;
     
     if (!recipients || !process.env.EMAIL_USER) {
         console.log(`[${botId}] ⚠️ Email not configured or no recipients specified`);
@@ -218,19 +220,23 @@ async function sendMeetingSummaryEmail(options) {
         const summaryFile = path.join(botDir, 'summary.txt');
         const metricsFile = path.join(botDir, 'MeetingMetrics.json');
     const captionsFile = path.join(botDir, 'transcripts', 'captions.json');
+        const actionItemsFile = path.join(botDir, 'action_items.json');
         
     // Load data
         let summary = 'No summary available';
         let metrics = null;
     let captions = null;
+        let actionItems = [];
         let meetingTitle = 'Google Meet Recording';
         
         // Load all files in parallel for better performance
         const { getCachedFile } = require('./file-cache');
-        const [summaryResult, metricsResult, captionsResult] = await Promise.allSettled([
-            getCachedFile(summaryFile, (p) => fs.readFile(p, 'utf8'), 30000).catch(() => null),
-            getCachedFile(metricsFile, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null),
-            getCachedFile(captionsFile, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null)
+        const { readArtifactText, readArtifactJson } = require('./encryption');
+        const [summaryResult, metricsResult, captionsResult, actionItemsResult] = await Promise.allSettled([
+            getCachedFile(summaryFile, readArtifactText, 30000).catch(() => null),
+            getCachedFile(metricsFile, readArtifactJson, 30000).catch(() => null),
+            getCachedFile(captionsFile, readArtifactJson, 30000).catch(() => null),
+            getCachedFile(actionItemsFile, readArtifactJson, 30000).catch(() => null)
         ]);
         
         if (summaryResult.status === 'fulfilled' && summaryResult.value) {
@@ -241,6 +247,10 @@ async function sendMeetingSummaryEmail(options) {
             metrics = metricsResult.value;
         }
 
+        if (actionItemsResult.status === 'fulfilled' && actionItemsResult.value && Array.isArray(actionItemsResult.value.items)) {
+            actionItems = actionItemsResult.value.items;
+        }
+
         // Load captions (transcript) if available
         if (captionsResult.status === 'fulfilled' && captionsResult.value) {
             try {
@@ -282,7 +292,7 @@ async function sendMeetingSummaryEmail(options) {
             });
         }
         
-        if (captionsExists) {
+        if (captionsExists && includeTranscript) {
             attachments.push({
                 filename: 'transcripcion.json',
                 path: captionsFile
@@ -320,6 +330,26 @@ async function sendMeetingSummaryEmail(options) {
             return html;
         };
 
+        // Action items as a table: task, owner, due date
+        const formatActionItemsHTML = (items) => {
+            let html = '<table style="width:100%; border-collapse:collapse; font-size:14px;">';
+            html += '<tr style="background:#eff6ff; text-align:left;"><th style="padding:8px;">Tarea</th><th style="padding:8px;">Responsable</th><th style="padding:8px;">Fecha límite</th></tr>';
+            items.forEach((item) => {
+                const owner = item.owner || item.owner_mention || '—';
+                const due = item.due
+                    ? `${item.due.date}${item.due.time ? ` ${item.due.time}` : ''}${item.due.text ? ` (${escapeHtml(item.due.text)})` : ''}`
+                    : '—';
+                const source = item.source ? `<div style="font-size:12px; color:#64748b;">${formatTime(Math.floor(item.source.time))} · ${escapeHtml(item.source.speaker)}</div>` : '';
+                html += `<tr style="border-bottom:1px solid #e6eef6;">`;
+                html += `<td style="padding:8px; vertical-align:top;">${escapeHtml(item.description)}${source}</td>`;
+                html += `<td style="padding:8px; vertical-align:top;">${escapeHtml(owner)}</td>`;
+                html += `<td style="padding:8px; vertical-align:top; white-space:nowrap;">${due}</td>`;
+                html += `</tr>`;
+            });
+            html += '</table>';
+            return html;
+        };
+
         // Simple HTML escape to avoid breaking the email
         const escapeHtml = (unsafe) => {
             if (!unsafe) return '';
@@ -331,12 +361,11 @@ async function sendMeetingSummaryEmail(options) {
                 .replace(/'/g, '&#039;');
         };
 
-        // Generate shareUrl if not provided
+        // Use the bot's default share link if no shareUrl was provided
         let finalShareUrl = shareUrl;
         if (!finalShareUrl && botId) {
-            const baseUrl = process.env.BASE_URL;
-            const cleanBaseUrl = String(baseUrl).replace(/\/$/, '');
-            finalShareUrl = `${cleanBaseUrl}/share?token=${encodeURIComponent(botId)}`;
+            const { getDefaultShareUrl } = require('./share-links');
+            finalShareUrl = getDefaultShareUrl(botId);
         }
 
         const emailHTML = `
@@ -397,6 +426,13 @@ async function sendMeetingSummaryEmail(options) {
         <div style="background-color: #f8fbff; padding: 15px; border-left: 4px solid #2563eb; white-space: pre-wrap;">${summary}</div>
     </div>
     
+    ${actionItems.length > 0 ? `
+    <div class="section">
+        <h2 style="color: #2563eb;">✅ Tareas Acordadas</h2>
+        ${formatActionItemsHTML(actionItems)}
+    </div>
+    ` : ''}
+    
     <div class="section">
         <h2 style="color: #2563eb;">📈 Métricas de la Reunión</h2>
         ${formatMetricsHTML(metrics)}
@@ -810,10 +846,113 @@ async function sendPasswordResetEmail(email, resetToken, baseUrl = 'http://local
     }
 }
 
+/**
+ * Send an invitation to join an organization
+ * @param {Object} options - Invite options
+ * @param {string} options.email - Invited email address
+ * @param {string} options.organizationName - Name of the organization
+ * @param {string} options.role - Role the invitee will get
+ * @param {string} options.inviteUrl - Link to accept the invitation
+ * @param {string} options.invitedBy - Email of the member who sent the invite
+ * @param {number} options.expiresAt - Expiry timestamp (ms)
+ * @returns {Promise<Object>} Email result
+ */
+async function sendOrganizationInviteEmail(options) {
+    const { email, organizationName, role, inviteUrl, invitedBy, expiresAt } = options;
+
+    if (!process.env.EMAIL_USER) {
+        console.log('⚠️ Email not configured for organization invites');
+        return { success: false, message: 'Email not configured' };
+    }
+
+    // Organization names are user input
+    const escapeHtml = (unsafe) => String(unsafe || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+
+    try {
+        console.log(`📧 Sending organization invite to: ${email}`);
+
+        const transporter = createTransporter();
+        const orgName = escapeHtml(organizationName);
+        const inviter = escapeHtml(invitedBy);
+        const expiresLabel = expiresAt ? formatDateLong(new Date(expiresAt)) : null;
+
+        const emailHTML = `
+<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <title>You're invited to ${orgName} - CXFlow</title>
+    <style>body{margin:0;padding:0;-webkit-text-size-adjust:100%;-ms-text-size-adjust:100%}table{border-collapse:collapse!important}a{text-decoration:none}</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f5fbff;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background:#f5fbff;padding:20px 0;width:100%;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="width:100%;max-width:600px;background:#ffffff;">
+                    <tr>
+                        <td align="center" style="background:#2563eb;padding:26px 20px;color:#fff;">
+                            <div style="font-family:Arial,sans-serif;font-size:20px;font-weight:700;">Join ${orgName} on CXFlow</div>
+                            <div style="font-family:Arial,sans-serif;font-size:14px;margin-top:6px;">You've been invited as ${escapeHtml(role)}</div>
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding:24px;font-family:Arial,sans-serif;font-size:15px;color:#333333;line-height:1.5;">
+                            <p style="margin:0 0 12px 0;">Hello,</p>
+                            <p style="margin:0 0 12px 0;">${inviter ? `<strong>${inviter}</strong> invited you` : 'You have been invited'} to join <strong>${orgName}</strong>. Members share the organization's meeting bots, recordings and transcripts.</p>
+                            <p style="margin:0 0 18px 0;">Sign in (or create an account) with <strong>${escapeHtml(email)}</strong> and accept the invitation:</p>
+                            <table cellpadding="0" cellspacing="0" role="presentation" style="margin:0 auto 18px auto;">
+                                <tr>
+                                    <td align="center" bgcolor="#2563eb" style="border-radius:6px;">
+                                        <a href="${inviteUrl}" style="display:inline-block;padding:12px 28px;background-color:#2563eb;color:#ffffff;font-family:Arial,sans-serif;font-size:16px;font-weight:600;border-radius:6px;">Accept Invitation</a>
+                                    </td>
+                                </tr>
+                            </table>
+                            <p style="margin:0 0 12px 0;">If the button doesn't work, copy and paste this link into your browser:</p>
+                            <p style="word-break:break-all;margin:0 0 12px 0;"><a href="${inviteUrl}" style="color:#2563eb;">${inviteUrl}</a></p>
+                            ${expiresLabel ? `<div style="background:#eef9ff;border:1px solid #dff3ff;padding:12px;border-radius:6px;font-size:13px;color:#03436a;">This invitation expires on ${expiresLabel}.</div>` : ''}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding:18px 24px;background-color:#f8fafc;font-family:Arial,sans-serif;font-size:13px;color:#6b7280;text-align:center;">
+                            <div style="font-weight:600;color:#374151;">CXFlow</div>
+                            <div style="margin-top:6px;">If you weren't expecting this invitation, you can safely ignore this email.</div>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+        `;
+
+        const info = await transporter.sendMail({
+            from: `"CXFlow" <contacto@cxflow.io>`,
+            replyTo: 'contacto@cxflow.io',
+            to: email,
+            subject: `👥 You're invited to join ${organizationName} on CXFlow`,
+            html: emailHTML
+        });
+
+        console.log(`✅ Organization invite sent to: ${email}`);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending organization invite email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 module.exports = {
     sendMeetingSummaryEmail,
     sendVerificationEmail,
     sendPasswordResetEmail,
+    sendOrganizationInviteEmail,
     verifyEmailConfig,
     createTransporter
 };
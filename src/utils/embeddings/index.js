@@ -0,0 +1,112 @@
+/**
+ * Embedding Providers
+ *
+ * Vectors of transcript chunks for semantic search (../semantic-search.js).
+ * Chosen by EMBEDDINGS_PROVIDER:
+ *   - local (default): feature hashing, offline (see ./local)
+ *   - llm: the embeddings API of the server default LLM connection
+ *     (LLM_PROVIDER openai, azure or openai-compatible) with EMBEDDINGS_MODEL
+ *     (text-embedding-3-small by default on OpenAI; the deployment on Azure),
+ *     only for the bots that use that connection (see ../semantic-search.js)
+ * Local vectors are always stored too, so search keeps working offline and
+ * when the LLM connection fails.
+ *
+ * Every provider implements:
+ *   embed(texts)  -> Promise<Array<Float32Array>>
+ * and exposes name and model (the key vectors are stored under: only
+ * vectors of the same model are compared).
+ */
+
+const { getDefaultLlmConfig } = require('../llm');
+const { createLocalProvider } = require('./local');
+const { createOpenAIEmbeddingsProvider } = require('./openai');
+
+const EMBEDDINGS_PROVIDERS = ['local', 'llm'];
+const DEFAULT_OPENAI_EMBEDDINGS_MODEL = 'text-embedding-3-small';
+
+const localProvider = createLocalProvider();
+let llmProvider = null;
+let llmProviderKey = null;
+let configWarning = null;
+
+/**
+ * Get the local (offline) provider
+ */
+function getLocalEmbeddingsProvider() {
+    return localProvider;
+}
+
+/**
+ * Get the provider for the EMBEDDINGS_PROVIDER setting, falling back to the
+ * local one when the LLM connection can't do embeddings
+ */
+function getEmbeddingsProvider() {
+    const name = (process.env.EMBEDDINGS_PROVIDER || 'local').toLowerCase();
+    if (name === 'local') return localProvider;
+
+    let warning = null;
+    const llmConfig = name === 'llm' ? getDefaultLlmConfig() : null;
+    const model = process.env.EMBEDDINGS_MODEL || (llmConfig && llmConfig.provider === 'openai' ? DEFAULT_OPENAI_EMBEDDINGS_MODEL : null);
+    if (name !== 'llm') {
+        warning = `unknown EMBEDDINGS_PROVIDER '${name}'`;
+    } else if (!llmConfig || !['openai', 'azure', 'openai-compatible'].includes(llmConfig.provider)) {
+        warning = 'the default LLM provider has no embeddings API';
+    } else if (!model) {
+        warning = 'EMBEDDINGS_MODEL is required';
+    }
+    if (warning) {
+        const message = `⚠️  Embeddings: ${warning}; using local embeddings`;
+        if (configWarning !== message) {
+            configWarning = message;
+            console.warn(message);
+        }
+        return localProvider;
+    }
+
+    const config = { ...llmConfig, model };
+    const key = JSON.stringify(config);
+    if (llmProviderKey !== key) {
+        llmProvider = createOpenAIEmbeddingsProvider(config);
+        llmProviderKey = key;
+    }
+    return llmProvider;
+}
+
+/**
+ * Store a vector as a BLOB (float32, machine byte order)
+ */
+function vectorToBuffer(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Read a vector stored with vectorToBuffer
+ */
+function bufferToVector(buffer) {
+    // Copied: SQLite buffers are not always 4-byte aligned
+    return new Float32Array(new Uint8Array(buffer).buffer);
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+    EMBEDDINGS_PROVIDERS,
+    getLocalEmbeddingsProvider,
+    getEmbeddingsProvider,
+    vectorToBuffer,
+    bufferToVector,
+    cosineSimilarity
+};
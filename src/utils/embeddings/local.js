@@ -0,0 +1,86 @@
+/**
+ * Local Embeddings Provider
+ *
+ * Offline text vectors by feature hashing: the words of a text (without
+ * stopwords or accents, see ../meeting-qa tokenize), pairs of consecutive
+ * words and word prefixes (a crude stemmer: "discussed" and "discussion"
+ * share "discu") are hashed into a fixed number of signed dimensions,
+ * weighted by log term frequency and L2-normalized. Texts sharing rare
+ * words end up close; there is no notion of synonyms.
+ */
+
+const { tokenize } = require('../meeting-qa');
+
+const LOCAL_DIMENSIONS = 1024;
+const PREFIX_LENGTH = 5;
+const BIGRAM_WEIGHT = 0.5;
+const PREFIX_WEIGHT = 0.5;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Hash a text into a normalized vector
+ * @returns {Float32Array}
+ */
+function hashText(text, dimensions) {
+    const words = tokenize(text);
+    const features = new Map();
+    const add = (feature, weight) => {
+        const current = features.get(feature);
+        features.set(feature, { count: (current ? current.count : 0) + 1, weight });
+    };
+    words.forEach((word, index) => {
+        add(`w:${word}`, 1);
+        if (word.length > PREFIX_LENGTH) add(`p:${word.slice(0, PREFIX_LENGTH)}`, PREFIX_WEIGHT);
+        if (index > 0) add(`b:${words[index - 1]} ${word}`, BIGRAM_WEIGHT);
+    });
+
+    const vector = new Float32Array(dimensions);
+    for (const [feature, { count, weight }] of features) {
+        const hash = fnv1a(feature);
+        // The top bit picks the sign, so colliding features tend to cancel out
+        vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * weight * (1 + Math.log(count));
+    }
+
+    let norm = 0;
+    for (const value of vector) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < dimensions; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+/**
+ * Create a local provider
+ * @param {Object} config - { dimensions }
+ */
+function createLocalProvider(config = {}) {
+    const dimensions = config.dimensions || LOCAL_DIMENSIONS;
+
+    return {
+        name: 'local',
+        // Vectors of different versions or sizes are not comparable
+        model: `local-hash-v1-${dimensions}`,
+        dimensions,
+
+        async embed(texts) {
+            return texts.map(text => hashText(text, dimensions));
+        }
+    };
+}
+
+module.exports = {
+    LOCAL_DIMENSIONS,
+    createLocalProvider
+};
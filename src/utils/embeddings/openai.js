@@ -0,0 +1,59 @@
+/**
+ * OpenAI Embeddings Provider
+ *
+ * Embeddings through the OpenAI SDK, with the server default LLM connection
+ * (see ../llm): api.openai.com, an Azure OpenAI resource (model = embeddings
+ * deployment) or an OpenAI-compatible server (llama.cpp, vLLM, Ollama...).
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+const { AZURE_OPENAI_DEFAULT_API_VERSION } = require('../llm/openai');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Create an OpenAI, Azure OpenAI or OpenAI-compatible embeddings provider
+ * @param {Object} config - LLM configuration ({ provider, apiKey, endpoint, apiVersion, baseUrl })
+ *   and the embeddings model (or Azure deployment)
+ */
+function createOpenAIEmbeddingsProvider(config) {
+    let client;
+    if (config.provider === 'azure') {
+        client = new AzureOpenAI({
+            endpoint: config.endpoint,
+            apiKey: config.apiKey,
+            apiVersion: config.apiVersion || AZURE_OPENAI_DEFAULT_API_VERSION,
+            deployment: config.model
+        });
+    } else if (config.provider === 'openai-compatible') {
+        client = new OpenAI({ apiKey: config.apiKey || 'none', baseURL: config.baseUrl });
+    } else {
+        client = new OpenAI({ apiKey: config.apiKey });
+    }
+
+    return {
+        name: config.provider,
+        model: `${config.provider}:${config.model}`,
+
+        /**
+         * Embed texts, in batches
+         * @returns {Promise<Array<Float32Array>>} In the order of the texts
+         */
+        async embed(texts) {
+            const vectors = [];
+            for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+                const response = await client.embeddings.create({
+                    model: config.model,
+                    input: texts.slice(start, start + BATCH_SIZE).map(text => text || ' ')
+                });
+                const data = [...response.data].sort((a, b) => a.index - b.index);
+                vectors.push(...data.map(item => Float32Array.from(item.embedding)));
+            }
+            return vectors;
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIEmbeddingsProvider
+};
@@ -0,0 +1,505 @@
+/**
+ * Encryption at Rest
+ *
+ * Envelope encryption of bot artifacts (recordings, transcripts, summaries,
+ * keywords, meeting metrics, PDF exports) with AES-256-GCM. Enabled by setting ENCRYPTION_MASTER_KEY
+ * (32 bytes, base64 or hex):
+ *   - each bot gets a random data key, wrapped by the master key and stored
+ *     in bots.encryption_key ({ v, kid, iv, tag, key }, kid = master key id)
+ *   - files are encrypted in place, in chunks, so byte ranges of a recording
+ *     can be decrypted without reading the whole file (video seeking)
+ *   - readers go through readArtifact* / openArtifact, which pass plaintext
+ *     files through unchanged (artifacts from before encryption was enabled)
+ *
+ * File format:
+ *   header: "MBENC" | version (1) | chunk size (uint32 BE) | bot ID length (1) | bot ID | nonce prefix (8)
+ *   chunks: ciphertext | GCM tag (16), nonce = prefix | chunk index (uint32 BE),
+ *           AAD = header | chunk index | last-chunk flag (no truncation or reordering)
+ *
+ * Master keys are rotated with tools/rotate_encryption_key.js: set the new key
+ * as ENCRYPTION_MASTER_KEY, move the old one to ENCRYPTION_PREVIOUS_MASTER_KEYS
+ * and run it to rewrap every data key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { botOps } = require('../database');
+
+const MAGIC = Buffer.from('MBENC');
+const FORMAT_VERSION = 1;
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const MAX_HEADER_LENGTH = MAGIC.length + 1 + 4 + 1 + 255 + NONCE_PREFIX_LENGTH;
+const KEY_WRAP_VERSION = 1;
+
+// Artifacts encrypted after the meeting, relative to runtime/<botId>
+// (directories are encrypted file by file)
+// (MeetingMetrics.json quotes captions in its keyword occurrences)
+const ENCRYPTED_ARTIFACTS = ['video', 'transcripts', 'summary.txt', 'keywords.json', 'action_items.json', 'captions.json', 'transcript.json', 'transcripts.json', 'SpeakerTimeframes.json', 'MeetingMetrics.json'];
+
+const RUNTIME_ROOT = path.join(__dirname, '..', '..', 'runtime');
+
+let masterKeys = null;
+// Unwrapped data keys by bot ID
+const dataKeyCache = new Map();
+
+/**
+ * Parse a 32-byte master key given as hex or base64
+ */
+function parseMasterKey(value, name) {
+    const trimmed = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== 32) {
+        throw new Error(`${name} must be 32 bytes, base64 or hex encoded (e.g. openssl rand -base64 32)`);
+    }
+    return key;
+}
+
+// Identifies which master key wrapped a data key without revealing it
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Master keys from the environment: the current one (wraps new data keys)
+ * and previous ones (still unwrap data keys until they are rotated)
+ * @returns {{current: {kid: string, key: Buffer}|null, byId: Map<string, Buffer>}}
+ */
+function getMasterKeys() {
+    if (masterKeys) return masterKeys;
+    const byId = new Map();
+    let current = null;
+    if (process.env.ENCRYPTION_MASTER_KEY) {
+        const key = parseMasterKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY');
+        current = { kid: getKeyId(key), key };
+        byId.set(current.kid, key);
+    }
+    for (const value of (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '').split(',')) {
+        if (!value.trim()) continue;
+        const key = parseMasterKey(value, 'ENCRYPTION_PREVIOUS_MASTER_KEYS');
+        if (!byId.has(getKeyId(key))) byId.set(getKeyId(key), key);
+    }
+    masterKeys = { current, byId };
+    return masterKeys;
+}
+
+/**
+ * Whether new artifacts are encrypted (ENCRYPTION_MASTER_KEY is set)
+ */
+function isEncryptionEnabled() {
+    return !!getMasterKeys().current;
+}
+
+/**
+ * ID of the current master key (null when encryption is disabled)
+ */
+function getMasterKeyId() {
+    const { current } = getMasterKeys();
+    return current ? current.kid : null;
+}
+
+// Wrap a data key with the current master key (the bot ID is authenticated)
+function wrapDataKey(botId, dataKey) {
+    const { current } = getMasterKeys();
+    if (!current) throw new Error('Encryption is not configured (ENCRYPTION_MASTER_KEY)');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+    cipher.setAAD(Buffer.from(botId));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return {
+        v: KEY_WRAP_VERSION,
+        kid: current.kid,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        key: wrapped.toString('base64')
+    };
+}
+
+function unwrapDataKey(botId, wrapped) {
+    const masterKey = getMasterKeys().byId.get(wrapped.kid);
+    if (!masterKey) {
+        throw new Error(`Master key ${wrapped.kid} that wrapped the data key of bot ${botId} is not configured (ENCRYPTION_PREVIOUS_MASTER_KEYS)`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, Buffer.from(wrapped.iv, 'base64'));
+    decipher.setAAD(Buffer.from(botId));
+    decipher.setAuthTag(Buffer.from(wrapped.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(wrapped.key, 'base64')), decipher.final()]);
+}
+
+/**
+ * Get a bot's data key, creating it if asked
+ * @param {string} botId - Bot ID
+ * @param {Object} options
+ * @param {boolean} options.create - Generate and store a data key if the bot has none
+ * @returns {Buffer} 32-byte data key
+ */
+function getDataKey(botId, { create = false } = {}) {
+    if (dataKeyCache.has(botId)) return dataKeyCache.get(botId);
+    const bot = botOps.findById(botId);
+    if (!bot) throw new Error(`Bot ${botId} not found, no data key`);
+
+    let dataKey;
+    if (bot.encryption_key) {
+        dataKey = unwrapDataKey(botId, JSON.parse(bot.encryption_key));
+    } else if (create) {
+        dataKey = crypto.randomBytes(32);
+        botOps.update(botId, { encryption_key: JSON.stringify(wrapDataKey(botId, dataKey)) });
+    } else {
+        throw new Error(`Bot ${botId} has no data key`);
+    }
+    dataKeyCache.set(botId, dataKey);
+    return dataKey;
+}
+
+// ---- File format ----
+
+function buildHeader(botId) {
+    const id = Buffer.from(botId);
+    if (id.length > 255) throw new Error('Bot ID too long for the encryption header');
+    const fields = Buffer.alloc(6);
+    fields.writeUInt8(FORMAT_VERSION, 0);
+    fields.writeUInt32BE(CHUNK_SIZE, 1);
+    fields.writeUInt8(id.length, 5);
+    return parseHeader(Buffer.concat([MAGIC, fields, id, crypto.randomBytes(NONCE_PREFIX_LENGTH)]));
+}
+
+/**
+ * Parse the header at the start of a buffer
+ * @returns {Object|null} { botId, chunkSize, noncePrefix, length, bytes }, null if not encrypted
+ */
+function parseHeader(buffer) {
+    if (buffer.length < MAGIC.length + 6 || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+    const version = buffer.readUInt8(MAGIC.length);
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported encrypted file version ${version}`);
+    const chunkSize = buffer.readUInt32BE(MAGIC.length + 1);
+    const idLength = buffer.readUInt8(MAGIC.length + 5);
+    const idStart = MAGIC.length + 6;
+    const length = idStart + idLength + NONCE_PREFIX_LENGTH;
+    if (buffer.length < length || chunkSize === 0) throw new Error('Encrypted file header is truncated');
+    return {
+        botId: buffer.subarray(idStart, idStart + idLength).toString(),
+        chunkSize,
+        noncePrefix: buffer.subarray(idStart + idLength, length),
+        length,
+        bytes: buffer.subarray(0, length)
+    };
+}
+
+function chunkParams(header, index, isLast) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(index, 0);
+    return {
+        nonce: Buffer.concat([header.noncePrefix, counter]),
+        aad: Buffer.concat([header.bytes, counter, Buffer.from([isLast ? 1 : 0])])
+    };
+}
+
+function encryptChunk(dataKey, header, index, isLast, plaintext) {
+    const { nonce, aad } = chunkParams(header, index, isLast);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, nonce);
+    cipher.setAAD(aad);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decryptChunk(dataKey, header, index, isLast, data) {
+    if (data.length < TAG_LENGTH) throw new Error('Encrypted file is truncated');
+    const { nonce, aad } = chunkParams(header, index, isLast);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+// Number of chunks and plaintext size of an encrypted file
+function getLayout(header, fileSize) {
+    const bodySize = fileSize - header.length;
+    const cipherChunkSize = header.chunkSize + TAG_LENGTH;
+    const chunkCount = Math.ceil(bodySize / cipherChunkSize);
+    const size = bodySize - chunkCount * TAG_LENGTH;
+    if (bodySize < TAG_LENGTH || size < 0) throw new Error('Encrypted file is truncated');
+    return { bodySize, cipherChunkSize, chunkCount, size };
+}
+
+/**
+ * Transform plaintext into chunks (the header is written separately)
+ */
+function createEncryptStream(dataKey, header) {
+    let pending = Buffer.alloc(0);
+    let index = 0;
+    return new Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            // A full chunk is only known not to be the last once more data follows
+            while (pending.length > header.chunkSize) {
+                this.push(encryptChunk(dataKey, header, index++, false, pending.subarray(0, header.chunkSize)));
+                pending = pending.subarray(header.chunkSize);
+            }
+            callback();
+        },
+        flush(callback) {
+            this.push(encryptChunk(dataKey, header, index, true, pending));
+            callback();
+        }
+    });
+}
+
+/**
+ * Transform the chunks firstChunk..lastChunk of an encrypted file into the
+ * plaintext bytes start..end (inclusive)
+ */
+function createDecryptStream(dataKey, header, layout, { firstChunk, lastChunk, start, end }) {
+    let pending = Buffer.alloc(0);
+    let index = firstChunk;
+    const push = (stream, data) => {
+        const offset = index * header.chunkSize;
+        const plaintext = decryptChunk(dataKey, header, index, index === layout.chunkCount - 1, data);
+        const slice = plaintext.subarray(Math.max(0, start - offset), Math.max(0, end + 1 - offset));
+        if (slice.length > 0) stream.push(slice);
+        index++;
+    };
+    return new Transform({
+        transform(data, encoding, callback) {
+            pending = Buffer.concat([pending, data]);
+            try {
+                while (pending.length >= layout.cipherChunkSize && index <= lastChunk) {
+                    push(this, pending.subarray(0, layout.cipherChunkSize));
+                    pending = pending.subarray(layout.cipherChunkSize);
+                }
+                callback();
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                if (pending.length > 0 && index <= lastChunk) push(this, pending);
+                callback(index > lastChunk ? null : new Error('Encrypted file is truncated'));
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
+
+// ---- Files ----
+
+async function readHead(filePath, size) {
+    const fd = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(Math.min(size, MAX_HEADER_LENGTH));
+        const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+/**
+ * Whether a file is in the encrypted format
+ */
+async function isEncryptedFile(filePath) {
+    const stats = await fs.stat(filePath);
+    return !!parseHeader(await readHead(filePath, stats.size));
+}
+
+/**
+ * Encrypt a file in place with the bot's data key (no-op if already encrypted)
+ * @returns {Promise<boolean>} true if the file was encrypted now
+ */
+async function encryptFile(botId, filePath) {
+    if (await isEncryptedFile(filePath)) return false;
+    const dataKey = getDataKey(botId, { create: true });
+    const header = buildHeader(botId);
+    const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(tmp);
+            output.write(header.bytes);
+            pipeline(fs.createReadStream(filePath), createEncryptStream(dataKey, header), output, (error) => (error ? reject(error) : resolve()));
+        });
+        await fs.move(tmp, filePath, { overwrite: true });
+    } catch (error) {
+        await fs.remove(tmp).catch(() => {});
+        throw error;
+    }
+    return true;
+}
+
+/**
+ * Open ciphertext from any source for ranged plaintext reads
+ * @param {Object} source - { size, readRange(start, end) -> Promise<Readable> } over the ciphertext
+ * @param {Buffer} head - First bytes of the ciphertext, if already read
+ * @returns {Promise<{encrypted: true, size: number, createReadStream: Function}>}
+ */
+async function openEncryptedSource(source, head = null) {
+    if (!head) {
+        const stream = await source.readRange(0, Math.min(source.size, MAX_HEADER_LENGTH) - 1);
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        head = Buffer.concat(chunks);
+    }
+    const header = parseHeader(head);
+    if (!header) throw new Error('Not an encrypted file');
+    const dataKey = getDataKey(header.botId);
+    const layout = getLayout(header, source.size);
+
+    return {
+        encrypted: true,
+        size: layout.size,
+
+        /**
+         * Stream the plaintext bytes start..end (inclusive, default: all)
+         * @returns {Promise<Readable>}
+         */
+        async createReadStream({ start = 0, end = layout.size - 1 } = {}) {
+            const firstChunk = Math.floor(start / header.chunkSize);
+            const lastChunk = Math.max(0, Math.floor(end / header.chunkSize));
+            const decrypt = createDecryptStream(dataKey, header, layout, { firstChunk, lastChunk, start, end });
+            const cipherStart = header.length + firstChunk * layout.cipherChunkSize;
+            const cipherEnd = header.length + Math.min((lastChunk + 1) * layout.cipherChunkSize, layout.bodySize) - 1;
+            const input = await source.readRange(cipherStart, cipherEnd);
+            return pipeline(input, decrypt, () => {});
+        }
+    };
+}
+
+/**
+ * Open a local artifact for (ranged) reading, decrypting it if needed
+ * @returns {Promise<{encrypted: boolean, size: number, mtime: Date, createReadStream: Function}>}
+ *   createReadStream({ start, end }) -> Promise<Readable> of plaintext
+ */
+async function openArtifact(filePath) {
+    const stats = await fs.stat(filePath);
+    const head = await readHead(filePath, stats.size);
+    if (!parseHeader(head)) {
+        return {
+            encrypted: false,
+            size: stats.size,
+            mtime: stats.mtime,
+            async createReadStream(range = {}) {
+                return fs.createReadStream(filePath, { ...range, highWaterMark: 1024 * 1024 });
+            }
+        };
+    }
+    const source = await openEncryptedSource({
+        size: stats.size,
+        readRange: async (start, end) => fs.createReadStream(filePath, { start, end, highWaterMark: 1024 * 1024 })
+    }, head);
+    return { ...source, mtime: stats.mtime };
+}
+
+/**
+ * Read a whole artifact, decrypting it if needed
+ * @returns {Promise<Buffer>}
+ */
+async function readArtifact(filePath) {
+    const data = await fs.readFile(filePath);
+    const header = parseHeader(data);
+    if (!header) return data;
+    const dataKey = getDataKey(header.botId);
+    const layout = getLayout(header, data.length);
+    const chunks = [];
+    for (let index = 0; index < layout.chunkCount; index++) {
+        const start = header.length + index * layout.cipherChunkSize;
+        const chunk = data.subarray(start, Math.min(start + layout.cipherChunkSize, data.length));
+        chunks.push(decryptChunk(dataKey, header, index, index === layout.chunkCount - 1, chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Write the plaintext of an artifact to another file (e.g. for ffmpeg)
+ */
+async function decryptFile(filePath, outputPath) {
+    const input = await (await openArtifact(filePath)).createReadStream();
+    await new Promise((resolve, reject) => {
+        pipeline(input, fs.createWriteStream(outputPath), (error) => (error ? reject(error) : resolve()));
+    });
+}
+
+async function readArtifactText(filePath) {
+    return (await readArtifact(filePath)).toString('utf8');
+}
+
+async function readArtifactJson(filePath) {
+    return JSON.parse(await readArtifactText(filePath));
+}
+
+// Files of an artifact path (directories recursively), without temporary
+// files and folders that are being written (*.tmp)
+async function listFiles(filePath) {
+    if (filePath.endsWith('.tmp')) return [];
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats) return [];
+    if (!stats.isDirectory()) return [filePath];
+    const files = [];
+    for (const entry of await fs.readdir(filePath)) {
+        files.push(...await listFiles(path.join(filePath, entry)));
+    }
+    return files;
+}
+
+/**
+ * Encrypt a finished bot's artifacts (see ENCRYPTED_ARTIFACTS), if encryption is enabled
+ * @returns {Promise<number>} Number of files encrypted now
+ */
+async function encryptBotArtifacts(botId, runtimeRoot = RUNTIME_ROOT) {
+    if (!isEncryptionEnabled()) return 0;
+    const botDir = path.join(runtimeRoot, botId);
+    let count = 0;
+    for (const relativePath of ENCRYPTED_ARTIFACTS) {
+        for (const filePath of await listFiles(path.join(botDir, relativePath))) {
+            if (await encryptFile(botId, filePath)) count++;
+        }
+    }
+    if (count > 0) console.log(`🔐 Bot ${botId}: ${count} artifact file(s) encrypted at rest`);
+    return count;
+}
+
+/**
+ * Rewrap every data key not wrapped by the current master key
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only count the keys to rewrap
+ * @returns {{rotated: number, current: number, failed: Array<{bot_id: string, error: string}>}}
+ */
+function rotateDataKeys({ dryRun = false } = {}) {
+    const { current } = getMasterKeys();
+    if (!current) throw new Error('Encryption is not configured (ENCRYPTION_MASTER_KEY)');
+    const report = { rotated: 0, current: 0, failed: [] };
+    for (const row of botOps.findEncryptionKeys()) {
+        try {
+            const wrapped = JSON.parse(row.encryption_key);
+            if (wrapped.kid === current.kid) {
+                report.current++;
+                continue;
+            }
+            const dataKey = unwrapDataKey(row.id, wrapped);
+            if (!dryRun) botOps.update(row.id, { encryption_key: JSON.stringify(wrapDataKey(row.id, dataKey)) });
+            report.rotated++;
+        } catch (e) {
+            report.failed.push({ bot_id: row.id, error: e.message });
+        }
+    }
+    dataKeyCache.clear();
+    return report;
+}
+
+module.exports = {
+    ENCRYPTED_ARTIFACTS,
+    isEncryptionEnabled,
+    getMasterKeyId,
+    getDataKey,
+    isEncryptedFile,
+    encryptFile,
+    decryptFile,
+    encryptBotArtifacts,
+    openEncryptedSource,
+    openArtifact,
+    readArtifact,
+    readArtifactText,
+    readArtifactJson,
+    rotateDataKeys
+};
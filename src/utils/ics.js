@@ -0,0 +1,345 @@
+/**
+ * iCalendar (ICS) Utilities
+ *
+ * Parses VEVENTs from .ics files / feeds, finds their Google Meet links and
+ * expands them into concrete occurrences (RRULE, EXDATE and RECURRENCE-ID
+ * overrides) so calendar meetings can be turned into scheduled bots.
+ */
+
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToUtc } = require('./timezone');
+const { parseRecurrence, expandOccurrences } = require('./recurrence');
+
+const MEET_URL_REGEX = /https?:\/\/meet\.google\.com\/(?:lookup\/[\w-]+|[a-z]{3}-[a-z]{4}-[a-z]{3})(?:\?[^\s"'<>\\]*)?/i;
+// Default event length when neither DTEND nor DURATION is given
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000;
+
+/**
+ * Unescape an iCalendar TEXT value
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line, e.g. DTSTART;TZID=America/Mexico_City:20250101T090000
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseContentLine(line) {
+    // The value starts at the first colon that is not inside a quoted parameter
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const eq = param.indexOf('=');
+        if (eq === -1) continue;
+        params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Resolve the timezone of a DATE-TIME property. Non-IANA TZIDs (e.g. Outlook's
+ * "Pacific Standard Time") cannot be resolved without VTIMEZONE support and
+ * fall back to the default timezone.
+ */
+function resolveTimezone(tzid, defaultTimezone) {
+    if (tzid && isValidTimezone(tzid)) return tzid;
+    return defaultTimezone;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20250101T090000Z, 20250101T090000 or 20250101
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimezone - Timezone for floating times
+ * @returns {{ts: number, allDay: boolean, timezone: string}|null}
+ */
+function parseDateValue(value, params, defaultTimezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const timezone = utc ? 'UTC' : resolveTimezone(params.TZID, defaultTimezone);
+    const parts = {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: hour ? Number(hour) : 0,
+        minute: minute ? Number(minute) : 0,
+        second: second ? Number(second) : 0
+    };
+
+    const ts = utc
+        ? Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+        : zonedTimeToUtc(parts, timezone);
+
+    return { ts, allDay: !hour, timezone };
+}
+
+/**
+ * Parse an ISO 8601 duration (DURATION property), e.g. PT1H30M
+ * @returns {number|null} Duration in milliseconds
+ */
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400
+        + Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an iCalendar document into VEVENTs
+ * @param {string} text - ICS content
+ * @param {Object} options - { defaultTimezone }
+ * @returns {{method: string|null, events: Array<Object>}} Calendar METHOD and parsed events
+ */
+function parseICS(text, options = {}) {
+    const defaultTimezone = options.defaultTimezone || DEFAULT_TIMEZONE;
+    if (!text || typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+        throw new Error('Invalid iCalendar data: missing BEGIN:VCALENDAR');
+    }
+
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const events = [];
+    let method = null;
+    let current = null;
+    // Depth of components nested inside the current VEVENT (e.g. VALARM)
+    let nestedDepth = 0;
+
+    for (const rawLine of lines) {
+        if (!rawLine.trim()) continue;
+        const line = parseContentLine(rawLine);
+        if (!line) continue;
+        const { name, params, value } = line;
+
+        if (name === 'BEGIN') {
+            if (value.toUpperCase() === 'VEVENT' && !current) {
+                current = {
+                    uid: null,
+                    summary: '',
+                    description: '',
+                    location: '',
+                    url: '',
+                    conference: [],
+                    start: null,
+                    end: null,
+                    duration: null,
+                    rrule: null,
+                    exdates: [],
+                    recurrenceId: null,
+                    status: 'CONFIRMED',
+                    sequence: 0
+                };
+            } else if (current) {
+                nestedDepth++;
+            }
+            continue;
+        }
+
+        if (name === 'END') {
+            if (current && nestedDepth > 0) {
+                nestedDepth--;
+            } else if (current && value.toUpperCase() === 'VEVENT') {
+                if (current.uid && current.start) {
+                    events.push(current);
+                }
+                current = null;
+            }
+            continue;
+        }
+
+        if (!current) {
+            if (name === 'METHOD') method = value.trim().toUpperCase();
+            continue;
+        }
+        if (nestedDepth > 0) continue;
+
+        switch (name) {
+            case 'UID':
+                current.uid = value.trim();
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeText(value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeText(value);
+                break;
+            case 'LOCATION':
+                current.location = unescapeText(value);
+                break;
+            case 'URL':
+                current.url = value.trim();
+                break;
+            case 'CONFERENCE':
+            case 'X-GOOGLE-CONFERENCE':
+                current.conference.push(value.trim());
+                break;
+            case 'DTSTART':
+                current.start = parseDateValue(value, params, defaultTimezone);
+                break;
+            case 'DTEND':
+                current.end = parseDateValue(value, params, defaultTimezone);
+                break;
+            case 'DURATION':
+                current.duration = parseDuration(value);
+                break;
+            case 'RRULE':
+                current.rrule = value.trim();
+                break;
+            case 'EXDATE':
+                for (const v of value.split(',')) {
+                    const exdate = parseDateValue(v, params, defaultTimezone);
+                    if (exdate) current.exdates.push(exdate.ts);
+                }
+                break;
+            case 'RECURRENCE-ID': {
+                const recurrenceId = parseDateValue(value, params, defaultTimezone);
+                if (recurrenceId) current.recurrenceId = recurrenceId.ts;
+                break;
+            }
+            case 'STATUS':
+                current.status = value.trim().toUpperCase();
+                break;
+            case 'SEQUENCE':
+                current.sequence = parseInt(value, 10) || 0;
+                break;
+            default:
+                break;
+        }
+    }
+
+    return { method, events };
+}
+
+/**
+ * Find the Google Meet link of an event. Conference properties are the most
+ * reliable source, then LOCATION, URL and finally the free-text DESCRIPTION.
+ * @param {Object} event - Parsed VEVENT
+ * @returns {string|null} Meet URL
+ */
+function extractMeetUrl(event) {
+    const sources = [...event.conference, event.location, event.url, event.description];
+    for (const source of sources) {
+        const match = source && MEET_URL_REGEX.exec(source);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Expand parsed events into occurrences within a time window.
+ * Recurring events are expanded with their RRULE minus EXDATEs; instances
+ * overridden by a RECURRENCE-ID event use the override's data. All-day events
+ * are skipped since they have no meeting time to join.
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {Object} options - { from, to, cancelAll, onRuleError }
+ * @param {number} options.from - Window start (occurrences ending before it are skipped)
+ * @param {number} options.to - Window end (occurrences starting after it are skipped)
+ * @param {boolean} options.cancelAll - Treat every event as cancelled (METHOD:CANCEL)
+ * @param {Function} options.onRuleError - Called with (event, error) for RRULEs that can't be expanded (only the first occurrence is used)
+ * @returns {Array<Object>} Occurrences { uid, occurrenceStart, start, end, title, meetUrl, cancelled, sequence }
+ */
+function expandEvents(events, options) {
+    const { from, to, cancelAll = false, onRuleError = null } = options;
+    const occurrences = [];
+
+    // RECURRENCE-ID overrides, keyed by UID and original occurrence start
+    const overrides = new Map();
+    for (const event of events) {
+        if (event.recurrenceId === null) continue;
+        if (!overrides.has(event.uid)) overrides.set(event.uid, new Map());
+        overrides.get(event.uid).set(event.recurrenceId, event);
+    }
+
+    const toOccurrence = (event, occurrenceStart, start) => {
+        const duration = event.end
+            ? event.end.ts - event.start.ts
+            : (event.duration !== null ? event.duration : DEFAULT_EVENT_DURATION_MS);
+        return {
+            uid: event.uid,
+            occurrenceStart,
+            start,
+            end: start + duration,
+            title: event.summary || null,
+            meetUrl: extractMeetUrl(event),
+            cancelled: cancelAll || event.status === 'CANCELLED',
+            sequence: event.sequence
+        };
+    };
+    const inWindow = (occurrence) => occurrence.end > from && occurrence.start < to;
+
+    for (const event of events) {
+        if (event.recurrenceId !== null || event.start.allDay) continue;
+        const eventOverrides = overrides.get(event.uid) || new Map();
+
+        let starts = [event.start.ts];
+        if (event.rrule) {
+            try {
+                // Look back one event length so meetings already in progress are included
+                const duration = event.end ? event.end.ts - event.start.ts : DEFAULT_EVENT_DURATION_MS;
+                starts = expandOccurrences(parseRecurrence(event.rrule, event.start.timezone), event.start.ts, {
+                    after: from - duration - 1,
+                    before: to,
+                    exclude: event.exdates,
+                    limit: 500,
+                    timezone: event.start.timezone
+                });
+            } catch (e) {
+                console.warn(`⚠️  Could not expand RRULE of event ${event.uid} (${e.message}), using first occurrence only`);
+                if (onRuleError) onRuleError(event, e);
+            }
+        } else if (event.exdates.includes(event.start.ts)) {
+            starts = [];
+        }
+
+        for (const start of starts) {
+            const override = eventOverrides.get(start);
+            const occurrence = override
+                ? toOccurrence(override, start, override.start.ts)
+                : toOccurrence(event, start, start);
+            if (inWindow(occurrence)) occurrences.push(occurrence);
+        }
+
+        // Overrides moved into the window from an occurrence outside of it
+        for (const [recurrenceId, override] of eventOverrides) {
+            if (starts.includes(recurrenceId) || override.start.allDay) continue;
+            const occurrence = toOccurrence(override, recurrenceId, override.start.ts);
+            if (inWindow(occurrence)) occurrences.push(occurrence);
+        }
+    }
+
+    // Overrides whose master event is not part of this document (e.g. invitation updates)
+    for (const [uid, eventOverrides] of overrides) {
+        if (events.some(e => e.uid === uid && e.recurrenceId === null)) continue;
+        for (const [recurrenceId, override] of eventOverrides) {
+            if (override.start.allDay) continue;
+            const occurrence = toOccurrence(override, recurrenceId, override.start.ts);
+            if (inWindow(occurrence)) occurrences.push(occurrence);
+        }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    parseICS,
+    extractMeetUrl,
+    expandEvents
+};
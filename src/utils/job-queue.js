@@ -0,0 +1,204 @@
+/**
+ * Post-processing Job Queue
+ *
+ * The work done on a bot after its meeting ends (summary, email, HLS, audio
+ * exports, remux, upload, encryption) runs as typed jobs persisted in
+ * post_processing_jobs, so a crash or restart does not lose it:
+ *   - a job waits for the jobs it depends on to finish (completed or failed:
+ *     handlers cope with a missing input, e.g. upload without remux)
+ *   - failed attempts are retried with exponential backoff, up to the job
+ *     type's max attempts, and every attempt is logged in post_processing_job_logs
+ *   - jobs left running by a stopped server are queued again on start
+ *
+ * The worker runs POST_PROCESSING_CONCURRENCY jobs at a time, independently
+ * of the live-bot slots (MAX_CONCURRENT_BOTS). Handlers are registered by
+ * the server with registerJobType and must be safe to run again.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { jobOps } = require('../database');
+const { sendWebhook } = require('./webhook');
+
+const POST_PROCESSING_CONCURRENCY = Math.max(1, Number(process.env.POST_PROCESSING_CONCURRENCY || 1));
+// Total attempts per job (including the first one) unless its type sets its own
+const POST_PROCESSING_MAX_ATTEMPTS = Math.max(1, Number(process.env.POST_PROCESSING_MAX_ATTEMPTS || 3));
+// Delay before the first retry; doubled for every further retry
+const POST_PROCESSING_RETRY_BASE_MS = Number(process.env.POST_PROCESSING_RETRY_BASE_SECONDS || 30) * 1000;
+const POST_PROCESSING_RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const POST_PROCESSING_POLL_INTERVAL_MS = 10 * 1000;
+
+// Registered handlers by job type: { run, maxAttempts }
+const jobTypes = new Map();
+// IDs of the jobs this process is running
+const runningJobs = new Set();
+let workerTimer = null;
+
+/**
+ * Register the handler of a job type
+ * @param {string} type - Job type (e.g. 'summary', 'upload')
+ * @param {Function} run - async ({ botId, payload, attempt, log }) => result (stored as JSON)
+ * @param {Object} options - { maxAttempts }
+ */
+function registerJobType(type, run, { maxAttempts = POST_PROCESSING_MAX_ATTEMPTS } = {}) {
+    jobTypes.set(type, { run, maxAttempts: Math.max(1, maxAttempts) });
+}
+
+/**
+ * Queue a bot's jobs. Dependencies refer to other jobs of the same call by
+ * key (the job type unless a key is given); keys that are not part of the
+ * call are ignored, so optional steps can simply be left out.
+ *
+ * @param {string} botId - Bot ID
+ * @param {Array<Object>} jobs - { type, key, payload, dependsOn: [keys] }
+ * @returns {Array<string>} Job IDs, in the given order
+ */
+function enqueueJobs(botId, jobs) {
+    const ids = new Map(jobs.map(job => [job.key || job.type, uuidv4()]));
+    const rows = jobs.map(job => {
+        const jobType = jobTypes.get(job.type);
+        if (!jobType) throw new Error(`Unknown post-processing job type: ${job.type}`);
+        return {
+            id: ids.get(job.key || job.type),
+            botId,
+            type: job.type,
+            payload: job.payload || {},
+            dependsOn: (job.dependsOn || []).filter(key => ids.has(key)).map(key => ids.get(key)),
+            maxAttempts: jobType.maxAttempts
+        };
+    });
+    jobOps.createJobs(rows);
+    console.log(`📋 Bot ${botId}: queued post-processing jobs: ${rows.map(row => row.type).join(', ')}`);
+    setImmediate(processJobQueue);
+    return rows.map(row => row.id);
+}
+
+/**
+ * Delay before retrying a job after its attempt-th failure
+ */
+function getRetryDelay(attempt) {
+    return Math.min(POST_PROCESSING_RETRY_BASE_MS * Math.pow(2, attempt - 1), POST_PROCESSING_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Run one attempt of a claimed job and record the outcome
+ * @param {Object} job - post_processing_jobs row, as read before it was claimed
+ */
+async function runJob(job) {
+    const attempt = job.attempts + 1;
+    const log = (message, level = 'info') => {
+        try { jobOps.addLog(job.id, attempt, level, message); } catch (e) {}
+    };
+    const startedAt = Date.now();
+    log(`Attempt ${attempt}/${job.max_attempts} started`);
+
+    try {
+        const jobType = jobTypes.get(job.type);
+        if (!jobType) throw new Error(`Unknown post-processing job type: ${job.type}`);
+        let payload = {};
+        try { payload = JSON.parse(job.payload); } catch (e) {}
+
+        const result = await jobType.run({ botId: job.bot_id, payload, attempt, log });
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+        jobOps.finishJob(job.id, { status: 'completed', result });
+        log(`Completed in ${seconds}s`);
+        console.log(`✅ Bot ${job.bot_id}: ${job.type} job completed in ${seconds}s`);
+    } catch (error) {
+        const message = error && error.message ? error.message : String(error);
+        log(message, 'error');
+        if (attempt < job.max_attempts) {
+            const delay = getRetryDelay(attempt);
+            jobOps.finishJob(job.id, { status: 'pending', error: message, nextAttemptAt: Date.now() + delay });
+            console.warn(`⚠️  Bot ${job.bot_id}: ${job.type} job failed (attempt ${attempt}/${job.max_attempts}, retrying in ${Math.round(delay / 1000)}s): ${message}`);
+        } else {
+            jobOps.finishJob(job.id, { status: 'failed', error: message });
+            console.error(`❌ Bot ${job.bot_id}: ${job.type} job failed after ${attempt} attempt(s): ${message}`);
+            try { sendWebhook('error.occurred', { bot_id: job.bot_id, code: 'post_processing_failed', message, details: { job_id: job.id, type: job.type, attempts: attempt } }); } catch (e) {}
+        }
+    }
+}
+
+/**
+ * Start due jobs until the worker's concurrency is used up. Does nothing
+ * until the worker is started, so jobs queued at startup wait for it.
+ */
+function processJobQueue() {
+    if (!workerTimer) return;
+    try {
+        while (runningJobs.size < POST_PROCESSING_CONCURRENCY) {
+            const [job] = jobOps.findDueJobs(Date.now(), 1);
+            if (!job) break;
+            if (!jobOps.claimJob(job.id)) continue;
+            runningJobs.add(job.id);
+            runJob(job).finally(() => {
+                runningJobs.delete(job.id);
+                // A finished job may unblock the jobs that depend on it
+                processJobQueue();
+            });
+        }
+    } catch (e) {
+        console.warn(`⚠️ Post-processing queue error: ${e && e.message ? e.message : e}`);
+    }
+}
+
+/**
+ * Start the post-processing worker, resuming the jobs of a previous run
+ */
+function startJobWorker() {
+    if (workerTimer) return;
+    const requeued = jobOps.requeueRunning();
+    if (requeued > 0) {
+        console.log(`🔁 Resuming ${requeued} interrupted post-processing job(s)`);
+    }
+    workerTimer = setInterval(processJobQueue, POST_PROCESSING_POLL_INTERVAL_MS);
+    console.log(`⚙️  Post-processing worker started (${POST_PROCESSING_CONCURRENCY} job(s) at a time)`);
+    processJobQueue();
+}
+
+/**
+ * Stop starting jobs. Jobs in progress are resumed on the next start if
+ * the process exits before they finish.
+ */
+function stopJobWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+    if (runningJobs.size > 0) {
+        console.log(`⏸️  ${runningJobs.size} post-processing job(s) in progress will resume on the next start`);
+    }
+}
+
+/**
+ * Put a bot's failed jobs back in the queue, and the jobs that depend on
+ * them so their output is produced again (e.g. email after summary)
+ * @returns {number} Number of jobs queued again
+ */
+function retryFailedJobs(botId) {
+    const requeued = jobOps.requeueFailed(botId);
+    if (requeued > 0) setImmediate(processJobQueue);
+    return requeued;
+}
+
+/**
+ * Overall post-processing state of a bot from its jobs:
+ * none, pending, running, failed or completed
+ */
+function getPostProcessingStatus(jobs) {
+    if (jobs.length === 0) return 'none';
+    if (jobs.some(job => job.status === 'running')) return 'running';
+    if (jobs.some(job => job.status === 'pending')) {
+        return jobs.every(job => job.status === 'pending') ? 'pending' : 'running';
+    }
+    return jobs.some(job => job.status === 'failed') ? 'failed' : 'completed';
+}
+
+module.exports = {
+    POST_PROCESSING_CONCURRENCY,
+    registerJobType,
+    enqueueJobs,
+    processJobQueue,
+    startJobWorker,
+    stopJobWorker,
+    retryFailedJobs,
+    getPostProcessingStatus
+};
@@ -0,0 +1,134 @@
+/**
+ * Live Bot Events
+ *
+ * In-process pub/sub for things that happen while a bot is in a meeting:
+ * caption utterances, participants joining/leaving and status changes.
+ * Bots publish, the WebSocket stream (/v1/bots/:botId/stream) subscribes.
+ *
+ * The latest state of each bot (status, participants, recent captions) is
+ * kept so clients connecting mid-meeting can start from a snapshot.
+ */
+
+// Captions kept per bot for snapshots
+const MAX_SNAPSHOT_CAPTIONS = 500;
+// How long the state of a finished bot is kept for late subscribers
+const FINISHED_STATE_TTL_MS = 5 * 60 * 1000;
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const subscribers = new Map();
+const states = new Map();
+
+/**
+ * Get (or create) the live state of a bot
+ */
+function getState(botId) {
+    if (!states.has(botId)) {
+        states.set(botId, { status: null, participants: [], captions: [], updatedAt: Date.now(), cleanupTimer: null });
+    }
+    return states.get(botId);
+}
+
+/**
+ * Apply an event to the bot's state
+ */
+function applyToState(state, type, data) {
+    switch (type) {
+        case 'caption': {
+            // Captions are upserted by index: the last one grows until it is final
+            const existing = state.captions.findIndex(c => c.index === data.index);
+            if (existing !== -1) state.captions[existing] = data;
+            else state.captions.push(data);
+            if (state.captions.length > MAX_SNAPSHOT_CAPTIONS) {
+                state.captions.splice(0, state.captions.length - MAX_SNAPSHOT_CAPTIONS);
+            }
+            break;
+        }
+        case 'participant.joined':
+            if (data.name && !state.participants.includes(data.name)) state.participants.push(data.name);
+            break;
+        case 'participant.left':
+            state.participants = state.participants.filter(name => name !== data.name);
+            break;
+        case 'status':
+            state.status = data.status;
+            break;
+        default:
+            break;
+    }
+    state.updatedAt = Date.now();
+}
+
+/**
+ * Publish an event for a bot
+ * @param {string} botId - Bot ID
+ * @param {string} type - caption | participant.joined | participant.left | status
+ * @param {Object} data - Event data
+ */
+function publishLiveEvent(botId, type, data = {}) {
+    if (!botId) return;
+    const state = getState(botId);
+    applyToState(state, type, data);
+
+    const event = { type, bot_id: botId, data, timestamp_iso: new Date().toISOString() };
+    for (const listener of subscribers.get(botId) || []) {
+        try {
+            listener(event);
+        } catch (e) {
+            console.warn(`⚠️ Live event listener error for bot ${botId}: ${e && e.message ? e.message : e}`);
+        }
+    }
+
+    // Drop the state of finished bots once late subscribers had a chance to read it
+    if (type === 'status' && FINAL_STATUSES.includes(data.status)) {
+        if (state.cleanupTimer) clearTimeout(state.cleanupTimer);
+        state.cleanupTimer = setTimeout(() => states.delete(botId), FINISHED_STATE_TTL_MS);
+        if (state.cleanupTimer.unref) state.cleanupTimer.unref();
+    }
+}
+
+/**
+ * Subscribe to a bot's events
+ * @param {string} botId - Bot ID
+ * @param {Function} listener - Called with { type, bot_id, data, timestamp_iso }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeLiveEvents(botId, listener) {
+    if (!subscribers.has(botId)) subscribers.set(botId, new Set());
+    subscribers.get(botId).add(listener);
+
+    return () => {
+        const set = subscribers.get(botId);
+        if (!set) return;
+        set.delete(listener);
+        if (set.size === 0) subscribers.delete(botId);
+    };
+}
+
+/**
+ * Get the current live state of a bot
+ * @returns {{status: string|null, participants: Array<string>, captions: Array<Object>}}
+ */
+function getLiveSnapshot(botId) {
+    const state = states.get(botId);
+    if (!state) return { status: null, participants: [], captions: [] };
+    return {
+        status: state.status,
+        participants: [...state.participants],
+        captions: [...state.captions]
+    };
+}
+
+/**
+ * Whether a bot's stream has subscribers
+ */
+function hasLiveSubscribers(botId) {
+    return subscribers.has(botId);
+}
+
+module.exports = {
+    FINAL_STATUSES,
+    publishLiveEvent,
+    subscribeLiveEvents,
+    getLiveSnapshot,
+    hasLiveSubscribers
+};
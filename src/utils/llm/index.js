@@ -0,0 +1,287 @@
+/**
+ * LLM Providers
+ *
+ * Summaries, keywords, titles and chapters (../../openai-service.js) are
+ * generated through a chat completion provider chosen per organization or
+ * user (Configuration > AI Provider, /v1/llm), falling back to the server
+ * default (LLM_PROVIDER, or openai when OPENAI_API_KEY is set). A bot uses
+ * its organization's provider, else its owner's, else the server default.
+ * Providers:
+ *   - openai: api.openai.com
+ *   - azure: Azure OpenAI
+ *   - openai-compatible: any OpenAI-compatible base URL (llama.cpp, vLLM...)
+ *   - mock: deterministic offline answers, for tests
+ *
+ * Every provider implements:
+ *   chat({ messages, model, temperature, maxTokens, responseFormat })
+ *                                  -> { content, model, usage }
+ *   countTokens(text)              -> number
+ *   test()                         check credentials and model
+ * and exposes name, model (configured model, null to let each call pick
+ * its default) and contextWindow (null = known from the model name).
+ */
+
+const { configOps, orgOps, botOps } = require('../../database');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const LLM_PROVIDERS = ['openai', 'azure', 'openai-compatible', 'mock'];
+
+const PROVIDER_FACTORIES = {
+    openai: createOpenAIProvider,
+    azure: createOpenAIProvider,
+    'openai-compatible': createOpenAIProvider,
+    mock: createMockProvider
+};
+
+// Provider instances, keyed by their configuration
+const providerCache = new Map();
+
+let defaultConfigWarning = null;
+
+/**
+ * Get the server default LLM configuration from the environment
+ * @returns {Object|null} null if AI features are disabled
+ */
+function getDefaultLlmConfig() {
+    const provider = (process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none')).toLowerCase();
+    let config = null;
+    let missing = null;
+
+    if (provider === 'openai') {
+        config = { provider, apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL || null };
+        missing = process.env.OPENAI_API_KEY ? [] : ['OPENAI_API_KEY'];
+    } else if (provider === 'azure') {
+        config = {
+            provider,
+            endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+            apiKey: process.env.AZURE_OPENAI_API_KEY,
+            deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+            apiVersion: process.env.AZURE_OPENAI_API_VERSION || null,
+            contextWindow: Number(process.env.LLM_CONTEXT_WINDOW) || null
+        };
+        missing = ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_DEPLOYMENT'].filter(name => !process.env[name]);
+    } else if (provider === 'openai-compatible') {
+        config = {
+            provider,
+            baseUrl: process.env.LLM_BASE_URL,
+            apiKey: process.env.LLM_API_KEY || null,
+            model: process.env.LLM_MODEL,
+            contextWindow: Number(process.env.LLM_CONTEXT_WINDOW) || null
+        };
+        missing = ['LLM_BASE_URL', 'LLM_MODEL'].filter(name => !process.env[name]);
+    } else if (provider === 'mock') {
+        config = { provider, model: process.env.LLM_MODEL || null };
+    } else if (provider !== 'none') {
+        missing = [`LLM_PROVIDER (unknown provider '${provider}')`];
+    }
+
+    if (missing && missing.length > 0) {
+        const warning = `⚠️  Default LLM provider not configured - missing ${missing.join(', ')}; AI summaries are disabled`;
+        if (defaultConfigWarning !== warning) {
+            defaultConfigWarning = warning;
+            console.warn(warning);
+        }
+        return null;
+    }
+    return config ? { ...config, source: 'server' } : null;
+}
+
+/**
+ * Parse a provider and its stored settings (JSON) into a configuration
+ */
+function parseStoredConfig(provider, settingsJson, source, label) {
+    if (!provider || !LLM_PROVIDERS.includes(provider)) return null;
+    try {
+        return { ...(JSON.parse(settingsJson || '{}') || {}), provider, source };
+    } catch (e) {
+        console.warn(`⚠️  Invalid LLM configuration for ${label}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Get a user's own LLM configuration
+ * @returns {Object|null} null if the user uses the server default
+ */
+function getUserLlmConfig(userId) {
+    if (!userId) return null;
+    const row = configOps.getByUserId(userId);
+    return row ? parseStoredConfig(row.llm_provider, row.llm_config, 'user', `user ${userId}`) : null;
+}
+
+/**
+ * Get an organization's LLM configuration
+ * @returns {Object|null} null if its bots use their owner's
+ */
+function getOrgLlmConfig(organizationId) {
+    if (!organizationId) return null;
+    const org = orgOps.findById(organizationId);
+    return org ? parseStoredConfig(org.llm_provider, org.llm_config, 'organization', `organization ${organizationId}`) : null;
+}
+
+/**
+ * Get the LLM configuration of a bot: its organization's, else its owner's,
+ * else the server default
+ * @returns {Object|null}
+ */
+function getBotLlmConfig(botId) {
+    const bot = botId ? botOps.findById(botId) : null;
+    if (!bot) return getDefaultLlmConfig();
+    return getOrgLlmConfig(bot.organization_id) || getUserLlmConfig(bot.user_id) || getDefaultLlmConfig();
+}
+
+/**
+ * Get (or create) the provider for a configuration
+ */
+function getLlmProvider(config) {
+    const cacheKey = JSON.stringify(config);
+    let provider = providerCache.get(cacheKey);
+    if (!provider) {
+        if (providerCache.size > 100) providerCache.clear();
+        provider = PROVIDER_FACTORIES[config.provider](config);
+        providerCache.set(cacheKey, provider);
+    }
+    return provider;
+}
+
+/**
+ * Get the server default provider
+ * @returns {Object|null} null if AI features are disabled
+ */
+function getDefaultLlm() {
+    const config = getDefaultLlmConfig();
+    return config ? getLlmProvider(config) : null;
+}
+
+/**
+ * Get the provider a bot's summary, keywords, title and chapters are made with
+ * @returns {Object|null} null if AI features are disabled for it
+ */
+function getBotLlm(botId) {
+    const config = getBotLlmConfig(botId);
+    return config ? getLlmProvider(config) : null;
+}
+
+/**
+ * Validate LLM settings submitted by a user and normalize them
+ * @param {string} provider - Provider name
+ * @param {Object} settings - Settings in API (snake_case) form
+ * @param {Object|null} current - Current configuration, whose API key is kept when omitted
+ * @returns {{config?: Object, error?: string}} config without provider/source
+ */
+function normalizeLlmSettings(provider, settings = {}, current = null) {
+    if (!LLM_PROVIDERS.includes(provider)) {
+        return { error: `provider must be one of: ${LLM_PROVIDERS.join(', ')}` };
+    }
+    const keep = current && current.provider === provider ? current : {};
+    const str = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const isHttpUrl = (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    };
+    const contextWindow = settings.context_window === undefined || settings.context_window === null || settings.context_window === ''
+        ? null
+        : Number(settings.context_window);
+    if (contextWindow !== null && (!Number.isInteger(contextWindow) || contextWindow < 1024)) {
+        return { error: 'context_window must be an integer of at least 1024 (tokens)' };
+    }
+
+    if (provider === 'openai') {
+        const config = {
+            apiKey: str(settings.api_key) || keep.apiKey || null,
+            model: str(settings.model)
+        };
+        if (!config.apiKey) return { error: 'api_key is required' };
+        return { config };
+    }
+
+    if (provider === 'azure') {
+        const config = {
+            endpoint: str(settings.endpoint),
+            // Kept only while the endpoint is the same: never sent to another host
+            apiKey: str(settings.api_key) || (str(settings.endpoint) === keep.endpoint ? keep.apiKey || null : null),
+            deployment: str(settings.deployment),
+            apiVersion: str(settings.api_version),
+            contextWindow
+        };
+        if (!config.endpoint || !isHttpUrl(config.endpoint)) return { error: 'endpoint must be an http(s) URL' };
+        if (!config.apiKey) return { error: 'api_key is required' };
+        if (!config.deployment) return { error: 'deployment is required' };
+        return { config };
+    }
+
+    if (provider === 'openai-compatible') {
+        const config = {
+            baseUrl: str(settings.base_url),
+            // Kept only while the base URL is the same: it may be a different server's key
+            apiKey: str(settings.api_key) || (str(settings.base_url) === keep.baseUrl ? keep.apiKey || null : null),
+            model: str(settings.model),
+            contextWindow
+        };
+        if (!config.baseUrl || !isHttpUrl(config.baseUrl)) return { error: 'base_url must be an http(s) URL' };
+        if (!config.model) return { error: 'model is required' };
+        return { config };
+    }
+
+    return { config: { model: str(settings.model) } };
+}
+
+/**
+ * Describe an LLM configuration for the API, without secrets
+ */
+function formatLlmConfig(config) {
+    if (!config) return null;
+    if (config.provider === 'openai') {
+        return { model: config.model || null, api_key_set: !!config.apiKey };
+    }
+    if (config.provider === 'azure') {
+        return {
+            endpoint: config.endpoint,
+            deployment: config.deployment,
+            api_version: config.apiVersion || null,
+            context_window: config.contextWindow || null,
+            api_key_set: !!config.apiKey
+        };
+    }
+    if (config.provider === 'openai-compatible') {
+        return {
+            base_url: config.baseUrl,
+            model: config.model,
+            context_window: config.contextWindow || null,
+            api_key_set: !!config.apiKey
+        };
+    }
+    return { model: config.model || null };
+}
+
+/**
+ * Test an LLM configuration
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function testLlmConfig(config) {
+    const provider = getLlmProvider(config);
+    try {
+        await provider.test();
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: provider.describeError ? provider.describeError(error) : error.message };
+    }
+}
+
+module.exports = {
+    LLM_PROVIDERS,
+    getDefaultLlmConfig,
+    getUserLlmConfig,
+    getOrgLlmConfig,
+    getBotLlmConfig,
+    getLlmProvider,
+    getDefaultLlm,
+    getBotLlm,
+    normalizeLlmSettings,
+    formatLlmConfig,
+    testLlmConfig
+};
@@ -0,0 +1,57 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic, offline stand-in for tests and development: the same
+ * messages always get the same answer, without any network access.
+ *   - text answers: "[mock <hash>] " and the start of the last user message
+ *   - JSON answers (responseFormat json_object): {"mock": true, "id": "<hash>"}
+ * where <hash> is derived from the messages.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create a mock provider
+ * @param {Object} config - { model }
+ */
+function createMockProvider(config = {}) {
+    const model = config.model || 'mock';
+
+    const countTokens = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+    return {
+        name: 'mock',
+        model,
+        contextWindow: config.contextWindow || null,
+
+        async chat({ messages, maxTokens, responseFormat }) {
+            const id = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 12);
+            const lastUser = [...messages].reverse().find(message => message.role === 'user');
+            let content;
+            if (responseFormat === 'json_object') {
+                content = JSON.stringify({ mock: true, id });
+            } else {
+                const words = String(lastUser ? lastUser.content : '').split(/\s+/).filter(Boolean);
+                content = [`[mock ${id}]`, ...words.slice(0, Math.max(1, Math.min(maxTokens || 50, 50)))].join(' ');
+            }
+            const promptTokens = messages.reduce((total, message) => total + countTokens(message.content), 0);
+            const completionTokens = countTokens(content);
+            return {
+                content,
+                model,
+                usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+            };
+        },
+
+        /**
+         * Whitespace-separated words, so counts are exact and predictable in tests
+         */
+        countTokens,
+
+        async test() {}
+    };
+}
+
+module.exports = {
+    createMockProvider
+};
@@ -0,0 +1,88 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Chat completions through the OpenAI SDK, for:
+ *   - openai: api.openai.com
+ *   - azure: an Azure OpenAI resource (model = deployment name)
+ *   - openai-compatible: any server with the OpenAI chat completions API at
+ *     base_url (llama.cpp server, vLLM, Ollama, LiteLLM...)
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+
+const AZURE_OPENAI_DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Create an OpenAI, Azure OpenAI or OpenAI-compatible provider
+ * @param {Object} config - { provider, apiKey, model, endpoint, deployment, apiVersion, baseUrl, contextWindow }
+ */
+function createOpenAIProvider(config) {
+    let client;
+    let model = config.model || null;
+    if (config.provider === 'azure') {
+        client = new AzureOpenAI({
+            endpoint: config.endpoint,
+            apiKey: config.apiKey,
+            apiVersion: config.apiVersion || AZURE_OPENAI_DEFAULT_API_VERSION,
+            deployment: config.deployment
+        });
+        model = config.deployment;
+    } else if (config.provider === 'openai-compatible') {
+        // Local servers usually take any key, but the SDK requires one
+        client = new OpenAI({ apiKey: config.apiKey || 'none', baseURL: config.baseUrl });
+    } else {
+        client = new OpenAI({ apiKey: config.apiKey });
+    }
+
+    return {
+        name: config.provider,
+        model,
+        contextWindow: config.contextWindow || null,
+
+        /**
+         * Chat completion
+         * @param {Object} request - { messages, model (the configured one if omitted; always the deployment on Azure),
+         *   temperature, maxTokens, responseFormat ('json_object') }
+         * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+         */
+        async chat({ messages, model: requestedModel, temperature, maxTokens, responseFormat }) {
+            const completion = await client.chat.completions.create({
+                model: config.provider === 'azure' ? model : requestedModel || model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                ...(responseFormat ? { response_format: { type: responseFormat } } : {})
+            });
+            return {
+                content: completion.choices[0].message.content || '',
+                model: completion.model || requestedModel || model,
+                usage: completion.usage || null
+            };
+        },
+
+        /**
+         * Approximate token count (1 token ≈ 4 characters; no tokenizer is bundled)
+         */
+        countTokens(text) {
+            return Math.ceil(String(text || '').length / 4);
+        },
+
+        /**
+         * Check the credentials and model with a one-token completion
+         */
+        async test() {
+            await this.chat({ messages: [{ role: 'user', content: 'ping' }], model: model || 'gpt-4o-mini', maxTokens: 1 });
+        },
+
+        describeError(error) {
+            if (error && error.status === 401) return 'invalid API key';
+            if (error && error.status === 404) return `model or deployment not found${model ? ` (${model})` : ''}`;
+            return error && error.message ? error.message : String(error);
+        }
+    };
+}
+
+module.exports = {
+    AZURE_OPENAI_DEFAULT_API_VERSION,
+    createOpenAIProvider
+};
@@ -0,0 +1,142 @@
+/**
+ * Ask-your-meeting Q&A
+ *
+ * Answers a question about a finished meeting with the bot's LLM provider
+ * (see ./llm). The transcript is numbered by utterance (buildUtterances),
+ * split into chunks (chunkTranscript) and the chunks sharing the most
+ * (rare) words with the question are sent as context, up to
+ * QA_CONTEXT_TOKENS; short meetings are sent whole. The answer cites
+ * utterances as [n], returned as citations with their time so players can
+ * jump to them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readArtifactJson } = require('./encryption');
+const { buildUtterances, chunkTranscript, answerQuestion } = require('../openai-service');
+
+const QA_CHUNK_TOKENS = 800;
+const QA_CONTEXT_TOKENS = Number(process.env.QA_CONTEXT_TOKENS || 6000);
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_HISTORY_TURNS = 6;
+
+// Too common to tell chunks apart (English and Spanish)
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'what', 'who', 'when', 'where', 'why', 'how', 'did', 'does', 'that', 'this',
+    'with', 'about', 'from', 'have', 'has', 'they', 'their', 'them', 'there', 'which', 'will', 'would', 'can', 'could', 'meeting',
+    'que', 'qué', 'los', 'las', 'del', 'por', 'para', 'con', 'una', 'uno', 'como', 'cómo', 'cuál', 'quién', 'cuándo', 'dónde',
+    'pero', 'más', 'sus', 'fue', 'son', 'está', 'esta', 'este', 'eso', 'reunión', 'sobre', 'hay'
+]);
+
+/**
+ * Words of a text worth matching, lowercase and without accents
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOPWORDS.has(word))
+        .map(word => word.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+}
+
+/**
+ * Rank chunks by how well they match a question: matched words weighted by
+ * how rare they are across chunks (idf), saturated per word (BM25-like)
+ * @returns {Array<{index: number, score: number}>} Best first
+ */
+function rankChunks(chunks, question) {
+    const terms = [...new Set(tokenize(question))];
+    const chunkTerms = chunks.map(chunk => {
+        const counts = new Map();
+        for (const word of tokenize(chunk)) counts.set(word, (counts.get(word) || 0) + 1);
+        return counts;
+    });
+
+    const idf = new Map(terms.map(term => {
+        const df = chunkTerms.filter(counts => counts.has(term)).length;
+        return [term, Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5))];
+    }));
+
+    return chunkTerms
+        .map((counts, index) => ({
+            index,
+            score: terms.reduce((score, term) => {
+                const tf = counts.get(term) || 0;
+                return score + idf.get(term) * (tf * 2.2) / (tf + 1.2);
+            }, 0)
+        }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Validate a question and the previous turns of a conversation from an API request
+ * @returns {{error: string}|{question: string, history: Array<Object>}}
+ */
+function validateQuestion(body) {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    if (!question) return { error: 'question is required' };
+    if (question.length > MAX_QUESTION_LENGTH) return { error: `question must be at most ${MAX_QUESTION_LENGTH} characters` };
+
+    if (body.history !== undefined && !Array.isArray(body.history)) return { error: 'history must be an array of { role, content }' };
+    const history = (body.history || [])
+        .filter(turn => turn && ['user', 'assistant'].includes(turn.role) && typeof turn.content === 'string' && turn.content.trim())
+        .slice(-MAX_HISTORY_TURNS)
+        .map(turn => ({ role: turn.role, content: turn.content.slice(0, 4000) }));
+    return { question, history };
+}
+
+/**
+ * Answer a question about a bot's meeting
+ * @param {string} botId - Bot ID
+ * @param {string} runtimeRoot - Runtime folder
+ * @param {Object} options - { question, history, llm }
+ * @returns {Promise<Object|null>} { answer, citations: [{ utterance, time, speaker, text }] },
+ *   or null without a transcript
+ */
+async function askMeeting(botId, runtimeRoot, { question, history = [], llm }) {
+    const botDir = path.join(runtimeRoot, botId);
+    const captions = await readArtifactJson(path.join(botDir, 'transcripts', 'captions.json')).catch(() => null);
+    if (!Array.isArray(captions) || captions.length === 0) return null;
+
+    const metrics = await readArtifactJson(path.join(botDir, 'MeetingMetrics.json')).catch(() => null);
+    const utterances = buildUtterances(captions, metrics?.duration?.startTime || null);
+    if (utterances.length === 0) return null;
+
+    const formatOffset = (seconds) => {
+        const total = Math.floor(seconds);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    };
+    const transcript = utterances
+        .map((u, index) => `[${index}] [${formatOffset(u.startOffset)}] ${u.speaker}: ${u.text}`)
+        .join('\n');
+
+    // Best chunks within the context budget, back in meeting order
+    const chunks = chunkTranscript(transcript, QA_CHUNK_TOKENS, 100);
+    const maxChunks = Math.max(1, Math.floor(QA_CONTEXT_TOKENS / QA_CHUNK_TOKENS));
+    const selected = chunks.length <= maxChunks
+        ? chunks.map((chunk, index) => index)
+        : rankChunks(chunks, question).slice(0, maxChunks).map(chunk => chunk.index).sort((a, b) => a - b);
+    const excerpts = selected.map(index => chunks[index]).join('\n\n[...]\n\n');
+
+    const answer = await answerQuestion(question, excerpts, history, llm);
+
+    // Only utterances that were in the excerpts, in order of first citation
+    const cited = [...new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])))]
+        .filter(index => index < utterances.length && excerpts.includes(`[${index}] [`));
+    const citations = cited.map(index => ({
+        utterance: index,
+        time: Math.round(utterances[index].startOffset * 10) / 10,
+        speaker: utterances[index].speaker,
+        text: utterances[index].text.slice(0, 300)
+    }));
+
+    console.log(`💬 Bot ${botId}: question answered with ${llm.name} (${selected.length}/${chunks.length} chunks, ${citations.length} citations)`);
+    return { answer, citations };
+}
+
+module.exports = {
+    tokenize,
+    rankChunks,
+    validateQuestion,
+    askMeeting
+};
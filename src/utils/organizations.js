@@ -0,0 +1,56 @@
+/**
+ * Organization Roles
+ *
+ * Bots belong to their creator and, when created in an organization, are
+ * shared with its members. What a member can do depends on their role:
+ *   - viewer: see the organization's bots, recordings and transcripts
+ *   - member: + create bots in the organization and manage their own
+ *   - admin: + manage every bot, the settings, members and invites
+ *   - owner: + manage owners and delete the organization
+ */
+
+const { orgOps } = require('../database');
+
+// Highest role first
+const ORG_ROLES = ['owner', 'admin', 'member', 'viewer'];
+const ROLE_RANK = { viewer: 1, member: 2, admin: 3, owner: 4 };
+
+/**
+ * Whether a role is at least minRole
+ */
+function hasOrgRole(role, minRole) {
+    return (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+}
+
+/**
+ * Get what a user can do with a bot
+ * @param {Object} bot - Bot row
+ * @param {string} userId - User ID
+ * @param {string|null} [orgRole] - User's role in the bot's organization, looked up if omitted
+ * @returns {{role: string, canManage: boolean}|null} null if the user has no access.
+ *   role is 'creator' for the user who created the bot, otherwise their organization role
+ */
+function getBotAccess(bot, userId, orgRole) {
+    if (!bot) return null;
+    if (bot.user_id === userId) return { role: 'creator', canManage: true };
+    if (!bot.organization_id) return null;
+
+    const role = orgRole === undefined ? orgOps.getMemberRole(bot.organization_id, userId) : orgRole;
+    if (!role) return null;
+    return { role, canManage: hasOrgRole(role, 'admin') };
+}
+
+/**
+ * Get a user's role in each of their organizations
+ * @returns {Map<string, string>} organization ID -> role
+ */
+function getUserOrgRoles(userId) {
+    return new Map(orgOps.findByUserId(userId).map(org => [org.id, org.role]));
+}
+
+module.exports = {
+    ORG_ROLES,
+    hasOrgRole,
+    getBotAccess,
+    getUserOrgRoles
+};
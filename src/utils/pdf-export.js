@@ -21,6 +21,7 @@ async function generateMeetingPDF(options) {
         title = 'Meeting Transcript',
         transcript = [],
         summary = '',
+        actionItems = [],
         metrics = null,
         meetUrl = '',
         createdAt = null,
@@ -34,6 +35,7 @@ async function generateMeetingPDF(options) {
         title,
         transcript,
         summary,
+        actionItems,
         metrics,
         meetUrl,
         createdAt,
@@ -83,7 +85,7 @@ async function generateMeetingPDF(options) {
  * Build HTML for PDF
  */
 function buildPDFHTML(data) {
-    const { title, transcript, summary, metrics, meetUrl, createdAt, logoBase64 = '' } = data;
+    const { title, transcript, summary, actionItems = [], metrics, meetUrl, createdAt, logoBase64 = '' } = data;
 
     // Format date
     const dateStr = createdAt ? formatDateLong(new Date(createdAt)) : 'N/A';
@@ -140,6 +142,18 @@ function buildPDFHTML(data) {
         `;
     }
 
+    // Build action items HTML (task, owner, due date and where it was said)
+    const actionItemsHTML = actionItems.map(item => `
+            <tr>
+                <td>
+                    ${escapeHtml(item.description)}
+                    ${item.source ? `<div class="action-item-source">${formatTimestamp(item.source.time)} · ${escapeHtml(item.source.speaker)}</div>` : ''}
+                </td>
+                <td>${escapeHtml(item.owner || item.owner_mention || '—')}</td>
+                <td class="action-item-due">${item.due ? `${item.due.date}${item.due.time ? ` ${item.due.time}` : ''}` : '—'}</td>
+            </tr>
+        `).join('');
+
     // Build transcript HTML
     let transcriptHTML = '';
     if (transcript && transcript.length > 0) {
@@ -275,6 +289,34 @@ function buildPDFHTML(data) {
             color: #111;
         }
         
+        .action-items {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 10pt;
+        }
+        
+        .action-items th {
+            text-align: left;
+            background: #eff6ff;
+            padding: 6px 8px;
+        }
+        
+        .action-items td {
+            padding: 6px 8px;
+            border-bottom: 1px solid #e5e7eb;
+            vertical-align: top;
+            page-break-inside: avoid;
+        }
+        
+        .action-item-source {
+            font-size: 9pt;
+            color: #6b7280;
+        }
+        
+        .action-item-due {
+            white-space: nowrap;
+        }
+        
         .summary-content {
             background: #f9fafb;
             border-left: 4px solid #2563eb;
@@ -420,6 +462,16 @@ function buildPDFHTML(data) {
         </div>
     </div>
     
+    ${actionItemsHTML ? `
+    <div class="section">
+        <h2 class="section-title">Action Items</h2>
+        <table class="action-items">
+            <tr><th>Task</th><th>Owner</th><th>Due</th></tr>
+            ${actionItemsHTML}
+        </table>
+    </div>
+    ` : ''}
+    
     <div class="section" style="page-break-before: always;">
         <h2 class="section-title">Transcript</h2>
         ${transcriptHTML}
@@ -457,14 +509,17 @@ async function generateBotPDF(botId, runtimeRoot) {
     const captionsPath = path.join(botDir, 'transcripts', 'captions.json');
     const metricsPath = path.join(botDir, 'MeetingMetrics.json');
     const metadataPath = path.join(botDir, 'bot_metadata.json');
+    const actionItemsPath = path.join(botDir, 'action_items.json');
     
     let summary = '';
+    let actionItems = [];
     let transcript = [];
     let metrics = null;
     let metadata = null;
     
     // Load all files in parallel for better performance
     const { getCachedFile } = require('./file-cache');
+    const { readArtifactText, readArtifactJson, isEncryptionEnabled, encryptFile } = require('./encryption');
     
     // Load logo BEFORE building HTML (so it can be included)
     // Try multiple possible logo paths to handle different deployment scenarios
@@ -499,11 +554,12 @@ async function generateBotPDF(botId, runtimeRoot) {
         console.warn(`⚠️  __dirname: ${__dirname}`);
     }
     
-    const [metadataResult, summaryResult, captionsResult, metricsResult] = await Promise.allSettled([
+    const [metadataResult, summaryResult, captionsResult, metricsResult, actionItemsResult] = await Promise.allSettled([
         getCachedFile(metadataPath, fs.readJson, 60000).catch(() => null),
-        getCachedFile(summaryPath, (p) => fs.readFile(p, 'utf8'), 30000).catch(() => null),
-        getCachedFile(captionsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null),
-        getCachedFile(metricsPath, (p) => fs.readFile(p, 'utf8').then(d => JSON.parse(d)), 30000).catch(() => null)
+        getCachedFile(summaryPath, readArtifactText, 30000).catch(() => null),
+        getCachedFile(captionsPath, readArtifactJson, 30000).catch(() => null),
+        getCachedFile(metricsPath, readArtifactJson, 30000).catch(() => null),
+        getCachedFile(actionItemsPath, readArtifactJson, 30000).catch(() => null)
     ]);
     
     if (metadataResult.status === 'fulfilled' && metadataResult.value) {
@@ -528,6 +584,10 @@ async function generateBotPDF(botId, runtimeRoot) {
         metrics = metricsResult.value;
     }
     
+    if (actionItemsResult.status === 'fulfilled' && actionItemsResult.value && Array.isArray(actionItemsResult.value.items)) {
+        actionItems = actionItemsResult.value.items;
+    }
+    
     // Determine meeting title: prefer metadata title, fallback to default format
     let meetingTitle = `Meeting ${botId.slice(0, 8)}`;
     if (metadata && metadata.title && metadata.title.trim()) {
@@ -543,6 +603,7 @@ async function generateBotPDF(botId, runtimeRoot) {
         title: meetingTitle,
         transcript,
         summary,
+        actionItems,
         metrics,
         meetUrl: meetUrl,
         createdAt: metadata?.createdAt || metrics?.duration?.startTime,
@@ -558,6 +619,10 @@ async function generateBotPDF(botId, runtimeRoot) {
     // Save PDF with meeting title in filename (include botId for uniqueness)
     const pdfPath = path.join(botDir, `meeting-transcript-${sanitizedTitle}-${botId.slice(0, 8)}.pdf`);
     await savePDF(pdfBuffer, pdfPath);
+    // The export holds the transcript and summary: encrypted at rest like them
+    if (isEncryptionEnabled()) {
+        await encryptFile(botId, pdfPath);
+    }
     
     return { pdfPath, meetingTitle };
 }
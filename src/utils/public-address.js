@@ -0,0 +1,75 @@
+/**
+ * Public Address Checks
+ *
+ * Outgoing requests to URLs users choose (calendar feeds, webhooks) must not
+ * reach the server's own network: loopback, private, link-local (cloud
+ * metadata), CGNAT, multicast and reserved ranges are refused. Hostnames are
+ * checked when the connection is made (publicOnlyLookup), so DNS rebinding
+ * can't get around it; IP literals skip the lookup and are checked with
+ * assertPublicHost. Redirects must not be followed (they are not checked).
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is a public one
+ */
+function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Throw (code EPRIVATEADDRESS) if a URL's host is a non-public IP literal
+ * @param {URL} url - Parsed URL
+ */
+function assertPublicHost(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw Object.assign(new Error(`${host} is not a public address`), { code: 'EPRIVATEADDRESS' });
+    }
+}
+
+/**
+ * dns.lookup that refuses hosts resolving to non-public addresses
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'EPRIVATEADDRESS' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// For axios ({ ...publicOnlyAgents, maxRedirects: 0, proxy: false }) and http(s).request
+const publicOnlyAgents = {
+    httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+    httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+module.exports = {
+    isPublicAddress,
+    assertPublicHost,
+    publicOnlyLookup,
+    publicOnlyAgents
+};
@@ -0,0 +1,352 @@
+/**
+ * Recurrence Rules
+ *
+ * Minimal RFC 5545 RRULE support used for scheduled bots and calendar feeds:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (with ordinals such
+ * as 2TU or -1FR for MONTHLY and YEARLY), BYMONTHDAY, BYMONTH, BYSETPOS,
+ * COUNT and UNTIL. "4th Thursday of November" is
+ * FREQ=YEARLY;BYMONTH=11;BYDAY=4TH (or BYDAY=TH;BYSETPOS=4).
+ *
+ * Occurrences keep the wall-clock time of the first occurrence in the given
+ * timezone, so a 09:00 standup stays at 09:00 across DST changes.
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on how far a rule is expanded (in days) to avoid runaway loops
+const MAX_EXPANSION_DAYS = 366 * 30;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * Parse an RRULE UNTIL value (20250131T170000Z, 20250131T170000 or 20250131)
+ * @param {string} value - UNTIL value
+ * @param {string} timezone - Timezone for floating (non-UTC) values
+ * @returns {number} Unix timestamp in milliseconds
+ */
+function parseUntil(value, timezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid recurrence UNTIL value: ${value}`);
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const parts = {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        // A date-only UNTIL includes the whole day
+        hour: hour ? Number(hour) : 23,
+        minute: minute ? Number(minute) : 59,
+        second: second ? Number(second) : 59
+    };
+    if (utc) {
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+    return zonedTimeToUtc(parts, timezone);
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - RRULE string, e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR" (an "RRULE:" prefix is accepted)
+ * @param {string} timezone - IANA timezone used for floating UNTIL values
+ * @returns {Object} Parsed rule { freq, interval, byDay, byMonthDay, byMonth, bySetPos, count, until }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRecurrence(rule, timezone = DEFAULT_TIMEZONE) {
+    if (!rule || typeof rule !== 'string') {
+        throw new Error('Recurrence rule must be a non-empty string');
+    }
+
+    const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], count: null, until: null };
+    const body = rule.trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';').filter(Boolean)) {
+        const [rawKey, rawValue = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const value = rawValue.trim().toUpperCase();
+
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) {
+                    throw new Error(`Unsupported recurrence frequency: ${value}`);
+                }
+                parsed.freq = value;
+                break;
+            case 'INTERVAL':
+                parsed.interval = parseInt(value, 10);
+                if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+                    throw new Error(`Invalid recurrence INTERVAL: ${value}`);
+                }
+                break;
+            case 'COUNT':
+                parsed.count = parseInt(value, 10);
+                if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+                    throw new Error(`Invalid recurrence COUNT: ${value}`);
+                }
+                break;
+            case 'UNTIL':
+                parsed.until = parseUntil(value, timezone);
+                break;
+            case 'BYDAY':
+                parsed.byDay = value.split(',').map((token) => {
+                    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token.trim());
+                    if (!match) {
+                        throw new Error(`Invalid recurrence BYDAY value: ${token}`);
+                    }
+                    return {
+                        weekday: WEEKDAYS.indexOf(match[2]),
+                        ordinal: match[1] ? parseInt(match[1], 10) : null
+                    };
+                });
+                break;
+            case 'BYMONTHDAY':
+                parsed.byMonthDay = value.split(',').map((token) => {
+                    const day = parseInt(token, 10);
+                    if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+                        throw new Error(`Invalid recurrence BYMONTHDAY value: ${token}`);
+                    }
+                    return day;
+                });
+                break;
+            case 'BYMONTH':
+                parsed.byMonth = value.split(',').map((token) => {
+                    const month = parseInt(token, 10);
+                    if (!Number.isInteger(month) || month < 1 || month > 12) {
+                        throw new Error(`Invalid recurrence BYMONTH value: ${token}`);
+                    }
+                    return month;
+                });
+                break;
+            case 'BYSETPOS':
+                parsed.bySetPos = value.split(',').map((token) => {
+                    const position = parseInt(token, 10);
+                    if (!Number.isInteger(position) || position === 0 || position < -366 || position > 366) {
+                        throw new Error(`Invalid recurrence BYSETPOS value: ${token}`);
+                    }
+                    return position;
+                });
+                break;
+            case 'WKST':
+                // Weeks always start on Monday here, which is the RFC 5545 default
+                break;
+            default:
+                throw new Error(`Unsupported recurrence rule part: ${key}`);
+        }
+    }
+
+    if (!parsed.freq) {
+        throw new Error('Recurrence rule must include FREQ');
+    }
+    if (parsed.count && parsed.until) {
+        throw new Error('Recurrence rule cannot include both COUNT and UNTIL');
+    }
+
+    return parsed;
+}
+
+/**
+ * Check whether a calendar day (UTC-midnight Date standing for a local date)
+ * is part of the rule
+ * @param {Object} rule - Parsed rule
+ * @param {Date} day - Candidate day
+ * @param {Date} firstDay - Day of the first occurrence
+ * @param {number} dayIndex - Days elapsed since firstDay
+ * @returns {boolean}
+ */
+function matchesDay(rule, day, firstDay, dayIndex) {
+    const weekday = day.getUTCDay();
+    const dayOfMonth = day.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+
+    if (rule.byMonth.length && !rule.byMonth.includes(day.getUTCMonth() + 1)) return false;
+
+    const matchesMonthDay = () => rule.byMonthDay.some(d => (d > 0 ? d === dayOfMonth : daysInMonth + d + 1 === dayOfMonth));
+    // Ordinals (2TU, -1FR) count within the month, or within the year for YEARLY rules without BYMONTH
+    const matchesWeekday = (inYear = false) => rule.byDay.some(({ weekday: wd, ordinal }) => {
+        if (wd !== weekday) return false;
+        if (!ordinal) return true;
+        const year = day.getUTCFullYear();
+        const position = inYear ? Math.round((day.getTime() - Date.UTC(year, 0, 1)) / DAY_MS) + 1 : dayOfMonth;
+        const length = inYear ? Math.round((Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / DAY_MS) : daysInMonth;
+        if (ordinal > 0) return Math.ceil(position / 7) === ordinal;
+        return Math.ceil((length - position + 1) / 7) === -ordinal;
+    });
+
+    switch (rule.freq) {
+        case 'DAILY':
+            if (dayIndex % rule.interval !== 0) return false;
+            if (rule.byDay.length && !matchesWeekday()) return false;
+            if (rule.byMonthDay.length && !matchesMonthDay()) return false;
+            return true;
+
+        case 'WEEKLY': {
+            // Weeks start on Monday; count whole weeks since the week of the first occurrence
+            const firstWeekOffset = (firstDay.getUTCDay() + 6) % 7;
+            const weekIndex = Math.floor((dayIndex + firstWeekOffset) / 7);
+            if (weekIndex % rule.interval !== 0) return false;
+            if (rule.byDay.length) return matchesWeekday();
+            return weekday === firstDay.getUTCDay();
+        }
+
+        case 'MONTHLY': {
+            const monthIndex = (day.getUTCFullYear() - firstDay.getUTCFullYear()) * 12 + (day.getUTCMonth() - firstDay.getUTCMonth());
+            if (monthIndex % rule.interval !== 0) return false;
+            if (!rule.byDay.length && !rule.byMonthDay.length) return dayOfMonth === firstDay.getUTCDate();
+            return (!rule.byDay.length || matchesWeekday()) && (!rule.byMonthDay.length || matchesMonthDay());
+        }
+
+        case 'YEARLY': {
+            const yearIndex = day.getUTCFullYear() - firstDay.getUTCFullYear();
+            if (yearIndex % rule.interval !== 0) return false;
+            if (!rule.byDay.length && !rule.byMonthDay.length) {
+                // BYMONTH alone keeps the day of the month of the first occurrence
+                if (!rule.byMonth.length && day.getUTCMonth() !== firstDay.getUTCMonth()) return false;
+                return dayOfMonth === firstDay.getUTCDate();
+            }
+            return (!rule.byDay.length || matchesWeekday(!rule.byMonth.length))
+                && (!rule.byMonthDay.length || matchesMonthDay());
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check a matching day against BYSETPOS: its position among the matching days
+ * of its period (week, month or year; a DAILY period is the day itself)
+ * @param {Object} rule - Parsed rule
+ * @param {Date} day - Day that matches the rule
+ * @param {Date} firstDay - Day of the first occurrence
+ * @param {Map} periods - Matching days of the periods seen so far, by period start
+ * @returns {boolean}
+ */
+function matchesSetPosition(rule, day, firstDay, periods) {
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth();
+    let from = day.getTime();
+    let to = from + DAY_MS;
+    if (rule.freq === 'WEEKLY') {
+        from -= ((day.getUTCDay() + 6) % 7) * DAY_MS;
+        to = from + 7 * DAY_MS;
+    } else if (rule.freq === 'MONTHLY') {
+        from = Date.UTC(year, month, 1);
+        to = Date.UTC(year, month + 1, 1);
+    } else if (rule.freq === 'YEARLY') {
+        from = Date.UTC(year, 0, 1);
+        to = Date.UTC(year + 1, 0, 1);
+    }
+
+    if (!periods.has(from)) {
+        const matching = [];
+        for (let ts = from; ts < to; ts += DAY_MS) {
+            if (matchesDay(rule, new Date(ts), firstDay, Math.round((ts - firstDay.getTime()) / DAY_MS))) matching.push(ts);
+        }
+        periods.set(from, matching);
+    }
+    const matching = periods.get(from);
+    const index = matching.indexOf(day.getTime());
+    return rule.bySetPos.some(position => (position > 0 ? position - 1 : matching.length + position) === index);
+}
+
+/**
+ * Expand a recurrence rule into occurrence timestamps
+ * @param {string|Object} rule - RRULE string or result of parseRecurrence
+ * @param {number} startTs - First occurrence (DTSTART) as Unix timestamp in milliseconds
+ * @param {Object} options - Expansion options
+ * @param {number} options.after - Only return occurrences strictly after this timestamp
+ * @param {number} options.before - Only return occurrences strictly before this timestamp
+ * @param {number} options.limit - Maximum number of occurrences to return (default 100)
+ * @param {Array<number>} options.exclude - Occurrence timestamps to skip (EXDATE); they still count toward COUNT
+ * @param {string} options.timezone - IANA timezone whose wall-clock time is preserved
+ * @returns {Array<number>} Occurrence timestamps in ascending order
+ */
+function expandOccurrences(rule, startTs, options = {}) {
+    const {
+        after = -Infinity,
+        before = Infinity,
+        limit = 100,
+        exclude = [],
+        timezone = DEFAULT_TIMEZONE
+    } = options;
+    const parsed = typeof rule === 'string' ? parseRecurrence(rule, timezone) : rule;
+    const excluded = new Set(exclude);
+    const start = getZonedParts(startTs, timezone);
+    const firstDay = new Date(Date.UTC(start.year, start.month - 1, start.day));
+
+    const occurrences = [];
+    const periods = new Map();
+    let emitted = 0;
+
+    for (let dayIndex = 0; dayIndex < MAX_EXPANSION_DAYS; dayIndex++) {
+        const day = new Date(firstDay.getTime() + dayIndex * DAY_MS);
+        if (!matchesDay(parsed, day, firstDay, dayIndex)) continue;
+        if (parsed.bySetPos.length && !matchesSetPosition(parsed, day, firstDay, periods)) continue;
+
+        const occurrenceTs = zonedTimeToUtc({
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            hour: start.hour,
+            minute: start.minute,
+            second: start.second
+        }, timezone);
+
+        if (occurrenceTs < startTs) continue;
+        if (parsed.until !== null && occurrenceTs > parsed.until) break;
+        emitted++;
+        if (parsed.count !== null && emitted > parsed.count) break;
+        if (occurrenceTs >= before) break;
+        if (occurrenceTs <= after || excluded.has(occurrenceTs)) continue;
+
+        occurrences.push(occurrenceTs);
+        if (occurrences.length >= limit) break;
+    }
+
+    return occurrences;
+}
+
+/**
+ * Get the first occurrence of a rule strictly after a given time
+ * @param {string|Object} rule - RRULE string or result of parseRecurrence
+ * @param {number} startTs - First occurrence (DTSTART) as Unix timestamp in milliseconds
+ * @param {number} afterTs - Reference timestamp
+ * @param {string} timezone - IANA timezone whose wall-clock time is preserved
+ * @returns {number|null} Next occurrence timestamp, or null if the series has ended
+ */
+function getNextOccurrence(rule, startTs, afterTs, timezone = DEFAULT_TIMEZONE) {
+    const [next] = expandOccurrences(rule, startTs, { after: afterTs, limit: 1, timezone });
+    return next || null;
+}
+
+/**
+ * Roll a recurring series forward from one occurrence to the next one after
+ * a reference time. The returned rule is re-anchored on the new occurrence
+ * (COUNT reduced by the occurrences consumed), so each scheduled bot only
+ * needs its own join time and rule to continue the series.
+ * @param {string} rule - RRULE string
+ * @param {number} occurrenceTs - Current occurrence (anchor) timestamp
+ * @param {number} afterTs - Skip occurrences at or before this timestamp (e.g. missed ones)
+ * @param {string} timezone - IANA timezone whose wall-clock time is preserved
+ * @returns {{occurrence: number, rule: string}|null} Next occurrence and its rule, or null if the series has ended
+ */
+function advanceRecurrence(rule, occurrenceTs, afterTs, timezone = DEFAULT_TIMEZONE) {
+    const parsed = parseRecurrence(rule, timezone);
+    const next = getNextOccurrence(parsed, occurrenceTs, Math.max(occurrenceTs, afterTs), timezone);
+    if (!next) return null;
+
+    let nextRule = rule;
+    if (parsed.count !== null) {
+        const consumed = expandOccurrences(parsed, occurrenceTs, { before: next, limit: Infinity, timezone }).length;
+        nextRule = rule.replace(/COUNT=\d+/i, `COUNT=${parsed.count - consumed}`);
+    }
+    return { occurrence: next, rule: nextRule };
+}
+
+module.exports = {
+    parseRecurrence,
+    expandOccurrences,
+    getNextOccurrence,
+    advanceRecurrence
+};
@@ -2,6 +2,10 @@ const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const { sendWebhook } = require('./webhook');
+const { isEncryptedFile, encryptFile, decryptFile } = require('./encryption');
+
+// Remuxes in progress by output path, shared by concurrent callers
+const inflightRemuxes = new Map();
 
 /**
  * Remux a .webm file into an .mp4 container using ffmpeg -c copy -movflags +faststart
@@ -25,6 +29,7 @@ async function remuxWebmToMp4(inputPath, outputPath, overrideUrl = null) {
       '-i', inputPath,
       '-c', 'copy',
       '-movflags', '+faststart',
+      '-f', 'mp4', // outputPath may have a temporary extension
       outputPath
     ];
 
@@ -47,4 +52,45 @@ async function remuxWebmToMp4(inputPath, outputPath, overrideUrl = null) {
   });
 }
 
-module.exports = { remuxWebmToMp4 };
+/**
+ * Get the .mp4 remux of a finished .webm recording (same name, next to it),
+ * remuxing it on first use. Encrypted recordings are decrypted to a temporary
+ * file for ffmpeg and the remux is encrypted like its source.
+ *
+ * @param {string} inputPath - .webm local path
+ * @param {Object} options
+ * @param {string} options.botId - Owner of the data key of encrypted recordings
+ * @returns {Promise<string>} .mp4 local path
+ */
+async function ensureMp4Remux(inputPath, { botId, overrideUrl = null } = {}) {
+  const outputPath = inputPath.replace(/\.webm$/i, '.mp4');
+  if (await fs.pathExists(outputPath)) return outputPath;
+  if (inflightRemuxes.has(outputPath)) return inflightRemuxes.get(outputPath);
+
+  const job = (async () => {
+    // Written under temporary names so a failed run never leaves a partial .mp4
+    // (*.tmp files are also skipped by encryptBotArtifacts)
+    const tmpOutput = `${outputPath}.${process.pid}.tmp`;
+    let plaintextInput = null;
+    try {
+      let source = inputPath;
+      if (await isEncryptedFile(inputPath)) {
+        plaintextInput = `${inputPath}.${process.pid}.plain.tmp`;
+        await decryptFile(inputPath, plaintextInput);
+        source = plaintextInput;
+      }
+      await remuxWebmToMp4(source, tmpOutput, overrideUrl);
+      if (plaintextInput) await encryptFile(botId, tmpOutput);
+      await fs.move(tmpOutput, outputPath, { overwrite: true });
+      return outputPath;
+    } finally {
+      await fs.remove(tmpOutput).catch(() => {});
+      if (plaintextInput) await fs.remove(plaintextInput).catch(() => {});
+      inflightRemuxes.delete(outputPath);
+    }
+  })();
+  inflightRemuxes.set(outputPath, job);
+  return job;
+}
+
+module.exports = { remuxWebmToMp4, ensureMp4Remux };
@@ -0,0 +1,321 @@
+/**
+ * Retention Policies
+ *
+ * How long the artifacts of a finished bot are kept, in days counted from the
+ * end of the meeting (0 = forever). Each artifact resolves its policy from
+ * the bot's organization, then the bot owner's configuration, then the
+ * server default (RETENTION_*_DAYS):
+ *   - video: the recording and its HLS package, locally and in storage
+ *   - transcript: captions, speaker timeframes, PDF exports and the bot's
+ *     search indexes; the caption lines quoted in MeetingMetrics.json
+ *     (keyword occurrences) are removed, the numbers are kept
+ *   - summary: summary, keywords and PDF exports
+ *
+ * A janitor runs periodically and deletes expired artifacts, marks them in
+ * the bots table (<artifact>_deleted_at) and emits `artifact.deleted`. The
+ * runtime folder of a bot is removed once all of its artifacts are gone.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { botOps, searchOps, captionSearchOps } = require('../database');
+const { sendWebhook } = require('./webhook');
+const { invalidateCache } = require('./file-cache');
+const { isEncryptionEnabled, encryptFile, readArtifactJson } = require('./encryption');
+const { getRecordingLocation, deleteRecording, deleteHlsPackage } = require('./storage');
+
+const RUNTIME_ROOT = path.join(__dirname, '..', '..', 'runtime');
+
+// Files of each artifact, relative to runtime/<botId> (* matches any name in the bot folder)
+const PDF_EXPORTS = 'meeting-transcript-*.pdf';
+const RETENTION_ARTIFACTS = {
+    video: ['video'],
+    transcript: ['transcripts', 'captions.json', 'transcript.json', 'transcripts.json', 'SpeakerTimeframes.json', PDF_EXPORTS],
+    summary: ['summary.txt', 'keywords.json', 'action_items.json', PDF_EXPORTS]
+};
+const ARTIFACT_NAMES = Object.keys(RETENTION_ARTIFACTS);
+const MAX_RETENTION_DAYS = 36500;
+
+const DEFAULT_RETENTION_DAYS = Object.fromEntries(ARTIFACT_NAMES.map(name => [
+    name,
+    Number(process.env[`RETENTION_${name.toUpperCase()}_DAYS`] || 0)
+]));
+const JANITOR_INTERVAL_MS = Number(process.env.RETENTION_JANITOR_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+let janitorTimer = null;
+let janitorRunning = false;
+
+/**
+ * Validate retention days submitted through the API
+ * @param {Object} body - { video_days, transcript_days, summary_days }, null = inherit, 0 = forever
+ * @returns {{error: string}|{values: Object}} values keyed by artifact name (only those present)
+ */
+function validateRetentionDays(body) {
+    const values = {};
+    for (const name of ARTIFACT_NAMES) {
+        const key = `${name}_days`;
+        if (!Object.prototype.hasOwnProperty.call(body, key)) continue;
+        const days = body[key];
+        if (days !== null && (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS)) {
+            return { error: `${key} must be null (inherit), 0 (keep forever) or a number of days up to ${MAX_RETENTION_DAYS}` };
+        }
+        values[name] = days;
+    }
+    return { values };
+}
+
+/**
+ * Get the retention of each artifact of a bot (a findRetentionCandidates row)
+ * @returns {Object} { video: { days, source }, ... } with source 'organization', 'user' or 'server'
+ */
+function getRetentionPolicy(bot) {
+    const policy = {};
+    for (const name of ARTIFACT_NAMES) {
+        const orgDays = bot[`org_retention_${name}_days`];
+        const userDays = bot[`user_retention_${name}_days`];
+        if (orgDays !== null && orgDays !== undefined) policy[name] = { days: orgDays, source: 'organization' };
+        else if (userDays !== null && userDays !== undefined) policy[name] = { days: userDays, source: 'user' };
+        else policy[name] = { days: DEFAULT_RETENTION_DAYS[name] || 0, source: 'server' };
+    }
+    return policy;
+}
+
+// Existing files of an artifact, relative to the bot folder
+async function listArtifactFiles(botDir, name) {
+    const files = [];
+    let entries;
+    for (const relativePath of RETENTION_ARTIFACTS[name]) {
+        if (relativePath.includes('*')) {
+            if (entries === undefined) entries = await fs.readdir(botDir).catch(() => []);
+            const pattern = new RegExp(`^${relativePath.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            files.push(...entries.filter(entry => pattern.test(entry)));
+        } else if (await fs.pathExists(path.join(botDir, relativePath))) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Remove the caption lines quoted in a bot's meeting metrics (keyword
+ * occurrences), keeping the counts, talk time and durations
+ */
+async function stripMetricsTranscript(botId, botDir) {
+    const metricsPath = path.join(botDir, 'MeetingMetrics.json');
+    const metrics = await readArtifactJson(metricsPath).catch(() => null);
+    if (!metrics || !metrics.keywords || !Array.isArray(metrics.keywords.occurrences)) return;
+    metrics.keywords.occurrences = [];
+    await fs.writeJson(metricsPath, metrics, { spaces: 2 });
+    if (isEncryptionEnabled()) await encryptFile(botId, metricsPath);
+    invalidateCache(metricsPath);
+}
+
+// Total size of files and directories, 0 for missing ones
+async function getSize(filePath) {
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats) return 0;
+    if (!stats.isDirectory()) return stats.size;
+    let total = 0;
+    for (const entry of await fs.readdir(filePath)) {
+        total += await getSize(path.join(filePath, entry));
+    }
+    return total;
+}
+
+/**
+ * List the artifacts whose retention has run out
+ * @param {Object} options
+ * @param {string|null} options.userId - Only bots this user can see
+ * @returns {Promise<Array<Object>>} { bot_id, user_id, organization_id, artifact, retention_days, policy_source, expired_at, files, storage, hls_storage, size_bytes }
+ */
+async function findExpiredArtifacts({ userId = null, now = Date.now() } = {}) {
+    const expired = [];
+    for (const bot of botOps.findRetentionCandidates(userId)) {
+        const policy = getRetentionPolicy(bot);
+        const endedAt = bot.ended_at || bot.created_at;
+        const botDir = path.join(RUNTIME_ROOT, bot.id);
+        let metadata;
+
+        for (const name of ARTIFACT_NAMES) {
+            const { days, source } = policy[name];
+            if (bot[`${name}_deleted_at`] || !days) continue;
+            const expiresAt = endedAt + days * 24 * 60 * 60 * 1000;
+            if (expiresAt > now) continue;
+
+            const files = await listArtifactFiles(botDir, name);
+            let size = 0;
+            for (const relativePath of files) {
+                size += await getSize(path.join(botDir, relativePath));
+            }
+            let storage = null;
+            let hlsStorage = null;
+            if (name === 'video') {
+                if (metadata === undefined) metadata = await fs.readJson(path.join(botDir, 'bot_metadata.json')).catch(() => null);
+                storage = getRecordingLocation(metadata);
+                const hls = metadata && metadata.hls && metadata.hls.storage;
+                if (hls) hlsStorage = { provider: hls.provider, prefix: hls.prefix, file_count: Object.keys(hls.files || {}).length };
+            }
+
+            expired.push({
+                bot_id: bot.id,
+                user_id: bot.user_id,
+                organization_id: bot.organization_id || null,
+                artifact: name,
+                retention_days: days,
+                policy_source: source,
+                expired_at: new Date(expiresAt).toISOString(),
+                files,
+                storage,
+                hls_storage: hlsStorage,
+                size_bytes: size
+            });
+        }
+    }
+    return expired;
+}
+
+/**
+ * Delete one expired artifact (see findExpiredArtifacts)
+ */
+async function purgeArtifact(item) {
+    const botDir = path.join(RUNTIME_ROOT, item.bot_id);
+
+    if (item.storage || item.hls_storage) {
+        const metadataPath = path.join(botDir, 'bot_metadata.json');
+        const metadata = await fs.readJson(metadataPath).catch(() => null);
+        const results = [];
+        if (item.storage) results.push(await deleteRecording(item.storage));
+        if (metadata && metadata.hls && metadata.hls.storage) results.push(await deleteHlsPackage(metadata.hls.storage));
+        // Keep the artifact for the next run unless the objects are gone for good
+        const failed = results.find(result => !result.success && result.error !== 'Storage not configured');
+        if (failed) {
+            throw new Error(`storage delete failed: ${failed.error}`);
+        }
+        if (metadata) {
+            delete metadata.storage;
+            delete metadata.s3Key;
+            delete metadata.hls;
+            metadata.videoDeletedAt = new Date().toISOString();
+            await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+            invalidateCache(metadataPath);
+        }
+    }
+
+    for (const relativePath of item.files) {
+        const filePath = path.join(botDir, relativePath);
+        await fs.remove(filePath);
+        invalidateCache(filePath);
+    }
+    // The search indexes and the meeting metrics hold the transcript's text too
+    if (item.artifact === 'transcript') {
+        searchOps.deleteBotIndex(item.bot_id);
+        captionSearchOps.deleteBotCaptions(item.bot_id);
+        await stripMetricsTranscript(item.bot_id, botDir);
+    }
+
+    const deletedAt = Date.now();
+    botOps.update(item.bot_id, { [`${item.artifact}_deleted_at`]: deletedAt });
+
+    // Sent while bot_metadata.json still exists, so the owner's webhooks are found
+    await sendWebhook('artifact.deleted', {
+        bot_id: item.bot_id,
+        artifact: item.artifact,
+        retention_days: item.retention_days,
+        policy_source: item.policy_source,
+        files: item.files,
+        storage: item.storage ? { provider: item.storage.provider, key: item.storage.key } : null,
+        size_bytes: item.size_bytes,
+        deleted_at: new Date(deletedAt).toISOString()
+    });
+}
+
+/**
+ * Delete every expired artifact, or only report them
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report without deleting anything
+ * @param {string|null} options.userId - Only bots this user can see
+ * @returns {Promise<{dry_run: boolean, artifacts: Array<Object>, deleted: number, failed: number, size_bytes: number}>}
+ */
+async function runRetentionJanitor({ dryRun = false, userId = null } = {}) {
+    const artifacts = await findExpiredArtifacts({ userId });
+    const report = {
+        dry_run: dryRun,
+        artifacts,
+        deleted: 0,
+        failed: 0,
+        size_bytes: artifacts.reduce((sum, item) => sum + item.size_bytes, 0)
+    };
+    if (dryRun) return report;
+
+    const touchedBots = new Set();
+    for (const item of artifacts) {
+        try {
+            await purgeArtifact(item);
+            item.deleted = true;
+            report.deleted++;
+            touchedBots.add(item.bot_id);
+            console.log(`🧹 Bot ${item.bot_id}: ${item.artifact} deleted (retention ${item.retention_days} days, ${item.policy_source} policy)`);
+        } catch (e) {
+            item.deleted = false;
+            item.error = e.message;
+            report.failed++;
+            console.warn(`⚠️  Bot ${item.bot_id}: could not delete ${item.artifact}: ${e.message}`);
+        }
+    }
+
+    // Nothing left worth keeping: drop the runtime folder (metadata, metrics...)
+    for (const botId of touchedBots) {
+        const bot = botOps.findById(botId);
+        if (bot && ARTIFACT_NAMES.every(name => bot[`${name}_deleted_at`])) {
+            await fs.remove(path.join(RUNTIME_ROOT, botId)).catch((e) => {
+                console.warn(`⚠️  Bot ${botId}: could not remove runtime folder: ${e.message}`);
+            });
+            invalidateCache(path.join(RUNTIME_ROOT, botId, 'bot_metadata.json'));
+            console.log(`🧹 Bot ${botId}: runtime folder removed, all artifacts expired`);
+        }
+    }
+
+    if (report.deleted > 0 || report.failed > 0) {
+        console.log(`🧹 Retention janitor: ${report.deleted} artifact(s) deleted, ${report.failed} failed`);
+    }
+    return report;
+}
+
+/**
+ * Run the janitor periodically (and once right away)
+ */
+function startRetentionJanitor() {
+    if (janitorTimer) return;
+    const run = async () => {
+        if (janitorRunning) return;
+        janitorRunning = true;
+        try {
+            await runRetentionJanitor();
+        } catch (e) {
+            console.error('❌ Retention janitor error:', e.message);
+        } finally {
+            janitorRunning = false;
+        }
+    };
+    janitorTimer = setInterval(run, JANITOR_INTERVAL_MS);
+    console.log(`🧹 Retention janitor started (every ${JANITOR_INTERVAL_MS / 60000} min)`);
+    return run();
+}
+
+function stopRetentionJanitor() {
+    if (janitorTimer) {
+        clearInterval(janitorTimer);
+        janitorTimer = null;
+    }
+}
+
+module.exports = {
+    RETENTION_ARTIFACTS,
+    DEFAULT_RETENTION_DAYS,
+    validateRetentionDays,
+    getRetentionPolicy,
+    findExpiredArtifacts,
+    runRetentionJanitor,
+    startRetentionJanitor,
+    stopRetentionJanitor
+};
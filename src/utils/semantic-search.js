@@ -0,0 +1,253 @@
+/**
+ * Cross-meeting Semantic Search
+ *
+ * Finds the meetings where something was discussed, across every bot a user
+ * can see. After a meeting, its transcript is split into chunks of
+ * consecutive utterances (about SEARCH_CHUNK_CHARS characters) whose vectors
+ * (see ./embeddings) are stored in SQLite (searchOps). A search embeds the
+ * question with the same model and ranks the chunks by cosine similarity;
+ * each match points at the utterance of the chunk closest to the question.
+ *
+ * Bots finished before the index existed are indexed on startup
+ * (backfillSearchIndex); a bot leaves the index with its transcript
+ * (retention).
+ *
+ * Transcript text is only sent to the embeddings API of the server's LLM
+ * connection for bots that use the server default LLM provider; bots of an
+ * organization or user with their own provider only get local vectors, and
+ * search ranks each chunk with the best vectors it has.
+ *
+ * The index keeps the utterances in plaintext, so it is disabled (and
+ * emptied) while encryption at rest is enabled.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isEncryptionEnabled, readArtifactJson } = require('./encryption');
+const { getLocalEmbeddingsProvider, getEmbeddingsProvider, vectorToBuffer, bufferToVector, cosineSimilarity } = require('./embeddings');
+const { getBotLlmConfig } = require('./llm');
+const { searchOps } = require('../database');
+const { buildUtterances } = require('../openai-service');
+
+const SEARCH_CHUNK_CHARS = 1000;
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+// So one long meeting doesn't fill the results
+const MAX_MATCHES_PER_BOT = 3;
+// Local vectors of texts without a word in common score about 0
+const LOCAL_MIN_SCORE = 0.05;
+
+/**
+ * Split utterances into chunks of about SEARCH_CHUNK_CHARS characters
+ * @param {Array<Object>} utterances - From buildUtterances
+ * @param {number|null} meetingStartMs - To give each utterance its absolute time
+ * @returns {Array<Array<Object>>} { speaker, time (seconds from the start), at (ms or null), text }
+ */
+function buildChunks(utterances, meetingStartMs) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    for (const utterance of utterances) {
+        if (current.length > 0 && length + utterance.text.length > SEARCH_CHUNK_CHARS) {
+            chunks.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push({
+            speaker: utterance.speaker,
+            time: Math.round(utterance.startOffset * 10) / 10,
+            at: meetingStartMs ? Math.round(meetingStartMs + utterance.startOffset * 1000) : null,
+            text: utterance.text
+        });
+        length += utterance.speaker.length + utterance.text.length + 2;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Text of a chunk as it is embedded
+ */
+function chunkText(utterances) {
+    return utterances.map(u => `${u.speaker}: ${u.text}`).join('\n');
+}
+
+/**
+ * The provider a bot's transcript may be embedded with besides the local
+ * one: the configured one, only when the bot uses the server default LLM
+ * @returns {Object|null}
+ */
+function getBotEmbeddingsProvider(botId) {
+    const provider = getEmbeddingsProvider();
+    if (provider === getLocalEmbeddingsProvider()) return null;
+    const llmConfig = getBotLlmConfig(botId);
+    return llmConfig && llmConfig.source === 'server' ? provider : null;
+}
+
+/**
+ * Index (or re-index) a bot's transcript. Local vectors are always saved;
+ * when the configured provider fails, the error is thrown after saving them
+ * so the job is retried
+ * @param {string} botId - Bot ID
+ * @param {string} runtimeRoot - Runtime folder
+ * @returns {Promise<{chunks: number, models: Array<string>}|null>} null while encryption at rest is enabled
+ */
+async function indexBotTranscript(botId, runtimeRoot) {
+    if (isEncryptionEnabled()) return null;
+
+    const botDir = path.join(runtimeRoot, botId);
+    const captions = await readArtifactJson(path.join(botDir, 'transcripts', 'captions.json')).catch(() => null);
+    const metrics = await readArtifactJson(path.join(botDir, 'MeetingMetrics.json')).catch(() => null);
+    const startTime = metrics?.duration?.startTime || null;
+    const utterances = Array.isArray(captions) ? buildUtterances(captions, startTime) : [];
+
+    const firstCaptionMs = Array.isArray(captions)
+        ? captions.reduce((min, cap) => (cap.timestampMs && (!min || cap.timestampMs < min) ? cap.timestampMs : min), null)
+        : null;
+    const meetingStartMs = startTime ? new Date(startTime).getTime() : firstCaptionMs;
+    const chunks = buildChunks(utterances, meetingStartMs);
+    const texts = chunks.map(chunkText);
+
+    const local = getLocalEmbeddingsProvider();
+    const provider = getBotEmbeddingsProvider(botId);
+    const vectorsByModel = { [local.model]: (await local.embed(texts)).map(vectorToBuffer) };
+    let providerError = null;
+    if (provider) {
+        try {
+            vectorsByModel[provider.model] = texts.length > 0 ? (await provider.embed(texts)).map(vectorToBuffer) : [];
+        } catch (error) {
+            providerError = error;
+        }
+    }
+
+    searchOps.saveBotIndex(botId, chunks, vectorsByModel);
+    if (providerError) {
+        throw new Error(`${provider.name} embeddings failed (local vectors saved): ${providerError.message}`);
+    }
+    console.log(`🔎 Bot ${botId}: ${chunks.length} transcript chunks indexed for search (${Object.keys(vectorsByModel).join(', ')})`);
+    return { chunks: chunks.length, models: Object.keys(vectorsByModel) };
+}
+
+/**
+ * Index the finished bots missing from the index (or from the configured
+ * model's), newest first, one at a time
+ * @returns {Promise<number>} Bots indexed
+ */
+async function backfillSearchIndex(runtimeRoot) {
+    if (isEncryptionEnabled()) {
+        const deleted = searchOps.clearIndex();
+        if (deleted > 0) console.log(`🔐 Encryption at rest enabled: ${deleted} transcript chunk(s) removed from the search index`);
+        return 0;
+    }
+
+    const local = getLocalEmbeddingsProvider();
+    const provider = getEmbeddingsProvider();
+    const botIds = [...new Set([
+        ...searchOps.findUnindexedBotIds(local.model),
+        ...(provider !== local ? searchOps.findUnindexedBotIds(provider.model).filter(botId => getBotEmbeddingsProvider(botId)) : [])
+    ])];
+    if (botIds.length === 0) return 0;
+
+    console.log(`🔎 Indexing ${botIds.length} meeting(s) for search...`);
+    let indexed = 0;
+    for (const botId of botIds) {
+        try {
+            await indexBotTranscript(botId, runtimeRoot);
+            indexed++;
+        } catch (error) {
+            console.warn(`⚠️  Could not index bot ${botId} for search: ${error.message}`);
+        }
+    }
+    console.log(`✅ Search index backfill: ${indexed}/${botIds.length} meeting(s) indexed`);
+    return indexed;
+}
+
+/**
+ * Validate the query string of a search request
+ * @returns {{error: string}|{query: string, limit: number}}
+ */
+function validateSearchQuery(params) {
+    const query = typeof params.q === 'string' ? params.q.trim() : '';
+    if (!query) return { error: 'q is required' };
+    if (query.length > MAX_QUERY_LENGTH) return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+
+    const limit = params.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+        return { error: `limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}` };
+    }
+    return { query, limit };
+}
+
+/**
+ * Search the meetings a user can see
+ * @param {string} userId - User ID
+ * @param {string} query - What was discussed
+ * @param {Object} options - { limit }
+ * @returns {Promise<{models: Array<string>, matches: Array<Object>}>} matches best first:
+ *   { bot_id, title, meeting_url, meeting_date, score, speaker, time, timestamp, snippet }
+ */
+async function searchMeetings(userId, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const local = getLocalEmbeddingsProvider();
+    const provider = getEmbeddingsProvider();
+    const [localQuery] = await local.embed([query]);
+    const queryVectors = { [local.model]: localQuery };
+    if (provider !== local) {
+        try {
+            [queryVectors[provider.model]] = await provider.embed([query]);
+        } catch (error) {
+            console.warn(`⚠️  Search: ${provider.name} embeddings failed (${error.message}); using local embeddings`);
+        }
+    }
+
+    // Each chunk is scored with its configured-provider vector when it has
+    // one, else with its local vector
+    const best = new Map();
+    for (const row of searchOps.iterateChunksForUser(userId, Object.keys(queryVectors))) {
+        const isLocal = row.model === local.model;
+        if (isLocal && best.has(row.id)) continue;
+        const { vector, ...chunk } = row;
+        best.set(row.id, { chunk, isLocal, score: cosineSimilarity(queryVectors[row.model], bufferToVector(vector)) });
+    }
+    const scored = [...best.values()]
+        .filter(match => match.score > (match.isLocal ? LOCAL_MIN_SCORE : 0))
+        .sort((a, b) => b.score - a.score);
+
+    const perBot = new Map();
+    const selected = [];
+    for (const match of scored) {
+        const count = perBot.get(match.chunk.bot_id) || 0;
+        if (count >= MAX_MATCHES_PER_BOT) continue;
+        perBot.set(match.chunk.bot_id, count + 1);
+        selected.push(match);
+        if (selected.length >= limit) break;
+    }
+
+    // The utterance of each chunk closest to the query (local vectors: cheap, no API calls)
+    const matches = [];
+    for (const { chunk, score } of selected) {
+        const utterances = JSON.parse(chunk.utterances);
+        const scores = (await local.embed(utterances.map(u => u.text))).map(vector => cosineSimilarity(localQuery, vector));
+        const utterance = utterances[scores.indexOf(Math.max(...scores))];
+        const meetingDate = chunk.started_at || chunk.created_at;
+        matches.push({
+            bot_id: chunk.bot_id,
+            title: chunk.title || null,
+            meeting_url: chunk.meet_url,
+            meeting_date: meetingDate ? new Date(meetingDate).toISOString() : null,
+            score: Math.round(score * 1000) / 1000,
+            speaker: utterance.speaker,
+            time: utterance.time,
+            timestamp: utterance.at ? new Date(utterance.at).toISOString() : null,
+            snippet: utterance.text.length > 300 ? `${utterance.text.slice(0, 300)}…` : utterance.text
+        });
+    }
+    return { models: Object.keys(queryVectors), matches };
+}
+
+module.exports = {
+    indexBotTranscript,
+    backfillSearchIndex,
+    validateSearchQuery,
+    searchMeetings
+};
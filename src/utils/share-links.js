@@ -0,0 +1,96 @@
+/**
+ * Share Link Utilities
+ *
+ * Public meeting links use a random token stored in share_links instead of
+ * the bot ID. A link can expire, be revoked or require a password, and its
+ * scopes limit what the share page exposes:
+ *   - summary: summary and keywords
+ *   - transcript: captions / utterances
+ *   - video: the recording
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { botOps, shareLinkOps } = require('../database');
+
+const SHARE_LINK_SCOPES = ['summary', 'transcript', 'video'];
+// Expiry of links created without an explicit one (0 = never expire)
+const SHARE_LINK_DEFAULT_EXPIRY_DAYS = Number(process.env.SHARE_LINK_DEFAULT_EXPIRY_DAYS || 30);
+
+/**
+ * Parse the scopes of a share link row
+ * @returns {Array<string>}
+ */
+function parseShareScopes(link) {
+    try {
+        const scopes = JSON.parse(link.scopes);
+        return Array.isArray(scopes) ? scopes.filter(s => SHARE_LINK_SCOPES.includes(s)) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Get the state of a share link
+ * @returns {'active'|'expired'|'revoked'}
+ */
+function getShareLinkState(link, now = Date.now()) {
+    if (link.revoked_at) return 'revoked';
+    if (link.expires_at && link.expires_at <= now) return 'expired';
+    return 'active';
+}
+
+/**
+ * Build the public URL of a share link (Next.js /share page)
+ */
+function buildShareUrl(token) {
+    const baseUrl = process.env.BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${String(baseUrl).replace(/\/$/, '')}/share?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Get a bot's default share link (all scopes, no password), creating one
+ * with the default expiry if there is no active one
+ * @param {string} botId - Bot ID
+ * @returns {Object|null} Share link row, or null if the bot is not in the database
+ */
+function getOrCreateDefaultShareLink(botId) {
+    const existing = shareLinkOps.findDefaultForBot(botId, SHARE_LINK_SCOPES);
+    if (existing) return existing;
+
+    const bot = botOps.findById(botId);
+    if (!bot) return null;
+
+    return shareLinkOps.create({
+        id: uuidv4(),
+        botId,
+        userId: bot.user_id,
+        scopes: SHARE_LINK_SCOPES,
+        expiresAt: SHARE_LINK_DEFAULT_EXPIRY_DAYS > 0
+            ? Date.now() + SHARE_LINK_DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+            : null
+    });
+}
+
+/**
+ * Get the URL of a bot's default share link
+ * @returns {string|null}
+ */
+function getDefaultShareUrl(botId) {
+    try {
+        const link = getOrCreateDefaultShareLink(botId);
+        return link ? buildShareUrl(link.token) : null;
+    } catch (e) {
+        console.warn(`⚠️ Could not create share link for bot ${botId}: ${e.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    SHARE_LINK_SCOPES,
+    SHARE_LINK_DEFAULT_EXPIRY_DAYS,
+    parseShareScopes,
+    getShareLinkState,
+    buildShareUrl,
+    getOrCreateDefaultShareLink,
+    getDefaultShareUrl
+};
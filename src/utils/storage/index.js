@@ -0,0 +1,1037 @@
+/**
+ * Recording Storage
+ *
+ * Recordings are uploaded after the meeting to a storage provider chosen per
+ * user (Configuration > Storage, /v1/storage), falling back to the server
+ * default (STORAGE_PROVIDER, or S3 when AWS_S3_BUCKET is set). Providers:
+ *   - s3: AWS S3 or any S3-compatible endpoint (MinIO, R2, GCS XML API...)
+ *   - local: a directory on the server (STORAGE_LOCAL_ROOT)
+ *   - webdav: a WebDAV collection
+ *
+ * Every provider implements:
+ *   test()                                  check the target is reachable
+ *   upload(localFilePath, key, options)     -> { key, url, size }
+ *   exists(key)                             -> boolean
+ *   readRange(key, start, end)              -> Readable of bytes start..end
+ *   delete(key)
+ * and either getSignedUrl(key, options) for native signed URLs (s3), or is
+ * served by GET /api/storage/<provider>/<key> with an HMAC-signed, expiring
+ * query string: resolvePath(key) (local) or openReadStream(key) (webdav).
+ *
+ * Where a recording went is kept in bot_metadata.json as
+ * `storage: { provider, key, owner }` (owner = user whose configuration was
+ * used, null for the server default). Older uploads only have `s3Key`.
+ * Recordings encrypted at rest (../encryption.js) are uploaded as they are
+ * and marked `encrypted: true`: they get no direct URL and are decrypted by
+ * the backend when served (openStoredRecording).
+ *
+ * HLS packages (see packageHls in ../video-compression.js) are uploaded file
+ * by file under videos/<botId>/hls/ and kept in bot_metadata.json as
+ * `hls.storage: { provider, prefix, owner, encrypted, files }` (files = size
+ * of each file by relative path). Playlists are always served by the backend.
+ *
+ * Providers with multipart support (s3) get recordings in resumable parts
+ * (./multipart.js): streamed while the meeting is in progress
+ * (startStreamingUpload), or after it for large files. The upload
+ * reconciler finishes uploads interrupted by a failure or restart and
+ * aborts abandoned ones.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { configOps } = require('../../database');
+const { sendWebhook } = require('../webhook');
+const { invalidateCache } = require('../file-cache');
+const { isEncryptionEnabled, isEncryptedFile } = require('../encryption');
+const { createS3Provider } = require('./s3');
+const { createLocalProvider } = require('./local');
+const { createWebDavProvider } = require('./webdav');
+const { CHECKPOINT_FILE, supportsMultipart, readCheckpoint, removeCheckpoint, isCheckpointFileIntact, abortCheckpoint, uploadResumable, sealStreamingCheckpoint, createStreamingUpload } = require('./multipart');
+
+const RUNTIME_ROOT = path.join(__dirname, '..', '..', '..', 'runtime');
+const STORAGE_PROVIDERS = ['s3', 'local', 'webdav'];
+const STORAGE_LOCAL_ROOT = path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', '..', '..', 'storage'));
+// Absolute backend URL prefixed to /api/storage links (empty = relative, proxied by Next.js)
+const STORAGE_PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '');
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'change_me_in_production';
+const STORAGE_DELETE_LOCAL_AFTER_UPLOAD = (process.env.STORAGE_DELETE_LOCAL_AFTER_UPLOAD || process.env.AWS_S3_DELETE_LOCAL_AFTER_UPLOAD) === 'true';
+// Upload recordings in parts while the meeting is in progress when the provider supports it
+const STORAGE_STREAMING_UPLOAD = process.env.STORAGE_STREAMING_UPLOAD !== 'false';
+// Files at least this large are uploaded in resumable parts when the provider supports it
+const MULTIPART_THRESHOLD_BYTES = Number(process.env.STORAGE_MULTIPART_THRESHOLD_MB || 64) * 1024 * 1024;
+const RECONCILE_INTERVAL_MS = Number(process.env.STORAGE_RECONCILE_INTERVAL_MINUTES || 10) * 60 * 1000;
+// Checkpointed uploads not finished after this long are aborted
+const MULTIPART_ABANDON_MS = Number(process.env.STORAGE_MULTIPART_ABANDON_HOURS || 72) * 60 * 60 * 1000;
+// Multipart uploads without a checkpoint (lost with the runtime directory) are aborted after this long
+const MULTIPART_ORPHAN_MS = Number(process.env.STORAGE_MULTIPART_ORPHAN_HOURS || 24) * 60 * 60 * 1000;
+
+const PROVIDER_FACTORIES = {
+    s3: createS3Provider,
+    local: createLocalProvider,
+    webdav: createWebDavProvider
+};
+
+// Provider instances, keyed by their configuration
+const providerCache = new Map();
+
+// Cache for signed URLs to avoid regenerating on every request
+// Format: { "<provider>:<owner>:<key>": { url: string, expiresAt: number } }
+const signedUrlCache = new Map();
+
+let defaultConfigWarning = null;
+
+// Bots whose recording is being uploaded right now, left alone by the reconciler
+const activeUploads = new Set();
+let reconcileTimer = null;
+let isReconciling = false;
+
+/**
+ * Get the server default storage configuration from the environment
+ * @returns {Object|null} null if recordings should stay in the runtime directory
+ */
+function getDefaultStorageConfig() {
+    const provider = (process.env.STORAGE_PROVIDER || (process.env.AWS_S3_BUCKET ? 's3' : 'none')).toLowerCase();
+    let config = null;
+    let missing = null;
+
+    if (provider === 's3') {
+        config = {
+            provider,
+            owner: null,
+            bucket: process.env.AWS_S3_BUCKET,
+            region: process.env.AWS_REGION || 'us-east-1',
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            endpoint: process.env.AWS_S3_ENDPOINT || null,
+            forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true'
+        };
+        missing = ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_S3_BUCKET'].filter(name => !process.env[name]);
+    } else if (provider === 'local') {
+        config = { provider, owner: null };
+    } else if (provider === 'webdav') {
+        config = {
+            provider,
+            owner: null,
+            url: process.env.WEBDAV_URL,
+            username: process.env.WEBDAV_USERNAME || null,
+            password: process.env.WEBDAV_PASSWORD || null
+        };
+        missing = process.env.WEBDAV_URL ? [] : ['WEBDAV_URL'];
+    } else if (provider !== 'none') {
+        missing = [`STORAGE_PROVIDER (unknown provider '${provider}')`];
+    }
+
+    if (missing && missing.length > 0) {
+        const warning = `⚠️  Default storage not configured - missing ${missing.join(', ')}; videos will be stored locally`;
+        if (defaultConfigWarning !== warning) {
+            defaultConfigWarning = warning;
+            console.warn(warning);
+        }
+        return null;
+    }
+    return config;
+}
+
+/**
+ * Get a user's own storage configuration
+ * @returns {Object|null} null if the user uses the server default
+ */
+function getUserStorageConfig(userId) {
+    if (!userId) return null;
+    const row = configOps.getByUserId(userId);
+    if (!row || !row.storage_provider || !STORAGE_PROVIDERS.includes(row.storage_provider)) return null;
+
+    let settings = {};
+    try {
+        settings = JSON.parse(row.storage_config || '{}') || {};
+    } catch (e) {
+        console.warn(`⚠️  Invalid storage configuration for user ${userId}: ${e.message}`);
+        return null;
+    }
+    return { ...settings, provider: row.storage_provider, owner: userId };
+}
+
+/**
+ * Get the storage configuration used for a user's new recordings
+ * @param {string|null} userId - User ID (null for the server default)
+ * @returns {Object|null}
+ */
+function resolveStorageConfig(userId) {
+    return getUserStorageConfig(userId) || getDefaultStorageConfig();
+}
+
+/**
+ * Get (or create) the provider for a configuration
+ */
+function getStorageProvider(config) {
+    const cacheKey = JSON.stringify(config);
+    let provider = providerCache.get(cacheKey);
+    if (!provider) {
+        if (providerCache.size > 100) providerCache.clear();
+        // The local root is a server setting, never a user one
+        provider = PROVIDER_FACTORIES[config.provider](config.provider === 'local' ? { ...config, root: STORAGE_LOCAL_ROOT } : config);
+        providerCache.set(cacheKey, provider);
+    }
+    return provider;
+}
+
+/**
+ * Get the provider holding objects stored with (provider, owner): the
+ * owner's configuration if it still uses that provider, else the server
+ * default if it does
+ * @returns {Object|null}
+ */
+function getProviderFor(providerName, owner = null) {
+    const userConfig = getUserStorageConfig(owner);
+    if (userConfig && userConfig.provider === providerName) return getStorageProvider(userConfig);
+    const defaultConfig = getDefaultStorageConfig();
+    if (defaultConfig && defaultConfig.provider === providerName) return getStorageProvider(defaultConfig);
+    return null;
+}
+
+/**
+ * Check if recordings of a user (or the server default) are uploaded anywhere
+ * @returns {boolean}
+ */
+function isStorageConfigured(userId = null) {
+    return resolveStorageConfig(userId) !== null;
+}
+
+/**
+ * Validate storage settings submitted by a user and normalize them
+ * @param {string} provider - Provider name
+ * @param {Object} settings - Settings in API (snake_case) form
+ * @param {Object|null} current - Current configuration, whose secrets are kept when omitted
+ * @returns {{config?: Object, error?: string}} config without provider/owner
+ */
+function normalizeStorageSettings(provider, settings = {}, current = null) {
+    if (!STORAGE_PROVIDERS.includes(provider)) {
+        return { error: `provider must be one of: ${STORAGE_PROVIDERS.join(', ')}` };
+    }
+    const keep = current && current.provider === provider ? current : {};
+    const str = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const isHttpUrl = (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    };
+
+    if (provider === 's3') {
+        const config = {
+            bucket: str(settings.bucket),
+            region: str(settings.region) || 'us-east-1',
+            endpoint: str(settings.endpoint),
+            forcePathStyle: settings.force_path_style === true,
+            accessKeyId: str(settings.access_key_id),
+            secretAccessKey: str(settings.secret_access_key) || keep.secretAccessKey || null
+        };
+        if (!config.bucket) return { error: 'bucket is required' };
+        if (!config.accessKeyId || !config.secretAccessKey) return { error: 'access_key_id and secret_access_key are required' };
+        if (config.endpoint && !isHttpUrl(config.endpoint)) return { error: 'endpoint must be an http(s) URL' };
+        return { config };
+    }
+
+    if (provider === 'webdav') {
+        const config = {
+            url: str(settings.url),
+            username: str(settings.username),
+            password: str(settings.password) || (str(settings.username) === keep.username ? keep.password || null : null)
+        };
+        if (!config.url || !isHttpUrl(config.url)) return { error: 'url must be an http(s) URL' };
+        return { config };
+    }
+
+    return { config: {} };
+}
+
+/**
+ * Describe a storage configuration for the API, without secrets
+ */
+function formatStorageConfig(config) {
+    if (!config) return null;
+    if (config.provider === 's3') {
+        return {
+            bucket: config.bucket,
+            region: config.region,
+            endpoint: config.endpoint || null,
+            force_path_style: !!config.forcePathStyle,
+            access_key_id: config.accessKeyId,
+            secret_access_key_set: !!config.secretAccessKey
+        };
+    }
+    if (config.provider === 'webdav') {
+        return {
+            url: config.url,
+            username: config.username || null,
+            password_set: !!config.password
+        };
+    }
+    return {};
+}
+
+/**
+ * Sign a /api/storage request
+ */
+function signStorageRequest(providerName, owner, key, expires) {
+    return crypto.createHmac('sha256', STORAGE_SIGNING_SECRET)
+        .update([providerName, owner || '', key, String(expires)].join('\n'))
+        .digest('hex');
+}
+
+/**
+ * Build a signed, expiring /api/storage URL for providers without their own
+ * @param {number} expiresIn - Seconds until the URL stops working
+ */
+function buildStorageUrl(providerName, owner, key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams();
+    if (owner) params.set('owner', owner);
+    params.set('expires', String(expires));
+    params.set('signature', signStorageRequest(providerName, owner, key, expires));
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${STORAGE_PUBLIC_URL}/api/storage/${providerName}/${encodedKey}?${params.toString()}`;
+}
+
+/**
+ * Check the signature and expiry of a /api/storage request
+ * @returns {boolean}
+ */
+function verifyStorageUrl(providerName, owner, key, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+    const expected = signStorageRequest(providerName, owner, key, expiresAt);
+    return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+/**
+ * Get the content type of a recording from its file name
+ */
+function getRecordingContentType(fileName) {
+    const fileExt = path.extname(fileName || '').toLowerCase();
+    if (fileExt === '.mp4') return 'video/mp4';
+    if (fileExt === '.ogg' || fileExt === '.ogv') return 'video/ogg';
+    if (fileExt === '.m3u8') return 'application/vnd.apple.mpegurl';
+    if (fileExt === '.ts') return 'video/mp2t';
+    return 'video/webm';
+}
+
+/**
+ * Storage key of a bot's recording file
+ */
+function getRecordingKey(botId, fileName) {
+    return `videos/${botId}/${fileName}`;
+}
+
+/**
+ * Get where a bot's recording was uploaded from its metadata
+ * @returns {{provider: string, key: string, owner: string|null}|null}
+ */
+function getRecordingLocation(metadata) {
+    if (!metadata) return null;
+    if (metadata.storage && metadata.storage.provider && metadata.storage.key) {
+        const location = { provider: metadata.storage.provider, key: metadata.storage.key, owner: metadata.storage.owner || null };
+        if (metadata.storage.encrypted) {
+            location.encrypted = true;
+            location.size = metadata.storage.size;
+        }
+        return location;
+    }
+    // Uploaded before storage providers existed: always the default S3 bucket
+    if (metadata.s3Key) return { provider: 's3', key: metadata.s3Key, owner: null };
+    return null;
+}
+
+/**
+ * Find a bot's uploaded recording: from its metadata, or by probing the
+ * server default storage for {botId}.mp4 then {botId}.webm
+ * @returns {Promise<{provider: string, key: string, owner: string|null}|null>}
+ */
+async function findRecordingLocation(botId, metadata = null) {
+    const location = getRecordingLocation(metadata);
+    if (location) return location;
+
+    const config = getDefaultStorageConfig();
+    if (!config) return null;
+    const provider = getStorageProvider(config);
+    for (const fileName of [`${botId}.mp4`, `${botId}.webm`]) {
+        const key = getRecordingKey(botId, fileName);
+        try {
+            if (await provider.exists(key)) return { provider: provider.name, key, owner: null };
+        } catch (e) {
+            console.log(`ℹ️  Could not check ${provider.name} storage for ${key}: ${e.message}`);
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get a time-limited URL for an uploaded recording
+ * @param {Object} location - { provider, key, owner } (see getRecordingLocation)
+ * @param {number} expiresIn - URL expiration time in seconds (default: 1 hour)
+ * @returns {Promise<string|null>} null if the provider is no longer configured or the recording is encrypted
+ */
+async function getRecordingUrl(location, expiresIn = 3600) {
+    if (!location || location.encrypted) return null;
+    const cacheKey = `${location.provider}:${location.owner || ''}:${location.key}`;
+    const cached = signedUrlCache.get(cacheKey);
+    // Reuse cached URLs with at least 5 minutes (or a quarter of the requested lifetime) left
+    const minRemaining = Math.min(5 * 60, expiresIn / 4) * 1000;
+    if (cached && cached.expiresAt > Date.now() + minRemaining) {
+        return cached.url;
+    }
+
+    const provider = getProviderFor(location.provider, location.owner);
+    if (!provider) {
+        console.warn(`⚠️  No ${location.provider} storage configured for ${location.key}`);
+        return null;
+    }
+
+    try {
+        const url = typeof provider.getSignedUrl === 'function'
+            ? await provider.getSignedUrl(location.key, { expiresIn, contentType: getRecordingContentType(location.key) })
+            : buildStorageUrl(provider.name, location.owner, location.key, expiresIn);
+
+        signedUrlCache.set(cacheKey, { url, expiresAt: Date.now() + expiresIn * 1000 });
+        // Clean up old cache entries periodically (keep cache size reasonable)
+        if (signedUrlCache.size > 1000) {
+            const now = Date.now();
+            for (const [key, value] of signedUrlCache.entries()) {
+                if (value.expiresAt <= now) signedUrlCache.delete(key);
+            }
+        }
+
+        console.log(`🔐 Generated signed ${provider.name} URL for ${location.key} (expires in ${expiresIn}s)`);
+        return url;
+    } catch (error) {
+        console.error(`❌ Failed to generate signed URL for ${location.key}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Upload a recording with automatic retry and progress logging
+ * @param {string} localFilePath - Path to local video file
+ * @param {string} botId - Bot ID (used as key prefix)
+ * @param {Object} options
+ * @param {string|null} options.userId - Bot owner, whose storage configuration applies
+ * @param {number} options.maxRetries - Maximum attempts (default: 3)
+ * @returns {Promise<{success: boolean, provider?: string, key?: string, owner?: string|null, url?: string|null, size?: number, encrypted?: boolean, attempts?: number, error?: string}>}
+ */
+async function uploadRecording(localFilePath, botId, { userId = null, maxRetries = 3 } = {}) {
+    const config = resolveStorageConfig(userId);
+    if (!config) {
+        return { success: false, error: 'Storage not configured' };
+    }
+    const provider = getStorageProvider(config);
+    const reportError = async (code, message, details = {}) => {
+        try {
+            await sendWebhook('error.occurred', { bot_id: botId, code, message, details: { provider: provider.name, localFilePath, ...details } });
+        } catch (e) {}
+    };
+    const describe = (error) => (provider.describeError ? provider.describeError(error) : error.message || 'Unknown error');
+
+    if (!await fs.pathExists(localFilePath)) {
+        await reportError('storage_upload_error', 'Local file not found');
+        return { success: false, error: 'Local file not found' };
+    }
+
+    try {
+        await provider.test();
+        console.log(`✅ ${provider.name} storage reachable: ${provider.description}`);
+    } catch (error) {
+        const message = `${provider.name} storage connection failed: ${describe(error)}`;
+        console.error(`❌ ${message}`);
+        await reportError('storage_connection_error', 'Storage connection test failed', { error: message });
+        return { success: false, error: message };
+    }
+
+    const fileName = path.basename(localFilePath);
+    const key = getRecordingKey(botId, fileName);
+    const contentType = getRecordingContentType(fileName);
+    const fileStats = await fs.stat(localFilePath);
+    const fileSizeMB = (fileStats.size / 1024 / 1024).toFixed(2);
+    const encrypted = await isEncryptedFile(localFilePath);
+
+    console.log(`📤 Uploading video to ${provider.name} storage: ${key} (${contentType}, ${fileSizeMB} MB)...`);
+
+    const progressLogger = () => {
+        let lastLoggedPercent = -1;
+        return (loaded, total) => {
+            if (!total) return;
+            const percent = Math.floor((loaded / total) * 4) * 25; // Log every 25%
+            if (percent > lastLoggedPercent) {
+                lastLoggedPercent = percent;
+                console.log(`📈 Upload progress: ${percent}% (${(loaded / 1024 / 1024).toFixed(1)} MB / ${fileSizeMB} MB)`);
+            }
+        };
+    };
+
+    // Large files: resumable parts, retried one by one (see ./multipart.js)
+    if (supportsMultipart(provider) && fileStats.size >= MULTIPART_THRESHOLD_BYTES) {
+        activeUploads.add(botId);
+        try {
+            const result = await uploadResumable(provider, {
+                botDir: path.join(RUNTIME_ROOT, botId),
+                localFilePath,
+                key,
+                location: { provider: provider.name, owner: config.owner || null },
+                contentType,
+                metadata: {
+                    'bot-id': botId,
+                    'uploaded-at': new Date().toISOString(),
+                    'file-size': fileStats.size.toString()
+                },
+                maxRetries,
+                onProgress: progressLogger()
+            });
+            console.log(`✅ Video uploaded to ${provider.name} storage: ${key} (${fileSizeMB} MB) - ${result.parts} part(s), ${result.resumedParts} resumed`);
+            return {
+                success: true,
+                provider: provider.name,
+                key,
+                owner: config.owner || null,
+                url: result.url,
+                size: result.size,
+                encrypted,
+                attempts: 1
+            };
+        } catch (error) {
+            const errorMessage = describe(error);
+            console.error(`❌ ${provider.name} multipart upload failed: ${errorMessage} (${provider.description}, key ${key}); the upload reconciler will resume it`);
+            await reportError('storage_upload_error', 'Multipart upload interrupted', { error: errorMessage, resumable: true });
+            return { success: false, provider: provider.name, error: errorMessage };
+        } finally {
+            activeUploads.delete(botId);
+        }
+    }
+
+    // Retry logic with exponential backoff
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            console.log(`🔄 Upload attempt ${attempt}/${maxRetries}`);
+
+            const result = await provider.upload(localFilePath, key, {
+                contentType,
+                metadata: {
+                    'bot-id': botId,
+                    'uploaded-at': new Date().toISOString(),
+                    'file-size': fileStats.size.toString(),
+                    'attempt': attempt.toString()
+                },
+                onProgress: progressLogger()
+            });
+
+            console.log(`✅ Video uploaded to ${provider.name} storage: ${key} (${fileSizeMB} MB) - attempt ${attempt}`);
+            return {
+                success: true,
+                provider: provider.name,
+                key,
+                owner: config.owner || null,
+                url: result.url || null,
+                size: result.size,
+                encrypted,
+                attempts: attempt
+            };
+        } catch (error) {
+            lastError = error;
+            console.warn(`⚠️  Upload attempt ${attempt} failed:`, error.message);
+
+            // Don't retry errors that won't be fixed by retrying
+            if (provider.isPermanentError && provider.isPermanentError(error)) break;
+
+            if (attempt < maxRetries) {
+                const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s...
+                console.log(`⏳ Waiting ${waitTime / 1000}s before retry...`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+            }
+        }
+    }
+
+    const errorMessage = describe(lastError || new Error('Upload failed after all retries'));
+    console.error(`❌ ${provider.name} upload failed: ${errorMessage} (${provider.description}, key ${key})`);
+    await reportError('storage_upload_error', 'Upload failed after retries', { error: errorMessage });
+    return {
+        success: false,
+        provider: provider.name,
+        error: errorMessage
+    };
+}
+
+/**
+ * Upload a bot's HLS package (see packageHls) file by file
+ * @param {string} localDir - Folder of the package
+ * @param {string} botId
+ * @param {Object} options
+ * @param {string|null} options.userId - Bot owner, whose storage configuration applies
+ * @param {number} options.maxRetries - Maximum attempts per file (default: 3)
+ * @returns {Promise<{success: boolean, provider?: string, prefix?: string, owner?: string|null, encrypted?: boolean, files?: Object, error?: string}>}
+ */
+async function uploadHlsPackage(localDir, botId, { userId = null, maxRetries = 3 } = {}) {
+    const config = resolveStorageConfig(userId);
+    if (!config) {
+        return { success: false, error: 'Storage not configured' };
+    }
+    const provider = getStorageProvider(config);
+    const prefix = `videos/${botId}/hls`;
+    const describe = (error) => (provider.describeError ? provider.describeError(error) : error.message || 'Unknown error');
+
+    const listDir = async (dir) => {
+        const files = [];
+        for (const entry of await fs.readdir(dir)) {
+            const filePath = path.join(dir, entry);
+            if ((await fs.stat(filePath)).isDirectory()) files.push(...await listDir(filePath));
+            else files.push(filePath);
+        }
+        return files;
+    };
+
+    const files = {};
+    let encrypted = false;
+    // Segments first: the master playlist only appears once everything it lists is there
+    const filePaths = (await listDir(localDir)).sort((a, b) => Number(a.endsWith('.m3u8')) - Number(b.endsWith('.m3u8')));
+    for (const filePath of filePaths) {
+        const relativePath = path.relative(localDir, filePath).split(path.sep).join('/');
+        const key = `${prefix}/${relativePath}`;
+        if (await isEncryptedFile(filePath)) encrypted = true;
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                const result = await provider.upload(filePath, key, { contentType: getRecordingContentType(filePath) });
+                files[relativePath] = result.size || (await fs.stat(filePath)).size;
+                lastError = null;
+                break;
+            } catch (error) {
+                lastError = error;
+                if (provider.isPermanentError && provider.isPermanentError(error)) break;
+                if (attempt < maxRetries) await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+            }
+        }
+        if (lastError) {
+            const errorMessage = describe(lastError);
+            console.error(`❌ ${provider.name} HLS upload failed: ${errorMessage} (${provider.description}, key ${key})`);
+            try {
+                await sendWebhook('error.occurred', { bot_id: botId, code: 'storage_upload_error', message: 'HLS upload failed', details: { provider: provider.name, key, error: errorMessage } });
+            } catch (e) {}
+            return { success: false, provider: provider.name, error: errorMessage };
+        }
+    }
+
+    console.log(`✅ HLS package uploaded to ${provider.name} storage: ${prefix}/ (${Object.keys(files).length} files)`);
+    return { success: true, provider: provider.name, prefix, owner: config.owner || null, encrypted, files };
+}
+
+/**
+ * Start uploading a recording while it is being written, if the storage of
+ * the bot owner supports it (see createStreamingUpload in ./multipart.js)
+ * @param {string} botId - Bot ID
+ * @param {string} localFilePath - Recording file the bot appends to
+ * @param {Object} options
+ * @param {string|null} options.userId - Bot owner, whose storage configuration applies
+ * @returns {{written: Function, finish: Function, cancel: Function}|null} null if recordings are uploaded after the meeting
+ */
+function startStreamingUpload(botId, localFilePath, { userId = null } = {}) {
+    // Encrypted recordings are only complete once the meeting is over
+    if (!STORAGE_STREAMING_UPLOAD || isEncryptionEnabled()) return null;
+    const config = resolveStorageConfig(userId);
+    if (!config) return null;
+    const provider = getStorageProvider(config);
+    if (!supportsMultipart(provider)) return null;
+
+    const fileName = path.basename(localFilePath);
+    const upload = createStreamingUpload(provider, {
+        botDir: path.join(RUNTIME_ROOT, botId),
+        localFilePath,
+        key: getRecordingKey(botId, fileName),
+        location: { provider: provider.name, owner: config.owner || null },
+        contentType: getRecordingContentType(fileName),
+        metadata: { 'bot-id': botId, 'streamed': 'true' }
+    });
+    activeUploads.add(botId);
+
+    return {
+        written: (bytes) => upload.written(bytes),
+
+        /**
+         * Complete the upload once the recording has ended
+         * @returns {Promise<Object>} Same shape as uploadRecording's result
+         */
+        async finish() {
+            try {
+                const result = await upload.finish();
+                console.log(`✅ Streamed recording completed on ${provider.name} storage: ${result.key} (${(result.size / 1024 / 1024).toFixed(2)} MB, ${result.parts} part(s))`);
+                return { success: true, provider: provider.name, key: result.key, owner: config.owner || null, url: result.url, size: result.size, attempts: 1 };
+            } catch (error) {
+                const message = provider.describeError(error);
+                console.warn(`⚠️  Streaming upload of ${upload.key} failed: ${message}`);
+                await upload.abort();
+                return { success: false, provider: provider.name, error: message };
+            } finally {
+                activeUploads.delete(botId);
+            }
+        },
+
+        /**
+         * Drop the upload (nothing was recorded)
+         */
+        async cancel() {
+            try {
+                await upload.abort();
+            } finally {
+                activeUploads.delete(botId);
+            }
+        }
+    };
+}
+
+/**
+ * Record a successful upload in the bot's metadata
+ * @param {Object} result - Successful uploadRecording result
+ */
+async function saveRecordingLocation(botId, result) {
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    if (!(await fs.pathExists(metadataPath))) return;
+    const metadata = await fs.readJson(metadataPath);
+    metadata.storage = {
+        provider: result.provider,
+        key: result.key,
+        owner: result.owner,
+        url: result.url,
+        size: result.size,
+        encrypted: !!result.encrypted,
+        uploadedAt: new Date().toISOString()
+    };
+    delete metadata.storageUploadError;
+    delete metadata.storageUploadAttemptedAt;
+    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    invalidateCache(metadataPath);
+}
+
+/**
+ * Record a bot's HLS package in its metadata
+ * @param {Object} hls - packageHls result
+ */
+async function saveHlsPackage(botId, hls) {
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    if (!(await fs.pathExists(metadataPath))) return;
+    const metadata = await fs.readJson(metadataPath);
+    metadata.hls = { ...hls, createdAt: new Date().toISOString() };
+    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    invalidateCache(metadataPath);
+}
+
+/**
+ * Record a successful HLS upload in the bot's metadata
+ * @param {Object} result - Successful uploadHlsPackage result
+ */
+async function saveHlsLocation(botId, result) {
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    if (!(await fs.pathExists(metadataPath))) return;
+    const metadata = await fs.readJson(metadataPath);
+    if (!metadata.hls) return;
+    metadata.hls.storage = {
+        provider: result.provider,
+        prefix: result.prefix,
+        owner: result.owner,
+        encrypted: !!result.encrypted,
+        files: result.files,
+        uploadedAt: new Date().toISOString()
+    };
+    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    invalidateCache(metadataPath);
+}
+
+/**
+ * Get where a file of a bot's HLS package was uploaded from its metadata
+ * @param {string} file - Path relative to the package, e.g. 360p/index.m3u8
+ * @returns {{provider: string, key: string, owner: string|null, size: number, encrypted?: boolean}|null}
+ */
+function getHlsLocation(metadata, file) {
+    const storage = metadata && metadata.hls && metadata.hls.storage;
+    if (!storage || !storage.files || !storage.files[file]) return null;
+    const location = { provider: storage.provider, key: `${storage.prefix}/${file}`, owner: storage.owner || null, size: storage.files[file] };
+    if (storage.encrypted) location.encrypted = true;
+    return location;
+}
+
+/**
+ * Record a failed upload in the bot's metadata for debugging
+ */
+async function saveRecordingUploadError(botId, error) {
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    if (!(await fs.pathExists(metadataPath))) return;
+    const metadata = await fs.readJson(metadataPath);
+    metadata.storageUploadError = error;
+    metadata.storageUploadAttemptedAt = new Date().toISOString();
+    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    invalidateCache(metadataPath);
+}
+
+/**
+ * Delete a recording's local files once it is uploaded, if configured
+ * @param {string[]} filePaths - Uploaded file first, then files it was made from
+ */
+async function removeUploadedLocalFiles(botId, filePaths) {
+    if (!STORAGE_DELETE_LOCAL_AFTER_UPLOAD) return;
+    for (const filePath of [...new Set(filePaths)]) {
+        try {
+            if (await fs.pathExists(filePath)) {
+                await fs.remove(filePath);
+                console.log(`🗑️  Bot ${botId}: local file deleted after storage upload: ${filePath}`);
+            }
+        } catch (e) {
+            console.warn(`⚠️  Bot ${botId}: failed to delete uploaded local file:`, e.message);
+        }
+    }
+}
+
+/**
+ * Finish or abort one checkpointed multipart upload
+ */
+async function reconcileCheckpoint(botId) {
+    const botDir = path.join(RUNTIME_ROOT, botId);
+    let checkpoint = await readCheckpoint(botDir);
+    if (!checkpoint) return;
+
+    // The storage the upload was started on, not a fallback: the location is saved with this owner
+    const config = checkpoint.owner ? getUserStorageConfig(checkpoint.owner) : getDefaultStorageConfig();
+    const provider = config && config.provider === checkpoint.provider ? getStorageProvider(config) : null;
+    if (!provider || !supportsMultipart(provider)) {
+        // Orphaned parts on the old storage are left to the orphan sweep or its lifecycle rules
+        console.warn(`⚠️  Bot ${botId}: ${checkpoint.provider} storage of an unfinished upload is no longer configured, dropping its checkpoint`);
+        await removeCheckpoint(botDir);
+        return;
+    }
+
+    // A recording streamed while the meeting was in progress, cut off by a crash or restart
+    if (checkpoint.streaming) {
+        console.log(`ℹ️  Bot ${botId}: recording was being streamed to storage when the server stopped, uploading the rest`);
+        checkpoint = (await sealStreamingCheckpoint(botDir, checkpoint)) || checkpoint;
+    }
+
+    const intact = await isCheckpointFileIntact(checkpoint);
+    const abandoned = Date.now() - (checkpoint.updatedAt || checkpoint.createdAt || 0) > MULTIPART_ABANDON_MS;
+    if (!intact || abandoned) {
+        const reason = !intact ? 'local file missing or changed' : 'abandoned';
+        console.warn(`⚠️  Bot ${botId}: aborting multipart upload of ${checkpoint.key} (${reason})`);
+        await abortCheckpoint(provider, botDir, checkpoint);
+        await saveRecordingUploadError(botId, `Multipart upload aborted: ${reason}`);
+        return;
+    }
+
+    console.log(`♻️  Bot ${botId}: resuming interrupted upload of ${checkpoint.key}`);
+    const result = await uploadResumable(provider, {
+        botDir,
+        localFilePath: checkpoint.localFilePath,
+        key: checkpoint.key,
+        location: { provider: checkpoint.provider, owner: checkpoint.owner },
+        contentType: checkpoint.contentType,
+        metadata: { 'bot-id': botId, 'file-size': String(checkpoint.fileSize) }
+    });
+    const encrypted = await isEncryptedFile(checkpoint.localFilePath);
+    await saveRecordingLocation(botId, { ...result, provider: provider.name, owner: checkpoint.owner || null, encrypted });
+    console.log(`✅ Bot ${botId}: interrupted upload completed: ${result.key} (${result.resumedParts}/${result.parts} part(s) resumed)`);
+
+    // The .webm a remuxed .mp4 was made from goes too
+    const localFiles = [checkpoint.localFilePath];
+    if (/\.mp4$/i.test(checkpoint.localFilePath)) localFiles.push(checkpoint.localFilePath.replace(/\.mp4$/i, '.webm'));
+    await removeUploadedLocalFiles(botId, localFiles);
+}
+
+/**
+ * Abort multipart uploads that no checkpoint knows about (e.g. the runtime
+ * directory was lost) on every s3 storage in use
+ * @param {Set<string>} knownUploadIds - Upload IDs of existing checkpoints
+ */
+async function abortOrphanedUploads(knownUploadIds) {
+    const configs = [getDefaultStorageConfig(), ...configOps.findUserIdsByStorageProvider('s3').map(getUserStorageConfig)];
+    const seen = new Set();
+    for (const config of configs) {
+        if (!config || config.provider !== 's3') continue;
+        const target = `${config.endpoint || ''}|${config.bucket}`;
+        if (seen.has(target)) continue;
+        seen.add(target);
+
+        const provider = getStorageProvider(config);
+        try {
+            const uploads = await provider.listMultipartUploads('videos/');
+            for (const upload of uploads) {
+                // Only recordings uploaded by this server, and not recent ones that may still be running
+                if (knownUploadIds.has(upload.uploadId) || !/^videos\/[^/]+\/[^/]+$/.test(upload.key)) continue;
+                if (!upload.initiatedAt || Date.now() - upload.initiatedAt < MULTIPART_ORPHAN_MS) continue;
+                await provider.abortMultipartUpload(upload.key, upload.uploadId);
+                console.log(`🗑️  Aborted orphaned multipart upload of ${upload.key} on ${provider.description}`);
+            }
+        } catch (e) {
+            console.warn(`⚠️  Could not check ${provider.description} for orphaned uploads: ${provider.describeError(e)}`);
+        }
+    }
+}
+
+/**
+ * Resume interrupted multipart uploads, abort abandoned and orphaned ones
+ */
+async function reconcileUploads() {
+    if (isReconciling) return;
+    isReconciling = true;
+    try {
+        const botIds = await fs.readdir(RUNTIME_ROOT).catch(() => []);
+        const knownUploadIds = new Set();
+        for (const botId of botIds) {
+            if (!(await fs.pathExists(path.join(RUNTIME_ROOT, botId, CHECKPOINT_FILE)))) continue;
+            const checkpoint = await readCheckpoint(path.join(RUNTIME_ROOT, botId));
+            if (checkpoint) knownUploadIds.add(checkpoint.uploadId);
+            if (activeUploads.has(botId)) continue;
+
+            activeUploads.add(botId);
+            try {
+                await reconcileCheckpoint(botId);
+            } catch (e) {
+                console.warn(`⚠️  Bot ${botId}: interrupted upload not finished yet, will retry: ${e.message}`);
+            } finally {
+                activeUploads.delete(botId);
+            }
+        }
+        await abortOrphanedUploads(knownUploadIds);
+    } finally {
+        isReconciling = false;
+    }
+}
+
+/**
+ * Start reconciling uploads periodically (and once right away)
+ */
+function startUploadReconciler() {
+    if (reconcileTimer) return;
+    reconcileTimer = setInterval(() => {
+        reconcileUploads().catch((e) => console.error('❌ Upload reconciler error:', e.message));
+    }, RECONCILE_INTERVAL_MS);
+    console.log(`♻️  Upload reconciler started (every ${RECONCILE_INTERVAL_MS / 60000} min)`);
+    return reconcileUploads();
+}
+
+/**
+ * Stop the reconciler; checkpoints stay on disk for the next start
+ */
+function stopUploadReconciler() {
+    if (reconcileTimer) {
+        clearInterval(reconcileTimer);
+        reconcileTimer = null;
+    }
+}
+
+/**
+ * Open an uploaded recording for ranged reads of its stored bytes (for
+ * encrypted recordings, see openEncryptedSource in ../encryption.js)
+ * @param {Object} location - { provider, key, owner, size } (see getRecordingLocation)
+ * @returns {{size: number, readRange: Function}|null} null if the provider is no longer configured
+ */
+function openStoredRecording(location) {
+    const provider = location ? getProviderFor(location.provider, location.owner) : null;
+    if (!provider || !location.size) return null;
+    return {
+        size: location.size,
+        readRange: (start, end) => provider.readRange(location.key, start, end)
+    };
+}
+
+/**
+ * Delete an uploaded recording
+ * @param {Object} location - { provider, key, owner } (see getRecordingLocation)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteRecording(location) {
+    try {
+        const provider = location ? getProviderFor(location.provider, location.owner) : null;
+        if (!provider) {
+            return { success: false, error: 'Storage not configured' };
+        }
+        await provider.delete(location.key);
+        for (const cacheKey of signedUrlCache.keys()) {
+            if (cacheKey.endsWith(`:${location.key}`)) signedUrlCache.delete(cacheKey);
+        }
+        console.log(`🗑️  Video deleted from ${provider.name} storage: ${location.key}`);
+        return { success: true };
+    } catch (error) {
+        console.error(`❌ Storage delete failed:`, error.message || error);
+        return { success: false, error: error.message || 'Unknown error' };
+    }
+}
+
+/**
+ * Delete an uploaded HLS package
+ * @param {Object} storage - metadata.hls.storage (see saveHlsLocation)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteHlsPackage(storage) {
+    try {
+        const provider = storage ? getProviderFor(storage.provider, storage.owner) : null;
+        if (!provider) {
+            return { success: false, error: 'Storage not configured' };
+        }
+        for (const file of Object.keys(storage.files || {})) {
+            await provider.delete(`${storage.prefix}/${file}`);
+        }
+        console.log(`🗑️  HLS package deleted from ${provider.name} storage: ${storage.prefix}/`);
+        return { success: true };
+    } catch (error) {
+        console.error(`❌ Storage delete failed:`, error.message || error);
+        return { success: false, error: error.message || 'Unknown error' };
+    }
+}
+
+/**
+ * Test a storage configuration
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function testStorageConfig(config) {
+    const provider = getStorageProvider(config);
+    try {
+        await provider.test();
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: provider.describeError ? provider.describeError(error) : error.message };
+    }
+}
+
+module.exports = {
+    STORAGE_PROVIDERS,
+    STORAGE_DELETE_LOCAL_AFTER_UPLOAD,
+    getDefaultStorageConfig,
+    getUserStorageConfig,
+    resolveStorageConfig,
+    getStorageProvider,
+    getProviderFor,
+    isStorageConfigured,
+    normalizeStorageSettings,
+    formatStorageConfig,
+    buildStorageUrl,
+    verifyStorageUrl,
+    getRecordingContentType,
+    getRecordingKey,
+    getRecordingLocation,
+    findRecordingLocation,
+    getRecordingUrl,
+    getHlsLocation,
+    openStoredRecording,
+    uploadRecording,
+    uploadHlsPackage,
+    startStreamingUpload,
+    saveRecordingLocation,
+    saveHlsPackage,
+    saveHlsLocation,
+    saveRecordingUploadError,
+    removeUploadedLocalFiles,
+    reconcileUploads,
+    startUploadReconciler,
+    stopUploadReconciler,
+    deleteRecording,
+    deleteHlsPackage,
+    testStorageConfig
+};
@@ -0,0 +1,80 @@
+/**
+ * Local Disk Storage Provider
+ *
+ * Stores objects under a directory on the server (STORAGE_LOCAL_ROOT), e.g.
+ * a mounted NAS volume. It has no URLs of its own: recordings are served by
+ * GET /api/storage/local/<key> with an HMAC-signed, expiring query string
+ * (see buildStorageUrl in ./index.js).
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Create a local disk provider
+ * @param {Object} config - { root }
+ */
+function createLocalProvider(config) {
+    const root = path.resolve(config.root);
+
+    // Map a key to a path, refusing keys that escape the root
+    const resolvePath = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        description: root,
+        resolvePath,
+
+        /**
+         * Check the root directory is writable
+         */
+        async test() {
+            await fs.ensureDir(root);
+            await fs.access(root, fs.constants.W_OK);
+        },
+
+        /**
+         * Copy a local file into the store (atomically, via a temp file)
+         */
+        async upload(localFilePath, key, { onProgress } = {}) {
+            const target = resolvePath(key);
+            const stats = await fs.stat(localFilePath);
+            const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+            await fs.ensureDir(path.dirname(target));
+            try {
+                await fs.copy(localFilePath, tmp);
+                await fs.move(tmp, target, { overwrite: true });
+            } catch (error) {
+                await fs.remove(tmp).catch(() => {});
+                throw error;
+            }
+            if (onProgress) onProgress(stats.size, stats.size);
+            return { key, url: null, size: stats.size };
+        },
+
+        async exists(key) {
+            return fs.pathExists(resolvePath(key));
+        },
+
+        /**
+         * Stream bytes start..end (inclusive) of an object
+         */
+        async readRange(key, start, end) {
+            return fs.createReadStream(resolvePath(key), { start, end, highWaterMark: 1024 * 1024 });
+        },
+
+        async delete(key) {
+            await fs.remove(resolvePath(key));
+        }
+    };
+}
+
+module.exports = {
+    createLocalProvider
+};
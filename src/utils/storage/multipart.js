@@ -0,0 +1,324 @@
+/**
+ * Resumable Multipart Uploads
+ *
+ * Large recordings are uploaded in parts to providers that support it (s3).
+ * After every part the upload ID and part ETags are written to
+ * runtime/<botId>/upload_checkpoint.json, so a failed upload, a crash or a
+ * restart continues from the last part instead of starting over. The
+ * checkpoint is removed once the upload is completed or aborted; unfinished
+ * ones are picked up by the upload reconciler (see reconcileUploads in
+ * ./index.js).
+ *
+ * Recordings can also be streamed: parts are uploaded while the bot is still
+ * appending to the file (createStreamingUpload), with the same checkpoint.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const CHECKPOINT_FILE = 'upload_checkpoint.json';
+// S3 parts must be at least 5 MB (except the last) and at most 10,000 per upload
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const PART_SIZE = Math.max(MIN_PART_SIZE, Number(process.env.STORAGE_MULTIPART_PART_SIZE_MB || 16) * 1024 * 1024);
+
+/**
+ * Check if a provider can do resumable uploads
+ */
+function supportsMultipart(provider) {
+    return typeof provider.createMultipartUpload === 'function';
+}
+
+function getCheckpointPath(botDir) {
+    return path.join(botDir, CHECKPOINT_FILE);
+}
+
+/**
+ * Read a bot's upload checkpoint
+ * @returns {Promise<Object|null>}
+ */
+async function readCheckpoint(botDir) {
+    const checkpointPath = getCheckpointPath(botDir);
+    if (!(await fs.pathExists(checkpointPath))) return null;
+    try {
+        return await fs.readJson(checkpointPath);
+    } catch (e) {
+        console.warn(`⚠️  Ignoring unreadable upload checkpoint ${checkpointPath}: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Write a checkpoint atomically, so a crash never leaves a truncated one
+ */
+async function writeCheckpoint(botDir, checkpoint) {
+    const checkpointPath = getCheckpointPath(botDir);
+    const tmp = `${checkpointPath}.tmp`;
+    checkpoint.updatedAt = Date.now();
+    await fs.writeJson(tmp, checkpoint, { spaces: 2 });
+    await fs.move(tmp, checkpointPath, { overwrite: true });
+}
+
+async function removeCheckpoint(botDir) {
+    await fs.remove(getCheckpointPath(botDir));
+}
+
+/**
+ * Check the file a checkpoint was made for is still there, unchanged
+ * @returns {Promise<boolean>}
+ */
+async function isCheckpointFileIntact(checkpoint) {
+    const stats = await fs.stat(checkpoint.localFilePath).catch(() => null);
+    return !!stats && stats.size === checkpoint.fileSize && stats.mtimeMs === checkpoint.fileMtimeMs;
+}
+
+/**
+ * Abort the multipart upload of a checkpoint and remove the checkpoint
+ */
+async function abortCheckpoint(provider, botDir, checkpoint) {
+    try {
+        await provider.abortMultipartUpload(checkpoint.key, checkpoint.uploadId);
+    } catch (e) {
+        if (!(provider.isNoSuchUpload && provider.isNoSuchUpload(e))) throw e;
+    }
+    await removeCheckpoint(botDir);
+    console.log(`🗑️  Aborted multipart upload of ${checkpoint.key} (${checkpoint.parts.length} part(s) discarded)`);
+}
+
+// Expected size of a part
+function partLength(checkpoint, partNumber) {
+    const start = (partNumber - 1) * checkpoint.partSize;
+    return Math.min(checkpoint.partSize, checkpoint.fileSize - start);
+}
+
+/**
+ * Upload one part with exponential backoff and record it in the checkpoint
+ */
+async function uploadPartWithRetry(provider, botDir, checkpoint, partNumber, size, maxRetries) {
+    const start = (partNumber - 1) * checkpoint.partSize;
+    let etag = null;
+    for (let attempt = 1; !etag; attempt++) {
+        try {
+            etag = await provider.uploadPart(checkpoint.key, checkpoint.uploadId, partNumber, checkpoint.localFilePath, start, start + size - 1);
+        } catch (error) {
+            const permanent = provider.isPermanentError && provider.isPermanentError(error);
+            if (permanent || attempt >= maxRetries) throw error;
+            const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s...
+            console.warn(`⚠️  Part ${partNumber} of ${checkpoint.key} failed (${error.message}), retrying in ${waitTime / 1000}s`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    }
+    checkpoint.parts.push({ PartNumber: partNumber, ETag: etag, Size: size });
+    await writeCheckpoint(botDir, checkpoint);
+}
+
+/**
+ * Upload a file in parts, resuming from the bot's checkpoint if it is for
+ * the same file and key. Each part is retried with exponential backoff;
+ * when a part keeps failing the error is thrown and the checkpoint is kept.
+ * @param {Object} provider - Storage provider supporting multipart uploads
+ * @param {Object} options
+ * @param {string} options.botDir - Bot runtime directory (checkpoint location)
+ * @param {string} options.localFilePath - File to upload
+ * @param {string} options.key - Storage key
+ * @param {{provider: string, owner: string|null}} options.location - Recorded in the checkpoint so the reconciler finds the storage again
+ * @param {string} options.contentType
+ * @param {Object} options.metadata - Object metadata
+ * @param {number} options.maxRetries - Attempts per part (default: 3)
+ * @param {Function} options.onProgress - (loadedBytes, totalBytes)
+ * @returns {Promise<{key: string, url: string|null, size: number, parts: number, resumedParts: number}>}
+ */
+async function uploadResumable(provider, { botDir, localFilePath, key, location, contentType, metadata = {}, maxRetries = 3, onProgress }) {
+    const stats = await fs.stat(localFilePath);
+    let checkpoint = await readCheckpoint(botDir);
+
+    // A checkpoint for another file (or one that changed since) can't be resumed
+    const sameStorage = checkpoint && checkpoint.provider === location.provider && (checkpoint.owner || null) === (location.owner || null);
+    if (checkpoint && (!sameStorage || checkpoint.key !== key || checkpoint.localFilePath !== localFilePath ||
+        checkpoint.fileSize !== stats.size || checkpoint.fileMtimeMs !== stats.mtimeMs)) {
+        console.log(`ℹ️  Discarding upload checkpoint for ${checkpoint.key}: the file or destination changed`);
+        // Uploads to another storage are left to the reconciler's orphan sweep
+        if (sameStorage) {
+            await abortCheckpoint(provider, botDir, checkpoint).catch((e) => console.warn(`⚠️  Could not abort previous upload: ${e.message}`));
+        }
+        await removeCheckpoint(botDir);
+        checkpoint = null;
+    }
+
+    // Trust the storage over the checkpoint: parts may have been received
+    // after the last checkpoint write, or the upload may have been aborted
+    if (checkpoint) {
+        try {
+            const remoteParts = await provider.listParts(key, checkpoint.uploadId);
+            checkpoint.parts = remoteParts.filter(part => part.Size === partLength(checkpoint, part.PartNumber));
+            console.log(`♻️  Resuming multipart upload of ${key}: ${checkpoint.parts.length} part(s) already uploaded`);
+        } catch (e) {
+            if (!(provider.isNoSuchUpload && provider.isNoSuchUpload(e))) throw e;
+            console.log(`ℹ️  Multipart upload of ${key} no longer exists, starting over`);
+            await removeCheckpoint(botDir);
+            checkpoint = null;
+        }
+    }
+
+    if (!checkpoint) {
+        const partSize = Math.max(PART_SIZE, Math.ceil(stats.size / MAX_PARTS));
+        checkpoint = {
+            provider: location.provider,
+            owner: location.owner || null,
+            key,
+            uploadId: await provider.createMultipartUpload(key, { contentType, metadata }),
+            localFilePath,
+            fileSize: stats.size,
+            fileMtimeMs: stats.mtimeMs,
+            partSize,
+            contentType,
+            parts: [],
+            createdAt: Date.now()
+        };
+        await writeCheckpoint(botDir, checkpoint);
+    }
+
+    const resumedParts = checkpoint.parts.length;
+    const totalParts = Math.max(1, Math.ceil(stats.size / checkpoint.partSize));
+    const done = new Set(checkpoint.parts.map(part => part.PartNumber));
+    let loaded = checkpoint.parts.reduce((sum, part) => sum + part.Size, 0);
+    if (onProgress) onProgress(loaded, stats.size);
+
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        if (done.has(partNumber)) continue;
+        const size = partLength(checkpoint, partNumber);
+        await uploadPartWithRetry(provider, botDir, checkpoint, partNumber, size, maxRetries);
+        loaded += size;
+        if (onProgress) onProgress(loaded, stats.size);
+    }
+
+    const parts = [...checkpoint.parts].sort((a, b) => a.PartNumber - b.PartNumber);
+    const result = await provider.completeMultipartUpload(key, checkpoint.uploadId, parts);
+    await removeCheckpoint(botDir);
+
+    return { key, url: result.url || null, size: stats.size, parts: totalParts, resumedParts };
+}
+
+/**
+ * Turn the checkpoint of a streaming upload that was cut off (crash,
+ * restart) into a regular one for what was written to the file, so
+ * uploadResumable can finish it
+ * @returns {Promise<Object|null>} Sealed checkpoint, null if the file is gone
+ */
+async function sealStreamingCheckpoint(botDir, checkpoint) {
+    const stats = await fs.stat(checkpoint.localFilePath).catch(() => null);
+    if (!stats) return null;
+    checkpoint.streaming = false;
+    checkpoint.fileSize = stats.size;
+    checkpoint.fileMtimeMs = stats.mtimeMs;
+    await writeCheckpoint(botDir, checkpoint);
+    return checkpoint;
+}
+
+/**
+ * Upload a file in parts while it is still being written (a recording in
+ * progress). Call written(bytes) after each append: every full part is
+ * read back from the file and uploaded in the background, so at most one
+ * part is left to upload when the recording ends. The checkpoint is kept
+ * up to date like uploadResumable's (with `streaming: true` until
+ * finished), so the reconciler can finish the upload after a crash.
+ * @param {Object} provider - Storage provider supporting multipart uploads
+ * @param {Object} options - botDir, localFilePath, key, location, contentType, metadata, maxRetries (see uploadResumable)
+ */
+function createStreamingUpload(provider, { botDir, localFilePath, key, location, contentType, metadata = {}, maxRetries = 3 }) {
+    let checkpoint = null;
+    let writtenBytes = 0;
+    let uploadedBytes = 0;
+    let queue = Promise.resolve();
+    let error = null;
+
+    const start = async () => {
+        if (checkpoint) return;
+        checkpoint = {
+            provider: location.provider,
+            owner: location.owner || null,
+            key,
+            uploadId: await provider.createMultipartUpload(key, { contentType, metadata }),
+            localFilePath,
+            fileSize: null,
+            fileMtimeMs: null,
+            partSize: PART_SIZE,
+            contentType,
+            parts: [],
+            streaming: true,
+            createdAt: Date.now()
+        };
+        await writeCheckpoint(botDir, checkpoint);
+        console.log(`📤 Streaming recording to ${provider.name} storage: ${key}`);
+    };
+
+    // Upload full parts until less than a part is left
+    const uploadFullParts = () => {
+        queue = queue.then(async () => {
+            if (error) return;
+            await start();
+            while (writtenBytes - uploadedBytes >= PART_SIZE) {
+                await uploadPartWithRetry(provider, botDir, checkpoint, checkpoint.parts.length + 1, PART_SIZE, maxRetries);
+                uploadedBytes += PART_SIZE;
+            }
+        }).catch((e) => {
+            error = e;
+            console.warn(`⚠️  Streaming upload of ${key} stopped: ${e.message}; the recording will be uploaded after the meeting`);
+        });
+    };
+
+    return {
+        key,
+
+        written(bytes) {
+            writtenBytes += bytes;
+            if (!error && writtenBytes - uploadedBytes >= PART_SIZE) uploadFullParts();
+        },
+
+        /**
+         * Upload what is left and complete the upload
+         * @returns {Promise<{key: string, url: string|null, size: number, parts: number}>}
+         */
+        async finish() {
+            await queue;
+            if (error) throw error;
+            // The file is the source of truth: appends that failed never reached it
+            const stats = await fs.stat(localFilePath);
+            if (stats.size === 0) throw new Error('Recording is empty');
+            if (stats.size < uploadedBytes) throw new Error('Recording file shrank while it was being uploaded');
+            await start();
+            for (let offset = uploadedBytes; offset < stats.size; offset += PART_SIZE) {
+                const size = Math.min(PART_SIZE, stats.size - offset);
+                await uploadPartWithRetry(provider, botDir, checkpoint, checkpoint.parts.length + 1, size, maxRetries);
+            }
+            const result = await provider.completeMultipartUpload(key, checkpoint.uploadId, checkpoint.parts);
+            await removeCheckpoint(botDir);
+            return { key, url: result.url || null, size: stats.size, parts: checkpoint.parts.length };
+        },
+
+        /**
+         * Give up: abort the upload (best effort) and remove the checkpoint
+         */
+        async abort() {
+            await queue;
+            if (checkpoint) {
+                await abortCheckpoint(provider, botDir, checkpoint).catch((e) => {
+                    console.warn(`⚠️  Could not abort streaming upload of ${key}: ${e.message}`);
+                });
+            }
+            await removeCheckpoint(botDir);
+        }
+    };
+}
+
+module.exports = {
+    CHECKPOINT_FILE,
+    supportsMultipart,
+    readCheckpoint,
+    removeCheckpoint,
+    isCheckpointFileIntact,
+    abortCheckpoint,
+    uploadResumable,
+    sealStreamingCheckpoint,
+    createStreamingUpload
+};
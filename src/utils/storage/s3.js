@@ -0,0 +1,243 @@
+/**
+ * S3 Storage Provider
+ *
+ * AWS S3 and S3-compatible services: MinIO, Ceph, Wasabi, Cloudflare R2 or
+ * Google Cloud Storage through its XML API (HMAC keys). Set `endpoint` for
+ * anything that is not AWS and `forcePathStyle` for services that don't
+ * support bucket subdomains (MinIO).
+ */
+
+const {
+    S3Client,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand,
+    GetObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListMultipartUploadsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { Upload } = require('@aws-sdk/lib-storage');
+const fs = require('fs-extra');
+
+// Errors that retrying won't fix
+const PERMANENT_ERRORS = ['NoSuchBucket', 'NotFound', 'AccessDenied', 'Forbidden', 'InvalidAccessKeyId', 'InvalidClientTokenId', 'SignatureDoesNotMatch', 'InvalidSignature'];
+
+/**
+ * Create an S3 provider
+ * @param {Object} config - { bucket, region, accessKeyId, secretAccessKey, endpoint?, forcePathStyle? }
+ */
+function createS3Provider(config) {
+    const region = config.region || 'us-east-1';
+    const client = new S3Client({
+        credentials: {
+            accessKeyId: config.accessKeyId,
+            secretAccessKey: config.secretAccessKey
+        },
+        region,
+        endpoint: config.endpoint || undefined,
+        forcePathStyle: !!config.forcePathStyle
+    });
+
+    // Unsigned URL of an object (only reachable if the bucket is public)
+    const objectUrl = (key) => {
+        if (!config.endpoint) return `https://${config.bucket}.s3.${region}.amazonaws.com/${key}`;
+        const endpoint = new URL(config.endpoint);
+        const base = endpoint.origin + endpoint.pathname.replace(/\/$/, '');
+        return config.forcePathStyle
+            ? `${base}/${config.bucket}/${key}`
+            : `${endpoint.protocol}//${config.bucket}.${endpoint.host}${endpoint.pathname.replace(/\/$/, '')}/${key}`;
+    };
+
+    return {
+        name: 's3',
+        description: config.endpoint ? `${config.endpoint} (bucket ${config.bucket})` : `s3://${config.bucket} (${region})`,
+
+        /**
+         * Check the bucket is reachable with these credentials
+         */
+        async test() {
+            await client.send(new ListObjectsV2Command({ Bucket: config.bucket, MaxKeys: 1 }));
+        },
+
+        /**
+         * Upload a local file (multipart for large files)
+         */
+        async upload(localFilePath, key, { contentType, metadata = {}, onProgress } = {}) {
+            const stats = await fs.stat(localFilePath);
+            const upload = new Upload({
+                client,
+                params: {
+                    Bucket: config.bucket,
+                    Key: key,
+                    Body: fs.createReadStream(localFilePath),
+                    ContentType: contentType,
+                    Metadata: metadata
+                }
+            });
+            if (onProgress) {
+                upload.on('httpUploadProgress', (progress) => onProgress(progress.loaded, progress.total || stats.size));
+            }
+            const result = await upload.done();
+            return { key, url: result.Location || objectUrl(key), size: stats.size };
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: config.bucket, Key: key }));
+                return true;
+            } catch (error) {
+                const status = error.$metadata?.httpStatusCode;
+                if (status === 404 || error.name === 'NotFound' || error.name === 'NoSuchKey') return false;
+                throw error;
+            }
+        },
+
+        /**
+         * Presigned GET URL
+         */
+        async getSignedUrl(key, { expiresIn = 3600, contentType } = {}) {
+            const command = new GetObjectCommand({
+                Bucket: config.bucket,
+                Key: key,
+                ResponseContentType: contentType
+            });
+            return getSignedUrl(client, command, { expiresIn });
+        },
+
+        /**
+         * Stream bytes start..end (inclusive) of an object
+         * @returns {Promise<Readable>}
+         */
+        async readRange(key, start, end) {
+            const result = await client.send(new GetObjectCommand({
+                Bucket: config.bucket,
+                Key: key,
+                Range: `bytes=${start}-${end}`
+            }));
+            return result.Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: key }));
+        },
+
+        // Multipart primitives for resumable uploads (see ./multipart.js)
+
+        async createMultipartUpload(key, { contentType, metadata = {} } = {}) {
+            const result = await client.send(new CreateMultipartUploadCommand({
+                Bucket: config.bucket,
+                Key: key,
+                ContentType: contentType,
+                Metadata: metadata
+            }));
+            return result.UploadId;
+        },
+
+        /**
+         * Upload bytes start..end (inclusive) of a local file as one part
+         * @returns {Promise<string>} Part ETag
+         */
+        async uploadPart(key, uploadId, partNumber, localFilePath, start, end) {
+            const result = await client.send(new UploadPartCommand({
+                Bucket: config.bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                Body: fs.createReadStream(localFilePath, { start, end }),
+                ContentLength: end - start + 1
+            }));
+            return result.ETag;
+        },
+
+        /**
+         * Parts the storage has received for an upload
+         * @returns {Promise<Array<{PartNumber: number, ETag: string, Size: number}>>}
+         */
+        async listParts(key, uploadId) {
+            const parts = [];
+            let marker;
+            do {
+                const result = await client.send(new ListPartsCommand({
+                    Bucket: config.bucket,
+                    Key: key,
+                    UploadId: uploadId,
+                    PartNumberMarker: marker
+                }));
+                for (const part of result.Parts || []) {
+                    parts.push({ PartNumber: part.PartNumber, ETag: part.ETag, Size: part.Size });
+                }
+                marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+            } while (marker);
+            return parts;
+        },
+
+        async completeMultipartUpload(key, uploadId, parts) {
+            const result = await client.send(new CompleteMultipartUploadCommand({
+                Bucket: config.bucket,
+                Key: key,
+                UploadId: uploadId,
+                MultipartUpload: {
+                    Parts: parts.map(part => ({ PartNumber: part.PartNumber, ETag: part.ETag }))
+                }
+            }));
+            return { url: result.Location || objectUrl(key) };
+        },
+
+        async abortMultipartUpload(key, uploadId) {
+            await client.send(new AbortMultipartUploadCommand({ Bucket: config.bucket, Key: key, UploadId: uploadId }));
+        },
+
+        /**
+         * Multipart uploads started but neither completed nor aborted
+         * @returns {Promise<Array<{key: string, uploadId: string, initiatedAt: number}>>}
+         */
+        async listMultipartUploads(prefix) {
+            const uploads = [];
+            let keyMarker;
+            let uploadIdMarker;
+            do {
+                const result = await client.send(new ListMultipartUploadsCommand({
+                    Bucket: config.bucket,
+                    Prefix: prefix,
+                    KeyMarker: keyMarker,
+                    UploadIdMarker: uploadIdMarker
+                }));
+                for (const upload of result.Uploads || []) {
+                    uploads.push({ key: upload.Key, uploadId: upload.UploadId, initiatedAt: upload.Initiated ? new Date(upload.Initiated).getTime() : 0 });
+                }
+                keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+                uploadIdMarker = result.IsTruncated ? result.NextUploadIdMarker : undefined;
+            } while (keyMarker);
+            return uploads;
+        },
+
+        isNoSuchUpload(error) {
+            return (error.name || error.code) === 'NoSuchUpload' || error.$metadata?.httpStatusCode === 404;
+        },
+
+        isPermanentError(error) {
+            return PERMANENT_ERRORS.includes(error.name || error.code);
+        },
+
+        /**
+         * Turn SDK errors into messages a user can act on
+         */
+        describeError(error) {
+            const errorName = error.name || error.code;
+            if (errorName === 'NoSuchBucket' || errorName === 'NotFound') return `Bucket '${config.bucket}' does not exist`;
+            if (errorName === 'AccessDenied' || errorName === 'Forbidden') return 'Access denied - check the credentials and bucket permissions';
+            if (errorName === 'InvalidAccessKeyId' || errorName === 'InvalidClientTokenId') return 'Invalid access key ID';
+            if (errorName === 'SignatureDoesNotMatch' || errorName === 'InvalidSignature') return 'Invalid secret access key';
+            return error.message || 'Unknown error';
+        }
+    };
+}
+
+module.exports = {
+    createS3Provider
+};
@@ -0,0 +1,165 @@
+/**
+ * WebDAV Storage Provider
+ *
+ * Any WebDAV server (Nextcloud, ownCloud, Apache mod_dav, nginx dav...).
+ * `url` is the collection objects are stored under, with optional basic
+ * auth. WebDAV has no signed URLs, so downloads are proxied through
+ * GET /api/storage/webdav/<key> (see buildStorageUrl in ./index.js).
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const fs = require('fs-extra');
+
+const WEBDAV_TIMEOUT_MS = Number(process.env.WEBDAV_TIMEOUT_MS || 30000);
+
+class WebDavError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'WebDavError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Create a WebDAV provider
+ * @param {Object} config - { url, username?, password? }
+ */
+function createWebDavProvider(config) {
+    const base = new URL(config.url.endsWith('/') ? config.url : `${config.url}/`);
+    const lib = base.protocol === 'https:' ? https : http;
+    const auth = config.username
+        ? `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}`
+        : null;
+
+    const keyUrl = (key) => new URL(key.split('/').map(encodeURIComponent).join('/'), base);
+
+    /**
+     * Send a request and resolve with the response (body not consumed)
+     */
+    const request = (method, url, { headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+        const req = lib.request({
+            method,
+            hostname: url.hostname,
+            port: url.port || (url.protocol === 'https:' ? 443 : 80),
+            path: url.pathname + url.search,
+            headers: {
+                'User-Agent': 'CXFlow-Meeting-Bot-Storage',
+                ...(auth ? { Authorization: auth } : {}),
+                ...headers
+            },
+            timeout: WEBDAV_TIMEOUT_MS
+        }, resolve);
+        req.on('error', reject);
+        req.on('timeout', () => { req.destroy(new Error(`WebDAV ${method} timed out`)); });
+        if (body && typeof body.pipe === 'function') {
+            body.on('error', (err) => req.destroy(err));
+            body.pipe(req);
+        } else {
+            req.end(body || undefined);
+        }
+    });
+
+    // Send a request whose response body is not needed
+    const send = async (method, url, options) => {
+        const res = await request(method, url, options);
+        res.resume();
+        return res.statusCode;
+    };
+
+    const fail = (method, key, statusCode) => new WebDavError(`WebDAV ${method} ${key} failed with HTTP ${statusCode}`, statusCode);
+
+    // Create the parent collections of a key (MKCOL answers 405 if one exists)
+    const ensureCollections = async (key) => {
+        const parts = key.split('/').slice(0, -1);
+        for (let i = 1; i <= parts.length; i++) {
+            const statusCode = await send('MKCOL', keyUrl(`${parts.slice(0, i).join('/')}/`));
+            if (statusCode !== 201 && statusCode !== 405 && statusCode !== 301) {
+                throw fail('MKCOL', parts.slice(0, i).join('/'), statusCode);
+            }
+        }
+    };
+
+    return {
+        name: 'webdav',
+        description: base.origin + base.pathname,
+
+        /**
+         * Check the base collection is reachable with these credentials
+         */
+        async test() {
+            const statusCode = await send('PROPFIND', base, { headers: { Depth: '0' } });
+            if (statusCode !== 207 && statusCode !== 200) throw fail('PROPFIND', base.pathname, statusCode);
+        },
+
+        async upload(localFilePath, key, { contentType, onProgress } = {}) {
+            const stats = await fs.stat(localFilePath);
+            await ensureCollections(key);
+
+            const body = fs.createReadStream(localFilePath);
+            if (onProgress) {
+                let loaded = 0;
+                body.on('data', (chunk) => { loaded += chunk.length; onProgress(loaded, stats.size); });
+            }
+            const statusCode = await send('PUT', keyUrl(key), {
+                headers: {
+                    'Content-Type': contentType || 'application/octet-stream',
+                    'Content-Length': stats.size
+                },
+                body
+            });
+            if (statusCode < 200 || statusCode >= 300) throw fail('PUT', key, statusCode);
+            return { key, url: keyUrl(key).toString(), size: stats.size };
+        },
+
+        async exists(key) {
+            const statusCode = await send('HEAD', keyUrl(key));
+            if (statusCode === 404) return false;
+            if (statusCode >= 200 && statusCode < 300) return true;
+            throw fail('HEAD', key, statusCode);
+        },
+
+        /**
+         * Open an object for proxying, forwarding a Range header
+         * @returns {Promise<http.IncomingMessage>} Response to pipe (check statusCode)
+         */
+        openReadStream(key, { range, method = 'GET' } = {}) {
+            return request(method, keyUrl(key), { headers: range ? { Range: range } : {} });
+        },
+
+        /**
+         * Stream bytes start..end (inclusive) of an object
+         */
+        async readRange(key, start, end) {
+            const response = await request('GET', keyUrl(key), { headers: { Range: `bytes=${start}-${end}` } });
+            if (response.statusCode !== 206) {
+                response.resume();
+                // 200 = the server ignored the range
+                throw fail('GET', key, response.statusCode);
+            }
+            return response;
+        },
+
+        async delete(key) {
+            const statusCode = await send('DELETE', keyUrl(key));
+            if (statusCode !== 404 && (statusCode < 200 || statusCode >= 300)) throw fail('DELETE', key, statusCode);
+        },
+
+        isPermanentError(error) {
+            return error instanceof WebDavError && [401, 403, 404, 405, 409].includes(error.statusCode);
+        },
+
+        describeError(error) {
+            if (error instanceof WebDavError && (error.statusCode === 401 || error.statusCode === 403)) {
+                return 'Access denied - check the WebDAV username and password';
+            }
+            return error.message || 'Unknown error';
+        }
+    };
+}
+
+module.exports = {
+    createWebDavProvider,
+    WebDavError
+};
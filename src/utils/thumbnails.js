@@ -0,0 +1,227 @@
+/**
+ * Recording Thumbnails
+ *
+ * Preview images of a finished recording, stored in
+ * runtime/<botId>/video/thumbnails/:
+ *   - storyboard.jpg: sprite sheet of frames taken every
+ *     STORYBOARD_INTERVAL_SECONDS (spaced out on long meetings to keep at
+ *     most STORYBOARD_MAX_TILES tiles)
+ *   - storyboard.vtt: WebVTT thumbnails track for scrub previews, one cue
+ *     per tile ("storyboard.jpg#xywh=x,y,w,h")
+ *   - poster.jpg: the frame with the most detail (largest JPEG, so not a
+ *     black screen or an empty grid), taken again at POSTER_WIDTH
+ *
+ * Encrypted recordings are decrypted to a temporary file for FFmpeg and the
+ * thumbnails are encrypted too.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { runFfmpeg, getVideoInfo } = require('./video-compression');
+const { sendWebhook } = require('./webhook');
+const { invalidateCache } = require('./file-cache');
+const { isEncryptedFile, encryptFile, decryptFile } = require('./encryption');
+
+const RUNTIME_ROOT = path.join(__dirname, '..', '..', 'runtime');
+
+const THUMBNAILS_DIR = 'thumbnails';
+const POSTER_FILE = 'poster.jpg';
+const STORYBOARD_SPRITE = 'storyboard.jpg';
+const STORYBOARD_VTT = 'storyboard.vtt';
+const THUMBNAIL_FILES = {
+    [POSTER_FILE]: 'image/jpeg',
+    [STORYBOARD_SPRITE]: 'image/jpeg',
+    [STORYBOARD_VTT]: 'text/vtt'
+};
+
+const STORYBOARD_INTERVAL_SECONDS = Math.max(1, Number(process.env.STORYBOARD_INTERVAL_SECONDS || 10));
+const STORYBOARD_MAX_TILES = 100;
+const STORYBOARD_COLUMNS = 10;
+const STORYBOARD_TILE_WIDTH = 160;
+const POSTER_WIDTH = 640;
+
+/**
+ * WebVTT timestamp (HH:MM:SS.mmm)
+ */
+function formatVttTime(seconds) {
+    const ms = Math.round(Math.max(0, seconds) * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * WebVTT thumbnails track of a storyboard
+ * @param {Object} storyboard - { interval, width, height, columns, count }
+ * @param {number} duration - Recording duration (seconds)
+ * @returns {string}
+ */
+function buildStoryboardVtt(storyboard, duration) {
+    const { interval, width, height, columns, count } = storyboard;
+    const lines = ['WEBVTT', ''];
+    for (let i = 0; i < count; i++) {
+        const start = i * interval;
+        const end = i === count - 1 ? Math.max(duration, start + interval) : (i + 1) * interval;
+        lines.push(
+            `${formatVttTime(start)} --> ${formatVttTime(end)}`,
+            `${STORYBOARD_SPRITE}#xywh=${(i % columns) * width},${Math.floor(i / columns) * height},${width},${height}`,
+            ''
+        );
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Make the poster and storyboard of a finished recording
+ *
+ * @param {string} recordingPath - .webm / .mp4 local path
+ * @param {string} outputDir - Folder to write (replaced once complete)
+ * @param {Object} options - { botId }
+ * @returns {Promise<Object|null>} { poster, storyboard: { sprite, vtt, interval, width, height, columns, rows, count }, duration },
+ *   or null if the recording has no video
+ */
+async function generateThumbnails(recordingPath, outputDir, { botId = null } = {}) {
+    if (!(await fs.pathExists(recordingPath))) {
+        throw new Error(`Input file not found: ${recordingPath}`);
+    }
+
+    // Written next to the final folder, swapped in once complete
+    const tempDir = `${outputDir}.${process.pid}.tmp`;
+    const framesDir = path.join(tempDir, 'frames');
+    let plaintextInput = null;
+    const startTime = Date.now();
+
+    try {
+        let source = recordingPath;
+        const encrypted = await isEncryptedFile(recordingPath);
+        if (encrypted) {
+            plaintextInput = `${recordingPath}.${process.pid}.thumbnails.plain.tmp`;
+            await decryptFile(recordingPath, plaintextInput);
+            source = plaintextInput;
+        }
+
+        const info = await getVideoInfo(source);
+        if (!info.videoCodec) {
+            console.log(`ℹ️  No video stream in ${recordingPath}, no thumbnails`);
+            return null;
+        }
+        const [sourceWidth, sourceHeight] = (info.resolution || '').split('x').map(Number);
+        const width = STORYBOARD_TILE_WIDTH;
+        const height = sourceWidth && sourceHeight
+            ? Math.round((width * sourceHeight) / sourceWidth / 2) * 2
+            : Math.round((width * 9) / 16 / 2) * 2;
+        let interval = STORYBOARD_INTERVAL_SECONDS;
+        if (info.duration) interval = Math.max(interval, Math.ceil(info.duration / STORYBOARD_MAX_TILES));
+
+        await fs.remove(tempDir);
+        await fs.ensureDir(framesDir);
+        console.log(`🖼️  Extracting storyboard frames: ${recordingPath} (every ${interval}s)`);
+        await runFfmpeg([
+            '-y', '-i', source,
+            '-map', '0:v:0',
+            '-vf', `fps=1/${interval},scale=${width}:${height}`,
+            '-q:v', '5',
+            path.join(framesDir, 'frame_%05d.jpg')
+        ]);
+
+        let frames = (await fs.readdir(framesDir)).filter(file => file.endsWith('.jpg')).sort();
+        if (frames.length === 0) {
+            throw new Error('No frames could be extracted from the recording');
+        }
+        // WebM files from the browser often have no duration: thin out afterwards
+        if (frames.length > STORYBOARD_MAX_TILES) {
+            const step = Math.ceil(frames.length / STORYBOARD_MAX_TILES);
+            frames = frames.filter((file, index) => index % step === 0);
+            interval *= step;
+        }
+        const tiles = [];
+        for (let i = 0; i < frames.length; i++) {
+            const tile = path.join(framesDir, `tile_${String(i + 1).padStart(5, '0')}.jpg`);
+            await fs.move(path.join(framesDir, frames[i]), tile);
+            tiles.push({ path: tile, size: (await fs.stat(tile)).size });
+        }
+
+        const count = tiles.length;
+        const columns = Math.min(STORYBOARD_COLUMNS, count);
+        const rows = Math.ceil(count / columns);
+        await runFfmpeg([
+            '-y', '-framerate', '1', '-start_number', '1',
+            '-i', path.join(framesDir, 'tile_%05d.jpg'),
+            '-vf', `tile=${columns}x${rows}`,
+            '-frames:v', '1',
+            '-q:v', '5',
+            path.join(tempDir, STORYBOARD_SPRITE)
+        ]);
+
+        const duration = info.duration || count * interval;
+        const storyboard = { sprite: STORYBOARD_SPRITE, vtt: STORYBOARD_VTT, interval, width, height, columns, rows, count };
+        await fs.writeFile(path.join(tempDir, STORYBOARD_VTT), buildStoryboardVtt(storyboard, duration));
+
+        // Poster: the most detailed frame, skipping the first one (joining screen) when possible
+        const candidates = tiles.length > 1 ? tiles.slice(1) : tiles;
+        const best = candidates.reduce((a, b) => (b.size > a.size ? b : a));
+        const posterPath = path.join(tempDir, POSTER_FILE);
+        await runFfmpeg([
+            '-y', '-ss', String(tiles.indexOf(best) * interval), '-i', source,
+            '-map', '0:v:0',
+            '-frames:v', '1',
+            '-vf', `scale=${POSTER_WIDTH}:-2`,
+            '-q:v', '3',
+            posterPath
+        ]).catch(() => {});
+        if (!(await fs.pathExists(posterPath))) {
+            await fs.copy(best.path, posterPath);
+        }
+
+        await fs.remove(framesDir);
+        if (encrypted) {
+            for (const file of Object.keys(THUMBNAIL_FILES)) {
+                await encryptFile(botId, path.join(tempDir, file));
+            }
+        }
+        await fs.remove(outputDir);
+        await fs.rename(tempDir, outputDir);
+
+        console.log(`✅ Thumbnails ready in ${((Date.now() - startTime) / 1000).toFixed(1)}s: ${outputDir} (${count} tiles)`);
+        return { poster: POSTER_FILE, storyboard, duration };
+    } catch (error) {
+        console.error(`❌ Thumbnail extraction failed for ${recordingPath}: ${error.message}`);
+        try { sendWebhook('error.occurred', { bot_id: botId, code: 'thumbnails_error', message: error.message, details: { recordingPath, stderr: error.stderr ? error.stderr.slice(-2000) : undefined } }); } catch (e) {}
+        throw error;
+    } finally {
+        await fs.remove(tempDir).catch(() => {});
+        if (plaintextInput) await fs.remove(plaintextInput).catch(() => {});
+    }
+}
+
+/**
+ * Record a bot's thumbnails in bot_metadata.json (metadata.thumbnails)
+ */
+async function saveThumbnails(botId, thumbnails) {
+    const metadataPath = path.join(RUNTIME_ROOT, botId, 'bot_metadata.json');
+    const metadata = await fs.readJson(metadataPath).catch(() => ({}));
+    metadata.thumbnails = { ...thumbnails, createdAt: new Date().toISOString() };
+    await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+    invalidateCache(metadataPath);
+}
+
+/**
+ * Local path of one of a bot's thumbnail files, or null if it has none
+ * @param {string} file - poster.jpg, storyboard.jpg or storyboard.vtt
+ */
+async function getThumbnailPath(botId, file) {
+    if (!THUMBNAIL_FILES[file]) return null;
+    const filePath = path.join(RUNTIME_ROOT, botId, 'video', THUMBNAILS_DIR, file);
+    return (await fs.pathExists(filePath)) ? filePath : null;
+}
+
+module.exports = {
+    THUMBNAILS_DIR,
+    THUMBNAIL_FILES,
+    POSTER_FILE,
+    STORYBOARD_SPRITE,
+    STORYBOARD_VTT,
+    buildStoryboardVtt,
+    generateThumbnails,
+    saveThumbnails,
+    getThumbnailPath
+};
@@ -204,6 +204,87 @@ function parseDate(dateString, timezone = DEFAULT_TIMEZONE) {
     return new Date(dateString);
 }
 
+// Intl formatters are expensive to create, so keep one per timezone
+const zonedPartsFormatters = new Map();
+
+/**
+ * Get wall-clock date/time parts of a date in a timezone
+ * @param {Date|number|string} date - Date to convert
+ * @param {string} timezone - IANA timezone (default: configured timezone)
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timezone = DEFAULT_TIMEZONE) {
+    let formatter = zonedPartsFormatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short',
+            hourCycle: 'h23'
+        });
+        zonedPartsFormatters.set(timezone, formatter);
+    }
+
+    const parts = {};
+    for (const part of formatter.formatToParts(getCurrentDate(date))) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timezone - IANA timezone (default: configured timezone)
+ * @returns {number} Unix timestamp in milliseconds
+ */
+function zonedTimeToUtc(parts, timezone = DEFAULT_TIMEZONE) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    const offsetAt = (timestampMs) => {
+        const p = getZonedParts(timestampMs, timezone);
+        const zonedAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return zonedAsUtc - Math.floor(timestampMs / 1000) * 1000;
+    };
+
+    // Second pass corrects the guess when it lands on the other side of a DST change
+    let timestampMs = wallClockAsUtc - offsetAt(wallClockAsUtc);
+    const offset = offsetAt(timestampMs);
+    if (wallClockAsUtc - offset !== timestampMs) {
+        timestampMs = wallClockAsUtc - offset;
+    }
+    return timestampMs;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone to check
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 // Export functions and configuration
 module.exports = {
     // Configuration
@@ -223,6 +304,9 @@ module.exports = {
     getTimezoneInfo,
     timestampToTimezone,
     parseDate,
+    getZonedParts,
+    zonedTimeToUtc,
+    isValidTimezone,
     
     // Mexico timezone constants
     MEXICO_TIMEZONES: {
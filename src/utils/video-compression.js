@@ -4,6 +4,7 @@
  * - Downscale to 720p (configurable)
  * - H.264 MP4 with streaming-friendly settings
  * - Smooth seeking, minimal buffering
+ * - HLS rendition ladder (360p, 720p, audio-only) for adaptive playback
  */
 
 const { spawn } = require('child_process');
@@ -12,6 +13,15 @@ const path = require('path');
 const ffmpegPath = require('ffmpeg-static');
 const { sendWebhook } = require('./webhook');
 
+// HLS rendition ladder, bitrates in kbps (see packageHls)
+const HLS_RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 600, audioBitrate: 64 },
+  { name: '720p', height: 720, videoBitrate: 1500, audioBitrate: 96 },
+  { name: 'audio', audioBitrate: 64 }
+];
+const HLS_SEGMENT_SECONDS = 6;
+const HLS_MASTER_PLAYLIST = 'master.m3u8';
+
 /**
  * Compress + (optionally) downscale video using FFmpeg
  *
@@ -236,7 +246,7 @@ async function getVideoInfo(filePath) {
     ffprobe.on('close', () => {
       const durationMatch = stderr.match(/Duration: (\d+):(\d+):(\d+\.\d+)/);
       const bitrateMatch = stderr.match(/bitrate: (\d+) kb\/s/);
-      const videoMatch = stderr.match(/Video: ([^,]+), ([^,]+), (\d+x\d+)/);
+      const videoMatch = stderr.match(/Video: ([^,]+),.*?\b(\d{2,5}x\d{2,5})\b/);
       const audioMatch = stderr.match(/Audio: ([^,]+), (\d+) Hz/);
 
       const info = {
@@ -261,7 +271,7 @@ async function getVideoInfo(filePath) {
 
       if (videoMatch) {
         info.videoCodec = videoMatch[1].trim();
-        info.resolution = videoMatch[3]; // e.g. "1920x1080"
+        info.resolution = videoMatch[2]; // e.g. "1920x1080"
       }
 
       if (audioMatch) {
@@ -343,7 +353,163 @@ async function getCompressionRecommendations(filePath) {
   }
 }
 
+/**
+ * Run FFmpeg to completion
+ *
+ * @param {string[]} args
+ * @returns {Promise<void>} Rejects with the tail of FFmpeg's output on failure
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, args);
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      // Only the tail is useful when it fails
+      stderr = (stderr + data.toString()).slice(-4000);
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (code === 0) return resolve();
+      const error = new Error(`FFmpeg exited with code ${code}`);
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`Failed to start FFmpeg: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Package a recording as HLS: one folder of segments and a playlist per
+ * rendition (<name>/index.m3u8), and a master playlist listing them.
+ * Renditions taller than the recording are skipped (except the smallest),
+ * video ones for audio-only recordings. Keyframes are forced on segment
+ * boundaries so players can switch renditions between segments.
+ *
+ * @param {string} inputPath  - Path to the recording
+ * @param {string} outputDir  - Folder to write the package to (replaced)
+ * @param {Object} options
+ * @returns {Promise<{master: string, renditions: Array<Object>, segmentSeconds: number, duration: number|null}>}
+ */
+async function packageHls(inputPath, outputDir, options = {}) {
+  const {
+    renditions = HLS_RENDITIONS,
+    segmentSeconds = HLS_SEGMENT_SECONDS,
+    preset = 'veryfast',
+    botId = null
+  } = options;
+
+  if (!(await fs.pathExists(inputPath))) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+
+  const info = await getVideoInfo(inputPath);
+  const [sourceWidth, sourceHeight] = (info.resolution || '').split('x').map(Number);
+  const smallestHeight = Math.min(...renditions.filter(r => r.height).map(r => r.height));
+  const selected = renditions.filter(r => {
+    if (!r.height) return !!info.audioCodec;
+    if (!info.videoCodec) return false;
+    return !sourceHeight || r.height <= sourceHeight || r.height === smallestHeight;
+  });
+  if (selected.length === 0) {
+    throw new Error('Recording has no audio or video stream to package');
+  }
+
+  // Written next to the final folder, swapped in once complete
+  const tempDir = `${outputDir}.${process.pid}.tmp`;
+  await fs.remove(tempDir);
+  const startTime = Date.now();
+  console.log(`🎞️  Packaging HLS: ${inputPath} (${selected.map(r => r.name).join(', ')})`);
+
+  try {
+    const packaged = [];
+    for (const rendition of selected) {
+      const renditionDir = path.join(tempDir, rendition.name);
+      await fs.ensureDir(renditionDir);
+
+      const args = ['-y', '-i', inputPath];
+      if (rendition.height) {
+        args.push(
+          '-map', '0:v:0',
+          '-map', '0:a:0?',
+          '-vf', `scale=-2:${rendition.height}`,
+          '-c:v', 'libx264',
+          '-preset', preset,
+          '-profile:v', 'main',
+          '-pix_fmt', 'yuv420p',
+          '-b:v', `${rendition.videoBitrate}k`,
+          '-maxrate', `${rendition.videoBitrate}k`,
+          '-bufsize', `${rendition.videoBitrate * 2}k`,
+          '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`,
+          '-sc_threshold', '0'
+        );
+      } else {
+        args.push('-map', '0:a:0', '-vn');
+      }
+      args.push(
+        '-c:a', 'aac',
+        '-b:a', `${rendition.audioBitrate}k`,
+        '-ac', '2',
+        '-f', 'hls',
+        '-hls_time', String(segmentSeconds),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(renditionDir, 'segment_%05d.ts'),
+        path.join(renditionDir, 'index.m3u8')
+      );
+
+      await runFfmpeg(args);
+
+      // Peak bitrate as capped by the encoder, plus audio
+      const entry = {
+        name: rendition.name,
+        playlist: `${rendition.name}/index.m3u8`,
+        bandwidth: ((rendition.videoBitrate || 0) + rendition.audioBitrate) * 1000,
+        codecs: rendition.height ? 'avc1.4d401f,mp4a.40.2' : 'mp4a.40.2'
+      };
+      if (rendition.height) {
+        entry.height = Math.min(rendition.height, sourceHeight || rendition.height);
+        if (sourceWidth && sourceHeight) {
+          entry.width = Math.round((sourceWidth * entry.height) / sourceHeight / 2) * 2;
+        }
+      }
+      packaged.push(entry);
+      console.log(`   ✅ ${rendition.name} rendition packaged`);
+    }
+
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const entry of packaged) {
+      const resolution = entry.width ? `,RESOLUTION=${entry.width}x${entry.height}` : '';
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${entry.bandwidth}${resolution},CODECS="${entry.codecs}"`, entry.playlist);
+    }
+    await fs.writeFile(path.join(tempDir, HLS_MASTER_PLAYLIST), lines.join('\n') + '\n');
+
+    await fs.remove(outputDir);
+    await fs.rename(tempDir, outputDir);
+
+    console.log(`✅ HLS package ready in ${((Date.now() - startTime) / 1000).toFixed(1)}s: ${outputDir}`);
+    return {
+      master: HLS_MASTER_PLAYLIST,
+      renditions: packaged,
+      segmentSeconds,
+      duration: info.duration
+    };
+  } catch (error) {
+    await fs.remove(tempDir).catch(() => {});
+    console.error(`❌ HLS packaging failed: ${error.message}`);
+    if (error.stderr) console.error(`   Error output (tail): ${error.stderr.slice(-500)}`);
+    try { sendWebhook('error.occurred', { bot_id: botId, code: 'hls_packaging_error', message: error.message, details: { inputPath, stderr: error.stderr ? error.stderr.slice(-2000) : undefined } }); } catch (e) {}
+    throw error;
+  }
+}
+
 module.exports = {
+  HLS_RENDITIONS,
+  HLS_MASTER_PLAYLIST,
+  runFfmpeg,
+  packageHls,
   compressVideo,
   compressVideoInPlace,
   getVideoInfo,
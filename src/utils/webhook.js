@@ -1,156 +1,497 @@
+/**
+ * Webhook Delivery
+ *
+ * Events fan out to the bot owner's webhook endpoints whose event filter
+ * matches, plus the single per-bot / per-user webhook URL (see resolveTargets).
+ * Every delivery is persisted in webhook_deliveries before it is sent, signed
+ * with HMAC-SHA256 and retried with exponential backoff until the endpoint
+ * answers 2xx or the attempts run out. Each HTTP attempt is logged in
+ * webhook_delivery_attempts, and failed deliveries can be replayed.
+ *
+ * Signature headers (see verifyWebhookSignature):
+ *   X-Webhook-Id         Delivery ID (stable across retries and replays)
+ *   X-Webhook-Event      Event name
+ *   X-Webhook-Timestamp  Unix time (seconds) of this attempt
+ *   X-Webhook-Signature  sha256=<hex HMAC of "<timestamp>.<raw body>">
+ *
+ * The secret is the bot owner's webhook_secret (user_configurations), or
+ * WEBHOOK_SECRET for deliveries that do not belong to a user.
+ *
+ * Endpoints must be public addresses (see ./public-address), redirects are
+ * not followed, and only the status and length of responses are logged:
+ * their bodies would let users read internal services through the server.
+ */
+
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const { URL } = require('url');
 const path = require('path');
 const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
 const { getCurrentTimestamp } = require('./timezone');
-// Import configOps to read user's saved webhook_url if needed
-const { configOps, userOps } = require('../database');
+const { assertPublicHost, publicOnlyAgents } = require('./public-address');
+const { userOps, webhookOps } = require('../database');
 
-async function sendWebhook(eventName, data = {}, overrideUrl = null) {
-    // Resolve webhook URL priority:
-    // 1) overrideUrl argument
-    // 2) data.webhookUrl or data.webhook_url
-    // 3) runtime/<botId>/bot_metadata.json (if bot_id or meeting_id can be matched)
-    // 4) process.env.WEBHOOK_URL
-    let resolvedUrl = null;
-    try {
-        if (overrideUrl && String(overrideUrl).trim()) resolvedUrl = String(overrideUrl).trim();
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 5000);
+// Total attempts per delivery, including the first one
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+// Delay before the first retry; doubled for every further retry
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000;
+const WEBHOOK_RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const WEBHOOK_RETRY_POLL_INTERVAL_MS = 15 * 1000;
+// Finished deliveries (and their attempt log) are kept this long
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS || 30);
+// Accepted clock skew when verifying signatures
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
 
-        // Short-circuit if payload includes an explicit webhook
-        if (!resolvedUrl) {
-            if (data && (data.webhookUrl || data.webhook_url)) {
-                resolvedUrl = data.webhookUrl || data.webhook_url;
-            }
+// Event names sent by the bot (endpoints can subscribe to any of them)
+const WEBHOOK_EVENTS = [
+    'meeting.bot_joined',
+    'meeting.ended',
+    'participant.joined',
+    'participant.left',
+    'recording.ended',
+    'transcript.utterance',
+    'transcript.completed',
+    'summary.completed',
+    'artifact.deleted',
+    'error.occurred'
+];
+
+const RUNTIME_ROOT = path.join(__dirname, '..', '..', 'runtime');
+
+let retryTimer = null;
+let retryRunning = false;
+let lastPruneAt = 0;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Signing secret
+ * @param {number|string} timestamp - Unix time in seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw request body
+ * @returns {string} Signature header value (sha256=<hex>)
+ */
+function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Verify a received webhook (for receivers and tools/webhook_harness.js)
+ * @param {string} secret - Signing secret
+ * @param {Object} headers - Request headers (lower-case names, as in Node's req.headers)
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+function verifyWebhookSignature(secret, headers, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+    const signature = headers['x-webhook-signature'];
+    const timestamp = headers['x-webhook-timestamp'];
+    if (!signature || !timestamp) return { valid: false, reason: 'missing signature headers' };
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > toleranceSeconds) return { valid: false, reason: 'timestamp outside tolerance' };
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'signature mismatch' };
+    }
+    return { valid: true, reason: null };
+}
+
+/**
+ * Get the signing secret of a delivery
+ */
+function getSigningSecret(userId) {
+    if (userId) {
+        try {
+            return webhookOps.getOrCreateSecret(userId);
+        } catch (e) {
+            console.warn(`⚠️ Could not load webhook secret for user ${userId}: ${e.message}`);
         }
+    }
+    return process.env.WEBHOOK_SECRET || null;
+}
 
-        const RUNTIME_ROOT = path.join(__dirname, '..', 'runtime');
+/**
+ * Delay before the next attempt after a failed one (1-based attempt number)
+ */
+function getRetryDelay(attempt) {
+    return Math.min(WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1), WEBHOOK_RETRY_MAX_DELAY_MS);
+}
 
-        // Helper: try read runtime metadata for a given candidate id
-        const tryMetadataForId = async (candidateId) => {
-            if (!candidateId) return null;
-            try {
-                const metaPath = path.join(RUNTIME_ROOT, candidateId, 'bot_metadata.json');
-                if (await fs.pathExists(metaPath)) {
-                    const meta = await fs.readJson(metaPath).catch(() => null);
-                    if (meta) return meta;
-                }
-            } catch (e) {}
-            return null;
-        };
+/**
+ * Whether a failed attempt is worth retrying: network errors, timeouts, 5xx,
+ * 408 and 429. Other 4xx responses mean the request itself was rejected.
+ */
+function isRetryable(statusCode) {
+    if (!statusCode) return true;
+    return statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
 
-        // Helper: get user email from userId
-        const getUserEmail = (userId) => {
-            if (!userId) return null;
-            try {
-                const user = userOps.findById(userId);
-                return user ? user.email : null;
-            } catch (e) {
-                return null;
-            }
-        };
+/**
+ * POST a signed body to a webhook endpoint
+ * @returns {Promise<{statusCode: number|null, length: number|null, error: string|null}>}
+ */
+function postWebhook(url, body, headers) {
+    return new Promise((resolve) => {
+        let u;
+        try {
+            u = new URL(url);
+        } catch (e) {
+            return resolve({ statusCode: null, length: null, error: `Invalid webhook URL: ${url}` });
+        }
+        try {
+            assertPublicHost(u);
+        } catch (e) {
+            return resolve({ statusCode: null, length: null, error: 'Webhook URL points to a private or local address' });
+        }
+        const lib = u.protocol === 'https:' ? https : http;
 
-        // Helper: get account email from bot metadata
-        const getAccountEmailFromMetadata = async (metadata) => {
-            if (!metadata) return null;
-            const userId = metadata.userId || metadata.user_id || null;
-            if (!userId) return null;
-            return getUserEmail(userId);
+        const opts = {
+            method: 'POST',
+            hostname: u.hostname,
+            port: u.port || (u.protocol === 'https:' ? 443 : 80),
+            path: (u.pathname || '/') + (u.search || ''),
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'CXFlow-Meeting-Bot-Webhooks',
+                ...headers
+            },
+            agent: u.protocol === 'https:' ? publicOnlyAgents.httpsAgent : publicOnlyAgents.httpAgent,
+            timeout: WEBHOOK_TIMEOUT_MS
         };
 
-        // If still unresolved, check for bot_id or botId in payload
-        let botMetadata = null;
-        if (!resolvedUrl && data) {
-            const botId = data.bot_id || data.botId || null;
-            if (botId) {
-                const byBot = await tryMetadataForId(botId);
-                if (byBot) {
-                    botMetadata = byBot;
-                    resolvedUrl = byBot.webhookUrl || byBot.webhook_url || null;
-                }
-            }
-        }
+        const req = lib.request(opts, (res) => {
+            let length = 0;
+            res.on('data', (d) => {
+                length += d.length;
+            });
+            res.on('end', () => {
+                const ok = res.statusCode >= 200 && res.statusCode < 300;
+                resolve({
+                    statusCode: res.statusCode,
+                    length,
+                    error: ok ? null : `Webhook responded ${res.statusCode}`
+                });
+            });
+        });
+        req.on('error', (err) => resolve({
+            statusCode: null,
+            length: null,
+            error: err.code === 'EPRIVATEADDRESS' ? 'Webhook URL points to a private or local address' : err.message
+        }));
+        req.on('timeout', () => { req.destroy(new Error('Webhook request timeout')); });
+        try { req.write(body); } catch (e) {}
+        req.end();
+    });
+}
 
-        // If meeting id/url provided, try to extract id and map to runtime metadata; else scan runtime entries
-        if (!resolvedUrl && data) {
-            const meetingId = data.meeting_id || data.meetingId || null;
-            const meetingUrl = data.meeting_url || data.meetUrl || data.meet_url || null;
-
-            // If meetingId present, try direct folder
-            if (meetingId && !botMetadata) {
-                const byMeeting = await tryMetadataForId(meetingId);
-                if (byMeeting) {
-                    botMetadata = byMeeting;
-                    resolvedUrl = byMeeting.webhookUrl || byMeeting.webhook_url || null;
-                }
-            }
+/**
+ * Make one attempt at a persisted delivery and record the outcome
+ * @param {Object} delivery - webhook_deliveries row
+ * @returns {Promise<Object>} Updated delivery row
+ */
+async function attemptDelivery(delivery) {
+    const attempt = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp)
+    };
+    const secret = getSigningSecret(delivery.user_id);
+    if (secret) {
+        headers['X-Webhook-Signature'] = signPayload(secret, timestamp, delivery.payload);
+    }
 
-            // If still unresolved and meetingUrl provided, try extract id from URL
-            if (!resolvedUrl && meetingUrl) {
-                try {
-                    const u = new URL(meetingUrl);
-                    const parts = u.pathname.split('/').filter(Boolean);
-                    if (parts.length) {
-                        const candidate = parts[0];
-                        const byCandidate = await tryMetadataForId(candidate);
-                        if (byCandidate && !botMetadata) {
-                            botMetadata = byCandidate;
-                            resolvedUrl = byCandidate.webhookUrl || byCandidate.webhook_url || null;
-                        }
-                    }
-                } catch (e) {
-                    // ignore
-                }
-            }
+    const startedAt = Date.now();
+    const result = await postWebhook(delivery.url, delivery.payload, headers);
+    const durationMs = Date.now() - startedAt;
 
-            // Fallback: scan runtime/*/bot_metadata.json looking for meeting_id or meetUrl matches
-            if (!resolvedUrl && (meetingId || meetingUrl)) {
-                try {
-                    const dirs = await fs.readdir(RUNTIME_ROOT).catch(() => []);
-                    for (const d of dirs) {
-                        try {
-                            const metaPath = path.join(RUNTIME_ROOT, d, 'bot_metadata.json');
-                            if (!await fs.pathExists(metaPath)) continue;
-                            const meta = await fs.readJson(metaPath).catch(() => null);
-                            if (!meta) continue;
-                            if (meetingId && (meta.meeting_id === meetingId || meta.meetingId === meetingId || String(meta.meetUrl || meta.meet_url || '').includes(meetingId))) {
-                                if (!botMetadata) botMetadata = meta;
-                                resolvedUrl = meta.webhookUrl || meta.webhook_url || null;
-                                if (resolvedUrl) break;
-                            }
-                            if (meetingUrl && (String(meta.meetUrl || meta.meet_url || '').includes(meetingUrl) || (meta.meeting_id && meetingUrl.includes(String(meta.meeting_id))))) {
-                                if (!botMetadata) botMetadata = meta;
-                                resolvedUrl = meta.webhookUrl || meta.webhook_url || null;
-                                if (resolvedUrl) break;
-                            }
-                        } catch (e) { continue; }
-                    }
-                } catch (e) {}
+    let state;
+    if (!result.error) {
+        state = { status: 'delivered', nextAttemptAt: null };
+        console.log(`✅ Webhook '${delivery.event}' sent to ${delivery.url}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+    } else if (attempt < WEBHOOK_MAX_ATTEMPTS && isRetryable(result.statusCode)) {
+        const delay = getRetryDelay(attempt);
+        state = { status: 'pending', nextAttemptAt: Date.now() + delay };
+        console.warn(`⚠️ Failed to send webhook '${delivery.event}' (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS}, retrying in ${Math.round(delay / 1000)}s): ${result.error}`);
+    } else {
+        state = { status: 'failed', nextAttemptAt: null };
+        console.warn(`⚠️ Failed to send webhook '${delivery.event}' after ${attempt} attempt(s), giving up: ${result.error}`);
+    }
+
+    webhookOps.recordAttempt(delivery.id, {
+        attempt,
+        statusCode: result.statusCode,
+        error: result.error,
+        responseLength: result.length,
+        durationMs
+    }, state);
+
+    return webhookOps.findDeliveryById(delivery.id);
+}
+
+/**
+ * Lease that keeps a delivery from being picked up twice while an attempt is in flight
+ */
+function getAttemptLease() {
+    return Date.now() + WEBHOOK_TIMEOUT_MS * 2 + 30 * 1000;
+}
+
+/**
+ * Attempt all due deliveries (retries and replays)
+ */
+async function processWebhookQueue() {
+    if (retryRunning) return;
+    retryRunning = true;
+    try {
+        let due = webhookOps.findDueDeliveries();
+        while (due.length > 0) {
+            for (const delivery of due) {
+                if (!webhookOps.claimDelivery(delivery.id, getAttemptLease())) continue;
+                await attemptDelivery(delivery);
             }
+            due = webhookOps.findDueDeliveries();
+        }
+
+        if (Date.now() - lastPruneAt > 60 * 60 * 1000) {
+            lastPruneAt = Date.now();
+            const pruned = webhookOps.pruneDeliveries(Date.now() - WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            if (pruned > 0) console.log(`🧹 Pruned ${pruned} old webhook deliveries`);
         }
+    } catch (e) {
+        console.warn(`⚠️ Webhook retry queue error: ${e && e.message ? e.message : e}`);
+    } finally {
+        retryRunning = false;
+    }
+}
 
-        // Final fallback to env
-        if (!resolvedUrl) resolvedUrl = process.env.WEBHOOK_URL || null;
+/**
+ * Start polling for webhook deliveries that are due for a retry
+ */
+function startWebhookRetryWorker() {
+    if (retryTimer) return;
+    retryTimer = setInterval(() => {
+        processWebhookQueue().catch(() => {});
+    }, WEBHOOK_RETRY_POLL_INTERVAL_MS);
+    console.log(`🔁 Webhook retry worker started (max ${WEBHOOK_MAX_ATTEMPTS} attempts)`);
+    return processWebhookQueue();
+}
 
-        if (!resolvedUrl) {
-            // nothing to do
-            return;
+/**
+ * Stop the retry worker; pending deliveries stay queued in the database
+ */
+function stopWebhookRetryWorker() {
+    if (retryTimer) {
+        clearInterval(retryTimer);
+        retryTimer = null;
+    }
+}
+
+/**
+ * Send a failed delivery again, right away, with a fresh set of attempts
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Updated delivery row, or null if it is not in 'failed' state
+ */
+async function replayDelivery(deliveryId) {
+    if (!webhookOps.requeueDelivery(deliveryId)) return null;
+    if (!webhookOps.claimDelivery(deliveryId, getAttemptLease())) {
+        return webhookOps.findDeliveryById(deliveryId);
+    }
+    return attemptDelivery(webhookOps.findDeliveryById(deliveryId));
+}
+
+/**
+ * Read runtime/<id>/bot_metadata.json
+ */
+async function readBotMetadata(candidateId) {
+    if (!candidateId) return null;
+    try {
+        const metaPath = path.join(RUNTIME_ROOT, String(candidateId), 'bot_metadata.json');
+        if (await fs.pathExists(metaPath)) {
+            return await fs.readJson(metaPath).catch(() => null);
         }
+    } catch (e) {}
+    return null;
+}
 
-        // Get account email from metadata if available
-        let accountEmail = null;
-        if (botMetadata) {
-            accountEmail = await getAccountEmailFromMetadata(botMetadata);
+/**
+ * Find the metadata of the bot an event belongs to, from bot_id, meeting_id
+ * (bot ID or Meet code) or meeting_url in the payload
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object|null>} bot_metadata.json contents
+ */
+async function findBotMetadata(data) {
+    if (!data) return null;
+
+    const byBot = await readBotMetadata(data.bot_id || data.botId);
+    if (byBot) return byBot;
+
+    const meetingId = data.meeting_id || data.meetingId || null;
+    const meetingUrl = data.meeting_url || data.meetUrl || data.meet_url || null;
+
+    // meeting_id is the bot ID for some events (e.g. summary.completed)
+    const byMeeting = await readBotMetadata(meetingId);
+    if (byMeeting) return byMeeting;
+
+    // Try the first path segment of the meeting URL
+    if (meetingUrl) {
+        try {
+            const parts = new URL(meetingUrl).pathname.split('/').filter(Boolean);
+            const byCandidate = parts.length ? await readBotMetadata(parts[0]) : null;
+            if (byCandidate) return byCandidate;
+        } catch (e) {
+            // ignore
         }
-        // If still no email and no metadata found yet, try to get it from meeting_id or bot_id in data
-        if (!accountEmail && data) {
-            const candidateId = data.meeting_id || data.meetingId || data.bot_id || data.botId || null;
-            if (candidateId) {
-                const metadata = await tryMetadataForId(candidateId);
-                if (metadata) {
-                    accountEmail = await getAccountEmailFromMetadata(metadata);
+    }
+
+    // Fallback: scan runtime/*/bot_metadata.json looking for meeting_id or meetUrl matches
+    if (meetingId || meetingUrl) {
+        try {
+            const dirs = await fs.readdir(RUNTIME_ROOT).catch(() => []);
+            for (const d of dirs) {
+                const meta = await readBotMetadata(d);
+                if (!meta) continue;
+                const metaUrl = String(meta.meetUrl || meta.meet_url || '');
+                if (meetingId && (meta.meeting_id === meetingId || meta.meetingId === meetingId || metaUrl.includes(meetingId))) {
+                    return meta;
+                }
+                if (meetingUrl && (metaUrl.includes(meetingUrl) || (meta.meeting_id && meetingUrl.includes(String(meta.meeting_id))))) {
+                    return meta;
                 }
             }
+        } catch (e) {}
+    }
+
+    return null;
+}
+
+/**
+ * Check whether an endpoint's event filter includes an event.
+ * Filters are event names, "*" for everything or "prefix.*" (e.g. "transcript.*").
+ * @param {Array<string>} filters - Event filter of the endpoint
+ * @param {string} eventName - Event being sent
+ * @returns {boolean}
+ */
+function matchesEventFilter(filters, eventName) {
+    return (filters || []).some((filter) => {
+        if (filter === '*' || filter === eventName) return true;
+        return filter.endsWith('.*') && eventName.startsWith(filter.slice(0, -1));
+    });
+}
+
+/**
+ * Parse the events column of a webhook_endpoints row
+ */
+function parseEndpointEvents(endpoint) {
+    try {
+        const events = JSON.parse(endpoint.events);
+        return Array.isArray(events) ? events : ['*'];
+    } catch (e) {
+        return ['*'];
+    }
+}
+
+/**
+ * Resolve where an event goes. The bot owner's enabled endpoints whose filter
+ * matches always receive it. The single webhook URL (overrideUrl argument,
+ * data.webhookUrl / data.webhook_url, or the bot's webhookUrl from its
+ * metadata) receives every event, unless the same URL is registered as an
+ * endpoint - then that endpoint's filter applies. WEBHOOK_URL is the
+ * fallback when the owner has neither.
+ * @returns {Array<{url: string, endpointId: string|null}>}
+ */
+function resolveTargets(eventName, ownerId, singleUrl) {
+    const endpoints = ownerId ? webhookOps.findEndpointsByUserId(ownerId) : [];
+    const targets = endpoints
+        .filter(endpoint => endpoint.enabled && matchesEventFilter(parseEndpointEvents(endpoint), eventName))
+        .map(endpoint => ({ url: endpoint.url, endpointId: endpoint.id }));
+
+    if (singleUrl && !endpoints.some(endpoint => endpoint.url === singleUrl)) {
+        targets.push({ url: singleUrl, endpointId: null });
+    }
+    if (!singleUrl && endpoints.length === 0 && process.env.WEBHOOK_URL) {
+        targets.push({ url: process.env.WEBHOOK_URL, endpointId: null });
+    }
+
+    // The same URL registered twice only gets the event once
+    return targets.filter((target, index) => targets.findIndex(t => t.url === target.url) === index);
+}
+
+/**
+ * Persist and send one delivery
+ * @returns {Promise<string>} Delivery ID
+ */
+async function deliver(eventName, postData, target, ownerId, botId) {
+    // Persist before sending so the delivery survives a crash or restart
+    const delivery = {
+        id: uuidv4(),
+        userId: ownerId,
+        botId,
+        endpointId: target.endpointId,
+        event: eventName,
+        url: target.url,
+        payload: postData,
+        nextAttemptAt: getAttemptLease()
+    };
+    try {
+        webhookOps.createDelivery(delivery);
+    } catch (e) {
+        console.warn(`⚠️ Could not persist webhook '${eventName}', sending without retries: ${e.message}`);
+        const secret = getSigningSecret(ownerId);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const result = await postWebhook(target.url, postData, {
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': eventName,
+            'X-Webhook-Timestamp': String(timestamp),
+            ...(secret ? { 'X-Webhook-Signature': signPayload(secret, timestamp, postData) } : {})
+        });
+        if (result.error) throw new Error(result.error);
+        console.log(`✅ Webhook '${eventName}' sent to ${target.url}`);
+        return delivery.id;
+    }
+
+    await attemptDelivery(webhookOps.findDeliveryById(delivery.id));
+    return delivery.id;
+}
+
+/**
+ * Send an event to every webhook endpoint that subscribed to it
+ * @param {string} eventName - e.g. meeting.bot_joined
+ * @param {Object} data - Event payload (bot_id / meeting_id identify the bot and its owner)
+ * @param {string|null} overrideUrl - Per-bot webhook URL
+ * @returns {Promise<Array<string>|undefined>} IDs of the created deliveries
+ */
+async function sendWebhook(eventName, data = {}, overrideUrl = null) {
+    try {
+        const botMetadata = await findBotMetadata(data);
+
+        // Owner of the bot: their endpoints, secret and account email apply
+        let ownerId = botMetadata ? (botMetadata.userId || botMetadata.user_id || null) : null;
+        let accountEmail = null;
+        if (ownerId) {
+            try {
+                const user = userOps.findById(ownerId);
+                accountEmail = user ? user.email : null;
+            } catch (e) {}
+            // Only use the owner's settings when the owner still exists
+            if (!accountEmail) ownerId = null;
+        }
+
+        let singleUrl = null;
+        if (overrideUrl && String(overrideUrl).trim()) singleUrl = String(overrideUrl).trim();
+        if (!singleUrl && data && (data.webhookUrl || data.webhook_url)) singleUrl = data.webhookUrl || data.webhook_url;
+        if (!singleUrl && botMetadata) singleUrl = botMetadata.webhookUrl || botMetadata.webhook_url || null;
+
+        const targets = resolveTargets(eventName, ownerId, singleUrl);
+        if (targets.length === 0) {
+            // nothing to do
+            return;
         }
 
         // Build payload and make request
@@ -166,41 +507,28 @@ async function sendWebhook(eventName, data = {}, overrideUrl = null) {
             payload.account = accountEmail;
         }
         const postData = JSON.stringify({ event: eventName, data: payload });
+        const botId = (botMetadata && botMetadata.botId) || data.bot_id || data.botId || null;
 
-        const u = new URL(resolvedUrl);
-        const lib = u.protocol === 'https:' ? https : http;
-
-        const opts = {
-            method: 'POST',
-            hostname: u.hostname,
-            port: u.port || (u.protocol === 'https:' ? 443 : 80),
-            path: (u.pathname || '/') + (u.search || ''),
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData)
-            },
-            timeout: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000)
-        };
-
-        await new Promise((resolve, reject) => {
-            const req = lib.request(opts, (res) => {
-                let body = '';
-                res.on('data', (d) => body += d);
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) return resolve(body);
-                    return reject(new Error(`Webhook responded ${res.statusCode}: ${body}`));
-                });
-            });
-            req.on('error', (err) => reject(err));
-            req.on('timeout', () => { req.destroy(new Error('Webhook request timeout')); });
-            try { req.write(postData); } catch (e) {}
-            req.end();
-        });
-
-        console.log(`✅ Webhook '${eventName}' sent to ${resolvedUrl}`);
+        const results = await Promise.allSettled(targets.map(target => deliver(eventName, postData, target, ownerId, botId)));
+        for (const result of results) {
+            if (result.status === 'rejected') {
+                console.warn(`⚠️ Failed to send webhook '${eventName}': ${result.reason && result.reason.message ? result.reason.message : result.reason}`);
+            }
+        }
+        return results.filter(r => r.status === 'fulfilled').map(r => r.value);
     } catch (err) {
         console.warn(`⚠️ Failed to send webhook '${eventName}': ${err && err.message ? err.message : err}`);
     }
 }
 
-module.exports = { sendWebhook };
+module.exports = {
+    WEBHOOK_EVENTS,
+    sendWebhook,
+    matchesEventFilter,
+    signPayload,
+    verifyWebhookSignature,
+    replayDelivery,
+    processWebhookQueue,
+    startWebhookRetryWorker,
+    stopWebhookRetryWorker
+};
@@ -0,0 +1,52 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { botOps } = require('../src/database');
+const { getMasterKeyId, encryptBotArtifacts, rotateDataKeys } = require('../src/utils/encryption');
+
+// Rewraps every bot data key with the current master key (see src/utils/encryption.js).
+// To rotate: set the new key as ENCRYPTION_MASTER_KEY, append the old one to
+// ENCRYPTION_PREVIOUS_MASTER_KEYS, run this, then drop the old key once it reports
+// no failures. Options:
+//   --dry-run           only report how many data keys would be rewrapped
+//   --encrypt-existing  also encrypt artifacts of finished bots stored before encryption was enabled
+const DRY_RUN = process.argv.includes('--dry-run');
+const ENCRYPT_EXISTING = process.argv.includes('--encrypt-existing');
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+async function run() {
+    const kid = getMasterKeyId();
+    if (!kid) throw new Error('ENCRYPTION_MASTER_KEY is not set');
+    console.log(`🔐 Current master key: ${kid}${DRY_RUN ? ' (dry run)' : ''}`);
+
+    const report = rotateDataKeys({ dryRun: DRY_RUN });
+    console.log(`🔁 Data keys ${DRY_RUN ? 'to rewrap' : 'rewrapped'}: ${report.rotated}, already current: ${report.current}`);
+    for (const failure of report.failed) {
+        console.error(`❌ Bot ${failure.bot_id}: ${failure.error}`);
+    }
+
+    let encrypted = 0;
+    if (ENCRYPT_EXISTING && !DRY_RUN) {
+        for (const bot of botOps.getAll().filter(b => FINISHED_STATUSES.includes(b.status))) {
+            try {
+                encrypted += await encryptBotArtifacts(bot.id);
+            } catch (e) {
+                report.failed.push({ bot_id: bot.id, error: e.message });
+                console.error(`❌ Bot ${bot.id}: could not encrypt artifacts: ${e.message}`);
+            }
+        }
+        console.log(`🔐 Existing artifact files encrypted: ${encrypted}`);
+    }
+
+    return { ...report, encrypted };
+}
+
+if (require.main === module) {
+    run().then((res) => {
+        if (res.failed.length > 0) process.exitCode = 1;
+    }).catch(err => {
+        console.error('Key rotation failed:', err.message || err);
+        process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -1,7 +1,14 @@
 const http = require('http');
-const { sendWebhook } = require('../src/utils/webhook');
+const { sendWebhook, verifyWebhookSignature, processWebhookQueue } = require('../src/utils/webhook');
 
 const PORT = process.env.WEBHOOK_HARNESS_PORT ? Number(process.env.WEBHOOK_HARNESS_PORT) : 5005;
+// Deliveries without a user are signed with WEBHOOK_SECRET
+const SECRET = process.env.WEBHOOK_SECRET || 'whsec_harness_secret';
+// Answer 500 to the first attempt of each delivery to exercise the retry queue
+const FAIL_FIRST = process.env.WEBHOOK_HARNESS_FAIL_FIRST === '1';
+
+const results = { received: 0, valid: 0, invalid: 0 };
+const seenDeliveries = new Set();
 
 function startServer() {
     const server = http.createServer((req, res) => {
@@ -9,18 +16,31 @@ function startServer() {
         let body = '';
         req.on('data', (chunk) => body += chunk);
         req.on('end', () => {
+            results.received++;
+            const verification = verifyWebhookSignature(SECRET, req.headers, body);
+            if (verification.valid) results.valid++;
+            else results.invalid++;
+
             try {
                 const parsed = JSON.parse(body);
                 console.log('\n---- Received webhook ----');
                 console.log('Path:', req.url);
                 console.log('Headers:', req.headers);
+                console.log('Signature:', verification.valid ? '✅ valid' : `❌ invalid (${verification.reason})`);
                 console.log('Body:', JSON.stringify(parsed, null, 2));
                 console.log('--------------------------\n');
             } catch (e) {
                 console.log('Received non-JSON body:', body.slice(0, 200));
             }
-            res.writeHead(200, { 'Content-Type': 'text/plain' });
-            res.end('ok');
+
+            const deliveryId = req.headers['x-webhook-id'];
+            if (FAIL_FIRST && deliveryId && !seenDeliveries.has(deliveryId)) {
+                seenDeliveries.add(deliveryId);
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                return res.end('simulated failure');
+            }
+            res.writeHead(verification.valid ? 200 : 401, { 'Content-Type': 'text/plain' });
+            res.end(verification.valid ? 'ok' : 'invalid signature');
         });
     });
 
@@ -34,8 +54,9 @@ function startServer() {
 }
 
 async function run() {
-    // Ensure the webhook URL points at this harness
+    // Ensure the webhook URL points at this harness and deliveries are signed
     process.env.WEBHOOK_URL = `http://localhost:${PORT}/webhook`;
+    process.env.WEBHOOK_SECRET = SECRET;
 
     const server = await startServer();
 
@@ -67,11 +88,17 @@ async function run() {
 
         await sendWebhook('error.occurred', {
             meeting_id: 'test-meeting-123',
-            code: 's3_upload_error',
+            code: 'storage_upload_error',
             message: 'Simulated upload error',
             details: { localFilePath: '/tmp/fake.webm' }
         });
 
+        if (FAIL_FIRST) {
+            // Retries are due after WEBHOOK_RETRY_BASE_SECONDS (set it to 0 to run the harness quickly)
+            await new Promise(r => setTimeout(r, Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000 + 100));
+            await processWebhookQueue();
+        }
+
     } catch (e) {
         console.error('Error sending test webhooks:', e);
     }
@@ -79,11 +106,15 @@ async function run() {
     // Wait a second to allow requests to arrive
     await new Promise(r => setTimeout(r, 1000));
 
+    console.log(`Received ${results.received} webhook(s): ${results.valid} with a valid signature, ${results.invalid} invalid`);
     server.close(() => console.log('Webhook harness server closed'));
+    return results;
 }
 
 if (require.main === module) {
-    run().catch(err => {
+    run().then((res) => {
+        if (res.invalid > 0) process.exitCode = 1;
+    }).catch(err => {
         console.error('Harness failed:', err);
         process.exit(1);
     });